@@ -385,6 +385,15 @@ let mockState = {
   shouldThrowError: false,
   errorType: null,
   jiraTickets: mockJiraTickets,
+  jiraPaginationStyle: 'offset',
+  jiraRemoteLinks: {},
+  jiraUsers: [],
+  jiraIssueCounter: 0,
+  createdJiraIssues: [],
+  userGroups: {},
+  confluencePages: {},
+  storage: {},
+  fetchResponse: { status: 200 },
   confluenceResponse: mockConfluenceResponse,
   bitbucketPRs: mockBitbucketPRs,
   bitbucketCommits: mockBitbucketCommits,
@@ -393,7 +402,8 @@ let mockState = {
   apiCallHistory: {
     jiraCalls: [],
     confluenceCalls: [],
-    bitbucketCalls: []
+    bitbucketCalls: [],
+    fetchCalls: []
   }
 };
 
@@ -408,23 +418,167 @@ const api = {
         throw new Error('Jira API Error');
       }
       
-      // Simulate JQL search
+      // Simulate user search by name or email
+      if (path.startsWith('/rest/api/3/user/search')) {
+        const query = (new URLSearchParams(path.split('?')[1] || '').get('query') || '').toLowerCase();
+        return Promise.resolve({
+          status: 200,
+          data: mockState.jiraUsers.filter(user =>
+            (user.emailAddress || '').toLowerCase().includes(query) ||
+            (user.displayName || '').toLowerCase().includes(query))
+        });
+      }
+      
+      // Simulate group membership lookups
+      if (path.startsWith('/rest/api/3/user/groups')) {
+        const accountId = new URLSearchParams(path.split('?')[1] || '').get('accountId');
+        return Promise.resolve({
+          status: 200,
+          data: (mockState.userGroups[accountId] || []).map(name => ({ name, groupId: `group-${name}` }))
+        });
+      }
+      
+      // Simulate issue creation with keys numbered per mock session
+      if (path === '/rest/api/3/issue' && options.method === 'POST') {
+        const { fields } = JSON.parse(options.body);
+        mockState.jiraIssueCounter++;
+        const issue = {
+          id: String(90000 + mockState.jiraIssueCounter),
+          key: `${fields.project.key}-${mockState.jiraIssueCounter}`,
+          fields: { ...fields, status: { name: 'To Do', statusCategory: { key: 'new' } } }
+        };
+        mockState.createdJiraIssues.push(issue);
+        return Promise.resolve({ status: 201, data: { id: issue.id, key: issue.key } });
+      }
+      
+      // Simulate JQL search with startAt/maxResults or nextPageToken pagination
       if (path.includes('/search')) {
+        const query = new URLSearchParams(path.split('?')[1] || '');
+        const tokenStart = query.get('nextPageToken');
+        const startAt = parseInt(tokenStart || query.get('startAt') || '0', 10);
+        const maxResults = parseInt(query.get('maxResults') || '50', 10);
+        
+        // Honour assignee clauses so per-user searches only see that user's tickets,
+        // key lists so status lookups also see issues created through the mock (rejected with 400,
+        // like Jira, when one of the keys does not exist), and incident clauses so incident searches only see incident types or service desk projects
+        const assigneeMatch = (query.get('jql') || '').match(/assignee = "([^"]+)"/);
+        const keyMatch = (query.get('jql') || '').match(/key in \(([^)]*)\)/);
+        const incidentMatch = (query.get('jql') || '').match(/\((?=issuetype in|project in)(issuetype in \(([^)]*)\))?(?: OR )?(project in \(([^)]*)\))?\)/);
+        let matching = mockState.jiraTickets;
+        if (incidentMatch) {
+          const parseList = list => (list ? list.split(',').map(value => value.trim().replace(/^"|"$/g, '')) : []);
+          const issueTypes = parseList(incidentMatch[2]);
+          const projectKeys = parseList(incidentMatch[4]);
+          matching = mockState.jiraTickets.filter(ticket =>
+            (ticket.fields.issuetype && issueTypes.includes(ticket.fields.issuetype.name)) ||
+            projectKeys.includes(ticket.key.split('-')[0]));
+        } else if (assigneeMatch) {
+          matching = mockState.jiraTickets.filter(ticket => ticket.fields.assignee && ticket.fields.assignee.accountId === assigneeMatch[1]);
+        } else if (keyMatch) {
+          const keys = keyMatch[1].split(',').map(key => key.trim());
+          matching = [...mockState.createdJiraIssues, ...mockState.jiraTickets].filter(ticket => keys.includes(ticket.key));
+          const missing = keys.filter(key => !matching.some(ticket => ticket.key === key));
+          if (missing.length > 0) {
+            return Promise.resolve({
+              status: 400,
+              data: { errorMessages: missing.map(key => `An issue with key '${key}' does not exist for field 'key'.`) }
+            });
+          }
+        }
+        const issues = matching.slice(startAt, startAt + maxResults);
+        const isLast = startAt + issues.length >= matching.length;
+        
+        if (mockState.jiraPaginationStyle === 'token') {
+          return Promise.resolve({
+            status: 200,
+            data: {
+              issues,
+              isLast,
+              ...(isLast ? {} : { nextPageToken: String(startAt + issues.length) })
+            }
+          });
+        }
+        
         return Promise.resolve({
           status: 200,
           data: {
-            issues: mockState.jiraTickets,
-            total: mockState.jiraTickets.length
+            issues,
+            startAt,
+            maxResults,
+            total: matching.length
           }
         });
       }
       
+      // Simulate remote links (web links and Confluence page relations) per issue
+      const remoteLinkMatch = path.match(/\/rest\/api\/3\/issue\/([^/]+)\/remotelink/);
+      if (remoteLinkMatch) {
+        return Promise.resolve({
+          status: 200,
+          data: mockState.jiraRemoteLinks[decodeURIComponent(remoteLinkMatch[1])] || []
+        });
+      }
+      
+      // Simulate single issue lookups, with 404 for issues that do not exist
+      const issueMatch = path.match(/^\/rest\/api\/3\/issue\/([A-Z][A-Z0-9]*-\d+)(\?|$)/);
+      if (issueMatch) {
+        const issue = [...mockState.createdJiraIssues, ...mockState.jiraTickets].find(ticket => ticket.key === issueMatch[1]);
+        return Promise.resolve(issue
+          ? { status: 200, data: issue }
+          : { status: 404, data: { errorMessages: ['Issue does not exist or you do not have permission to see it.'] } });
+      }
+      
       return Promise.resolve({
         status: 200,
         data: mockState.jiraTickets[0]
       });
     }),
 
+    requestConfluence: jest.fn().mockImplementation((path, options = {}) => {
+      // Track API call
+      mockState.apiCallHistory.confluenceCalls.push([path, options]);
+      
+      if (mockState.shouldThrowError && mockState.errorType === 'confluence') {
+        throw new Error('Confluence API Error');
+      }
+      
+      // Simulate CQL searches for pages a user contributed to (creator or any version author)
+      if (path.startsWith('/wiki/rest/api/content/search?')) {
+        const cql = new URLSearchParams(path.split('?')[1]).get('cql') || '';
+        const contributor = (cql.match(/contributor = "([^"]+)"/) || [])[1];
+        const results = Object.values(mockState.confluencePages).filter(page =>
+          !contributor ||
+          (page.history && page.history.createdBy && page.history.createdBy.accountId === contributor) ||
+          (page.versions || []).some(version => version.by && version.by.accountId === contributor));
+        return Promise.resolve({ status: 200, data: { results, size: results.length } });
+      }
+
+      // Simulate page version history; pages list their versions under the mock-only versions field
+      const versionMatch = path.match(/\/wiki\/rest\/api\/content\/(\d+)\/version/);
+      if (versionMatch) {
+        const page = mockState.confluencePages[versionMatch[1]];
+        return Promise.resolve(page ? { status: 200, data: { results: page.versions || [] } } : mockErrorResponses[404]);
+      }
+
+      // Simulate page lookups by ID; unknown pages 404 like deleted pages do
+      const pageMatch = path.match(/\/wiki\/rest\/api\/content\/(\d+)/);
+      if (pageMatch) {
+        const page = mockState.confluencePages[pageMatch[1]];
+        return Promise.resolve(page ? { status: 200, data: page } : mockErrorResponses[404]);
+      }
+      
+      // Simulate content searches by space key and title
+      if (path.startsWith('/wiki/rest/api/content?')) {
+        const query = new URLSearchParams(path.split('?')[1]);
+        const results = Object.values(mockState.confluencePages).filter(page =>
+          (!query.get('spaceKey') || (page.space && page.space.key) === query.get('spaceKey')) &&
+          (!query.get('title') || page.title === query.get('title')));
+        return Promise.resolve({ status: 200, data: { results, size: results.length } });
+      }
+      
+      return Promise.resolve(mockState.confluenceResponse);
+    }),
+
     requestBitbucket: jest.fn().mockImplementation((path, options = {}) => {
       // Track API call
       mockState.apiCallHistory.bitbucketCalls = mockState.apiCallHistory.bitbucketCalls || [];
@@ -539,12 +693,20 @@ index 1234567..abcdefg 100644
             const dateFilter = new Date(dateMatch[1]);
             prs = prs.filter(pr => new Date(pr.created_on) >= dateFilter);
           }
+          
+          const endDateMatch = query.match(/created_on<=([^&\s]+)/);
+          if (endDateMatch) {
+            const endDateFilter = new Date(endDateMatch[1]);
+            prs = prs.filter(pr => new Date(pr.created_on) <= endDateFilter);
+          }
         }
         
-        // Always apply 6-month constraint for consistency
-        const sixMonthsAgo = new Date();
-        sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-        prs = prs.filter(pr => new Date(pr.created_on) >= sixMonthsAgo);
+        // Apply the default 6-month constraint when no timeframe was requested
+        if (!(options.params && options.params.q && options.params.q.includes('created_on>='))) {
+          const sixMonthsAgo = new Date();
+          sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+          prs = prs.filter(pr => new Date(pr.created_on) >= sixMonthsAgo);
+        }
         
         return Promise.resolve({
           status: 200,
@@ -577,12 +739,20 @@ index 1234567..abcdefg 100644
             const dateFilter = new Date(dateMatch[1]);
             commits = commits.filter(commit => new Date(commit.date) >= dateFilter);
           }
+          
+          const endDateMatch = query.match(/date<=([^&\s]+)/);
+          if (endDateMatch) {
+            const endDateFilter = new Date(endDateMatch[1]);
+            commits = commits.filter(commit => new Date(commit.date) <= endDateFilter);
+          }
         }
         
-        // Always apply 6-month constraint for consistency
-        const sixMonthsAgo = new Date();
-        sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-        commits = commits.filter(commit => new Date(commit.date) >= sixMonthsAgo);
+        // Apply the default 6-month constraint when no timeframe was requested
+        if (!(options.params && options.params.q && options.params.q.includes('date>='))) {
+          const sixMonthsAgo = new Date();
+          sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+          commits = commits.filter(commit => new Date(commit.date) >= sixMonthsAgo);
+        }
         
         return Promise.resolve({
           status: 200,
@@ -685,6 +855,71 @@ index 1234567..abcdefg 100644
     })
   }),
 
+  // Outbound fetch to external hosts (e.g. webhooks); responds with mockState.fetchResponse
+  fetch: jest.fn().mockImplementation(async (url, options = {}) => {
+    mockState.apiCallHistory.fetchCalls.push([url, options]);
+    
+    if (mockState.shouldThrowError && mockState.errorType === 'fetch') {
+      throw new Error('Fetch Network Error');
+    }
+    
+    const { status } = mockState.fetchResponse;
+    return { status, ok: status >= 200 && status < 300, text: async () => '' };
+  }),
+
+  // In-memory stand-in for Forge storage; values are JSON round-tripped like the real store
+  storage: {
+    get: jest.fn().mockImplementation(async (key) => {
+      const value = mockState.storage[key];
+      return value === undefined ? undefined : JSON.parse(value);
+    }),
+    
+    set: jest.fn().mockImplementation(async (key, value) => {
+      if (mockState.shouldThrowError && mockState.errorType === 'storage') {
+        throw new Error('Storage API Error');
+      }
+      mockState.storage[key] = JSON.stringify(value);
+    }),
+    
+    delete: jest.fn().mockImplementation(async (key) => {
+      delete mockState.storage[key];
+    }),
+    
+    query: jest.fn().mockImplementation(() => {
+      const query = { prefix: '', limit: 10, cursor: null };
+      const builder = {
+        where: (field, condition) => {
+          query.prefix = condition.value;
+          return builder;
+        },
+        limit: (limit) => {
+          query.limit = limit;
+          return builder;
+        },
+        cursor: (cursor) => {
+          query.cursor = cursor;
+          return builder;
+        },
+        getMany: async () => {
+          const keys = Object.keys(mockState.storage).filter(key => key.startsWith(query.prefix)).sort();
+          const start = query.cursor ? parseInt(query.cursor, 10) : 0;
+          const results = keys.slice(start, start + query.limit).map(key => ({
+            key,
+            value: JSON.parse(mockState.storage[key])
+          }));
+          const next = start + results.length;
+          return {
+            results,
+            nextCursor: next < keys.length ? String(next) : undefined
+          };
+        }
+      };
+      return builder;
+    })
+  },
+  
+  startsWith: jest.fn().mockImplementation((value) => ({ condition: 'STARTS_WITH', value })),
+
   route: jest.fn().mockImplementation((template, params = {}) => {
     // Mock route template function
     let result = template;
@@ -706,6 +941,15 @@ const mockHelpers = {
       shouldThrowError: false,
       errorType: null,
       jiraTickets: mockJiraTickets,
+      jiraPaginationStyle: 'offset',
+      jiraRemoteLinks: {},
+      jiraUsers: [],
+      jiraIssueCounter: 0,
+      createdJiraIssues: [],
+      userGroups: {},
+      confluencePages: {},
+      storage: {},
+      fetchResponse: { status: 200 },
       confluenceResponse: mockConfluenceResponse,
       bitbucketPRs: mockBitbucketPRs,
       bitbucketCommits: mockBitbucketCommits,
@@ -714,7 +958,8 @@ const mockHelpers = {
       apiCallHistory: {
         jiraCalls: [],
         confluenceCalls: [],
-        bitbucketCalls: []
+        bitbucketCalls: [],
+        fetchCalls: []
       }
     };
     jest.clearAllMocks();
@@ -790,6 +1035,45 @@ const mockHelpers = {
     mockState.jiraTickets = tickets;
   },
   
+  // 'offset' returns startAt/total pages, 'token' returns nextPageToken/isLast pages
+  setJiraPaginationStyle: (style) => {
+    mockState.jiraPaginationStyle = style;
+  },
+  
+  // Remote links returned by /rest/api/3/issue/{issueKey}/remotelink
+  setMockRemoteLinks: (issueKey, remoteLinks) => {
+    mockState.jiraRemoteLinks = { ...mockState.jiraRemoteLinks, [issueKey]: remoteLinks };
+  },
+  
+  // Users returned by /rest/api/3/user/search, matched on email address or display name
+  setMockJiraUsers: (users) => {
+    mockState.jiraUsers = users;
+  },
+  
+  // Issues created through POST /rest/api/3/issue
+  getCreatedJiraIssues: () => mockState.createdJiraIssues,
+  
+  // Move an issue created through the mock to another status
+  setMockIssueStatus: (key, name, categoryKey) => {
+    const issue = mockState.createdJiraIssues.find(created => created.key === key);
+    issue.fields.status = { name, statusCategory: { key: categoryKey } };
+  },
+  
+  // Jira group names per account ID, returned by /user/groups
+  setMockUserGroups: (userGroups) => {
+    mockState.userGroups = userGroups;
+  },
+  
+  // Status returned by api.fetch (e.g. 500 to simulate a failing webhook)
+  setMockFetchResponse: (status) => {
+    mockState.fetchResponse = { status };
+  },
+  
+  // Pages returned by the app-level Confluence content API, keyed by their id
+  setMockConfluencePages: (pages) => {
+    mockState.confluencePages = Object.fromEntries(pages.map(page => [String(page.id), page]));
+  },
+  
   simulateJiraSearchResponse: (tickets, total = null) => {
     mockState.jiraSearchResponse = {
       status: 200,
@@ -828,11 +1112,27 @@ const mockHelpers = {
     mockState.errorType = 'jira';
   },
   
+  getStorageState: () => {
+    const state = {};
+    Object.keys(mockState.storage).forEach(key => {
+      state[key] = JSON.parse(mockState.storage[key]);
+    });
+    return state;
+  },
+  
+  setStorageState: (state) => {
+    mockState.storage = {};
+    Object.keys(state).forEach(key => {
+      mockState.storage[key] = JSON.stringify(state[key]);
+    });
+  },
+  
   getApiCallHistory: () => {
     return {
       jiraCalls: mockState.apiCallHistory.jiraCalls,
       confluenceCalls: mockState.apiCallHistory.confluenceCalls,
-      bitbucketCalls: mockState.apiCallHistory.bitbucketCalls || []
+      bitbucketCalls: mockState.apiCallHistory.bitbucketCalls || [],
+      fetchCalls: mockState.apiCallHistory.fetchCalls
     };
   },
   
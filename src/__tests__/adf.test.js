@@ -0,0 +1,69 @@
+const fc = require('fast-check');
+const { extractAdfText, extractAdfLinks, extractAdfMentions } = require('../utils/adf');
+
+const doc = (...content) => ({ type: 'doc', version: 1, content });
+const paragraph = (...content) => ({ type: 'paragraph', content });
+const text = (value, marks) => (marks ? { type: 'text', text: value, marks } : { type: 'text', text: value });
+
+describe('ADF Utilities', () => {
+  const description = doc(
+    paragraph(
+      text('See the '),
+      text('runbook', [{ type: 'link', attrs: { href: 'https://wiki.example.com/runbook' } }]),
+      text(' and ask '),
+      { type: 'mention', attrs: { id: 'acc-1', text: '@Alice' } },
+      { type: 'hardBreak' },
+      { type: 'inlineCard', attrs: { url: 'https://example.atlassian.net/wiki/spaces/ENG/pages/123' } }
+    ),
+    { type: 'blockCard', attrs: { url: 'https://example.atlassian.net/browse/CORE-9' } },
+    { type: 'embedCard', attrs: { url: 'https://example.atlassian.net/wiki/spaces/ENG/pages/456', layout: 'center' } },
+    {
+      type: 'extension',
+      attrs: { extensionKey: 'confluence-page', parameters: { pageUrl: 'https://example.atlassian.net/wiki/spaces/ENG/pages/789' } }
+    },
+    paragraph(text('Raw link https://docs.example.com/setup in text'))
+  );
+
+  test('should extract plain text with mentions and cards', () => {
+    const plain = extractAdfText(description);
+
+    expect(plain).toContain('See the runbook and ask @Alice');
+    expect(plain).toContain('https://example.atlassian.net/wiki/spaces/ENG/pages/123');
+    expect(plain).toContain('Raw link https://docs.example.com/setup in text');
+  });
+
+  test('should extract link marks, smart links, embeds and Confluence extensions', () => {
+    const links = extractAdfLinks(description);
+
+    expect(links).toEqual([
+      { url: 'https://wiki.example.com/runbook', type: 'LINK' },
+      { url: 'https://example.atlassian.net/wiki/spaces/ENG/pages/123', type: 'INLINE_CARD' },
+      { url: 'https://example.atlassian.net/browse/CORE-9', type: 'BLOCK_CARD' },
+      { url: 'https://example.atlassian.net/wiki/spaces/ENG/pages/456', type: 'EMBED_CARD' },
+      { url: 'https://example.atlassian.net/wiki/spaces/ENG/pages/789', type: 'EXTENSION' },
+      { url: 'https://docs.example.com/setup', type: 'URL' }
+    ]);
+  });
+
+  test('should extract mentions', () => {
+    expect(extractAdfMentions(description)).toEqual([{ accountId: 'acc-1', text: '@Alice' }]);
+  });
+
+  test('should pass plain strings through unchanged', () => {
+    expect(extractAdfText('plain description')).toBe('plain description');
+    expect(extractAdfText(null)).toBe('');
+    expect(extractAdfLinks('docs at https://wiki.example.com/a')).toEqual([{ url: 'https://wiki.example.com/a', type: 'URL' }]);
+  });
+
+  test('property: text extracted from a single paragraph matches the joined text nodes', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.string({ minLength: 1, maxLength: 20 }).filter(value => value.trim() === value && !value.includes('\n')), { minLength: 1, maxLength: 5 }),
+        (parts) => {
+          expect(extractAdfText(doc(paragraph(...parts.map(part => text(part)))))).toBe(parts.join('').trim());
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
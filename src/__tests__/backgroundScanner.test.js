@@ -1,4 +1,5 @@
 const fc = require('fast-check');
+const api = require('@forge/api');
 const { mockHelpers } = require('../__mocks__/@forge/api');
 const {
   scanLastSixMonths,
@@ -12,6 +13,7 @@ const {
   logKnowledgeGapNotification
 } = require('../scanners/legacyDetector');
 const { JiraTicket } = require('../models');
+const { saveScoringConfig } = require('../services/scoringService');
 
 /**
  * Legacy Detector Tests
@@ -417,7 +419,7 @@ describe('Legacy Detector', () => {
               specificArtifacts: ['JIRA-123']
             };
 
-            logKnowledgeGapNotification(data.user, report);
+            const notification = logKnowledgeGapNotification(data.user, report);
             
             // Should log notification when gaps are detected
             expect(consoleSpy).toHaveBeenCalled();
@@ -427,12 +429,11 @@ describe('Legacy Detector', () => {
             const hasNotificationCall = calls.some(call => 
               call.some(arg => typeof arg === 'string' && arg.includes('📢 LEGACY KEEPER NOTIFICATION:'))
             );
-            const hasSimulatedCall = calls.some(call =>
-              call.some(arg => typeof arg === 'string' && arg.includes('🔔 Simulated notification'))
-            );
             
             expect(hasNotificationCall).toBe(true);
-            expect(hasSimulatedCall).toBe(true);
+            // The notification is returned for delivery through the configured channels
+            expect(notification.user).toEqual(data.user);
+            expect(notification.riskLevel).toBe(data.riskLevel);
             
             consoleSpy.mockRestore();
           }
@@ -480,6 +481,634 @@ describe('Legacy Detector', () => {
     });
   });
 
+  describe('Configurable Timeframes', () => {
+    test('should default to the six-month window and record it in the summary', async () => {
+      const result = await scanLastSixMonths({});
+      
+      expect(result.success).toBe(true);
+      expect(result.summary.timeframe.key).toBe('6_MONTHS');
+      result.reports.forEach(report => expect(report.timeframe).toBe('6_MONTHS'));
+    });
+
+    test('should scope JQL and reports to a custom from/to window', async () => {
+      const result = await scanLastSixMonths({
+        payload: { timeframe: { from: '2024-01-01', to: '2024-03-31' } }
+      });
+      
+      expect(result.success).toBe(true);
+      expect(result.summary.timeframe.key).toBe('CUSTOM');
+      
+      const searchCall = mockHelpers.getApiCallHistory().jiraCalls
+        .find(call => String(call[0]).includes('/rest/api/3/search'));
+      const jql = decodeURIComponent(String(searchCall[0]));
+      expect(jql).toContain('updated >= "2024-01-01"');
+      expect(jql).toContain('updated < "2024-04-01"');
+    });
+
+    test('should stamp the resolved window on intensity reports', async () => {
+      const report = await calculateUndocumentedIntensity('user123', '12_MONTHS');
+      
+      expect(report.timeframe).toBe('12_MONTHS');
+      expect(report.windowEnd.getTime() - report.windowStart.getTime()).toBeGreaterThan(360 * 24 * 60 * 60 * 1000);
+      expect(report.validate().isValid).toBe(true);
+    });
+
+    test('should fail the scan for unsupported timeframes', async () => {
+      const result = await scanLastSixMonths({ payload: { timeframe: '5_YEARS' } });
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Unsupported timeframe');
+    });
+  });
+
+  describe('Changelog Signals', () => {
+    test('should treat a repeatedly reopened ticket as critical even with a short summary', async () => {
+      const histories = [];
+      for (let i = 0; i < 5; i++) {
+        histories.push({ created: new Date(Date.now() - (10 - 2 * i) * 86400000).toISOString(), items: [{ field: 'status', fromString: 'In Progress', toString: 'Done' }] });
+        histories.push({ created: new Date(Date.now() - (9 - 2 * i) * 86400000).toISOString(), items: [{ field: 'status', fromString: 'Done', toString: 'In Progress' }] });
+      }
+      mockHelpers.setMockJiraTickets([
+        mockHelpers.createMockJiraTicket({
+          id: '50001',
+          key: 'CHURN-1',
+          fields: { summary: 'Fix sync', description: '', assignee: { accountId: 'churn_user' }, comment: { total: 0 } },
+          changelog: { histories }
+        }),
+        mockHelpers.createMockJiraTicket({
+          id: '50002',
+          key: 'QUIET-1',
+          fields: { summary: 'Fix typo', description: '', assignee: { accountId: 'churn_user' }, comment: { total: 0 } }
+        })
+      ]);
+      
+      const criticalTickets = await identifyCriticalTickets('churn_user', '6_MONTHS');
+      
+      expect(criticalTickets.map(ticket => ticket.key)).toEqual(['CHURN-1']);
+      expect(criticalTickets[0]).toMatchObject({ reopenCount: 5, distinctTransitions: 2 });
+      expect(criticalTickets[0].timeInStatus['In Progress']).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Remote Documentation Links', () => {
+    const designTicket = () => mockHelpers.createMockJiraTicket({
+      id: '60001',
+      key: 'DESIGN-1',
+      fields: {
+        summary: 'Rework the billing reconciliation pipeline for multi-currency ledgers',
+        description: 'No links here',
+        assignee: { accountId: 'design_user' },
+        comment: { total: 5 }
+      }
+    });
+    const designPage = (overrides = {}) => ({
+      id: '777',
+      status: 'current',
+      title: 'Billing Design',
+      space: { key: 'ENG' },
+      version: { when: new Date().toISOString() },
+      body: { storage: { value: `<p>${'Reconciliation design. '.repeat(200)}</p>` } },
+      ...overrides
+    });
+
+    test('should give documentation credit for a linked design page without a URL in the description', async () => {
+      mockHelpers.setMockJiraTickets([designTicket()]);
+      mockHelpers.setMockConfluencePages([designPage()]);
+      const undocumented = await calculateUndocumentedIntensity('design_user', '6_MONTHS');
+
+      mockHelpers.setMockRemoteLinks('DESIGN-1', [
+        {
+          globalId: 'appId=abc&pageId=777',
+          application: { type: 'com.atlassian.confluence', name: 'Confluence' },
+          relationship: 'Wiki Page',
+          object: { url: 'https://example.atlassian.net/wiki/spaces/ENG/pages/777/Billing+Design', title: 'Billing Design' }
+        },
+        {
+          globalId: 'appId=abc&pageId=777',
+          application: { type: 'com.atlassian.confluence', name: 'Confluence' },
+          relationship: 'mentioned in',
+          object: { url: 'https://example.atlassian.net/wiki/x/AbCd', title: 'Billing Design' }
+        }
+      ]);
+      const documented = await calculateUndocumentedIntensity('design_user', '6_MONTHS');
+
+      expect(undocumented.documentationLinks).toHaveLength(0);
+      expect(documented.criticalJiraTickets.map(ticket => ticket.key)).toEqual(['DESIGN-1']);
+      expect(documented.documentationLinks).toEqual(['https://example.atlassian.net/wiki/spaces/ENG/pages/777/Billing+Design']);
+      expect(documented.documentationWeight).toBe(1);
+      expect(documented.undocumentedIntensityScore).toBeLessThan(undocumented.undocumentedIntensityScore);
+    });
+
+    test('should not double count a page linked both in the description and as a remote link', async () => {
+      mockHelpers.setMockConfluencePages([designPage()]);
+      const ticket = new JiraTicket({
+        id: '60001',
+        key: 'DESIGN-1',
+        summary: 'Rework the billing reconciliation pipeline',
+        assignee: 'design_user',
+        status: 'In Progress',
+        created: new Date(),
+        updated: new Date(),
+        documentationLinks: extractDocumentationLinks('Design: https://example.atlassian.net/wiki/pages/viewpage.action?pageId=777')
+      });
+      expect(await findDocumentationLinks([ticket], [])).toHaveLength(1);
+
+      mockHelpers.setMockRemoteLinks('DESIGN-1', [{
+        globalId: 'appId=abc&pageId=777',
+        relationship: 'mentioned in',
+        object: { url: 'https://example.atlassian.net/wiki/x/AbCd' }
+      }]);
+      const withRemote = await findDocumentationLinks([ticket], []);
+      expect(withRemote.map(link => link.url)).toEqual(['https://example.atlassian.net/wiki/pages/viewpage.action?pageId=777']);
+    });
+
+    test('should drop dead and archived pages and weight stale stubs below maintained pages', async () => {
+      const threeYearsAgo = new Date(Date.now() - 3 * 365 * 86400000).toISOString();
+      mockHelpers.setMockConfluencePages([
+        designPage(),
+        designPage({ id: '801', title: 'Old stub', version: { when: threeYearsAgo }, body: { storage: { value: '<p>TODO</p>' } } }),
+        designPage({ id: '802', title: 'Retired runbook', status: 'archived' }),
+        designPage({ id: '803', title: 'Deleted notes', status: 'trashed' })
+      ]);
+      const ticket = new JiraTicket({
+        id: '60002',
+        key: 'DESIGN-2',
+        summary: 'Billing reconciliation follow-ups',
+        assignee: 'design_user',
+        status: 'In Progress',
+        created: new Date(),
+        updated: new Date(),
+        documentationLinks: [777, 801, 802, 803, 999].map(id => `https://example.atlassian.net/wiki/spaces/ENG/pages/${id}`)
+      });
+
+      const links = await findDocumentationLinks([ticket], []);
+      const weights = Object.fromEntries(links.map(link => [link.pageId, link.weight]));
+
+      expect(Object.keys(weights).sort()).toEqual(['777', '801']);
+      expect(weights['777']).toBe(1);
+      expect(weights['801']).toBeLessThan(0.1);
+    });
+  });
+
+  describe('Score Breakdown', () => {
+    test('should explain each artifact contribution and the documentation divisor', async () => {
+      mockHelpers.setMockState({
+        jiraTickets: [
+          mockHelpers.createMockJiraTicket({
+            id: '70001',
+            key: 'WHY-1',
+            fields: {
+              summary: 'Rebuild the payment retry scheduler for partial captures',
+              description: '',
+              assignee: { accountId: 'why_user' },
+              comment: { total: 5 }
+            }
+          })
+        ],
+        bitbucketPRs: [{
+          id: 71,
+          title: 'Payment retry scheduler',
+          author: { uuid: 'why_user' },
+          created_on: new Date().toISOString(),
+          updated_on: new Date().toISOString(),
+          diff_stats: { lines_added: 900, lines_removed: 300, files_changed: 25 },
+          comment_count: 30,
+          state: 'MERGED',
+          source: { repository: { name: 'payments' } },
+          destination: { branch: { name: 'main' } }
+        }]
+      });
+      mockHelpers.setMockRemoteLinks('WHY-1', [{
+        relationship: 'Wiki Page',
+        object: { url: 'https://example.atlassian.net/wiki/spaces/PAY/pages/901' }
+      }]);
+      mockHelpers.setMockConfluencePages([{
+        id: '901',
+        status: 'current',
+        title: 'Retry design',
+        version: { when: new Date().toISOString() },
+        body: { storage: { value: 'x'.repeat(1500) } }
+      }]);
+
+      const report = await calculateUndocumentedIntensity('why_user', '6_MONTHS');
+      const breakdown = report.scoreBreakdown;
+
+      expect(breakdown.tickets.map(ticket => ticket.key)).toEqual(['WHY-1']);
+      expect(breakdown.tickets[0].reasons).toContain('5 comments');
+      expect(breakdown.documentation).toMatchObject({ weight: 0.5, divisor: 1.25 });
+      expect(breakdown.documentation.links[0]).toMatchObject({ pageId: '901', status: 'CURRENT', weight: 0.5 });
+      expect(breakdown.weights).toEqual({ PR_COMPLEXITY: 1.5, CRITICAL_TICKET: 2, PARTICIPATION: 1, INCIDENT: 1.5, DOC_LINK_PENALTY: 0.5 });
+      expect(breakdown.finalScore).toBeCloseTo(report.undocumentedIntensityScore, 2);
+      expect(breakdown.riskLevel).toBe(report.riskLevel);
+
+      const contributions = [...breakdown.tickets, ...breakdown.pullRequests];
+      const adjustedTotal = contributions.reduce((sum, item) => sum + item.adjustedContribution, 0);
+      expect(adjustedTotal).toBeCloseTo(report.undocumentedIntensityScore, 1);
+      expect(breakdown.baseScore / breakdown.documentation.divisor).toBeCloseTo(report.undocumentedIntensityScore, 2);
+    });
+
+    test('should render the breakdown in the notification', async () => {
+      mockHelpers.setMockJiraTickets([
+        mockHelpers.createMockJiraTicket({
+          id: '70002',
+          key: 'WHY-2',
+          fields: { summary: 'Untangle the legacy invoice numbering sequence generator', description: '', assignee: { accountId: 'why_user' }, comment: { total: 4 } }
+        })
+      ]);
+      const report = await calculateUndocumentedIntensity('why_user', '6_MONTHS');
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      logKnowledgeGapNotification({ accountId: 'why_user', displayName: 'Why User' }, report);
+
+      const notification = JSON.parse(consoleSpy.mock.calls
+        .find(call => call[0] === '📢 LEGACY KEEPER NOTIFICATION:')[1]);
+      consoleSpy.mockRestore();
+
+      expect(notification.scoreBreakdown.tickets[0].key).toBe('WHY-2');
+      expect(notification.explanation[0]).toContain(`(${report.riskLevel})`);
+      expect(notification.explanation.some(line => line.includes('Ticket WHY-2') && line.includes('4 comments'))).toBe(true);
+      expect(notification.explanation.some(line => line.includes('Documentation: none found'))).toBe(true);
+    });
+  });
+
+  describe('Intensity Trend', () => {
+    const window = { from: '2024-01-01T00:00:00.000Z', to: '2024-06-30T23:59:59.000Z' };
+
+    /**
+     * Build a critical ticket for the trend user last updated on the given date
+     */
+    const trendTicket = (key, updated) => mockHelpers.createMockJiraTicket({
+      id: key,
+      key,
+      fields: {
+        summary: 'Migrate the reconciliation batch off the legacy scheduler',
+        description: '',
+        assignee: { accountId: 'trend_user' },
+        comment: { total: 5 },
+        created: '2023-12-01T00:00:00.000Z',
+        updated
+      }
+    });
+
+    test('should score each month of the window and detect a late spike', async () => {
+      mockHelpers.setMockJiraTickets([
+        trendTicket('TREND-1', '2024-01-15T00:00:00.000Z'),
+        trendTicket('TREND-2', '2024-06-10T00:00:00.000Z'),
+        trendTicket('TREND-3', '2024-06-20T00:00:00.000Z')
+      ]);
+
+      const report = await calculateUndocumentedIntensity('trend_user', window);
+      const { months } = report.intensityTrend;
+
+      expect(months.map(month => month.month)).toEqual(['2024-01', '2024-02', '2024-03', '2024-04', '2024-05', '2024-06']);
+      expect(months.map(month => month.score)).toEqual([2, 0, 0, 0, 0, 4]);
+      expect(months.reduce((sum, month) => sum + month.score, 0)).toBeCloseTo(report.undocumentedIntensityScore, 2);
+      expect(report.intensityTrend.slope).toBeCloseTo(0.286, 3);
+      expect(report.intensityTrend.direction).toBe('RISING');
+      expect(report.intensityTrend.riskAdjustment).toBeNull();
+    });
+
+    test('should only move the risk level when the trend setting is enabled', async () => {
+      mockHelpers.setMockJiraTickets([trendTicket('TREND-4', '2024-06-10T00:00:00.000Z')]);
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const unadjusted = await calculateUndocumentedIntensity('trend_user', window);
+      await saveScoringConfig({ payload: { trend: { enabled: true } } });
+      const adjusted = await calculateUndocumentedIntensity('trend_user', window);
+      logKnowledgeGapNotification({ accountId: 'trend_user', displayName: 'Trend User' }, adjusted);
+
+      expect(unadjusted.riskLevel).toBe('MEDIUM');
+      expect(adjusted.riskLevel).toBe('HIGH');
+      expect(adjusted.intensityTrend.riskAdjustment).toEqual({ from: 'MEDIUM', to: 'HIGH' });
+
+      const notification = JSON.parse(consoleSpy.mock.calls.find(call => call[0] === '📢 LEGACY KEEPER NOTIFICATION:')[1]);
+      expect(notification.trend).toBe('RISING');
+      expect(notification.explanation).toContain('  Trend: RISING, slope 0.286/month, acceleration 0.5, risk moved from MEDIUM to HIGH');
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('Participation Discovery', () => {
+    /**
+     * Build a critical ticket owned by one user, reported by another and discussed by a third
+     */
+    const discussedTicket = (key, updated = new Date()) => mockHelpers.createMockJiraTicket({
+      id: key.replace(/\D/g, ''),
+      key,
+      fields: {
+        summary: 'Replace the hand-rolled ledger locking with database advisory locks',
+        description: '',
+        assignee: { accountId: 'owner_user', displayName: 'Owner' },
+        reporter: { accountId: 'architect_user', displayName: 'Architect' },
+        updated: updated.toISOString(),
+        comment: {
+          total: 5,
+          comments: [
+            { author: { accountId: 'reviewer_user', displayName: 'Reviewer' } },
+            { author: { accountId: 'reviewer_user', displayName: 'Reviewer' } }
+          ]
+        }
+      },
+      changelog: {
+        histories: [{ author: { accountId: 'triage_user', displayName: 'Triage' }, items: [{ field: 'priority' }] }]
+      }
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore?.();
+    });
+
+    test('should discover and score reporters and commenters, but not one-off changelog authors', async () => {
+      mockHelpers.setMockJiraTickets([discussedTicket('PART-1')]);
+
+      const result = await scanLastSixMonths({ payload: {} });
+      const reportFor = userId => result.reports.find(report => report.userId === userId);
+
+      expect(result.reports.map(report => report.userId).sort()).toEqual(['architect_user', 'owner_user', 'reviewer_user']);
+      expect(reportFor('architect_user').scoreBreakdown.participation).toEqual([expect.objectContaining({
+        key: 'PART-1',
+        roles: { assignee: 0, reporter: 1, commenter: 0, changelogAuthor: 0 },
+        weight: 0.5,
+        contribution: 0.5
+      })]);
+      expect(reportFor('reviewer_user').undocumentedIntensityScore).toBe(0.5);
+      expect(reportFor('reviewer_user').specificArtifacts).toEqual(['JIRA-PART-1']);
+      expect(reportFor('owner_user').scoreBreakdown.participation).toEqual([]);
+      expect(reportFor('owner_user').undocumentedIntensityScore).toBe(2);
+    });
+
+    test('should keep participation in incremental user state', async () => {
+      mockHelpers.setMockJiraTickets([discussedTicket('PART-2')]);
+
+      await scanLastSixMonths({ payload: { incremental: true } });
+      const second = await scanLastSixMonths({ payload: { incremental: true } });
+      const state = mockHelpers.getStorageState();
+      const architectState = state[Object.keys(state).find(key => key.endsWith(':user:architect_user'))];
+
+      expect(architectState.participation.map(entry => entry.key)).toEqual(['PART-2']);
+      expect(architectState.scoreInputs.participationWeight).toBe(0.5);
+      expect(second.reports.find(report => report.userId === 'architect_user').undocumentedIntensityScore).toBe(0.5);
+    });
+  });
+
+  describe('Paginated Jira Searches', () => {
+    test('should discover users beyond the first page of results', async () => {
+      const tickets = Array.from({ length: 150 }, (_, index) => mockHelpers.createMockJiraTicket({
+        id: `${20000 + index}`,
+        key: `BULK-${index}`,
+        fields: { assignee: { accountId: `bulk_user_${index}`, displayName: `Bulk User ${index}` } }
+      }));
+      mockHelpers.setMockJiraTickets(tickets);
+      
+      const result = await scanLastSixMonths({ payload: { pagination: { pageSize: 100 } } });
+      
+      expect(result.success).toBe(true);
+      expect(result.summary.totalUsersScanned).toBe(150);
+      expect(result.summary.coverage.activeUsers).toMatchObject({ fetched: 150, available: 150, truncated: false });
+    });
+
+    test('should report truncated coverage when the hard cap is reached', async () => {
+      const tickets = Array.from({ length: 30 }, (_, index) => mockHelpers.createMockJiraTicket({
+        id: `${30000 + index}`,
+        key: `CAP-${index}`
+      }));
+      mockHelpers.setMockJiraTickets(tickets);
+      
+      const result = await scanLastSixMonths({ payload: { pagination: { pageSize: 10, maxIssues: 20 } } });
+      
+      expect(result.summary.coverage.activeUsers).toMatchObject({ fetched: 20, available: 30, truncated: true });
+      expect(result.summary.coverage.tickets.truncated).toBe(true);
+    });
+
+    test('should reject invalid pagination settings', async () => {
+      const result = await scanLastSixMonths({ payload: { pagination: { pageSize: 500 } } });
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Page size must be an integer');
+    });
+  });
+
+  describe('Scoped Scans', () => {
+    test('should apply the scope to user discovery and ticket queries', async () => {
+      const result = await scanLastSixMonths({
+        payload: { projectKeys: ['CORE'], labels: ['legacy'] }
+      });
+      
+      expect(result.success).toBe(true);
+      expect(result.summary.scope).toMatchObject({
+        projectKeys: ['CORE'],
+        labels: ['legacy'],
+        clause: 'project in ("CORE") AND labels in ("legacy")'
+      });
+      
+      const searchQueries = mockHelpers.getApiCallHistory().jiraCalls
+        .filter(call => String(call[0]).includes('/rest/api/3/search'))
+        .map(call => decodeURIComponent(String(call[0])));
+      
+      expect(searchQueries.length).toBeGreaterThan(1);
+      searchQueries.forEach(query => {
+        expect(query).toContain('jql=project in ("CORE") AND labels in ("legacy") AND ');
+      });
+      expect(searchQueries.some(query => query.includes('assignee = "'))).toBe(true);
+    });
+
+    test('should record a site-wide scope when no scope is given', async () => {
+      const result = await scanLastSixMonths({});
+      
+      expect(result.summary.scope.clause).toBe('');
+    });
+
+    test('should fail the scan for an invalid scope', async () => {
+      const result = await scanLastSixMonths({ payload: { filterId: 'abc' } });
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('filterId');
+    });
+  });
+
+  describe('Incremental Scans', () => {
+    const longSummary = 'Rework the settlement reconciliation job so it survives partial upstream outages';
+    
+    function buildTicket(key, accountId, updated = new Date()) {
+      return mockHelpers.createMockJiraTicket({
+        id: key.replace(/\D/g, ''),
+        key,
+        fields: {
+          summary: longSummary,
+          description: '',
+          assignee: { accountId, displayName: `User ${accountId}` },
+          updated: updated.toISOString(),
+          comment: { total: 5 }
+        }
+      });
+    }
+    
+    function getUserState(accountId) {
+      const state = mockHelpers.getStorageState();
+      const key = Object.keys(state).find(storageKey => storageKey.endsWith(`:user:${accountId}`));
+      if (!key) {
+        return undefined;
+      }
+      // Tickets are stored in chunks next to the header
+      const header = state[key];
+      const tickets = [];
+      for (let i = 0; i < header.chunks.tickets; i++) {
+        tickets.push(...state[`${key}:${header.generation}:tickets:${i}`]);
+      }
+      return { ...header, tickets };
+    }
+    
+    function getCursor() {
+      const state = mockHelpers.getStorageState();
+      const key = Object.keys(state).find(storageKey => storageKey.endsWith(':cursor'));
+      if (!key) {
+        return undefined;
+      }
+      // Tracked users are stored in chunks next to the cursor
+      const header = state[key];
+      const users = [];
+      for (let i = 0; i < header.chunks.users; i++) {
+        users.push(...state[`${key}:${header.generation}:users:${i}`]);
+      }
+      return { ...header, users };
+    }
+    
+    test('should persist per-user state and a cursor on the first run', async () => {
+      mockHelpers.setMockJiraTickets([buildTicket('INC-1', 'inc_user')]);
+      
+      const result = await scanLastSixMonths({ payload: { incremental: true } });
+      
+      expect(result.success).toBe(true);
+      expect(result.summary.incremental).toMatchObject({ since: null, trackedUsers: 1 });
+      
+      const state = getUserState('inc_user');
+      expect(state.tickets.map(ticket => ticket.key)).toEqual(['INC-1']);
+      expect(state.scoreInputs.criticalTickets).toBe(1);
+      expect(state.cursors.tickets).toBe(result.summary.incremental.cursor);
+      expect(getCursor().users.map(user => user.accountId)).toEqual(['inc_user']);
+    });
+    
+    test('should keep unchanged stored tickets across runs', async () => {
+      mockHelpers.setMockJiraTickets([buildTicket('INC-1', 'inc_user')]);
+      const first = await scanLastSixMonths({ payload: { incremental: true } });
+      
+      mockHelpers.setMockJiraTickets([buildTicket('INC-2', 'inc_user')]);
+      const second = await scanLastSixMonths({ payload: { incremental: true } });
+      
+      expect(second.summary.incremental.since).toBe(first.summary.incremental.cursor);
+      expect(getUserState('inc_user').tickets.map(ticket => ticket.key).sort()).toEqual(['INC-1', 'INC-2']);
+      expect(second.reports[0].criticalJiraTickets).toHaveLength(2);
+      
+      // Both the discovery and per-user searches are limited to changes since the cursor
+      const sinceDay = new Date(first.summary.incremental.cursor);
+      sinceDay.setUTCDate(sinceDay.getUTCDate() - 1);
+      const sinceClause = `updated >= "${sinceDay.toISOString().split('T')[0]}"`;
+      const secondRunSearches = mockHelpers.getApiCallHistory().jiraCalls
+        .map(call => decodeURIComponent(String(call[0])))
+        .filter(path => path.includes(sinceClause));
+      expect(secondRunSearches.length).toBe(2);
+      
+      const prQueries = mockHelpers.getApiCallHistory().bitbucketCalls
+        .filter(call => call[0].includes('/pullrequests'))
+        .map(call => call[1].params.q);
+      expect(prQueries.some(query => query.includes('updated_on>='))).toBe(true);
+    });
+    
+    test('should move reassigned tickets to their new assignee', async () => {
+      mockHelpers.setMockJiraTickets([buildTicket('INC-1', 'inc_user'), buildTicket('INC-2', 'inc_user')]);
+      await scanLastSixMonths({ payload: { incremental: true } });
+      
+      mockHelpers.setMockJiraTickets([buildTicket('INC-2', 'other_user')]);
+      await scanLastSixMonths({ payload: { incremental: true } });
+      
+      expect(getUserState('inc_user').tickets.map(ticket => ticket.key)).toEqual(['INC-1']);
+      expect(getUserState('other_user').tickets.map(ticket => ticket.key)).toEqual(['INC-2']);
+    });
+    
+    test('should drop stored artifacts that aged out of the window', async () => {
+      const eightMonthsAgo = new Date();
+      eightMonthsAgo.setMonth(eightMonthsAgo.getMonth() - 8);
+      
+      mockHelpers.setMockJiraTickets([buildTicket('INC-1', 'inc_user')]);
+      await scanLastSixMonths({ payload: { incremental: true } });
+      
+      // Age the stored ticket past the six-month window
+      const storage = mockHelpers.getStorageState();
+      const userKey = Object.keys(storage).find(key => key.endsWith(':user:inc_user'));
+      storage[`${userKey}:${storage[userKey].generation}:tickets:0`][0].updated = eightMonthsAgo.toISOString();
+      mockHelpers.setStorageState(storage);
+      mockHelpers.setMockJiraTickets([]);
+      
+      const result = await scanLastSixMonths({ payload: { incremental: true } });
+      
+      expect(result.reports).toHaveLength(0);
+      expect(getUserState('inc_user')).toBeUndefined();
+      expect(Object.keys(mockHelpers.getStorageState()).filter(key => key.includes(':user:inc_user'))).toEqual([]);
+      expect(getCursor().users).toEqual([]);
+    });
+    
+    test('should keep the report and the previous state when the state cannot be saved', async () => {
+      mockHelpers.setMockJiraTickets([buildTicket('INC-1', 'inc_user')]);
+      await scanLastSixMonths({ payload: { incremental: true } });
+      const previous = getUserState('inc_user');
+      
+      // Storage refuses the ticket chunks, as it would a value over the size limit
+      const setStorage = api.storage.set.getMockImplementation();
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      api.storage.set.mockImplementation(async (key, value) => {
+        if (key.includes(':tickets:')) {
+          throw new Error('Value too large');
+        }
+        return setStorage(key, value);
+      });
+      
+      try {
+        mockHelpers.setMockJiraTickets([buildTicket('INC-2', 'inc_user')]);
+        const result = await scanLastSixMonths({ payload: { incremental: true } });
+        
+        expect(result.reports.map(report => report.userId)).toEqual(['inc_user']);
+        expect(result.reports[0].criticalJiraTickets).toHaveLength(2);
+        expect(getUserState('inc_user')).toEqual(previous);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('Could not save scan state for user inc_user'));
+      } finally {
+        api.storage.set.mockImplementation(setStorage);
+        warn.mockRestore();
+      }
+    });
+    
+    test('should not advance the cursor when user discovery fails', async () => {
+      mockHelpers.setMockJiraTickets([buildTicket('INC-1', 'inc_user')]);
+      const first = await scanLastSixMonths({ payload: { incremental: true } });
+      
+      mockHelpers.simulateError('jira');
+      const second = await scanLastSixMonths({ payload: { incremental: true } });
+      
+      expect(second.success).toBe(false);
+      expect(getCursor().lastScannedAt).toBe(first.summary.incremental.cursor);
+    });
+    
+    test('should keep separate state per timeframe and scope', async () => {
+      mockHelpers.setMockJiraTickets([buildTicket('INC-1', 'inc_user')]);
+      
+      await scanLastSixMonths({ payload: { incremental: true } });
+      await scanLastSixMonths({ payload: { incremental: true, projectKeys: ['CORE'] } });
+      
+      const cursorKeys = Object.keys(mockHelpers.getStorageState()).filter(key => key.endsWith(':cursor'));
+      expect(cursorKeys).toHaveLength(2);
+    });
+    
+    test('should only store the scan history for full scans', async () => {
+      await scanLastSixMonths({});
+      
+      expect(Object.keys(mockHelpers.getStorageState()).every(key => key.startsWith('scan-history:'))).toBe(true);
+    });
+  });
+
   describe('Utility Functions', () => {
     test('should extract documentation links correctly', () => {
       const description = 'This feature is documented at https://confluence.example.com/docs/feature and https://wiki.example.com/page';
@@ -490,7 +1119,62 @@ describe('Legacy Detector', () => {
       expect(links).toContain('https://wiki.example.com/page');
     });
 
+    test('should extract documentation links from ADF smart links', () => {
+      const description = {
+        type: 'doc',
+        version: 1,
+        content: [{
+          type: 'paragraph',
+          content: [
+            { type: 'text', text: 'Design', marks: [{ type: 'link', attrs: { href: 'https://example.atlassian.net/wiki/spaces/ENG/pages/1' } }] },
+            { type: 'inlineCard', attrs: { url: 'https://example.atlassian.net/browse/CORE-1' } }
+          ]
+        }]
+      };
+      
+      expect(extractDocumentationLinks(description)).toEqual(['https://example.atlassian.net/wiki/spaces/ENG/pages/1']);
+    });
+
+    test('should read ADF descriptions and comment bodies when building tickets', async () => {
+      mockHelpers.setMockJiraTickets([
+        mockHelpers.createMockJiraTicket({
+          id: '60001',
+          key: 'ADF-1',
+          fields: {
+            summary: 'Rework the settlement reconciliation job so it survives partial upstream outages',
+            description: {
+              type: 'doc',
+              version: 1,
+              content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Retry logic owned by ' }, { type: 'mention', attrs: { id: 'acc-1', text: '@Alice' } }] }]
+            },
+            assignee: { accountId: 'adf_user' },
+            comment: {
+              total: 1,
+              comments: [{
+                body: {
+                  type: 'doc',
+                  version: 1,
+                  content: [{ type: 'embedCard', attrs: { url: 'https://example.atlassian.net/wiki/spaces/ENG/pages/20' } }]
+                }
+              }]
+            }
+          }
+        })
+      ]);
+      
+      const tickets = await identifyCriticalTickets('adf_user', '6_MONTHS');
+      
+      expect(tickets).toHaveLength(1);
+      expect(tickets[0].description).toBe('Retry logic owned by @Alice');
+      expect(tickets[0].documentationLinks).toEqual(['https://example.atlassian.net/wiki/spaces/ENG/pages/20']);
+    });
+
     test('should generate appropriate recommended actions', () => {
+      const criticalRiskActions = generateRecommendedActions('CRITICAL', 3);
+      expect(criticalRiskActions).toContain('Escalate to the engineering manager before the departure date');
+      expect(criticalRiskActions).toContain('Schedule immediate knowledge transfer session');
+      expect(criticalRiskActions).not.toContain('Encourage documentation best practices');
+      
       const highRiskActions = generateRecommendedActions('HIGH', 8);
       expect(highRiskActions).toContain('Schedule immediate knowledge transfer session');
       
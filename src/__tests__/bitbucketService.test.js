@@ -79,7 +79,26 @@ describe('Bitbucket Service', () => {
       });
 
       it('should reject invalid timeframes', async () => {
-        await expect(bitbucketService.getCommitHistory('user123', 'INVALID')).rejects.toThrow('Only 6_MONTHS timeframe is supported');
+        await expect(bitbucketService.getCommitHistory('user123', 'INVALID')).rejects.toThrow('Unsupported timeframe: INVALID');
+      });
+
+      it('should bound custom timeframes on both ends', async () => {
+        await bitbucketService.getCommitHistory('user123', { from: '2024-01-01', to: '2024-12-31' });
+        
+        const history = mockHelpers.getApiCallHistory();
+        const commitCall = history.bitbucketCalls.find(call => call[0].includes('/commits'));
+        
+        expect(commitCall[1].params.q).toContain('date>=2024-01-01');
+        expect(commitCall[1].params.q).toContain('date<=2024-12-31');
+      });
+    });
+
+    describe('getPullRequestsLastSixMonths timeframes', () => {
+      it('should include PRs older than 6 months for longer presets', async () => {
+        const result = await bitbucketService.getPullRequestsLastSixMonths('user123', '12_MONTHS');
+        
+        // PR #404 is seven months old and only visible with a longer lookback
+        expect(result.map(pr => String(pr.id))).toContain('404');
       });
     });
 
@@ -0,0 +1,108 @@
+const fc = require('fast-check');
+const {
+  CHANGELOG_CHURN_THRESHOLD,
+  extractChangelogSignals,
+  calculateChangelogIntensity
+} = require('../utils/changelogSignals');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an issue whose changelog histories are given as [dayOffset, items] pairs
+ */
+function buildIssue(histories, status = 'Done') {
+  const created = new Date('2024-01-01T00:00:00.000Z');
+  return {
+    key: 'CHG-1',
+    fields: { created: created.toISOString(), status: { name: status } },
+    changelog: {
+      histories: histories.map(([day, items]) => ({
+        created: new Date(created.getTime() + day * DAY).toISOString(),
+        items
+      }))
+    }
+  };
+}
+
+const status = (fromString, toString) => ({ field: 'status', fromString, toString });
+
+describe('Changelog Signals', () => {
+  const now = new Date('2024-01-31T00:00:00.000Z');
+
+  test('should count reopens, reassignments and priority escalations', () => {
+    const issue = buildIssue([
+      [1, [status('To Do', 'In Progress'), { field: 'assignee', from: null, to: 'alice' }]],
+      [3, [status('In Progress', 'Done')]],
+      [4, [status('Done', 'Reopened'), { field: 'priority', fromString: 'Medium', toString: 'Highest' }]],
+      [5, [{ field: 'assignee', from: 'alice', to: 'bob' }, { field: 'priority', fromString: 'Highest', toString: 'Low' }]],
+      [6, [status('Reopened', 'Closed')]],
+      [7, [status('Closed', 'In Progress')]],
+      [9, [status('In Progress', 'Done')]]
+    ]);
+
+    const signals = extractChangelogSignals(issue, now);
+
+    expect(signals.reopenCount).toBe(2);
+    expect(signals.reassignmentCount).toBe(1);
+    expect(signals.priorityEscalations).toBe(1);
+    expect(signals.distinctTransitions).toBe(5);
+  });
+
+  test('should measure time spent in each status up to now', () => {
+    const issue = buildIssue([
+      [2, [status('To Do', 'In Progress')]],
+      [10, [status('In Progress', 'Done')]]
+    ]);
+
+    const signals = extractChangelogSignals(issue, now);
+
+    expect(signals.timeInStatus['To Do']).toBe(2 * DAY);
+    expect(signals.timeInStatus['In Progress']).toBe(8 * DAY);
+    expect(signals.timeInStatus.Done).toBe(20 * DAY);
+  });
+
+  test('should fall back to the current status when there is no changelog', () => {
+    const signals = extractChangelogSignals({ fields: { created: '2024-01-29T00:00:00.000Z', status: { name: 'In Progress' } } }, now);
+
+    expect(signals).toEqual({
+      reopenCount: 0,
+      reassignmentCount: 0,
+      timeInStatus: { 'In Progress': 2 * DAY },
+      priorityEscalations: 0,
+      distinctTransitions: 0
+    });
+  });
+
+  test('should rank a repeatedly reopened ticket above the churn threshold', () => {
+    const quiet = { reopenCount: 0, reassignmentCount: 0, priorityEscalations: 0, distinctTransitions: 2, timeInStatus: {} };
+    const reopened = { ...quiet, reopenCount: 5 };
+
+    expect(calculateChangelogIntensity(quiet)).toBeLessThan(CHANGELOG_CHURN_THRESHOLD);
+    expect(calculateChangelogIntensity(reopened)).toBeGreaterThanOrEqual(CHANGELOG_CHURN_THRESHOLD);
+  });
+
+  test('should not let long stalls alone cross the churn threshold', () => {
+    const stalled = { timeInStatus: { 'In Progress': 365 * DAY } };
+
+    expect(calculateChangelogIntensity(stalled)).toBeLessThan(CHANGELOG_CHURN_THRESHOLD);
+  });
+
+  test('property: changelog intensity never decreases when a signal grows', () => {
+    fc.assert(
+      fc.property(
+        fc.record({
+          reopenCount: fc.nat(10),
+          reassignmentCount: fc.nat(10),
+          priorityEscalations: fc.nat(10),
+          distinctTransitions: fc.nat(20)
+        }),
+        fc.constantFrom('reopenCount', 'reassignmentCount', 'priorityEscalations', 'distinctTransitions'),
+        (signals, field) => {
+          const grown = { ...signals, [field]: signals[field] + 1 };
+          expect(calculateChangelogIntensity(grown)).toBeGreaterThanOrEqual(calculateChangelogIntensity(signals));
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
@@ -9,6 +9,7 @@ const {
   formatTextToHtml,
   formatKnowledgeArtifact,
   formatLegacyDocument,
+  formatScoreBreakdown,
   buildPageUrl,
   escapeHtml
 } = require('../services/confluenceService');
@@ -526,5 +527,46 @@ describe('Confluence Service', () => {
       expect(formatted).toContain('🔗 Bidirectional Links');
       expect(formatted).toContain('📋 Next Steps');
     });
+
+    test('should explain the Undocumented Intensity score when a breakdown is attached', () => {
+      const scoreBreakdown = {
+        strategy: 'weighted-documentation',
+        strategyVersion: 1,
+        formula: '((PR complexity * PR_COMPLEXITY) + (critical tickets * CRITICAL_TICKET)) / (1 + documentation weight * DOC_LINK_PENALTY)',
+        weights: { PR_COMPLEXITY: 1.5, CRITICAL_TICKET: 2, DOC_LINK_PENALTY: 0.5 },
+        riskThresholds: { CRITICAL: 5, HIGH: 3, MEDIUM: 1.5 },
+        tickets: [{ key: 'PAY-7', summary: 'Ledger <sync>', reasons: ['5 comments', 'documentation ratio 0.1'], contribution: 2, adjustedContribution: 1.6 }],
+        pullRequests: [{ id: 42, title: 'Rework ledger', complexityScore: 8, contribution: 12, adjustedContribution: 9.6 }],
+        baseScore: 14,
+        documentation: {
+          weight: 0.5,
+          divisor: 1.25,
+          links: [{ url: 'https://example.atlassian.net/wiki/spaces/PAY/pages/1', pageId: '1', status: 'CURRENT', weight: 0.5 }]
+        },
+        finalScore: 11.2,
+        riskLevel: 'CRITICAL'
+      };
+      const knowledgeArtifact = new KnowledgeArtifact({
+        id: 'ka-003',
+        employeeId: 'sam.lee',
+        title: 'Ledger Sync',
+        content: 'The ledger sync retries on...',
+        scoreBreakdown
+      });
+
+      const formatted = formatLegacyDocument(knowledgeArtifact);
+
+      expect(formatted).toContain('📊 Why This Knowledge Was Flagged');
+      expect(formatted).toContain('11.2 (CRITICAL) = base 14 ÷ documentation divisor 1.25');
+      expect(formatted).toContain('PAY-7');
+      expect(formatted).toContain('5 comments, documentation ratio 0.1');
+      expect(formatted).toContain('PR #42');
+      expect(formatted).toContain('https://example.atlassian.net/wiki/spaces/PAY/pages/1 (CURRENT, weight 0.5)');
+      expect(formatted).toContain('CRITICAL ≥ 5');
+      expect(formatted).toContain('Strategy weighted-documentation v1');
+      expect(formatScoreBreakdown(null)).toBe('');
+      expect(formatLegacyDocument(new KnowledgeArtifact({ ...knowledgeArtifact, scoreBreakdown: null })))
+        .not.toContain('Why This Knowledge Was Flagged');
+    });
   });
 });
\ No newline at end of file
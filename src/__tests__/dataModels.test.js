@@ -13,7 +13,8 @@ const {
   ChangedFile,
   CodeArtifact,
   DeveloperActivity,
-  UndocumentedIntensityReport
+  UndocumentedIntensityReport,
+  RISK_THRESHOLDS
 } = require('../models');
 
 /**
@@ -97,6 +98,29 @@ describe('Data Model Validation', () => {
       expect(ratio).toBeLessThanOrEqual(1);
     });
 
+    test('should measure ADF descriptions by their text length', () => {
+      const base = {
+        id: '1',
+        key: 'TEST-1',
+        summary: 'Test ticket',
+        assignee: 'user1',
+        status: 'Done',
+        created: '2024-01-01',
+        updated: '2024-01-02'
+      };
+      const adfTicket = new JiraTicket({
+        ...base,
+        description: {
+          type: 'doc',
+          version: 1,
+          content: [{ type: 'paragraph', content: [{ type: 'text', text: 'A'.repeat(300) }] }]
+        }
+      });
+      const plainTicket = new JiraTicket({ ...base, description: 'A'.repeat(300) });
+
+      expect(adfTicket.getDocumentationRatio()).toBe(plainTicket.getDocumentationRatio());
+    });
+
     /**
      * Property: For any valid Jira ticket data,
      * documentation ratio should be between 0 and 1
@@ -494,11 +518,41 @@ describe('Data Model Validation', () => {
       expect(validation.isValid).toBe(true);
     });
 
+    test('should accept preset and custom timeframes', () => {
+      expect(new UndocumentedIntensityReport({ userId: 'user123', timeframe: '24_MONTHS' }).validate().isValid).toBe(true);
+      
+      const custom = new UndocumentedIntensityReport({
+        userId: 'user123',
+        timeframe: 'CUSTOM',
+        windowStart: '2024-01-01',
+        windowEnd: '2024-06-30'
+      });
+      expect(custom.validate().isValid).toBe(true);
+    });
+
+    test('should reject unknown timeframes and inverted custom windows', () => {
+      expect(new UndocumentedIntensityReport({ userId: 'user123', timeframe: '7_YEARS' }).validate().isValid).toBe(false);
+      
+      const inverted = new UndocumentedIntensityReport({
+        userId: 'user123',
+        timeframe: 'CUSTOM',
+        windowStart: '2024-06-30',
+        windowEnd: '2024-01-01'
+      });
+      expect(inverted.validate().errors).toContain('Window start must be before window end');
+    });
+
     test('should calculate risk level correctly', () => {
-      expect(UndocumentedIntensityReport.calculateRiskLevel(8.5)).toBe('CRITICAL');
-      expect(UndocumentedIntensityReport.calculateRiskLevel(6.5)).toBe('HIGH');
-      expect(UndocumentedIntensityReport.calculateRiskLevel(4.0)).toBe('MEDIUM');
-      expect(UndocumentedIntensityReport.calculateRiskLevel(2.0)).toBe('LOW');
+      expect(UndocumentedIntensityReport.calculateRiskLevel(5.5)).toBe('CRITICAL');
+      expect(UndocumentedIntensityReport.calculateRiskLevel(3.5)).toBe('HIGH');
+      expect(UndocumentedIntensityReport.calculateRiskLevel(2.0)).toBe('MEDIUM');
+      expect(UndocumentedIntensityReport.calculateRiskLevel(1.0)).toBe('LOW');
+    });
+
+    test('should share its default risk thresholds with the scanner and accept overrides', () => {
+      expect(RISK_THRESHOLDS).toEqual({ CRITICAL: 5, HIGH: 3, MEDIUM: 1.5 });
+      expect(UndocumentedIntensityReport.calculateRiskLevel(RISK_THRESHOLDS.CRITICAL)).toBe('CRITICAL');
+      expect(UndocumentedIntensityReport.calculateRiskLevel(6, { CRITICAL: 8, HIGH: 6, MEDIUM: 3 })).toBe('HIGH');
     });
 
     /**
@@ -0,0 +1,269 @@
+const fc = require('fast-check');
+const api = require('@forge/api');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const {
+  ROSTER_STATUS,
+  parseRoster,
+  getUpcomingDepartures,
+  importDepartureRoster,
+  getDepartureRoster
+} = require('../services/departureRosterService');
+const {
+  WORKFLOW_STATES,
+  triggerCognitiveOffboarding,
+  runDepartureOffboarding
+} = require('../workflows/cognitiveOffboardingWorkflow');
+const { scanLastSixMonths } = require('../scanners/legacyDetector');
+
+const NOW = new Date('2026-03-01T09:00:00.000Z');
+
+/**
+ * Build a critical ticket (long summary, no documentation) assigned to the given user
+ */
+function buildTicket(key, accountId) {
+  return mockHelpers.createMockJiraTicket({
+    id: key.replace(/\D/g, ''),
+    key,
+    fields: {
+      summary: 'Rework the settlement reconciliation job so it survives partial upstream outages',
+      description: '',
+      assignee: { accountId, displayName: `User ${accountId}` },
+      comment: { total: 5 }
+    }
+  });
+}
+
+describe('Departure Roster', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore?.();
+    console.info.mockRestore?.();
+    console.warn.mockRestore?.();
+    console.error.mockRestore?.();
+  });
+
+  describe('parseRoster', () => {
+    test('should read CSV with quoted fields and header aliases', () => {
+      const records = parseRoster([
+        'Employee ID,Work Email,Full Name,Last Day,Department',
+        'E-1,ada@example.com,"Lovelace, Ada",2026-03-10,Payments',
+        '',
+        'E-2,"grace@example.com","Grace ""Amazing"" Hopper",2026-04-01,Platform\r\n'
+      ].join('\n'));
+
+      expect(records).toEqual([
+        { hrId: 'E-1', email: 'ada@example.com', name: 'Lovelace, Ada', departureDate: '2026-03-10', department: 'Payments' },
+        { hrId: 'E-2', email: 'grace@example.com', name: 'Grace "Amazing" Hopper', departureDate: '2026-04-01', department: 'Platform' }
+      ]);
+    });
+
+    test('should read JSON arrays and employees objects', () => {
+      const record = { accountId: 'acc-1', departure_date: '2026-03-10' };
+
+      expect(parseRoster(JSON.stringify([record]))).toEqual([{ accountId: 'acc-1', departureDate: '2026-03-10' }]);
+      expect(parseRoster({ employees: [record] })).toEqual([{ accountId: 'acc-1', departureDate: '2026-03-10' }]);
+      expect(() => parseRoster('{"employees": ', 'json')).toThrow('Roster is not valid JSON');
+      expect(() => parseRoster({ people: [] })).toThrow('Roster must be CSV');
+    });
+
+    test('property: CSV fields survive quoting', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.string({ minLength: 1, maxLength: 20 }).filter(name => name.trim() === name && name.length > 0), { minLength: 1, maxLength: 5 }),
+          (names) => {
+            const quote = value => `"${value.replace(/"/g, '""')}"`;
+            const csv = ['name,accountId,departureDate', ...names.map((name, index) => `${quote(name)},acc-${index},2026-03-10`)].join('\n');
+
+            expect(parseRoster(csv, 'csv').map(record => record.name)).toEqual(names);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  describe('importDepartureRoster', () => {
+    test('should map account IDs, HR IDs and emails to Jira accounts', async () => {
+      mockHelpers.setMockJiraUsers([{ accountId: 'acc-grace', emailAddress: 'grace@example.com', displayName: 'Grace Hopper' }]);
+
+      const result = await importDepartureRoster({
+        payload: {
+          content: [
+            'accountId,employeeId,email,departureDate',
+            'acc-alan,,,2026-03-20',
+            ',E-1,,2026-03-05',
+            ',,grace@example.com,2026-03-12',
+            ',E-9,nobody@example.com,2026-03-12',
+            'acc-bad,,,not a date'
+          ].join('\n'),
+          idMapping: { 'E-1': 'acc-ada' },
+          leadDays: 7
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.roster.entries.map(entry => [entry.accountId, entry.departureDate, entry.status])).toEqual([
+        ['acc-ada', '2026-03-05', ROSTER_STATUS.PENDING],
+        ['acc-grace', '2026-03-12', ROSTER_STATUS.PENDING],
+        ['acc-alan', '2026-03-20', ROSTER_STATUS.PENDING]
+      ]);
+      expect(result.unresolved).toEqual([{ row: 4, hrId: 'E-9', email: 'nobody@example.com', name: null }]);
+      expect(result.invalid).toEqual([{ row: 5, errors: ['Departure date is missing or invalid'] }]);
+      expect((await getDepartureRoster()).roster).toMatchObject({ leadDays: 7, idMapping: { 'E-1': 'acc-ada' } });
+    });
+
+    test('should reject missing content and invalid lead times', async () => {
+      expect((await importDepartureRoster({ payload: {} })).error).toBe('Roster content is required');
+      expect((await importDepartureRoster({ payload: { content: '[]', leadDays: -1 } })).error).toBe('leadDays must be a non-negative integer');
+    });
+  });
+
+  describe('runDepartureOffboarding', () => {
+    test('should trigger offboarding within the lead time and only once', async () => {
+      await importDepartureRoster({
+        payload: {
+          content: [
+            { accountId: 'leaver-soon', departureDate: '2026-03-10', department: 'Payments', role: 'Engineer' },
+            { accountId: 'leaver-later', departureDate: '2026-06-01' },
+            { accountId: 'leaver-gone', departureDate: '2026-02-20' }
+          ],
+          leadDays: 14
+        }
+      });
+
+      const first = await runDepartureOffboarding({}, NOW);
+      const second = await runDepartureOffboarding({}, NOW);
+      const { roster } = await getDepartureRoster();
+
+      expect(first.triggered).toEqual([expect.objectContaining({
+        accountId: 'leaver-soon',
+        daysLeft: 9,
+        state: WORKFLOW_STATES.SCAN_COMPLETE
+      })]);
+      expect(second.triggered).toEqual([]);
+      expect(roster.entries.find(entry => entry.accountId === 'leaver-soon')).toMatchObject({
+        status: ROSTER_STATUS.TRIGGERED,
+        sessionId: first.triggered[0].sessionId
+      });
+      expect(roster.entries.find(entry => entry.accountId === 'leaver-later').status).toBe(ROSTER_STATUS.PENDING);
+    });
+
+    test('should skip employees who already have a session in progress', async () => {
+      const existing = await triggerCognitiveOffboarding({ employeeId: 'leaver-active', triggeredBy: 'hr-manager' });
+      await importDepartureRoster({ payload: { content: [{ accountId: 'leaver-active', departureDate: '2026-03-02' }] } });
+
+      const result = await runDepartureOffboarding({}, NOW);
+
+      expect(result.triggered).toEqual([]);
+      expect(result.skipped).toEqual([expect.objectContaining({ accountId: 'leaver-active', sessionId: existing.sessionId })]);
+      expect((await getDepartureRoster()).roster.entries[0].status).toBe(ROSTER_STATUS.SKIPPED);
+    });
+
+    test('should skip employees whose stored session from an earlier invocation is in progress', async () => {
+      await api.storage.set('offboarding:session:leaver-stored', {
+        sessionId: 'session-from-earlier-run',
+        employeeId: 'leaver-stored',
+        state: WORKFLOW_STATES.INTERVIEW_COMPLETE
+      });
+      await api.storage.set('offboarding:session:leaver-failed', {
+        sessionId: 'failed-session',
+        employeeId: 'leaver-failed',
+        state: WORKFLOW_STATES.FAILED
+      });
+      await importDepartureRoster({
+        payload: {
+          content: [
+            { accountId: 'leaver-stored', departureDate: '2026-03-04' },
+            { accountId: 'leaver-failed', departureDate: '2026-03-04' }
+          ]
+        }
+      });
+
+      const result = await runDepartureOffboarding({}, NOW);
+
+      expect(result.skipped).toEqual([expect.objectContaining({ accountId: 'leaver-stored', sessionId: 'session-from-earlier-run' })]);
+      expect(result.triggered.map(entry => entry.accountId)).toEqual(['leaver-failed']);
+      expect(mockHelpers.getStorageState()['offboarding:session:leaver-failed']).toMatchObject({
+        sessionId: result.triggered[0].sessionId,
+        state: WORKFLOW_STATES.SCAN_COMPLETE
+      });
+    });
+
+    test('should scan only the departing employee without alerts, tasks, history or checkpoints', async () => {
+      mockHelpers.setMockJiraTickets([
+        buildTicket('PAY-1', 'stayer'),
+        buildTicket('PAY-2', 'leaver-scanned')
+      ]);
+      await importDepartureRoster({ payload: { content: [{ accountId: 'leaver-scanned', departureDate: '2026-03-05' }] } });
+
+      const result = await runDepartureOffboarding({}, NOW);
+      const searchedUsers = mockHelpers.getApiCallHistory().jiraCalls
+        .map(([path]) => (decodeURIComponent(path).match(/assignee = "([^"]+)"/) || [])[1])
+        .filter(Boolean);
+      const storedKeys = Object.keys(mockHelpers.getStorageState());
+
+      expect(result.triggered).toEqual([expect.objectContaining({ accountId: 'leaver-scanned', state: WORKFLOW_STATES.SCAN_COMPLETE })]);
+      expect(Array.from(new Set(searchedUsers))).toEqual(['leaver-scanned']);
+      expect(storedKeys.filter(key => key.startsWith('scan-history:') || key.startsWith('legacy-detector'))).toEqual([]);
+      expect(mockHelpers.getCreatedJiraIssues()).toEqual([]);
+      expect(mockHelpers.getApiCallHistory().fetchCalls).toEqual([]);
+    });
+
+    test('should keep the status of employees already processed when the roster is re-imported', async () => {
+      const content = [{ accountId: 'leaver-reimport', departureDate: '2026-03-03' }];
+      await importDepartureRoster({ payload: { content } });
+      await runDepartureOffboarding({}, NOW);
+
+      const reimported = await importDepartureRoster({ payload: { content } });
+
+      expect(reimported.roster.entries[0].status).toBe(ROSTER_STATUS.TRIGGERED);
+      expect((await runDepartureOffboarding({}, NOW)).triggered).toEqual([]);
+    });
+  });
+
+  describe('Scan Prioritisation', () => {
+    test('should list upcoming departures soonest first', () => {
+      const roster = {
+        entries: [
+          { accountId: 'b', departureDate: '2026-04-01' },
+          { accountId: null, departureDate: '2026-03-02' },
+          { accountId: 'a', departureDate: '2026-03-05' },
+          { accountId: 'c', departureDate: '2026-02-01' }
+        ]
+      };
+
+      expect(getUpcomingDepartures(roster, NOW).map(entry => entry.accountId)).toEqual(['a', 'b']);
+    });
+
+    test('should scan departing employees first, including those without recent activity', async () => {
+      mockHelpers.setMockJiraTickets([
+        buildTicket('PAY-1', 'stayer'),
+        buildTicket('PAY-2', 'leaver-active-work')
+      ]);
+      const departure = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      await importDepartureRoster({
+        payload: {
+          content: [
+            { accountId: 'leaver-quiet', name: 'Quiet Leaver', departureDate: departure },
+            { accountId: 'leaver-active-work', departureDate: departure }
+          ]
+        }
+      });
+
+      const result = await scanLastSixMonths({ payload: {} });
+      const searchedUsers = mockHelpers.getApiCallHistory().jiraCalls
+        .map(([path]) => (decodeURIComponent(path).match(/assignee = "([^"]+)"/) || [])[1])
+        .filter(Boolean);
+
+      expect(Array.from(new Set(searchedUsers))).toEqual(['leaver-quiet', 'leaver-active-work', 'stayer']);
+      expect(result.summary).toMatchObject({ departingUsers: 2, totalUsersScanned: 3 });
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const fc = require('fast-check');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const { simulateDeparture, rankDocumentFirst } = require('../scanners/departureSimulation');
+const { saveExclusionRules } = require('../services/exclusionRulesService');
+
+const longSummary = 'Rework the settlement reconciliation job so it survives partial upstream outages';
+
+/**
+ * Build a ticket in the given components; critical (long summary, no documentation) unless a summary is given
+ */
+function buildTicket(key, accountId, components, fields = {}) {
+  return mockHelpers.createMockJiraTicket({
+    id: key.replace(/\D/g, ''),
+    key,
+    fields: {
+      summary: longSummary,
+      description: '',
+      assignee: { accountId, displayName: `User ${accountId}` },
+      components: components.map(name => ({ name })),
+      comment: { total: 5 },
+      ...fields
+    }
+  });
+}
+
+/**
+ * Build a PR authored by the given user in a repository
+ */
+function buildPullRequest(id, accountId, repository) {
+  return mockHelpers.createMockBitbucketPR({
+    id,
+    title: `Change ${id}`,
+    author: { uuid: accountId },
+    source: { repository: { name: repository } }
+  });
+}
+
+describe('Departure Simulation', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    mockHelpers.setMockJiraTickets([
+      buildTicket('PAY-1', 'alice', ['Payments']),
+      buildTicket('PAY-2', 'alice', ['Payments'], { reporter: { accountId: 'bob', displayName: 'User bob' } }),
+      buildTicket('LED-1', 'bob', ['Ledger']),
+      buildTicket('OPS-1', 'alice', ['Ops'], { summary: 'Rotate batch keys', comment: { total: 0 } })
+    ]);
+    mockHelpers.setBitbucketPRs([
+      buildPullRequest(101, 'alice', 'billing'),
+      buildPullRequest(102, 'bob', 'billing'),
+      buildPullRequest(103, 'alice', 'legacy-batch')
+    ]);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore?.();
+    console.warn.mockRestore?.();
+    console.error.mockRestore?.();
+  });
+
+  test('should list what only the departing user worked on, with bus factors before and after', async () => {
+    const result = await simulateDeparture({ payload: { accountIds: ['alice'] } });
+
+    expect(result.success).toBe(true);
+    expect(result.departing).toEqual([{ accountId: 'alice', displayName: 'User alice', tickets: 3, pullRequests: 2 }]);
+    expect(result.orphaned.tickets.map(ticket => ticket.key).sort()).toEqual(['OPS-1', 'PAY-1']);
+    expect(result.orphaned.pullRequests.map(pr => pr.id).sort()).toEqual(['101', '103']);
+    expect(result.orphaned.components).toEqual([
+      expect.objectContaining({ name: 'Ops', orphaned: true, departingShare: 100, busFactor: { before: 1, after: 0 } })
+    ]);
+    expect(result.orphaned.repositories.map(area => area.name)).toEqual(['legacy-batch']);
+
+    // Bob reported PAY-2 and authored a billing PR, so Payments and billing keep a contributor
+    const payments = result.affected.components.find(area => area.name === 'Payments');
+    expect(payments).toMatchObject({ orphaned: false, remainingContributors: [{ userId: 'bob', displayName: 'User bob' }] });
+    expect(payments.busFactor).toEqual({ before: 1, after: 1 });
+    expect(result.affected.repositories.map(area => area.name)).toEqual(['billing']);
+    expect(result.summary).toMatchObject({ readOnly: true, issuesAnalyzed: 4, orphanedTickets: 2, orphanedComponents: 1 });
+  });
+
+  test('should rank critical undocumented tickets first in the document-first list', async () => {
+    const result = await simulateDeparture({ payload: { accountIds: ['alice'], documentFirstLimit: 3 } });
+
+    expect(result.documentFirst).toHaveLength(3);
+    expect(result.documentFirst[0]).toMatchObject({ rank: 1, type: 'TICKET', artifact: 'JIRA-PAY-1' });
+    expect(result.documentFirst[0].reasons).toContain('critical ticket');
+    expect(result.documentFirst.map(entry => entry.rank)).toEqual([1, 2, 3]);
+  });
+
+  test('should orphan shared areas once every contributor leaves', async () => {
+    const result = await simulateDeparture({ payload: { accountIds: ['alice', 'bob'] } });
+
+    expect(result.orphaned.tickets).toHaveLength(4);
+    expect(result.orphaned.components.map(area => area.name).sort()).toEqual(['Ledger', 'Ops', 'Payments']);
+    expect(result.orphaned.repositories.map(area => area.name).sort()).toEqual(['billing', 'legacy-batch']);
+    expect(result.affected).toEqual({ components: [], repositories: [] });
+  });
+
+  test('should not write to storage, create issues or start a workflow', async () => {
+    mockHelpers.setStorageState({ 'scoring:config': { strategy: 'weighted-documentation' } });
+
+    await simulateDeparture({ payload: { accountIds: ['alice', 'bob'] } });
+
+    const history = mockHelpers.getApiCallHistory();
+    expect(mockHelpers.getStorageState()).toEqual({ 'scoring:config': { strategy: 'weighted-documentation' } });
+    expect(history.jiraCalls.every(([, options = {}]) => (options.method || 'GET') === 'GET')).toBe(true);
+    expect(history.confluenceCalls).toHaveLength(0);
+    expect(history.fetchCalls).toHaveLength(0);
+    expect(mockHelpers.getCreatedJiraIssues()).toHaveLength(0);
+  });
+
+  test('should leave out excluded users and issues', async () => {
+    await saveExclusionRules({ payload: { users: { deny: ['bob'] }, projects: { deny: ['OPS'] } } });
+
+    const result = await simulateDeparture({ payload: { accountIds: ['alice'] } });
+
+    // Without bob, alice is the only contributor left on Payments and billing
+    expect(result.success).toBe(true);
+    expect(result.orphaned.tickets.map(ticket => ticket.key).sort()).toEqual(['PAY-1', 'PAY-2']);
+    expect(result.orphaned.components.map(area => area.name)).toEqual(['Payments']);
+    expect(result.orphaned.repositories.map(area => area.name).sort()).toEqual(['billing', 'legacy-batch']);
+    expect(result.affected).toEqual({ components: [], repositories: [] });
+    expect(result.summary.pullRequestsAnalyzed).toBe(2);
+    expect(result.summary.exclusions).toMatchObject({ excludedUsers: 1, excludedIssues: 1 });
+  });
+
+  test('should fetch pull requests within the request budget, departing users first', async () => {
+    const result = await simulateDeparture({
+      payload: { accountIds: ['bob'], concurrency: 1, requestBudget: { bitbucket: { maxRequests: 1 } } }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.orphaned.pullRequests.map(pr => pr.id)).toEqual(['102']);
+    expect(result.summary.pullRequestsAnalyzed).toBe(1);
+    expect(result.summary.execution).toMatchObject({ concurrency: 1, stoppedBy: 'REQUEST_BUDGET', totalUsers: 2, remainingUsers: 1 });
+    expect(result.summary.execution.requests.bitbucket.used).toBe(1);
+  });
+
+  test('should stop fetching pull requests once the time budget has passed', async () => {
+    const realNow = Date.now;
+    let offset = 0;
+    const nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => realNow() + (offset += 1000));
+
+    try {
+      const result = await simulateDeparture({ payload: { accountIds: ['alice'], concurrency: 1, timeBudgetMs: 1500 } });
+
+      expect(result.success).toBe(true);
+      expect(result.departing[0].pullRequests).toBe(2);
+      expect(result.summary.execution).toMatchObject({ stoppedBy: 'TIME_BUDGET', totalUsers: 2, remainingUsers: 1 });
+    } finally {
+      nowSpy.mockRestore();
+    }
+  });
+
+  test('should report a complete simulation without a stop reason', async () => {
+    const result = await simulateDeparture({ payload: { accountIds: ['alice'] } });
+
+    expect(result.summary.execution).toMatchObject({ stoppedBy: null, totalUsers: 2, remainingUsers: 0 });
+    expect((await simulateDeparture({ payload: { accountIds: ['alice'], concurrency: 11 } })).error)
+      .toBe('concurrency must be an integer between 1 and 10');
+  });
+
+  test('should reject missing or malformed account IDs', async () => {
+    for (const accountIds of [undefined, [], ['alice', ''], 'alice']) {
+      const result = await simulateDeparture({ payload: { accountIds } });
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('accountIds must be a non-empty array of user account IDs');
+    }
+
+    expect((await simulateDeparture({ payload: { accountIds: ['alice'], documentFirstLimit: 0 } })).error)
+      .toBe('documentFirstLimit must be a positive integer');
+  });
+
+  test('property: removing more users never orphans fewer artifacts', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.subarray(['alice', 'bob', 'carol'], { minLength: 1 }),
+        fc.constantFrom('alice', 'bob', 'carol'),
+        async (accountIds, extra) => {
+          const base = await simulateDeparture({ payload: { accountIds } });
+          const wider = await simulateDeparture({ payload: { accountIds: [...accountIds, extra] } });
+
+          ['tickets', 'pullRequests', 'components', 'repositories'].forEach(type => {
+            expect(wider.orphaned[type].length).toBeGreaterThanOrEqual(base.orphaned[type].length);
+          });
+          wider.orphaned.components.forEach(area => expect(area.busFactor.after).toBe(0));
+        }
+      ),
+      { numRuns: 15 }
+    );
+  });
+
+  test('rankDocumentFirst should order by priority and cap the list', () => {
+    const ranked = rankDocumentFirst(
+      [{ key: 'A-1', summary: 'A', priority: 1, reasons: [] }],
+      [{ id: '7', title: 'B', priority: 1.5, reasons: [] }, { id: '8', title: 'C', priority: 0.2, reasons: [] }],
+      2
+    );
+
+    expect(ranked.map(entry => [entry.rank, entry.artifact])).toEqual([[1, 'PR #7'], [2, 'JIRA-A-1']]);
+  });
+});
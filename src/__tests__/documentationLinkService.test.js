@@ -0,0 +1,327 @@
+const fc = require('fast-check');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const {
+  isDocumentationUrl,
+  getConfluencePageId,
+  dedupeDocumentationLinks,
+  isDocumentationRemoteLink,
+  fetchRemoteDocumentationLinks,
+  validateDocumentationLinks,
+  weighConfluencePage,
+  matchAuthoredPage,
+  findAuthoredDocumentation,
+  sumDocumentationWeight,
+  DOCUMENTATION_WEIGHTS,
+  AUTHORED_PAGES
+} = require('../services/documentationLinkService');
+const { resolveTimeframe } = require('../utils/timeframe');
+const { calculateUndocumentedIntensity } = require('../scanners/legacyDetector');
+
+const CONFLUENCE_APP = { type: 'com.atlassian.confluence', name: 'Confluence' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-06-01T00:00:00.000Z');
+const WINDOW = resolveTimeframe({ from: '2026-01-01', to: '2026-06-01' });
+
+/**
+ * Build a mock Confluence page
+ * @param {Object} overrides - Page fields to override
+ * @returns {Object} Mock page
+ */
+function buildPage(overrides = {}) {
+  return {
+    id: '100',
+    status: 'current',
+    title: 'Runbook',
+    space: { key: 'ENG' },
+    version: { when: NOW.toISOString() },
+    body: { storage: { value: `<p>${'x'.repeat(DOCUMENTATION_WEIGHTS.FULL_LENGTH)}</p>` } },
+    ...overrides
+  };
+}
+
+describe('Documentation Link Service', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore?.();
+    console.warn.mockRestore?.();
+  });
+
+  describe('Unit Tests', () => {
+    it('should recognise documentation URLs', () => {
+      expect(isDocumentationUrl('https://example.atlassian.net/wiki/spaces/ENG/pages/1')).toBe(true);
+      expect(isDocumentationUrl('https://docs.example.com/setup')).toBe(true);
+      expect(isDocumentationUrl('https://github.com/example/repo/pull/1')).toBe(false);
+    });
+
+    it('should extract Confluence page IDs from URLs and global IDs', () => {
+      expect(getConfluencePageId('https://example.atlassian.net/wiki/spaces/ENG/pages/12345/Design')).toBe('12345');
+      expect(getConfluencePageId('https://example.atlassian.net/wiki/pages/viewpage.action?pageId=678')).toBe('678');
+      expect(getConfluencePageId('appId=abc-123&pageId=999')).toBe('999');
+      expect(getConfluencePageId('https://example.atlassian.net/wiki/x/BYAB')).toBe('98309');
+      expect(getConfluencePageId('https://docs.example.com/setup')).toBeNull();
+    });
+
+    it('should de-duplicate links that point at the same Confluence page', () => {
+      const links = dedupeDocumentationLinks([
+        'https://example.atlassian.net/wiki/spaces/ENG/pages/100/Design',
+        'https://example.atlassian.net/wiki/pages/viewpage.action?pageId=100',
+        { url: 'https://example.atlassian.net/wiki/x/AbCd', pageId: '100' },
+        { url: 'https://example.atlassian.net/wiki/x/EfGh', pageId: '200' },
+        'https://docs.example.com/setup',
+        'https://docs.example.com/setup'
+      ]);
+
+      expect(links).toEqual([
+        'https://example.atlassian.net/wiki/spaces/ENG/pages/100/Design',
+        'https://example.atlassian.net/wiki/x/EfGh',
+        'https://docs.example.com/setup'
+      ]);
+    });
+
+    it('should only treat Confluence relations and documentation URLs as documentation', () => {
+      expect(isDocumentationRemoteLink({ application: CONFLUENCE_APP, relationship: 'mentioned in', object: { url: 'https://example.atlassian.net/wiki/x/AbCd' } })).toBe(true);
+      expect(isDocumentationRemoteLink({ relationship: 'Wiki Page', object: { url: 'https://intranet.example.com/page/1' } })).toBe(true);
+      expect(isDocumentationRemoteLink({ relationship: 'links to', object: { url: 'https://docs.example.com/api' } })).toBe(true);
+      expect(isDocumentationRemoteLink({ relationship: 'links to', object: { url: 'https://github.com/example/repo/pull/1' } })).toBe(false);
+      expect(isDocumentationRemoteLink({ application: CONFLUENCE_APP, object: {} })).toBe(false);
+    });
+
+    it('should fetch remote documentation links with page IDs from global IDs', async () => {
+      mockHelpers.setMockRemoteLinks('CORE-1', [
+        {
+          id: 1,
+          globalId: 'appId=abc&pageId=4242',
+          application: CONFLUENCE_APP,
+          relationship: 'Wiki Page',
+          object: { url: 'https://example.atlassian.net/wiki/x/AbCd', title: 'Design: Sync engine' }
+        },
+        {
+          id: 2,
+          relationship: 'links to',
+          object: { url: 'https://github.com/example/repo/pull/7', title: 'PR 7' }
+        }
+      ]);
+
+      const links = await fetchRemoteDocumentationLinks('CORE-1');
+
+      expect(links).toEqual([{ url: 'https://example.atlassian.net/wiki/x/AbCd', pageId: '4242' }]);
+      expect(mockHelpers.getApiCallHistory().jiraCalls[0][0]).toBe('/rest/api/3/issue/CORE-1/remotelink');
+    });
+
+    it('should treat remote link failures as no documentation', async () => {
+      mockHelpers.simulateError('jira');
+
+      await expect(fetchRemoteDocumentationLinks('CORE-1')).resolves.toEqual([]);
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('Link Validation and Weighting', () => {
+    it('should drop 404, archived and trashed pages', async () => {
+      mockHelpers.setMockConfluencePages([
+        buildPage({ id: '100' }),
+        buildPage({ id: '101', status: 'archived' }),
+        buildPage({ id: '102', status: 'trashed' })
+      ]);
+
+      const links = await validateDocumentationLinks([100, 101, 102, 103]
+        .map(id => `https://example.atlassian.net/wiki/spaces/ENG/pages/${id}`), { now: NOW });
+
+      expect(links.map(link => link.pageId)).toEqual(['100']);
+      expect(links[0]).toMatchObject({ status: 'CURRENT', title: 'Runbook', weight: 1 });
+      expect(mockHelpers.getApiCallHistory().confluenceCalls[0][0]).toContain('/wiki/rest/api/content/100?status=any');
+    });
+
+    it('should resolve display URLs to page IDs and collapse duplicates', async () => {
+      mockHelpers.setMockConfluencePages([buildPage({ id: '100', title: 'Payment Runbook' })]);
+
+      const links = await validateDocumentationLinks([
+        'https://example.atlassian.net/wiki/display/ENG/Payment+Runbook',
+        'https://example.atlassian.net/wiki/spaces/ENG/pages/100',
+        'https://example.atlassian.net/wiki/display/ENG/Missing+Page'
+      ], { now: NOW });
+
+      expect(links).toHaveLength(1);
+      expect(links[0]).toMatchObject({ url: 'https://example.atlassian.net/wiki/display/ENG/Payment+Runbook', pageId: '100' });
+    });
+
+    it('should keep links it cannot check at the unverified weight', async () => {
+      const external = await validateDocumentationLinks(['https://docs.example.com/setup'], { now: NOW });
+      expect(external).toEqual([{ url: 'https://docs.example.com/setup', pageId: null, status: 'UNVERIFIED', weight: DOCUMENTATION_WEIGHTS.UNVERIFIED }]);
+
+      mockHelpers.simulateError('confluence');
+      const unreachable = await validateDocumentationLinks(['https://example.atlassian.net/wiki/spaces/ENG/pages/100'], { now: NOW });
+      expect(unreachable[0]).toMatchObject({ pageId: '100', status: 'UNVERIFIED', weight: DOCUMENTATION_WEIGHTS.UNVERIFIED });
+    });
+
+    it('should weight pages by freshness and length', () => {
+      const fresh = weighConfluencePage(buildPage(), NOW);
+      const stale = weighConfluencePage(buildPage({ version: { when: new Date(NOW - 1000 * DAY_MS).toISOString() } }), NOW);
+      const stub = weighConfluencePage(buildPage({ body: { storage: { value: '<p>TBD</p>' } } }), NOW);
+
+      expect(fresh).toMatchObject({ freshness: 1, lengthFactor: 1, weight: 1 });
+      expect(stale.freshness).toBe(DOCUMENTATION_WEIGHTS.MIN_FRESHNESS);
+      expect(stub).toMatchObject({ length: 3, lengthFactor: DOCUMENTATION_WEIGHTS.MIN_LENGTH });
+      expect(sumDocumentationWeight([fresh, stale, stub])).toBeCloseTo(1.4, 3);
+    });
+  });
+
+  describe('Authored Pages', () => {
+    const tickets = [
+      { key: 'PAY-7', summary: 'Settlement reconciliation retries after partial outages', components: ['Ledger Sync'], labels: ['payments'] },
+      { key: 'PAY-12', summary: 'Rotate merchant API credentials', components: [] }
+    ];
+
+    /**
+     * Build a page created by the given user inside the test window
+     */
+    function buildAuthoredPage(overrides = {}) {
+      return buildPage({
+        history: { createdBy: { accountId: 'alice' }, createdDate: '2026-03-01T00:00:00.000Z' },
+        _links: { base: 'https://example.atlassian.net/wiki', webui: `/spaces/ENG/pages/${overrides.id || '100'}` },
+        ...overrides
+      });
+    }
+
+    it('should match pages by ticket mentions, labels, component names and similar titles', () => {
+      const label = name => ({ metadata: { labels: { results: [{ name }] } } });
+
+      expect(matchAuthoredPage(buildPage({ body: { storage: { value: '<ac:parameter ac:name="key">PAY-12</ac:parameter>' } } }), tickets))
+        .toEqual({ matchedBy: 'LINK', artifact: 'PAY-12' });
+      expect(matchAuthoredPage(buildPage({ body: { storage: { value: 'See PAY-123' } } }), tickets)).toBeNull();
+      expect(matchAuthoredPage(buildPage(label('Payments')), tickets)).toEqual({ matchedBy: 'LABEL', artifact: 'PAY-7' });
+      expect(matchAuthoredPage(buildPage(label('ledger-sync')), tickets)).toEqual({ matchedBy: 'LABEL', artifact: 'Ledger Sync' });
+      expect(matchAuthoredPage(buildPage({ title: 'Ledger Sync operations guide' }), tickets)).toEqual({ matchedBy: 'TITLE', artifact: 'Ledger Sync' });
+      expect(matchAuthoredPage(buildPage({ title: 'How settlement reconciliation retries work' }), tickets)).toEqual({ matchedBy: 'TITLE', artifact: 'PAY-7' });
+      expect(matchAuthoredPage(buildPage({ title: 'Team onboarding' }), tickets)).toBeNull();
+    });
+
+    it('should credit pages the user created or significantly edited, and skip linked ones', async () => {
+      const edits = (count, minorEdit = false) => Array.from({ length: count }, (_, i) => ({
+        by: { accountId: 'alice' }, when: `2026-04-0${i + 1}T00:00:00.000Z`, minorEdit
+      }));
+      mockHelpers.setMockConfluencePages([
+        buildAuthoredPage({ id: '100', title: 'Ledger Sync runbook' }),
+        buildAuthoredPage({ id: '101', title: 'Ledger Sync design', history: { createdBy: { accountId: 'bob' }, createdDate: '2025-01-01' }, versions: edits(AUTHORED_PAGES.MIN_SIGNIFICANT_EDITS) }),
+        buildAuthoredPage({ id: '102', title: 'Ledger Sync FAQ', history: { createdBy: { accountId: 'bob' }, createdDate: '2025-01-01' }, versions: edits(5, true) }),
+        buildAuthoredPage({ id: '103', title: 'Ledger Sync glossary' }),
+        buildAuthoredPage({ id: '104', title: 'Team onboarding' })
+      ]);
+
+      const links = await findAuthoredDocumentation('alice', WINDOW, tickets, { now: NOW, excludePageIds: ['103'] });
+
+      expect(links.map(link => link.pageId)).toEqual(['100', '101']);
+      expect(links[0]).toMatchObject({
+        url: 'https://example.atlassian.net/wiki/spaces/ENG/pages/100',
+        status: 'AUTHORED',
+        matchedBy: 'TITLE',
+        artifact: 'Ledger Sync',
+        weight: 1
+      });
+    });
+
+    it('should only credit pages last modified inside the window', async () => {
+      mockHelpers.setMockConfluencePages([
+        buildAuthoredPage({ id: '100', title: 'Ledger Sync runbook', version: { when: WINDOW.to.toISOString() } }),
+        // Same day as the window end, but after it
+        buildAuthoredPage({ id: '101', title: 'Ledger Sync design', version: { when: '2026-06-01T15:00:00.000Z' } }),
+        buildAuthoredPage({ id: '102', title: 'Ledger Sync FAQ', version: { when: '2025-12-31T23:00:00.000Z' } })
+      ]);
+
+      const links = await findAuthoredDocumentation('alice', WINDOW, tickets, { now: NOW });
+      const [searchPath] = mockHelpers.getApiCallHistory().confluenceCalls
+        .map(([path]) => decodeURIComponent(path))
+        .filter(path => path.startsWith('/wiki/rest/api/content/search?'));
+
+      expect(links.map(link => link.pageId)).toEqual(['100']);
+      expect(searchPath).toContain('lastmodified >= "2026-01-01" AND lastmodified < "2026-06-02"');
+    });
+
+    it('should treat search failures as no authored pages', async () => {
+      mockHelpers.simulateError('confluence');
+
+      await expect(findAuthoredDocumentation('alice', WINDOW, tickets)).resolves.toEqual([]);
+    });
+
+    it('should lower the score of users who documented their own tickets', async () => {
+      mockHelpers.setMockJiraTickets([mockHelpers.createMockJiraTicket({
+        id: '7',
+        key: 'PAY-7',
+        fields: {
+          summary: 'Rework the settlement reconciliation job so it survives partial upstream outages',
+          description: '',
+          assignee: { accountId: 'alice', displayName: 'Alice' },
+          comment: { total: 5 },
+          updated: new Date().toISOString()
+        }
+      })]);
+      const before = await calculateUndocumentedIntensity('alice', '6_MONTHS');
+
+      mockHelpers.setMockConfluencePages([buildAuthoredPage({
+        id: '100',
+        title: 'Settlement job internals',
+        body: { storage: { value: `<p>Background for PAY-7. ${'x'.repeat(DOCUMENTATION_WEIGHTS.FULL_LENGTH)}</p>` } },
+        version: { when: new Date().toISOString() },
+        history: { createdBy: { accountId: 'alice' }, createdDate: new Date().toISOString() }
+      })]);
+      const after = await calculateUndocumentedIntensity('alice', '6_MONTHS');
+
+      expect(after.documentationWeight).toBeGreaterThan(before.documentationWeight);
+      expect(after.undocumentedIntensityScore).toBeLessThan(before.undocumentedIntensityScore);
+      expect(after.scoreBreakdown.documentation.links).toEqual([
+        expect.objectContaining({ pageId: '100', status: 'AUTHORED' })
+      ]);
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    it('property: page weight never increases with age', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: 2000 }),
+          fc.integer({ min: 0, max: 2000 }),
+          fc.integer({ min: 0, max: 10000 }),
+          (ageA, ageB, length) => {
+            const page = (age) => buildPage({
+              version: { when: new Date(NOW - age * DAY_MS).toISOString() },
+              body: { storage: { value: 'x'.repeat(length) } }
+            });
+            const [younger, older] = ageA <= ageB ? [ageA, ageB] : [ageB, ageA];
+            const youngerWeight = weighConfluencePage(page(younger), NOW).weight;
+            const olderWeight = weighConfluencePage(page(older), NOW).weight;
+
+            expect(olderWeight).toBeLessThanOrEqual(youngerWeight);
+            expect(olderWeight).toBeGreaterThan(0);
+            expect(youngerWeight).toBeLessThanOrEqual(1);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('property: de-duplicated links never repeat a page ID', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.integer({ min: 1, max: 20 }), { maxLength: 30 }),
+          (pageIds) => {
+            const links = pageIds.map((pageId, index) => (index % 2 === 0
+              ? `https://example.atlassian.net/wiki/spaces/ENG/pages/${pageId}`
+              : `https://example.atlassian.net/wiki/pages/viewpage.action?pageId=${pageId}`));
+
+            const unique = dedupeDocumentationLinks(links);
+            const uniqueIds = unique.map(getConfluencePageId);
+
+            expect(new Set(uniqueIds).size).toBe(uniqueIds.length);
+            expect(unique.length).toBe(new Set(pageIds).size);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
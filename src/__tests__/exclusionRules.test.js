@@ -0,0 +1,192 @@
+const fc = require('fast-check');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const {
+  resolveExclusionRules,
+  describeExclusionRules,
+  getIssueExclusionRule,
+  getUserExclusionRule,
+  getExclusionRules,
+  saveExclusionRules
+} = require('../services/exclusionRulesService');
+const { buildStateFingerprint } = require('../services/scanStateService');
+const { resolveTimeframe } = require('../utils/timeframe');
+const { scanLastSixMonths } = require('../scanners/legacyDetector');
+
+/**
+ * Build a critical ticket (long summary, no documentation) assigned to the given user
+ */
+function buildTicket(key, accountId, fields = {}) {
+  return mockHelpers.createMockJiraTicket({
+    id: key.replace(/\D/g, ''),
+    key,
+    fields: {
+      summary: 'Rework the settlement reconciliation job so it survives partial upstream outages',
+      description: '',
+      assignee: { accountId, displayName: `User ${accountId}` },
+      comment: { total: 5 },
+      ...fields
+    }
+  });
+}
+
+/**
+ * Build a bare issue for rule evaluation
+ */
+function issue(key, labels = [], security = null) {
+  return { key, fields: { labels, ...(security ? { security: { name: security } } : {}) } };
+}
+
+describe('Exclusion Rules', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore?.();
+    console.warn.mockRestore?.();
+    console.error.mockRestore?.();
+  });
+
+  describe('Configuration', () => {
+    test('should start empty and reject malformed or contradictory rules', async () => {
+      const { rules } = await getExclusionRules();
+      expect(rules.projects).toEqual({ allow: [], deny: [] });
+      expect(describeExclusionRules(rules)).toBe('');
+
+      expect((await saveExclusionRules({ payload: { teams: { deny: ['ops'] } } })).error)
+        .toBe('Unknown exclusion rule teams. Expected: users, groups, projects, labels, securityLevels');
+      expect((await saveExclusionRules({ payload: { labels: { deny: 'restricted' } } })).error)
+        .toBe('labels.deny must be an array of non-empty strings');
+      expect((await saveExclusionRules({ payload: { projects: { allow: ['pay'], deny: ['PAY'] } } })).error)
+        .toBe('pay is on both the allow and deny list for projects');
+    });
+
+    test('should normalize values and replace only the dimensions given', async () => {
+      await saveExclusionRules({ payload: { projects: { deny: ['hr', 'HR'] }, labels: { deny: ['Restricted'] } } });
+      const { rules } = await saveExclusionRules({ payload: { users: { deny: ['bot-1'] } } });
+
+      expect(rules.projects.deny).toEqual(['HR']);
+      expect(rules.labels.deny).toEqual(['restricted']);
+      expect(rules.users.deny).toEqual(['bot-1']);
+    });
+  });
+
+  describe('Rule evaluation', () => {
+    test('should check deny lists before allow lists', () => {
+      const rules = resolveExclusionRules({
+        projects: { allow: ['PAY'], deny: ['HR'] },
+        labels: { deny: ['restricted'] },
+        securityLevels: { allow: ['Internal'] }
+      });
+
+      expect(getIssueExclusionRule(issue('HR-1'), rules)).toBe('projects.deny');
+      expect(getIssueExclusionRule(issue('PAY-1', ['RESTRICTED']), rules)).toBe('labels.deny');
+      expect(getIssueExclusionRule(issue('OPS-1'), rules)).toBe('projects.allow');
+      expect(getIssueExclusionRule(issue('PAY-2', [], 'Legal only'), rules)).toBe('securityLevels.allow');
+      // Issues without a security level are not affected by the security level allow list
+      expect(getIssueExclusionRule(issue('PAY-3'), rules)).toBeNull();
+      expect(getIssueExclusionRule(issue('PAY-4', [], 'internal'), rules)).toBeNull();
+    });
+
+    test('should match users by account ID and group', () => {
+      const rules = resolveExclusionRules({ users: { deny: ['bot-1'] }, groups: { allow: ['staff'], deny: ['contractors'] } });
+
+      expect(getUserExclusionRule('bot-1', ['staff'], rules)).toBe('users.deny');
+      expect(getUserExclusionRule('alice', ['staff', 'contractors'], rules)).toBe('groups.deny');
+      expect(getUserExclusionRule('bob', [], rules)).toBe('groups.allow');
+      expect(getUserExclusionRule('carol', ['staff'], rules)).toBeNull();
+    });
+
+    test('property: an issue in a denied project is always excluded by that rule', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom('HR', 'LEGAL'),
+          fc.array(fc.constantFrom('restricted', 'backend', 'urgent')),
+          fc.option(fc.constantFrom('Internal', 'Legal only'), { nil: null }),
+          (project, labels, security) => {
+            const rules = resolveExclusionRules({
+              projects: { deny: ['HR', 'LEGAL'] },
+              labels: { allow: ['backend'], deny: ['restricted'] },
+              securityLevels: { deny: ['Legal only'] }
+            });
+
+            expect(getIssueExclusionRule(issue(`${project}-1`, labels, security), rules)).toBe('projects.deny');
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    test('should only change the state fingerprint when rules are configured', () => {
+      const window = resolveTimeframe();
+      const rules = resolveExclusionRules({ labels: { deny: ['restricted'] } });
+
+      expect(buildStateFingerprint(window, null, describeExclusionRules(resolveExclusionRules()))).toBe(buildStateFingerprint(window, null));
+      expect(buildStateFingerprint(window, null, describeExclusionRules(rules))).not.toBe(buildStateFingerprint(window, null));
+    });
+  });
+
+  describe('Scan Integration', () => {
+    beforeEach(() => {
+      mockHelpers.setMockJiraTickets([
+        buildTicket('PAY-1', 'alice'),
+        buildTicket('PAY-2', 'alice', { labels: ['restricted'] }),
+        buildTicket('HR-1', 'carol'),
+        buildTicket('PAY-3', 'bob', { security: { name: 'Legal only' } }),
+        buildTicket('PAY-4', 'deploy-bot'),
+        buildTicket('PAY-5', 'dave')
+      ]);
+    });
+
+    test('should drop excluded users and issues before scoring and count them per rule', async () => {
+      await saveExclusionRules({
+        payload: {
+          users: { deny: ['deploy-bot'] },
+          groups: { deny: ['contractors'] },
+          projects: { deny: ['HR'] },
+          labels: { deny: ['restricted'] },
+          securityLevels: { deny: ['Legal only'] }
+        }
+      });
+      mockHelpers.setMockUserGroups({ dave: ['contractors'] });
+
+      const result = await scanLastSixMonths({ payload: {} });
+
+      expect(result.success).toBe(true);
+      expect(result.reports.map(report => report.userId)).toEqual(['alice']);
+      expect(result.reports[0].criticalJiraTickets.map(ticket => ticket.key)).toEqual(['PAY-1']);
+      expect(result.summary.exclusions.rules.map(({ rule, excluded }) => [rule, excluded])).toEqual([
+        ['users.deny', 1],
+        ['groups.deny', 1],
+        ['projects.deny', 1],
+        ['labels.deny', 1],
+        ['securityLevels.deny', 1]
+      ]);
+      expect(result.summary.exclusions).toMatchObject({ excludedUsers: 2, excludedIssues: 3 });
+    });
+
+    test('should scan only allowed users and look groups up once per user', async () => {
+      await saveExclusionRules({ payload: { groups: { allow: ['staff'] } } });
+      mockHelpers.setMockUserGroups({ alice: ['staff'], carol: ['staff'] });
+
+      const result = await scanLastSixMonths({ payload: {} });
+      const groupLookups = mockHelpers.getApiCallHistory().jiraCalls.filter(([path]) => path.startsWith('/rest/api/3/user/groups'));
+
+      expect(result.reports.map(report => report.userId).sort()).toEqual(['alice', 'carol']);
+      expect(result.summary.exclusions.rules).toEqual([
+        { rule: 'groups.allow', entity: 'users', values: ['staff'], excluded: 3 }
+      ]);
+      expect(groupLookups).toHaveLength(5);
+    });
+
+    test('should report no rules and scan everyone by default', async () => {
+      const result = await scanLastSixMonths({ payload: {} });
+
+      expect(result.reports).toHaveLength(5);
+      expect(result.summary.exclusions).toEqual({ rules: [], excludedUsers: 0, excludedIssues: 0 });
+    });
+  });
+});
@@ -1230,9 +1230,14 @@ describe('Final Validation - Legacy Keeper System Testing', () => {
         handler.scanLastSixMonths({})
       ]);
 
-      // All results should be identical
-      expect(results[0]).toEqual(results[1]);
-      expect(results[1]).toEqual(results[2]);
+      // All results should be identical apart from the scan history run each execution is stored as
+      // and how long each execution took
+      const [first, second, third] = results.map(({ runId, summary, ...result }) => {
+        const { elapsedMs, ...execution } = summary.execution;
+        return { ...result, summary: { ...summary, execution } };
+      });
+      expect(first).toEqual(second);
+      expect(second).toEqual(third);
       
       // All should be successful
       results.forEach(result => {
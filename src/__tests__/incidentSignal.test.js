@@ -0,0 +1,222 @@
+const fc = require('fast-check');
+const api = require('@forge/api');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const { CodeArtifact } = require('../models');
+const {
+  INCIDENT_DEFAULTS,
+  INCIDENT_WEIGHTS,
+  buildIncidentClause,
+  findIncidentResolver,
+  weighUserIncidents,
+  getIncidentConfig,
+  saveIncidentConfig
+} = require('../services/incidentSignalService');
+const { scanLastSixMonths } = require('../scanners/legacyDetector');
+const { generateArtifactQuestions } = require('../agents/legacyKeeper');
+const { convertScanResultsToArtifacts } = require('../workflows/cognitiveOffboardingWorkflow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an incident issue resolved by one user and commented on by others
+ */
+function buildIncidentIssue(key, { resolver, commenters = [], components = [], issueType = 'Incident', daysAgo = 10 }) {
+  const updated = new Date(Date.now() - daysAgo * DAY_MS).toISOString();
+  return mockHelpers.createMockJiraTicket({
+    id: `inc-${key}`,
+    key,
+    fields: {
+      summary: `Outage ${key}`,
+      issuetype: { name: issueType },
+      assignee: null,
+      updated,
+      resolution: { name: 'Fixed' },
+      resolutiondate: updated,
+      components: components.map(name => ({ name })),
+      comment: {
+        total: commenters.length,
+        comments: commenters.map(accountId => ({ author: { accountId, displayName: accountId }, body: 'Restarted the consumer' }))
+      }
+    },
+    changelog: {
+      histories: [{
+        author: { accountId: resolver, displayName: resolver },
+        created: updated,
+        items: [{ field: 'resolution', toString: 'Fixed' }]
+      }]
+    }
+  });
+}
+
+/**
+ * Reduce an issue to the incident fields weighUserIncidents reads
+ */
+function toIncident(key, resolvedBy, commenters = {}, components = []) {
+  return { key, summary: key, updated: new Date().toISOString(), components, labels: [], documentationLinks: [], resolvedBy, commenters };
+}
+
+describe('Incident Signal', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore?.();
+    console.info.mockRestore?.();
+    console.warn.mockRestore?.();
+    console.error.mockRestore?.();
+  });
+
+  describe('Configuration', () => {
+    test('should default to the Incident issue type and validate changes', async () => {
+      expect((await getIncidentConfig()).config).toEqual(INCIDENT_DEFAULTS);
+      expect((await saveIncidentConfig({ payload: { issueTypes: [], projectKeys: [] } })).error)
+        .toBe('At least one incident issue type or service management project is required');
+      expect((await saveIncidentConfig({ payload: { projectKeys: [''] } })).error).toBe('projectKeys must be a list of non-empty strings');
+
+      const saved = await saveIncidentConfig({ payload: { projectKeys: ['OPS'] } });
+      expect(saved.config).toMatchObject({ enabled: true, issueTypes: ['Incident'], projectKeys: ['OPS'] });
+      expect(buildIncidentClause(saved.config)).toBe('(issuetype in ("Incident") OR project in ("OPS"))');
+    });
+  });
+
+  describe('Weighting', () => {
+    test('should credit the resolver from the changelog and fall back to the assignee', () => {
+      const issue = buildIncidentIssue('OPS-1', { resolver: 'alice' });
+      expect(findIncidentResolver(issue)).toBe('alice');
+
+      const withoutChangelog = { fields: { resolution: { name: 'Done' }, assignee: { accountId: 'bob' } } };
+      expect(findIncidentResolver(withoutChangelog)).toBe('bob');
+      expect(findIncidentResolver({ fields: { assignee: { accountId: 'bob' } } })).toBeNull();
+    });
+
+    test('should weigh resolving over commenting and boost repeat incidents on a component', () => {
+      const incidents = [
+        toIncident('OPS-1', 'alice', {}, ['billing']),
+        toIncident('OPS-2', 'alice', { bob: 1 }, ['billing']),
+        toIncident('OPS-3', 'carol', { alice: 2 }, ['search']),
+        toIncident('OPS-4', 'carol', {}, ['billing'])
+      ];
+
+      const alice = weighUserIncidents(incidents, 'alice');
+      expect(alice.map(entry => [entry.key, entry.repeatComponent, entry.weight])).toEqual([
+        ['OPS-1', 'billing', 1.5],
+        ['OPS-2', 'billing', 1.5],
+        ['OPS-3', null, 0.5]
+      ]);
+      expect(weighUserIncidents(incidents, 'bob')).toEqual([
+        expect.objectContaining({ key: 'OPS-2', roles: { resolver: 0, commenter: 1 }, weight: 0.25 })
+      ]);
+    });
+
+    test('property: weights stay within the per-incident cap times the repeat multiplier', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.record({
+            resolvedBy: fc.constantFrom('alice', 'bob', null),
+            comments: fc.integer({ min: 0, max: 8 }),
+            component: fc.constantFrom('billing', 'search', 'auth')
+          }), { maxLength: 15 }),
+          entries => {
+            const incidents = entries.map((entry, i) =>
+              toIncident(`OPS-${i}`, entry.resolvedBy, entry.comments ? { alice: entry.comments } : {}, [entry.component]));
+            const weighed = weighUserIncidents(incidents, 'alice');
+
+            expect(weighed.length).toBe(entries.filter(entry => entry.resolvedBy === 'alice' || entry.comments > 0).length);
+            weighed.forEach(entry => {
+              expect(entry.weight).toBeGreaterThan(0);
+              expect(entry.weight).toBeLessThanOrEqual(INCIDENT_WEIGHTS.MAX_PER_INCIDENT * INCIDENT_WEIGHTS.MAX_REPEAT_MULTIPLIER);
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Scan Integration', () => {
+    test('should score incidents as their own artifacts and record the source in the summary', async () => {
+      const baseline = await scanLastSixMonths({});
+      const user = baseline.reports.find(report => report.userId === 'user123');
+      mockHelpers.addMockJiraTickets([
+        buildIncidentIssue('OPS-1', { resolver: 'user123', components: ['payments'] }),
+        buildIncidentIssue('OPS-2', { resolver: 'user123', commenters: ['user789'], components: ['payments'], daysAgo: 40 }),
+        buildIncidentIssue('PROJ-900', { resolver: 'someone-else', issueType: 'Bug' })
+      ]);
+
+      const result = await scanLastSixMonths({});
+      const report = result.reports.find(r => r.userId === 'user123');
+
+      expect(result.summary.incidents).toEqual({ issueTypes: ['Incident'], projectKeys: [], found: 2 });
+      expect(report.incidents.map(incident => [incident.key, incident.weight])).toEqual([['OPS-1', 1.5], ['OPS-2', 1.5]]);
+      expect(report.specificArtifacts).toEqual(expect.arrayContaining(['INCIDENT-OPS-1', 'INCIDENT-OPS-2']));
+      expect(report.scoreBreakdown.incidents[0]).toMatchObject({ key: 'OPS-1', repeatComponent: 'payments', repeatCount: 2, contribution: 2.25 });
+      expect(report.undocumentedIntensityScore).toBeCloseTo(user.undocumentedIntensityScore + 4.5, 5);
+    });
+
+    test('should report the error when the incident search fails', async () => {
+      // Sites without the Incident issue type reject the JQL
+      const asApp = api.asApp;
+      jest.spyOn(api, 'asApp').mockImplementation(() => {
+        const client = asApp();
+        return {
+          ...client,
+          requestJira: (path, options) => decodeURIComponent(String(path)).includes('issuetype in (')
+            ? Promise.resolve({ ok: false, status: 400, data: {} })
+            : client.requestJira(path, options)
+        };
+      });
+
+      try {
+        const result = await scanLastSixMonths({});
+
+        expect(result.success).toBe(true);
+        expect(result.reports.length).toBeGreaterThan(0);
+        expect(result.summary.incidents).toEqual({
+          issueTypes: ['Incident'],
+          projectKeys: [],
+          found: 0,
+          error: 'Jira search failed with status 400'
+        });
+      } finally {
+        api.asApp.mockRestore();
+      }
+    });
+
+    test('should read service desk projects and skip incidents when the source is disabled', async () => {
+      mockHelpers.addMockJiraTickets([buildIncidentIssue('HELP-7', { resolver: 'user123', issueType: 'Service Request' })]);
+
+      await saveIncidentConfig({ payload: { issueTypes: [], projectKeys: ['HELP'] } });
+      const fromProject = await scanLastSixMonths({});
+      expect(fromProject.reports.find(r => r.userId === 'user123').incidents.map(incident => incident.key)).toEqual(['HELP-7']);
+
+      await saveIncidentConfig({ payload: { enabled: false } });
+      const disabled = await scanLastSixMonths({});
+      expect(disabled.summary.incidents).toBeNull();
+      expect(disabled.reports.find(r => r.userId === 'user123').incidents).toEqual([]);
+    });
+  });
+
+  describe('Interview Questions', () => {
+    test('should turn report incidents into artifacts with firefighting questions', () => {
+      const incidents = weighUserIncidents([
+        toIncident('OPS-1', 'alice', {}, ['billing']),
+        toIncident('OPS-2', 'alice', {}, ['billing'])
+      ], 'alice');
+      const artifacts = convertScanResultsToArtifacts({ userId: 'alice', criticalJiraTickets: [], highComplexityPRs: [], incidents });
+
+      expect(artifacts.map(artifact => artifact.validate().isValid)).toEqual([true, true]);
+      expect(artifacts[0]).toBeInstanceOf(CodeArtifact);
+      expect(artifacts[0]).toMatchObject({ type: 'INCIDENT', id: 'OPS-1', complexityIndicators: ['resolved', 'repeat_component_billing'] });
+
+      const questions = generateArtifactQuestions(artifacts).filter(question => question.artifactId === 'OPS-1');
+      expect(questions.map(question => question.focus)).toEqual(['diagnostic_heuristics', 'runbook_gaps', 'recurring_failure']);
+      expect(questions.every(question => question.type === 'INCIDENT' && question.question.includes('OPS-1'))).toBe(true);
+      expect(questions[2].question).toContain('billing');
+    });
+  });
+});
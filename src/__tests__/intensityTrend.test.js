@@ -0,0 +1,76 @@
+const fc = require('fast-check');
+const {
+  TREND_DEFAULTS,
+  buildMonthBuckets,
+  calculateTrend,
+  adjustRiskLevelForTrend
+} = require('../utils/intensityTrend');
+
+describe('Intensity Trend', () => {
+  test('should split a window into clipped calendar months', () => {
+    const buckets = buildMonthBuckets({
+      from: new Date('2024-01-15T12:00:00.000Z'),
+      to: new Date('2024-03-10T00:00:00.000Z')
+    });
+
+    expect(buckets.map(bucket => bucket.month)).toEqual(['2024-01', '2024-02', '2024-03']);
+    expect(buckets[0].from.toISOString()).toBe('2024-01-15T12:00:00.000Z');
+    expect(buckets[0].to.toISOString()).toBe('2024-01-31T23:59:59.999Z');
+    expect(buckets[2].to.toISOString()).toBe('2024-03-10T00:00:00.000Z');
+  });
+
+  test('should report slope, acceleration and direction', () => {
+    expect(calculateTrend([0, 0, 0, 0, 0, 6])).toEqual({ slope: 0.857, acceleration: 1.5, relativeSlope: 0.857, direction: 'RISING' });
+    expect(calculateTrend([6, 0, 0, 0, 0, 0]).direction).toBe('FALLING');
+    expect(calculateTrend([2, 2, 2, 2]).direction).toBe('FLAT');
+    expect(calculateTrend([0, 0, 0])).toEqual({ slope: 0, acceleration: 0, relativeSlope: 0, direction: 'FLAT' });
+    expect(calculateTrend([3])).toEqual({ slope: 0, acceleration: 0, relativeSlope: 0, direction: 'FLAT' });
+  });
+
+  test('should move risk one level with the trend, within bounds', () => {
+    expect(adjustRiskLevelForTrend('MEDIUM', { direction: 'RISING' })).toBe('HIGH');
+    expect(adjustRiskLevelForTrend('CRITICAL', { direction: 'RISING' })).toBe('CRITICAL');
+    expect(adjustRiskLevelForTrend('MEDIUM', { direction: 'FALLING' })).toBe('LOW');
+    expect(adjustRiskLevelForTrend('LOW', { direction: 'FALLING' })).toBe('LOW');
+    expect(adjustRiskLevelForTrend('HIGH', { direction: 'FLAT' })).toBe('HIGH');
+  });
+
+  describe('Property-Based Tests', () => {
+    test('property: month buckets cover the window without gaps', () => {
+      fc.assert(
+        fc.property(
+          fc.date({ min: new Date('2020-01-01'), max: new Date('2025-01-01') }),
+          fc.integer({ min: 1, max: 400 }),
+          (from, days) => {
+            const to = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+            const buckets = buildMonthBuckets({ from, to });
+
+            expect(buckets[0].from.getTime()).toBe(from.getTime());
+            expect(buckets[buckets.length - 1].to.getTime()).toBe(to.getTime());
+            buckets.slice(1).forEach((bucket, index) => {
+              expect(bucket.from.getTime()).toBe(buckets[index].to.getTime() + 1);
+            });
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    test('property: reversing a series reverses its direction', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.integer({ min: 0, max: 20 }), { minLength: 2, maxLength: 12 }),
+          (scores) => {
+            const forward = calculateTrend(scores, TREND_DEFAULTS);
+            const backward = calculateTrend(scores.slice().reverse(), TREND_DEFAULTS);
+            const opposite = { RISING: 'FALLING', FALLING: 'RISING', FLAT: 'FLAT' };
+
+            expect(backward.slope).toBeCloseTo(-forward.slope, 3);
+            expect(backward.direction).toBe(opposite[forward.direction]);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
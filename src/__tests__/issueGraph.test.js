@@ -0,0 +1,238 @@
+const fc = require('fast-check');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const {
+  ISSUE_GRAPH_WEIGHTS,
+  CENTRALITY_THRESHOLD,
+  extractIssueRelations,
+  countRelations,
+  calculateCentrality,
+  extractMentionedIssueKeys,
+  groupArtifactsByEpic
+} = require('../utils/issueGraph');
+const { scanLastSixMonths } = require('../scanners/legacyDetector');
+
+/**
+ * Build a quiet ticket (short summary, no comments) that is only critical through its relations
+ */
+function buildQuietTicket(key, fields = {}) {
+  return mockHelpers.createMockJiraTicket({
+    id: `graph-${key}`,
+    key,
+    fields: {
+      summary: `Fix ${key}`,
+      description: 'Brief',
+      assignee: { accountId: 'user123', displayName: 'John Developer' },
+      comment: { total: 0 },
+      ...fields
+    }
+  });
+}
+
+/**
+ * Build an outward "Blocks" link to the given issue
+ */
+function blocks(key) {
+  return { type: { name: 'Blocks' }, outwardIssue: { key } };
+}
+
+describe('Issue Graph', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore?.();
+    console.warn.mockRestore?.();
+    console.error.mockRestore?.();
+  });
+
+  describe('Relations', () => {
+    test('should read parents, epics, links and sub-tasks from an issue', () => {
+      const relations = extractIssueRelations({
+        fields: {
+          parent: { key: 'PROJ-1', fields: { summary: 'Billing rewrite', issuetype: { name: 'Epic', hierarchyLevel: 1 } } },
+          issuelinks: [blocks('PROJ-2'), { type: { name: 'Blocks' }, inwardIssue: { key: 'PROJ-3' } }, { type: { name: 'Relates' }, outwardIssue: { key: 'PROJ-4' } }],
+          subtasks: [{ key: 'PROJ-5' }]
+        }
+      });
+
+      expect(relations).toEqual({
+        parentKey: 'PROJ-1',
+        epicKey: 'PROJ-1',
+        epicSummary: 'Billing rewrite',
+        issueLinks: [
+          { key: 'PROJ-2', type: 'Blocks', direction: 'outward' },
+          { key: 'PROJ-3', type: 'Blocks', direction: 'inward' },
+          { key: 'PROJ-4', type: 'Relates', direction: 'outward' }
+        ],
+        subtaskKeys: ['PROJ-5']
+      });
+      expect(countRelations(relations)).toEqual({ blocks: 1, blockedBy: 1, linked: 1, subtasks: 1 });
+
+      // A story parent is not the epic; the legacy Epic Link field still is
+      expect(extractIssueRelations({ fields: { parent: { key: 'PROJ-6', fields: { issuetype: { name: 'Story' } } } } }))
+        .toMatchObject({ parentKey: 'PROJ-6', epicKey: null });
+      expect(extractIssueRelations({ fields: { customfield_10014: 'PROJ-7' } })).toMatchObject({ parentKey: null, epicKey: 'PROJ-7' });
+    });
+
+    test('should list the issue keys a PR mentions once each', () => {
+      expect(extractMentionedIssueKeys({ title: 'PROJ-12: fix retries', description: 'Follow-up to PROJ-12 and OPS-3, not proj-4' }))
+        .toEqual(['PROJ-12', 'OPS-3']);
+    });
+
+    test('property: centrality grows with every relation and reaches the threshold for a critical parent alone', () => {
+      fc.assert(
+        fc.property(
+          fc.record({
+            blocks: fc.nat(10),
+            blockedBy: fc.nat(10),
+            linked: fc.nat(10),
+            subtasks: fc.nat(10)
+          }),
+          fc.constantFrom('blocks', 'blockedBy', 'linked', 'subtasks'),
+          fc.boolean(),
+          (counts, kind, hasCriticalParent) => {
+            const centrality = calculateCentrality(counts, hasCriticalParent);
+
+            expect(calculateCentrality({ ...counts, [kind]: counts[kind] + 1 }, hasCriticalParent)).toBeGreaterThan(centrality);
+            expect(calculateCentrality(counts, true)).toBeCloseTo(calculateCentrality(counts, false) + ISSUE_GRAPH_WEIGHTS.CRITICAL_PARENT, 5);
+            if (hasCriticalParent) {
+              expect(centrality).toBeGreaterThanOrEqual(CENTRALITY_THRESHOLD);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Epic grouping', () => {
+    test('should group tickets, participation and PRs by epic with the ungrouped artifacts last', () => {
+      const epics = groupArtifactsByEpic({
+        criticalTickets: [
+          { key: 'PROJ-1', epicKey: 'PROJ-100', epicSummary: 'Billing rewrite' },
+          { key: 'PROJ-2', epicKey: null, epicSummary: null }
+        ],
+        participation: [{ key: 'PROJ-3', epicKey: 'PROJ-200', epicSummary: 'Search' }],
+        incidents: [{ key: 'OPS-1' }],
+        highComplexityPRs: [
+          { id: 7, title: 'PROJ-1 retry ledger writes', description: '' },
+          { id: 8, title: 'Bump dependencies', description: '' }
+        ]
+      });
+
+      expect(epics).toEqual([
+        { epicKey: 'PROJ-100', summary: 'Billing rewrite', artifacts: ['JIRA-PROJ-1', 'PR #7'] },
+        { epicKey: 'PROJ-200', summary: 'Search', artifacts: ['JIRA-PROJ-3'] },
+        { epicKey: null, summary: null, artifacts: ['JIRA-PROJ-2', 'INCIDENT-OPS-1', 'PR #8'] }
+      ]);
+    });
+  });
+
+  describe('Scan Integration', () => {
+    test('should make blocking tickets and children of critical epics critical and group the report by epic', async () => {
+      mockHelpers.addMockJiraTickets([
+        mockHelpers.createMockJiraTicket({
+          id: 'graph-epic',
+          key: 'PROJ-900',
+          fields: {
+            summary: 'Ledger migration epic with plenty of undocumented decisions behind it',
+            description: 'Brief',
+            issuetype: { name: 'Epic', hierarchyLevel: 1 },
+            assignee: null,
+            comment: { total: 5 }
+          }
+        }),
+        mockHelpers.createMockJiraTicket({
+          id: 'graph-story',
+          key: 'PROJ-903',
+          fields: {
+            summary: 'Ledger story',
+            issuetype: { name: 'Story' },
+            assignee: null,
+            parent: { key: 'PROJ-900', fields: { summary: 'Ledger migration epic', issuetype: { name: 'Epic', hierarchyLevel: 1 } } }
+          }
+        }),
+        buildQuietTicket('PROJ-901', { issuelinks: ['PROJ-1', 'PROJ-2', 'PROJ-3', 'PROJ-4'].map(blocks) }),
+        buildQuietTicket('PROJ-902', {
+          parent: { key: 'PROJ-900', fields: { summary: 'Ledger migration epic', issuetype: { name: 'Epic', hierarchyLevel: 1 } } }
+        }),
+        buildQuietTicket('PROJ-904', { issuetype: { name: 'Sub-task' }, parent: { key: 'PROJ-903', fields: { issuetype: { name: 'Story' } } } }),
+        buildQuietTicket('PROJ-905', { issuelinks: [blocks('PROJ-1')] })
+      ]);
+
+      const result = await scanLastSixMonths({});
+      const report = result.reports.find(r => r.userId === 'user123');
+      const byKey = new Map(report.criticalJiraTickets.map(ticket => [ticket.key, ticket]));
+
+      expect(byKey.get('PROJ-901')).toMatchObject({ centrality: 2, criticalParent: null, epicKey: null });
+      expect(byKey.get('PROJ-902')).toMatchObject({ centrality: 2, criticalParent: 'PROJ-900', epicKey: 'PROJ-900' });
+      // A sub-task reaches its epic through its story
+      expect(byKey.get('PROJ-904')).toMatchObject({ criticalParent: 'PROJ-900', epicKey: 'PROJ-900' });
+      expect(byKey.has('PROJ-905')).toBe(false);
+
+      const reasons = new Map(report.scoreBreakdown.tickets.map(ticket => [ticket.key, ticket.reasons]));
+      expect(reasons.get('PROJ-901')).toContain('centrality 2 (blocks 4)');
+      expect(reasons.get('PROJ-902')).toContain('centrality 2 (child of critical PROJ-900)');
+
+      expect(report.epics[0]).toEqual({
+        epicKey: 'PROJ-900',
+        summary: 'Ledger migration epic with plenty of undocumented decisions behind it',
+        artifacts: ['JIRA-PROJ-902', 'JIRA-PROJ-904']
+      });
+      expect(report.epics[report.epics.length - 1].epicKey).toBeNull();
+      expect(report.epics[report.epics.length - 1].artifacts).toEqual(expect.arrayContaining(['JIRA-PROJ-901', 'JIRA-PROJ-123']));
+    });
+
+    test('should skip deleted parents and keep the hierarchy of the other tickets', async () => {
+      const epicParent = { key: 'PROJ-900', fields: { summary: 'Ledger migration epic', issuetype: { name: 'Epic', hierarchyLevel: 1 } } };
+      mockHelpers.addMockJiraTickets([
+        mockHelpers.createMockJiraTicket({
+          id: 'graph-epic',
+          key: 'PROJ-900',
+          fields: {
+            summary: 'Ledger migration epic with plenty of undocumented decisions behind it',
+            description: 'Brief',
+            issuetype: { name: 'Epic', hierarchyLevel: 1 },
+            assignee: null,
+            comment: { total: 5 }
+          }
+        }),
+        buildQuietTicket('PROJ-902', { parent: epicParent }),
+        buildQuietTicket('PROJ-906', { parent: { key: 'PROJ-999', fields: { issuetype: { name: 'Story' } } } })
+      ]);
+
+      const result = await scanLastSixMonths({});
+      const report = result.reports.find(r => r.userId === 'user123');
+
+      expect(report.criticalJiraTickets.find(ticket => ticket.key === 'PROJ-902')).toMatchObject({ criticalParent: 'PROJ-900', epicKey: 'PROJ-900' });
+      expect(report.criticalJiraTickets.map(ticket => ticket.key)).not.toContain('PROJ-906');
+      expect(console.warn).not.toHaveBeenCalledWith(expect.stringContaining('Issue hierarchy lookup failed'));
+    });
+
+    test('should group incidents under the epic they belong to', async () => {
+      const updated = new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString();
+      mockHelpers.addMockJiraTickets([mockHelpers.createMockJiraTicket({
+        id: 'graph-incident',
+        key: 'OPS-1',
+        fields: {
+          summary: 'Ledger writes stalled',
+          issuetype: { name: 'Incident' },
+          assignee: { accountId: 'user123', displayName: 'John Developer' },
+          updated,
+          resolution: { name: 'Fixed' },
+          parent: { key: 'PROJ-900', fields: { summary: 'Ledger migration epic', issuetype: { name: 'Epic', hierarchyLevel: 1 } } }
+        }
+      })]);
+
+      const result = await scanLastSixMonths({});
+      const report = result.reports.find(r => r.userId === 'user123');
+
+      expect(report.incidents.map(incident => [incident.key, incident.epicKey])).toEqual([['OPS-1', 'PROJ-900']]);
+      expect(report.epics).toContainEqual({ epicKey: 'PROJ-900', summary: 'Ledger migration epic', artifacts: ['INCIDENT-OPS-1'] });
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const fc = require('fast-check');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const jiraService = require('../services/jiraService');
+
+/**
+ * Build a list of mock Jira issues for pagination tests
+ * @param {number} count - Number of issues
+ * @returns {Array} Mock issues
+ */
+function buildIssues(count) {
+  return Array.from({ length: count }, (_, index) => mockHelpers.createMockJiraTicket({
+    id: `${10000 + index}`,
+    key: `PAGE-${index}`
+  }));
+}
+
+describe('Jira Service', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore?.();
+  });
+
+  describe('Unit Tests', () => {
+    describe('resolvePagination', () => {
+      it('should apply defaults when no options are given', () => {
+        expect(jiraService.resolvePagination()).toEqual({
+          pageSize: jiraService.SEARCH_DEFAULTS.PAGE_SIZE,
+          maxIssues: jiraService.SEARCH_DEFAULTS.MAX_ISSUES
+        });
+      });
+
+      it('should reject out-of-range page sizes and caps', () => {
+        expect(() => jiraService.resolvePagination({ pageSize: 0 })).toThrow('Page size must be an integer');
+        expect(() => jiraService.resolvePagination({ pageSize: 101 })).toThrow('Page size must be an integer');
+        expect(() => jiraService.resolvePagination({ maxIssues: -5 })).toThrow('Maximum issues must be a positive integer');
+      });
+    });
+
+    describe('iterateJiraSearch', () => {
+      it('should walk startAt offsets until the reported total', async () => {
+        mockHelpers.setMockJiraTickets(buildIssues(25));
+
+        const pages = [];
+        for await (const page of jiraService.iterateJiraSearch('updated >= "2024-01-01"', { pageSize: 10 })) {
+          pages.push(page);
+        }
+
+        expect(pages.map(page => page.issues.length)).toEqual([10, 10, 5]);
+        expect(pages.map(page => page.startAt)).toEqual([0, 10, 20]);
+
+        const searchPaths = mockHelpers.getApiCallHistory().jiraCalls.map(call => call[0]);
+        expect(searchPaths[1]).toContain('startAt=10');
+        expect(searchPaths[1]).toContain('maxResults=10');
+      });
+
+      it('should follow nextPageToken when Jira returns one', async () => {
+        mockHelpers.setMockJiraTickets(buildIssues(12));
+        mockHelpers.setJiraPaginationStyle('token');
+
+        const pages = [];
+        for await (const page of jiraService.iterateJiraSearch('project = PAGE', { pageSize: 5 })) {
+          pages.push(page);
+        }
+
+        expect(pages).toHaveLength(3);
+        expect(pages[2].hasMore).toBe(false);
+
+        const searchPaths = mockHelpers.getApiCallHistory().jiraCalls.map(call => call[0]);
+        expect(searchPaths[1]).toContain('nextPageToken=5');
+        expect(searchPaths[2]).toContain('nextPageToken=10');
+      });
+
+      it('should pass the expand parameter on every page', async () => {
+        mockHelpers.setMockJiraTickets(buildIssues(4));
+
+        for await (const page of jiraService.iterateJiraSearch('project = PAGE', { pageSize: 2, expand: 'changelog' })) {
+          expect(page.issues.length).toBe(2);
+        }
+
+        mockHelpers.getApiCallHistory().jiraCalls.forEach(call => {
+          expect(call[0]).toContain('expand=changelog');
+        });
+      });
+    });
+
+    describe('searchAllIssues', () => {
+      it('should collect every page and report full coverage', async () => {
+        mockHelpers.setMockJiraTickets(buildIssues(230));
+
+        const result = await jiraService.searchAllIssues('project = PAGE');
+
+        expect(result.fetched).toBe(230);
+        expect(result.available).toBe(230);
+        expect(result.truncated).toBe(false);
+        expect(result.pages).toBe(3);
+      });
+
+      it('should stop at the hard cap and flag the search as truncated', async () => {
+        mockHelpers.setMockJiraTickets(buildIssues(50));
+
+        const result = await jiraService.searchAllIssues('project = PAGE', { pageSize: 20, maxIssues: 30 });
+
+        expect(result.fetched).toBe(30);
+        expect(result.available).toBe(50);
+        expect(result.truncated).toBe(true);
+
+        // The final page only requests what is left under the cap
+        const searchPaths = mockHelpers.getApiCallHistory().jiraCalls.map(call => call[0]);
+        expect(searchPaths[1]).toContain('maxResults=10');
+      });
+
+      it('should report an unknown total for truncated token-based searches', async () => {
+        mockHelpers.setMockJiraTickets(buildIssues(15));
+        mockHelpers.setJiraPaginationStyle('token');
+
+        const result = await jiraService.searchAllIssues('project = PAGE', { pageSize: 5, maxIssues: 10 });
+
+        expect(result.fetched).toBe(10);
+        expect(result.available).toBeNull();
+        expect(result.truncated).toBe(true);
+      });
+
+      it('should throw when Jira responds with an error status', async () => {
+        mockHelpers.simulateError('jira');
+
+        await expect(jiraService.searchAllIssues('project = PAGE')).rejects.toThrow('Jira API Error');
+      });
+    });
+
+    describe('search coverage', () => {
+      it('should aggregate fetched vs. available totals across searches', () => {
+        const coverage = jiraService.createSearchCoverage();
+
+        jiraService.recordSearchCoverage(coverage, { fetched: 10, available: 10, truncated: false });
+        jiraService.recordSearchCoverage(coverage, { fetched: 5, available: 40, truncated: true });
+
+        expect(coverage).toEqual({
+          fetched: 15,
+          available: 50,
+          truncated: true,
+          searches: 2,
+          truncatedSearches: 1
+        });
+      });
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Property: pagination never exceeds the hard cap and never drops issues below it
+     */
+    it('should fetch min(total, maxIssues) unique issues for any page size', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 0, max: 120 }),
+          fc.integer({ min: 1, max: 100 }),
+          fc.integer({ min: 1, max: 150 }),
+          fc.constantFrom('offset', 'token'),
+          async (total, pageSize, maxIssues, style) => {
+            mockHelpers.resetMocks();
+            mockHelpers.setMockJiraTickets(buildIssues(total));
+            mockHelpers.setJiraPaginationStyle(style);
+
+            const result = await jiraService.searchAllIssues('project = PAGE', { pageSize, maxIssues });
+            const keys = new Set(result.issues.map(issue => issue.key));
+
+            expect(result.fetched).toBe(Math.min(total, maxIssues));
+            expect(keys.size).toBe(result.fetched);
+            expect(result.truncated).toBe(total > maxIssues);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
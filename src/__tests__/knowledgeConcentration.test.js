@@ -0,0 +1,205 @@
+const fc = require('fast-check');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const {
+  analyzeKnowledgeConcentration,
+  calculateBusFactor,
+  getDirectory
+} = require('../scanners/knowledgeConcentration');
+const { saveExclusionRules } = require('../services/exclusionRulesService');
+
+const longSummary = 'Rework the settlement reconciliation job so it survives partial upstream outages';
+
+/**
+ * Build a critical ticket (long summary, no documentation) in the given components
+ */
+function buildTicket(key, accountId, components) {
+  return mockHelpers.createMockJiraTicket({
+    id: key.replace(/\D/g, ''),
+    key,
+    fields: {
+      summary: longSummary,
+      description: '',
+      assignee: { accountId, displayName: `User ${accountId}` },
+      components: components.map(name => ({ name })),
+      comment: { total: 5 }
+    }
+  });
+}
+
+describe('Knowledge Concentration', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore?.();
+    console.warn.mockRestore?.();
+    console.error.mockRestore?.();
+  });
+
+  describe('calculateBusFactor', () => {
+    test('should count the contributors needed to cover half of the activity', () => {
+      expect(calculateBusFactor([10])).toBe(1);
+      expect(calculateBusFactor([6, 3, 1])).toBe(1);
+      expect(calculateBusFactor([4, 4, 2])).toBe(2);
+      expect(calculateBusFactor([1, 1, 1, 1, 1])).toBe(3);
+      expect(calculateBusFactor([])).toBe(0);
+    });
+
+    test('property: bus factor is between 1 and the number of contributors', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.integer({ min: 1, max: 100 }), { minLength: 1, maxLength: 20 }),
+          (activities) => {
+            const busFactor = calculateBusFactor(activities);
+            expect(busFactor).toBeGreaterThanOrEqual(1);
+            expect(busFactor).toBeLessThanOrEqual(activities.length);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('getDirectory', () => {
+    test('should truncate file paths to the configured depth', () => {
+      expect(getDirectory('src/auth/oauth/client.js', 2)).toBe('src/auth');
+      expect(getDirectory('src/auth/oauth/client.js', 3)).toBe('src/auth/oauth');
+      expect(getDirectory('README.md', 2)).toBe('/');
+    });
+  });
+
+  describe('analyzeKnowledgeConcentration', () => {
+    test('should compute contributor share and bus factor per component', async () => {
+      mockHelpers.setMockJiraTickets([
+        buildTicket('PAY-1', 'alice', ['Payments']),
+        buildTicket('PAY-2', 'alice', ['Payments']),
+        buildTicket('PAY-3', 'alice', ['Payments', 'Ledger']),
+        buildTicket('PAY-4', 'bob', ['Payments']),
+        buildTicket('LED-1', 'bob', ['Ledger'])
+      ]);
+
+      const result = await analyzeKnowledgeConcentration({});
+
+      expect(result.success).toBe(true);
+      const payments = result.components.find(area => area.name === 'Payments');
+      expect(payments.totalActivity).toBe(4);
+      expect(payments.topContributor).toMatchObject({ userId: 'alice', share: 75 });
+      expect(payments.busFactor).toBe(1);
+      expect(payments.flagged).toBe(true);
+
+      // Ledger is evenly split and below the minimum activity
+      const ledger = result.components.find(area => area.name === 'Ledger');
+      expect(ledger.busFactor).toBe(1);
+      expect(ledger.flagged).toBe(false);
+
+      expect(result.flagged.map(area => area.name)).toContain('Payments');
+    });
+
+    test('should attribute changed files to repository directories', async () => {
+      const result = await analyzeKnowledgeConcentration({ payload: { minActivity: 1 } });
+
+      expect(result.directories.length).toBeGreaterThan(0);
+      result.directories.forEach(area => {
+        expect(area.type).toBe('DIRECTORY');
+        expect(area.repository).toBeDefined();
+        const shareTotal = area.contributors.reduce((sum, contributor) => sum + contributor.share, 0);
+        expect(shareTotal).toBeCloseTo(100, 0);
+      });
+      expect(result.directories.some(area => area.name === 'auth' && area.flagged)).toBe(true);
+    });
+
+    test('should respect a custom concentration threshold', async () => {
+      mockHelpers.setMockJiraTickets([
+        buildTicket('PAY-1', 'alice', ['Payments']),
+        buildTicket('PAY-2', 'alice', ['Payments']),
+        buildTicket('PAY-3', 'bob', ['Payments'])
+      ]);
+
+      const strict = await analyzeKnowledgeConcentration({ payload: { concentrationThreshold: 80 } });
+      const lenient = await analyzeKnowledgeConcentration({ payload: { concentrationThreshold: 50 } });
+
+      expect(strict.components[0].flagged).toBe(false);
+      expect(lenient.components[0].flagged).toBe(true);
+    });
+
+    test('should report the execution of a complete analysis', async () => {
+      const result = await analyzeKnowledgeConcentration({ payload: { concurrency: 2 } });
+
+      expect(result.success).toBe(true);
+      expect(result.summary.execution).toMatchObject({
+        concurrency: 2,
+        stoppedBy: null,
+        totalUsers: result.summary.usersAnalyzed,
+        remainingUsers: 0
+      });
+      expect(result.summary.execution.requests.jira.used).toBeGreaterThan(0);
+    });
+
+    test('should stop taking users once the time budget has passed', async () => {
+      const realNow = Date.now;
+      let offset = 0;
+      const nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => realNow() + (offset += 1000));
+
+      try {
+        const result = await analyzeKnowledgeConcentration({ payload: { concurrency: 1, timeBudgetMs: 1500 } });
+
+        expect(result.success).toBe(true);
+        expect(result.summary.execution.totalUsers).toBeGreaterThan(1);
+        expect(result.summary.usersAnalyzed).toBe(1);
+        expect(result.summary.execution).toMatchObject({
+          stoppedBy: 'TIME_BUDGET',
+          remainingUsers: result.summary.execution.totalUsers - 1
+        });
+      } finally {
+        nowSpy.mockRestore();
+      }
+    });
+
+    test('should leave out users whose requests were refused by the request budget', async () => {
+      const result = await analyzeKnowledgeConcentration({
+        payload: { concurrency: 1, requestBudget: { bitbucket: { maxRequests: 1 } } }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.summary.execution.stoppedBy).toBe('REQUEST_BUDGET');
+      expect(result.summary.execution.requests.bitbucket.used).toBe(1);
+      expect(result.summary.usersAnalyzed).toBeLessThan(result.summary.execution.totalUsers);
+    });
+
+    test('should reject invalid execution options', async () => {
+      const result = await analyzeKnowledgeConcentration({ payload: { concurrency: 0 } });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('concurrency');
+    });
+
+    test('should leave out excluded users and issues', async () => {
+      mockHelpers.setMockJiraTickets([
+        buildTicket('PAY-1', 'alice', ['Payments']),
+        buildTicket('PAY-2', 'bob', ['Payments']),
+        buildTicket('PAY-3', 'bob', ['Payments']),
+        buildTicket('HR-1', 'alice', ['Payroll']),
+        buildTicket('PAY-4', 'deploy-bot', ['Payments'])
+      ]);
+      await saveExclusionRules({ payload: { users: { deny: ['deploy-bot'] }, projects: { deny: ['HR'] } } });
+
+      const result = await analyzeKnowledgeConcentration({});
+
+      expect(result.components.map(area => area.name)).toEqual(['Payments']);
+      expect(result.components[0].contributors.map(contributor => contributor.userId).sort()).toEqual(['alice', 'bob']);
+      expect(result.components[0].totalActivity).toBe(3);
+      expect(result.summary.exclusions).toMatchObject({ excludedUsers: 1, excludedIssues: 1 });
+    });
+
+    test('should reject invalid settings', async () => {
+      const result = await analyzeKnowledgeConcentration({ payload: { concentrationThreshold: 150 } });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('concentrationThreshold');
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const {
+  TASK_KIND,
+  selectTopArtifacts,
+  syncKnowledgeTransfer,
+  getKnowledgeTransferConfig,
+  saveKnowledgeTransferConfig
+} = require('../services/knowledgeTransferService');
+const { scanLastSixMonths, generateRecommendedActions } = require('../scanners/legacyDetector');
+
+/**
+ * Build a critical ticket (long summary, no documentation) assigned to the given user
+ */
+function buildTicket(key, accountId) {
+  return mockHelpers.createMockJiraTicket({
+    id: key.replace(/\D/g, ''),
+    key,
+    fields: {
+      summary: 'Rework the settlement reconciliation job so it survives partial upstream outages',
+      description: '',
+      assignee: { accountId, displayName: `User ${accountId}` },
+      comment: { total: 5 }
+    }
+  });
+}
+
+const config = {
+  enabled: true,
+  projectKey: 'KT',
+  managerMapping: { alice: 'manager-1' },
+  defaultAssignee: 'hr-lead'
+};
+
+describe('Knowledge Transfer Tasks', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore?.();
+    console.info.mockRestore?.();
+    console.warn.mockRestore?.();
+    console.error.mockRestore?.();
+  });
+
+  describe('Configuration', () => {
+    test('should be disabled by default and validate saves', async () => {
+      expect((await getKnowledgeTransferConfig()).config).toMatchObject({ enabled: false, minRiskLevel: 'HIGH', topArtifacts: 5 });
+      expect((await saveKnowledgeTransferConfig({ payload: { enabled: true } })).error)
+        .toBe('A projectKey is required to create knowledge-transfer tasks');
+      expect((await saveKnowledgeTransferConfig({ payload: { minRiskLevel: 'SEVERE' } })).error)
+        .toBe('minRiskLevel must be one of LOW, MEDIUM, HIGH, CRITICAL');
+      expect((await saveKnowledgeTransferConfig({ payload: { managerMapping: { alice: '' } } })).error)
+        .toBe('managerMapping must map user account IDs to manager account IDs');
+      expect((await saveKnowledgeTransferConfig({ payload: config })).config).toMatchObject(config);
+    });
+  });
+
+  describe('selectTopArtifacts', () => {
+    test('should rank tickets and pull requests by adjusted contribution', () => {
+      const report = {
+        scoreBreakdown: {
+          tickets: [{ key: 'PAY-1', summary: 'Ledger', adjustedContribution: 2 }, { key: 'PAY-2', summary: 'Locks', adjustedContribution: 1 }],
+          pullRequests: [{ id: 7, title: 'Retry queue', adjustedContribution: 4.5 }]
+        }
+      };
+
+      expect(selectTopArtifacts(report, 2)).toEqual([
+        { artifact: 'PR #7', title: 'Retry queue', contribution: 4.5 },
+        { artifact: 'JIRA-PAY-1', title: 'Ledger', contribution: 2 }
+      ]);
+    });
+  });
+
+  describe('Scan Integration', () => {
+    beforeEach(async () => {
+      mockHelpers.setMockJiraTickets([buildTicket('PAY-1', 'alice'), buildTicket('PAY-2', 'alice'), buildTicket('PAY-3', 'bob')]);
+      await saveKnowledgeTransferConfig({ payload: config });
+    });
+
+    test('should create an epic with a task per action and artifact for at-risk users only', async () => {
+      const result = await scanLastSixMonths({ payload: {} });
+      const alice = result.reports.find(report => report.userId === 'alice');
+      const bob = result.reports.find(report => report.userId === 'bob');
+      const issues = mockHelpers.getCreatedJiraIssues();
+      const [epic, ...tasks] = issues;
+      const actions = generateRecommendedActions('HIGH', 2);
+
+      expect(alice.riskLevel).toBe('HIGH');
+      expect(bob.knowledgeTransfer).toBeNull();
+      expect(epic.fields).toMatchObject({ issuetype: { name: 'Epic' }, summary: 'Knowledge transfer: User alice', assignee: { accountId: 'manager-1' } });
+      expect(tasks).toHaveLength(actions.length + 2);
+      expect(tasks.every(task => task.fields.parent.key === epic.key && task.fields.assignee.accountId === 'manager-1')).toBe(true);
+      expect(tasks.map(task => task.fields.summary)).toEqual(expect.arrayContaining([
+        `${actions[0]} (User alice)`,
+        expect.stringMatching(/^Document JIRA-PAY-1: Rework the settlement/)
+      ]));
+      expect(alice.knowledgeTransfer).toMatchObject({
+        epicKey: epic.key,
+        taskKeys: tasks.map(task => task.key),
+        progress: { done: 0, total: tasks.length, percent: 0 }
+      });
+      expect(result.summary.knowledgeTransferTasksCreated).toBe(tasks.length);
+    });
+
+    test('should not duplicate tasks and should report progress on later scans', async () => {
+      const first = await scanLastSixMonths({ payload: {} });
+      const { taskKeys } = first.reports.find(report => report.userId === 'alice').knowledgeTransfer;
+      mockHelpers.setMockIssueStatus(taskKeys[0], 'Done', 'done');
+
+      const second = await scanLastSixMonths({ payload: {} });
+      const alice = second.reports.find(report => report.userId === 'alice');
+
+      expect(mockHelpers.getCreatedJiraIssues()).toHaveLength(taskKeys.length + 1);
+      expect(alice.knowledgeTransfer).toMatchObject({
+        taskKeys,
+        created: [],
+        progress: { done: 1, total: taskKeys.length }
+      });
+      expect(second.summary.knowledgeTransferTasksCreated).toBe(0);
+    });
+
+    test('should turn the critical-risk actions into tasks for critical users', async () => {
+      mockHelpers.addMockJiraTickets([buildTicket('PAY-4', 'alice')]);
+
+      const result = await scanLastSixMonths({ payload: {} });
+      const alice = result.reports.find(report => report.userId === 'alice');
+      const summaries = mockHelpers.getCreatedJiraIssues().map(issue => issue.fields.summary);
+
+      expect(alice.riskLevel).toBe('CRITICAL');
+      expect(summaries).toEqual(expect.arrayContaining(
+        generateRecommendedActions('CRITICAL', 3).map(action => `${action} (User alice)`)
+      ));
+      expect(summaries).not.toContain('Encourage documentation best practices (User alice)');
+    });
+
+    test('should report deleted tasks as missing without losing the progress of the others', async () => {
+      const first = await scanLastSixMonths({ payload: {} });
+      const { taskKeys } = first.reports.find(report => report.userId === 'alice').knowledgeTransfer;
+      const created = mockHelpers.getCreatedJiraIssues();
+      created.splice(created.findIndex(issue => issue.key === taskKeys[1]), 1);
+      mockHelpers.setMockIssueStatus(taskKeys[0], 'Done', 'done');
+
+      const second = await scanLastSixMonths({ payload: {} });
+      const tasks = mockHelpers.getStorageState()['knowledge-transfer:user:alice'].tasks;
+
+      expect(second.reports.find(report => report.userId === 'alice').knowledgeTransfer.progress)
+        .toMatchObject({ done: 1, total: taskKeys.length });
+      expect(tasks.find(task => task.key === taskKeys[1])).toMatchObject({ status: 'Missing', done: false });
+    });
+
+    test('should keep reporting progress after the risk drops and add tasks for new artifacts', async () => {
+      const user = { accountId: 'carol', displayName: 'Carol' };
+      const report = ticketKeys => ({
+        riskLevel: 'CRITICAL',
+        undocumentedIntensityScore: 6,
+        scoreBreakdown: { tickets: ticketKeys.map(key => ({ key, summary: key, adjustedContribution: 2 })), pullRequests: [] }
+      });
+      const settings = { ...(await getKnowledgeTransferConfig()).config, topArtifacts: 5 };
+
+      const created = await syncKnowledgeTransfer(user, report(['OPS-1']), ['Review code ownership'], settings);
+      const extended = await syncKnowledgeTransfer(user, report(['OPS-1', 'OPS-2']), ['Review code ownership'], settings);
+      const lowered = await syncKnowledgeTransfer(user, { ...report(['OPS-3']), riskLevel: 'LOW' }, [], settings);
+
+      expect(created.created).toHaveLength(2);
+      expect(created.taskKeys).toEqual(created.created);
+      expect(extended.created).toHaveLength(1);
+      expect(lowered).toMatchObject({ epicKey: created.epicKey, created: [], progress: { total: 3 } });
+      expect(mockHelpers.getStorageState()['knowledge-transfer:user:carol'].tasks.map(task => task.kind))
+        .toEqual([TASK_KIND.ACTION, TASK_KIND.ARTIFACT, TASK_KIND.ARTIFACT]);
+      expect(mockHelpers.getCreatedJiraIssues()[0].fields.assignee).toEqual({ accountId: 'hr-lead' });
+    });
+  });
+});
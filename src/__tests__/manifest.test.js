@@ -1,5 +1,7 @@
 const fs = require('fs');
 const yaml = require('js-yaml');
+const { WEBHOOK_HOSTS } = require('../services/notificationService');
+const { EMAIL_HOSTS } = require('../services/emailService');
 
 /**
  * Unit tests for manifest configuration validation
@@ -36,7 +38,8 @@ describe('Manifest Configuration Validation', () => {
         'read:jira-work',
         'read:confluence-content.all', 
         'write:confluence-content',
-        'read:user:jira'
+        'read:user:jira',
+        'search:confluence'
       ];
       
       requiredPermissions.forEach(permission => {
@@ -45,6 +48,16 @@ describe('Manifest Configuration Validation', () => {
     });
   });
 
+  describe('External Fetch Permissions', () => {
+    test('should allow every host the notification channels fetch', () => {
+      const backend = manifest.permissions.external.fetch.backend;
+
+      [...EMAIL_HOSTS, ...WEBHOOK_HOSTS].forEach(host => {
+        expect(backend).toContain(`https://${host}`);
+      });
+    });
+  });
+
   describe('Rovo Agent Configuration', () => {
     test('should have Legacy Keeper agent configured', () => {
       const agent = manifest.modules['rovo:agent'].find(a => a.key === 'legacy-keeper');
@@ -98,9 +111,42 @@ describe('Manifest Configuration Validation', () => {
     });
   });
 
+  describe('Scheduled Trigger Configuration', () => {
+    test('should run the Legacy Detector weekly', () => {
+      const trigger = manifest.modules.scheduledTrigger.find(t => t.key === 'weekly-legacy-scan');
+      expect(trigger).toBeDefined();
+      expect(trigger.interval).toBe('week');
+      expect(trigger.function).toBe('runScheduledScan');
+    });
+
+    test('should point the trigger at a defined function handler', () => {
+      const scheduledFunction = manifest.modules.function.find(f => f.key === 'runScheduledScan');
+      expect(scheduledFunction).toBeDefined();
+      expect(scheduledFunction.handler).toBe('index.runScheduledScan');
+    });
+
+    test('should resume paused scheduled scans hourly', () => {
+      const trigger = manifest.modules.scheduledTrigger.find(t => t.key === 'hourly-legacy-scan-resume');
+      const handler = manifest.modules.function.find(f => f.key === trigger.function);
+      expect(trigger.interval).toBe('hour');
+      expect(handler.handler).toBe('index.resumeScheduledScan');
+    });
+
+    test('should run departure roster offboarding daily', () => {
+      const trigger = manifest.modules.scheduledTrigger.find(t => t.key === 'daily-departure-offboarding');
+      const handler = manifest.modules.function.find(f => f.key === trigger.function);
+      expect(trigger.interval).toBe('day');
+      expect(handler.handler).toBe('index.runDepartureOffboarding');
+    });
+  });
+
   describe('Permissions Configuration', () => {
     test('should have read:confluence-user permission', () => {
       expect(manifest.permissions.scopes).toContain('read:confluence-user');
     });
+
+    test('should contain storage:app permission for persisted scan state', () => {
+      expect(manifest.permissions.scopes).toContain('storage:app');
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,363 @@
+const fc = require('fast-check');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const {
+  DELIVERY_STATUS,
+  renderTemplate,
+  dispatchKnowledgeGapNotification,
+  getNotificationConfig,
+  saveNotificationConfig,
+  getNotificationDeliveryLog
+} = require('../services/notificationService');
+const api = require('@forge/api');
+const { sendMail } = require('../services/emailService');
+const { createRequestBudget, resolveRequestBudget, runWithRequestBudget } = require('../utils/requestBudget');
+const { scanLastSixMonths } = require('../scanners/legacyDetector');
+
+const NOW = new Date('2026-03-01T09:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Build a notification like logKnowledgeGapNotification does
+ */
+function buildNotification(accountId = 'alice', riskLevel = 'HIGH') {
+  return {
+    type: 'UNDOCUMENTED_INTENSITY_DETECTED',
+    user: { accountId, displayName: `User ${accountId}` },
+    riskLevel,
+    undocumentedIntensityScore: 4.256,
+    specificArtifacts: ['JIRA-PAY-1', 'PR #12'],
+    explanation: ['Score 4.26 (HIGH) = base 4.26 / documentation divisor 1'],
+    message: `High Undocumented Intensity detected for User ${accountId}`,
+    recommendedActions: ['Schedule knowledge transfer session']
+  };
+}
+
+describe('Notification Service', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore?.();
+    console.info.mockRestore?.();
+    console.warn.mockRestore?.();
+    console.error.mockRestore?.();
+  });
+
+  describe('renderTemplate', () => {
+    test('should fill dotted paths, list arrays one per line and drop unknown placeholders', () => {
+      const rendered = renderTemplate({
+        subject: '{{user.displayName}} is {{ riskLevel }} ({{score}}){{missing.path}}',
+        body: 'Artifacts:\n{{specificArtifacts}}'
+      }, buildNotification());
+
+      expect(rendered).toEqual({
+        subject: 'User alice is HIGH (4.26)',
+        body: 'Artifacts:\nJIRA-PAY-1\nPR #12'
+      });
+    });
+  });
+
+  describe('Configuration', () => {
+    test('should start with every channel disabled', async () => {
+      const result = await getNotificationConfig();
+
+      expect(result.success).toBe(true);
+      expect(result.channels.map(channel => channel.id)).toEqual(['jira', 'confluence', 'webhook', 'email']);
+      expect(Object.values(result.config.channels).every(settings => settings.enabled === false)).toBe(true);
+      expect(result.config.throttleHours).toBe(720);
+    });
+
+    test('should reject unknown channels and unusable settings', async () => {
+      expect((await saveNotificationConfig({ payload: { channels: { slack: { enabled: true } } } })).error)
+        .toContain('Unknown notification channel: slack');
+      expect((await saveNotificationConfig({ payload: { channels: { jira: { enabled: true } } } })).error)
+        .toBe('Jira notifications need a projectKey');
+      expect((await saveNotificationConfig({ payload: { channels: { webhook: { enabled: true, url: 'ftp://hooks' } } } })).error)
+        .toBe('Webhook notifications need an https url on one of: hooks.slack.com, *.webhook.office.com');
+      // Forge blocks fetches to hosts missing from the manifest, so they cannot be configured
+      expect((await saveNotificationConfig({ payload: { channels: { webhook: { enabled: true, url: 'https://hooks.example.com/legacy' } } } })).success)
+        .toBe(false);
+      expect((await saveNotificationConfig({ payload: { channels: { webhook: { enabled: true, url: 'http://hooks.slack.com/services/T000' } } } })).success)
+        .toBe(false);
+      expect((await saveNotificationConfig({ payload: { channels: { webhook: { enabled: true, url: 'https://acme.webhook.office.com/webhookb2/1' } } } })).success)
+        .toBe(true);
+      expect((await saveNotificationConfig({ payload: { throttleHours: -1 } })).error)
+        .toBe('throttleHours must be a non-negative number');
+    });
+
+    test('should reject webhook headers that are reserved, malformed or not strings', async () => {
+      const saveHeaders = async headers => (await saveNotificationConfig({
+        payload: { channels: { webhook: { enabled: true, url: 'https://hooks.slack.com/services/T000', headers } } }
+      })).error;
+
+      expect(await saveHeaders({ 'Transfer-Encoding': 'chunked' })).toBe('Webhook header Transfer-Encoding cannot be set');
+      expect(await saveHeaders({ host: 'internal.example.com' })).toBe('Webhook header host cannot be set');
+      expect(await saveHeaders({ 'Content-Length': '0' })).toBe('Webhook header Content-Length cannot be set');
+      expect(await saveHeaders({ Connection: 'close' })).toBe('Webhook header Connection cannot be set');
+      expect(await saveHeaders({ 'X-Retries': 3 })).toBe('Webhook header X-Retries must be a single-line string');
+      expect(await saveHeaders({ 'X-Token': 'abc\r\nX-Injected: 1' })).toBe('Webhook header X-Token must be a single-line string');
+      expect(await saveHeaders({ 'X Token': 'abc' })).toBe('Webhook header name "X Token" is not a valid header name');
+      expect(await saveHeaders(['X-Token'])).toBe('Webhook headers must be an object of header names and values');
+      expect(await saveHeaders({ 'Authorization': 'Bearer t0ken', 'X-Team': 'payments' })).toBeUndefined();
+    });
+
+    test('should reject unknown email providers and endpoints off the provider hosts', async () => {
+      const email = { enabled: true, apiKey: 'SG.s3cret', from: 'keeper@example.com', to: ['hr@example.com'] };
+      const saveEmail = async settings => (await saveNotificationConfig({ payload: { channels: { email: { ...email, ...settings } } } })).error;
+
+      expect(await saveEmail({ provider: 'smtp' })).toBe('Unknown email provider smtp. Available: sendgrid, postmark');
+      expect(await saveEmail({ endpoint: 'https://mail.example.com/v3/mail/send' }))
+        .toBe('The sendgrid endpoint must be an https URL on one of: api.sendgrid.com, api.eu.sendgrid.com');
+      expect(await saveEmail({ provider: 'postmark', endpoint: 'http://api.postmarkapp.com/email' }))
+        .toBe('The postmark endpoint must be an https URL on one of: api.postmarkapp.com');
+      expect(await saveEmail({ endpoint: 'https://api.eu.sendgrid.com/v3/mail/send' })).toBeUndefined();
+    });
+
+    test('should mask stored API keys and keep them on masked saves', async () => {
+      const email = { enabled: true, apiKey: 'SG.s3cret', from: 'keeper@example.com', to: ['hr@example.com'] };
+      const saved = await saveNotificationConfig({ payload: { channels: { email } } });
+      const resaved = await saveNotificationConfig({ payload: { channels: { email: { ...saved.config.channels.email, to: ['lead@example.com'] } } } });
+      const stored = mockHelpers.getStorageState()['notifications:config'];
+
+      expect(saved.config.channels.email.apiKey).toBe('********');
+      expect(resaved.config.channels.email.to).toEqual(['lead@example.com']);
+      expect(stored.channels.email.apiKey).toBe('SG.s3cret');
+    });
+
+    test('should mask webhook header values and keep masked ones on save', async () => {
+      const webhook = {
+        enabled: true,
+        url: 'https://hooks.slack.com/services/T000/B000/legacy',
+        headers: { 'Authorization': 'Bearer t0ken', 'X-Team': 'payments' }
+      };
+      const saved = await saveNotificationConfig({ payload: { channels: { webhook } } });
+      const resaved = await saveNotificationConfig({
+        payload: { channels: { webhook: { headers: { ...saved.config.channels.webhook.headers, 'X-Team': 'billing' } } } }
+      });
+      const loaded = await getNotificationConfig();
+      const stored = mockHelpers.getStorageState()['notifications:config'];
+
+      expect(saved.config.channels.webhook.headers).toEqual({ 'Authorization': '********', 'X-Team': '********' });
+      expect(loaded.config.channels.webhook.headers).toEqual({ 'Authorization': '********', 'X-Team': '********' });
+      expect(resaved.success).toBe(true);
+      expect(stored.channels.webhook.headers).toEqual({ 'Authorization': 'Bearer t0ken', 'X-Team': 'billing' });
+    });
+  });
+
+  describe('dispatchKnowledgeGapNotification', () => {
+    beforeEach(async () => {
+      await saveNotificationConfig({
+        payload: {
+          channels: {
+            jira: { enabled: true, projectKey: 'KG' },
+            webhook: { enabled: true, url: 'https://hooks.slack.com/services/T000/B000/legacy', headers: { 'X-Token': 'abc' } }
+          },
+          templates: { webhook: { body: '{{user.displayName}}: {{riskLevel}}' } }
+        }
+      });
+    });
+
+    test('should deliver through every enabled channel with its own template and log each delivery', async () => {
+      const result = await dispatchKnowledgeGapNotification(buildNotification(), { now: NOW });
+      const [issueCall] = mockHelpers.getApiCallHistory().jiraCalls.filter(([path]) => path === '/rest/api/3/issue');
+      const [[url, request]] = mockHelpers.getApiCallHistory().fetchCalls;
+      const issue = JSON.parse(issueCall[1].body).fields;
+      const log = await getNotificationDeliveryLog({ payload: { userId: 'alice' } });
+
+      expect(result.status).toBe(DELIVERY_STATUS.SENT);
+      expect(result.deliveries.map(entry => [entry.channel, entry.status, entry.reference])).toEqual([
+        ['jira', 'SENT', 'KG-1'],
+        ['webhook', 'SENT', 'HTTP 200']
+      ]);
+      expect(issue.summary).toBe('Capture knowledge from User alice (HIGH knowledge gap)');
+      expect(issue.description.content.map(paragraph => (paragraph.content[0] || {}).text)).toContain('JIRA-PAY-1');
+      expect(url).toBe('https://hooks.slack.com/services/T000/B000/legacy');
+      expect(request.headers['X-Token']).toBe('abc');
+      expect(JSON.parse(request.body)).toMatchObject({ text: 'User alice: HIGH', notification: { riskLevel: 'HIGH' } });
+      expect(log.entries.map(entry => entry.channel)).toEqual(['webhook', 'jira']);
+    });
+
+    test('should throttle repeat alerts unless the risk level rises', async () => {
+      await dispatchKnowledgeGapNotification(buildNotification('bob', 'HIGH'), { now: NOW });
+
+      const repeat = await dispatchKnowledgeGapNotification(buildNotification('bob', 'HIGH'), { now: new Date(NOW.getTime() + 24 * HOUR_MS) });
+      const escalated = await dispatchKnowledgeGapNotification(buildNotification('bob', 'CRITICAL'), { now: new Date(NOW.getTime() + 48 * HOUR_MS) });
+      const expired = await dispatchKnowledgeGapNotification(buildNotification('bob', 'CRITICAL'), { now: new Date(NOW.getTime() + 800 * HOUR_MS) });
+
+      expect(repeat.status).toBe(DELIVERY_STATUS.THROTTLED);
+      expect(escalated.status).toBe(DELIVERY_STATUS.SENT);
+      expect(expired.status).toBe(DELIVERY_STATUS.SENT);
+      expect((await getNotificationDeliveryLog({ payload: { status: 'THROTTLED' } })).total).toBe(1);
+    });
+
+    test('should record failed channels without blocking the others', async () => {
+      mockHelpers.setMockFetchResponse(500);
+
+      const result = await dispatchKnowledgeGapNotification(buildNotification('carol'), { now: NOW });
+      const failed = await getNotificationDeliveryLog({ payload: { channel: 'webhook' } });
+
+      expect(result.status).toBe('PARTIAL');
+      expect(failed.entries[0]).toMatchObject({ status: 'FAILED', error: 'Webhook delivery failed with status 500' });
+      expect((await dispatchKnowledgeGapNotification(buildNotification('carol'), { now: NOW })).status).toBe(DELIVERY_STATUS.THROTTLED);
+    });
+
+    test('should not send through settings stored before they became invalid', async () => {
+      const stored = mockHelpers.getStorageState()['notifications:config'];
+      stored.channels.webhook = { ...stored.channels.webhook, url: 'https://discord.com/api/webhooks/1/legacy', headers: { Host: 'internal' } };
+      mockHelpers.setStorageState({ 'notifications:config': stored });
+
+      const result = await dispatchKnowledgeGapNotification(buildNotification('ivan'), { now: NOW });
+
+      expect(result.deliveries.find(entry => entry.channel === 'webhook')).toMatchObject({
+        status: 'FAILED',
+        error: 'Webhook notifications need an https url on one of: hooks.slack.com, *.webhook.office.com'
+      });
+      expect(mockHelpers.getApiCallHistory().fetchCalls).toHaveLength(0);
+    });
+
+    test('property: the same risk level is alerted at most once per throttle period', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.integer({ min: 0, max: 2000 }), { minLength: 1, maxLength: 8 }),
+          async (offsets) => {
+            mockHelpers.setMockState({ storage: {} });
+            await saveNotificationConfig({ payload: { channels: { jira: { enabled: true, projectKey: 'KG' } } } });
+
+            const sentAt = [];
+            for (const offset of [...offsets].sort((a, b) => a - b)) {
+              const now = new Date(NOW.getTime() + offset * HOUR_MS);
+              const result = await dispatchKnowledgeGapNotification(buildNotification('dave'), { now });
+              if (result.status === DELIVERY_STATUS.SENT) {
+                sentAt.push(offset);
+              }
+            }
+
+            expect(sentAt[0]).toBe(Math.min(...offsets));
+            sentAt.slice(1).forEach((offset, index) => {
+              expect(offset - sentAt[index]).toBeGreaterThanOrEqual(720);
+            });
+          }
+        ),
+        { numRuns: 30 }
+      );
+    });
+  });
+
+  describe('Confluence Channel', () => {
+    test('should comment on the page within the request budget', async () => {
+      await saveNotificationConfig({ payload: { channels: { confluence: { enabled: true, pageId: '4242' } } } });
+      const budget = createRequestBudget(resolveRequestBudget({ confluence: { maxRequests: 1 } }));
+
+      const first = await runWithRequestBudget(budget, () => dispatchKnowledgeGapNotification(buildNotification('gina'), { now: NOW }));
+      const second = await runWithRequestBudget(budget, () => dispatchKnowledgeGapNotification(buildNotification('hank'), { now: NOW }));
+      const [[path, request]] = mockHelpers.getApiCallHistory().confluenceCalls;
+
+      expect(first.deliveries[0]).toMatchObject({ channel: 'confluence', status: 'SENT' });
+      expect(path).toBe('/wiki/rest/api/content');
+      expect(JSON.parse(request.body).container).toEqual({ id: '4242', type: 'page' });
+      expect(budget.apis.confluence.used).toBe(1);
+      expect(second.deliveries[0]).toMatchObject({ channel: 'confluence', status: 'FAILED' });
+      expect(mockHelpers.getApiCallHistory().confluenceCalls).toHaveLength(1);
+    });
+  });
+
+  describe('Email Channel', () => {
+    test('should send the rendered alert through the mail API', async () => {
+      await saveNotificationConfig({
+        payload: {
+          channels: { email: { enabled: true, apiKey: 'SG.s3cret', from: 'keeper@example.com', to: ['hr@example.com', 'lead@example.com'] } },
+          templates: { email: { body: '{{message}}\n.hidden line stays' } }
+        }
+      });
+
+      const result = await dispatchKnowledgeGapNotification(buildNotification('erin'), { now: NOW });
+      const [[url, request]] = mockHelpers.getApiCallHistory().fetchCalls;
+
+      expect(result.deliveries[0]).toMatchObject({ channel: 'email', status: 'SENT', reference: 'HTTP 200' });
+      expect(url).toBe('https://api.sendgrid.com/v3/mail/send');
+      expect(request.headers.Authorization).toBe('Bearer SG.s3cret');
+      expect(JSON.parse(request.body)).toEqual({
+        personalizations: [{ to: [{ email: 'hr@example.com' }, { email: 'lead@example.com' }] }],
+        from: { email: 'keeper@example.com' },
+        subject: '[Legacy Keeper] User erin has a HIGH knowledge gap',
+        content: [{ type: 'text/plain', value: 'High Undocumented Intensity detected for User erin\n.hidden line stays' }]
+      });
+    });
+
+    test('should post to the configured provider and endpoint', async () => {
+      const message = { from: 'keeper@example.com', to: ['hr@example.com', 'lead@example.com'], subject: 'Gap\r\nfound', text: 'Body' };
+
+      const postmark = await sendMail({ provider: 'postmark', apiKey: 'pm-t0ken' }, message);
+      await sendMail({ provider: 'sendgrid', endpoint: 'https://api.eu.sendgrid.com/v3/mail/send', apiKey: 'SG.eu' }, message);
+      const [[postmarkUrl, postmarkRequest], [sendGridUrl, sendGridRequest]] = mockHelpers.getApiCallHistory().fetchCalls;
+
+      expect(postmark).toEqual({ accepted: ['hr@example.com', 'lead@example.com'], response: 'HTTP 200' });
+      expect(postmarkUrl).toBe('https://api.postmarkapp.com/email');
+      expect(postmarkRequest.headers).toMatchObject({ 'X-Postmark-Server-Token': 'pm-t0ken', 'Content-Type': 'application/json' });
+      expect(JSON.parse(postmarkRequest.body)).toEqual({
+        From: 'keeper@example.com',
+        To: 'hr@example.com, lead@example.com',
+        Subject: 'Gap found',
+        TextBody: 'Body'
+      });
+      expect(sendGridUrl).toBe('https://api.eu.sendgrid.com/v3/mail/send');
+      expect(sendGridRequest.headers.Authorization).toBe('Bearer SG.eu');
+    });
+
+    test('should fail without a request when the provider or endpoint is not allowed', async () => {
+      const message = { from: 'keeper@example.com', to: ['hr@example.com'], subject: 'Test', text: 'Body' };
+
+      await expect(sendMail({ provider: 'mailchimp', apiKey: 'k' }, message)).rejects.toThrow('Unknown email provider mailchimp');
+      await expect(sendMail({ endpoint: 'https://evil.example.com/send', apiKey: 'k' }, message))
+        .rejects.toThrow('The sendgrid endpoint must be an https URL on one of');
+      expect(mockHelpers.getApiCallHistory().fetchCalls).toHaveLength(0);
+    });
+
+    test('should fail when the mail API cannot be reached', async () => {
+      api.fetch.mockRejectedValueOnce(new Error('ECONNRESET'));
+
+      await expect(sendMail(
+        { apiKey: 'SG.s3cret' },
+        { from: 'keeper@example.com', to: ['hr@example.com'], subject: 'Test', text: 'Body' }
+      )).rejects.toMatchObject({ code: 'EMAIL_DELIVERY_FAILED', message: 'Email API request failed: ECONNRESET' });
+    });
+
+    test('should fail with the API status when the message is rejected', async () => {
+      mockHelpers.setMockFetchResponse(401);
+
+      await expect(sendMail(
+        { apiKey: 'SG.wrong' },
+        { from: 'keeper@example.com', to: ['hr@example.com'], subject: 'Test', text: 'Body' }
+      )).rejects.toThrow('Email API rejected the message with status 401');
+    });
+  });
+
+  describe('Scan Integration', () => {
+    test('should alert about high risk users found by a scan once per throttle period', async () => {
+      const ticket = key => mockHelpers.createMockJiraTicket({
+        id: key.replace(/\D/g, ''),
+        key,
+        fields: {
+          summary: 'Rework the settlement reconciliation job so it survives partial upstream outages',
+          description: '',
+          assignee: { accountId: 'frank', displayName: 'Frank' },
+          comment: { total: 5 }
+        }
+      });
+      mockHelpers.setMockJiraTickets([ticket('PAY-1'), ticket('PAY-2')]);
+      await saveNotificationConfig({ payload: { channels: { jira: { enabled: true, projectKey: 'KG' } } } });
+
+      const first = await scanLastSixMonths({ payload: {} });
+      await scanLastSixMonths({ payload: {} });
+      const log = await getNotificationDeliveryLog({ payload: { userId: 'frank' } });
+
+      expect(first.reports[0].riskLevel).toBe('HIGH');
+      expect(log.entries.map(entry => entry.status)).toEqual(['THROTTLED', 'SENT']);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const fc = require('fast-check');
+const {
+  PARTICIPATION_WEIGHTS,
+  MAX_ISSUE_PARTICIPATION,
+  DISCOVERY_THRESHOLD,
+  createRoleCounts,
+  extractIssueParticipants,
+  weighParticipation,
+  addRoleCounts
+} = require('../utils/participation');
+
+const user = accountId => ({ accountId, displayName: `User ${accountId}` });
+
+describe('Participation', () => {
+  describe('extractIssueParticipants', () => {
+    test('should count every role a user holds on an issue', () => {
+      const participants = extractIssueParticipants({
+        key: 'PART-1',
+        fields: {
+          assignee: user('dev'),
+          reporter: user('lead'),
+          comment: { comments: [{ author: user('lead') }, { author: user('reviewer') }, { author: user('reviewer') }] }
+        },
+        changelog: { histories: [{ author: user('dev') }, { author: user('triage') }, { author: null }] }
+      });
+
+      expect(Object.fromEntries(Array.from(participants.entries()).map(([accountId, { roles }]) => [accountId, roles]))).toEqual({
+        dev: { assignee: 1, reporter: 0, commenter: 0, changelogAuthor: 1 },
+        lead: { assignee: 0, reporter: 1, commenter: 1, changelogAuthor: 0 },
+        reviewer: { assignee: 0, reporter: 0, commenter: 2, changelogAuthor: 0 },
+        triage: { assignee: 0, reporter: 0, commenter: 0, changelogAuthor: 1 }
+      });
+      expect(participants.get('lead').displayName).toBe('User lead');
+    });
+
+    test('should handle issues without people, comments or a changelog', () => {
+      expect(extractIssueParticipants({ fields: { assignee: null } }).size).toBe(0);
+      expect(extractIssueParticipants({}).size).toBe(0);
+    });
+  });
+
+  describe('weighParticipation', () => {
+    test('should weigh each role and cap the weight of one issue', () => {
+      expect(weighParticipation({ ...createRoleCounts(), reporter: 1 })).toBe(0.5);
+      expect(weighParticipation({ ...createRoleCounts(), commenter: 1 })).toBe(0.25);
+      expect(weighParticipation({ ...createRoleCounts(), changelogAuthor: 1 })).toBeLessThan(DISCOVERY_THRESHOLD);
+      expect(weighParticipation({ ...createRoleCounts(), assignee: 1, reporter: 1 })).toBe(MAX_ISSUE_PARTICIPATION);
+    });
+
+    test('property: weights stay between zero and the cap and grow with involvement', () => {
+      const roleCounts = fc.record({
+        assignee: fc.integer({ min: 0, max: 1 }),
+        reporter: fc.integer({ min: 0, max: 1 }),
+        commenter: fc.integer({ min: 0, max: 20 }),
+        changelogAuthor: fc.integer({ min: 0, max: 50 })
+      });
+
+      fc.assert(
+        fc.property(roleCounts, fc.constantFrom(...Object.keys(PARTICIPATION_WEIGHTS)), (roles, extraRole) => {
+          const weight = weighParticipation(roles);
+          const more = weighParticipation({ ...roles, [extraRole]: roles[extraRole] + 1 });
+
+          expect(weight).toBeGreaterThanOrEqual(0);
+          expect(weight).toBeLessThanOrEqual(MAX_ISSUE_PARTICIPATION);
+          expect(more).toBeGreaterThanOrEqual(weight);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('addRoleCounts', () => {
+    test('should add role counts across issues', () => {
+      const totals = createRoleCounts();
+      addRoleCounts(totals, { assignee: 1, reporter: 0, commenter: 2, changelogAuthor: 0 });
+      addRoleCounts(totals, { assignee: 0, reporter: 1, commenter: 1, changelogAuthor: 3 });
+
+      expect(totals).toEqual({ assignee: 1, reporter: 1, commenter: 3, changelogAuthor: 3 });
+    });
+  });
+});
@@ -38,6 +38,30 @@ describe('Resolver Functions', () => {
       const resolverKeys = Object.keys(handler);
       expect(resolverKeys).toContain('scanLastSixMonths');
       expect(resolverKeys).toContain('saveToConfluence');
+      expect(resolverKeys).toContain('getLatestScheduledScan');
+      expect(resolverKeys).toContain('analyzeKnowledgeConcentration');
+      expect(resolverKeys).toContain('getKnowledgeRiskRollup');
+      expect(resolverKeys).toContain('getOrgMapping');
+      expect(resolverKeys).toContain('saveOrgMapping');
+      expect(resolverKeys).toContain('simulateDeparture');
+      expect(resolverKeys).toContain('importDepartureRoster');
+      expect(resolverKeys).toContain('getDepartureRoster');
+      expect(resolverKeys).toContain('getScoringConfig');
+      expect(resolverKeys).toContain('saveScoringConfig');
+      expect(resolverKeys).toContain('getNotificationConfig');
+      expect(resolverKeys).toContain('saveNotificationConfig');
+      expect(resolverKeys).toContain('getNotificationDeliveryLog');
+      expect(resolverKeys).toContain('getKnowledgeTransferConfig');
+      expect(resolverKeys).toContain('saveKnowledgeTransferConfig');
+      expect(resolverKeys).toContain('getExclusionRules');
+      expect(resolverKeys).toContain('saveExclusionRules');
+      expect(resolverKeys).toContain('getIncidentConfig');
+      expect(resolverKeys).toContain('saveIncidentConfig');
+      expect(resolverKeys).toContain('listScanRuns');
+      expect(resolverKeys).toContain('getScanRun');
+      expect(resolverKeys).toContain('getUserScoreHistory');
+      expect(resolverKeys).toContain('getScanHistoryRetention');
+      expect(resolverKeys).toContain('saveScanHistoryRetention');
       
       // Each resolver should be a function
       expect(typeof handler.scanLastSixMonths).toBe('function');
@@ -0,0 +1,228 @@
+const fc = require('fast-check');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const {
+  UNASSIGNED_GROUP,
+  PULL_REQUESTS_COLUMN,
+  getKnowledgeRiskRollup,
+  buildRiskRollup,
+  getOrgMapping,
+  saveOrgMapping
+} = require('../scanners/riskRollup');
+const { scanLastSixMonths } = require('../scanners/legacyDetector');
+const { saveNotificationConfig } = require('../services/notificationService');
+
+const longSummary = 'Rework the settlement reconciliation job so it survives partial upstream outages';
+
+/**
+ * Build a report whose breakdown holds the given ticket and PR contributions
+ */
+function buildReport(userId, riskLevel, tickets, pullRequests = []) {
+  const artifacts = [...tickets, ...pullRequests];
+  return {
+    userId,
+    riskLevel,
+    undocumentedIntensityScore: artifacts.reduce((sum, artifact) => sum + artifact.adjustedContribution, 0),
+    scoreBreakdown: {
+      tickets: tickets.map(ticket => ({ summary: `Summary of ${ticket.key}`, ...ticket })),
+      pullRequests: pullRequests.map(pr => ({ title: `PR ${pr.id}`, ...pr }))
+    }
+  };
+}
+
+/**
+ * Build a critical ticket (long summary, no documentation) assigned to the given user
+ */
+function buildTicket(key, accountId) {
+  return mockHelpers.createMockJiraTicket({
+    id: key.replace(/\D/g, ''),
+    key,
+    fields: {
+      summary: longSummary,
+      description: '',
+      assignee: { accountId, displayName: `User ${accountId}` },
+      comment: { total: 5 }
+    }
+  });
+}
+
+const mapping = {
+  userTeams: { alice: 'Payments', bob: 'Payments', carol: 'Search' },
+  teamDepartments: { Payments: 'Finance Engineering', Search: 'Discovery' }
+};
+
+describe('Risk Roll-up', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore?.();
+    console.warn.mockRestore?.();
+    console.error.mockRestore?.();
+  });
+
+  describe('buildRiskRollup', () => {
+    const reports = [
+      buildReport('alice', 'CRITICAL', [{ key: 'PAY-1', adjustedContribution: 4 }, { key: 'LEDGER-7', adjustedContribution: 2 }], [{ id: 11, adjustedContribution: 3 }]),
+      buildReport('bob', 'MEDIUM', [{ key: 'PAY-2', adjustedContribution: 2 }]),
+      buildReport('carol', 'HIGH', [{ key: 'SRCH-4', adjustedContribution: 3.5 }]),
+      buildReport('dave', 'LOW', [{ key: 'PAY-3', adjustedContribution: 1 }])
+    ];
+
+    test('should total, take the median and count high risk members per team', () => {
+      const { teams } = buildRiskRollup(reports, mapping);
+
+      expect(teams.map(team => team.name)).toEqual(['Payments', 'Search', UNASSIGNED_GROUP]);
+      expect(teams[0]).toMatchObject({
+        members: ['alice', 'bob'],
+        memberCount: 2,
+        totalIntensity: 11,
+        medianIntensity: 5.5,
+        highRiskMembers: 1
+      });
+      expect(teams[0].topArtifacts.map(artifact => artifact.artifact)).toEqual(['JIRA-PAY-1', 'PR #11', 'JIRA-LEDGER-7', 'JIRA-PAY-2']);
+      expect(teams[2]).toMatchObject({ members: ['dave'], highRiskMembers: 0 });
+    });
+
+    test('should split users across the Jira projects of their tickets', () => {
+      const { projects } = buildRiskRollup(reports, mapping, { topArtifacts: 1 });
+      const pay = projects.find(project => project.name === 'PAY');
+
+      expect(projects.map(project => project.name)).toEqual(['PAY', 'SRCH', 'LEDGER']);
+      expect(pay).toMatchObject({ members: ['alice', 'bob', 'dave'], totalIntensity: 7, medianIntensity: 2, highRiskMembers: 1 });
+      expect(pay.topArtifacts).toEqual([expect.objectContaining({ artifact: 'JIRA-PAY-1', userId: 'alice', contribution: 4 })]);
+    });
+
+    test('should roll teams up into mapped departments', () => {
+      const { departments } = buildRiskRollup(reports, mapping);
+
+      expect(departments.map(department => [department.name, department.totalIntensity, department.teams])).toEqual([
+        ['Finance Engineering', 11, ['Payments']],
+        ['Discovery', 3.5, ['Search']],
+        [UNASSIGNED_GROUP, 1, [UNASSIGNED_GROUP]]
+      ]);
+    });
+
+    test('should build a heatmap of rows by project with a pull request column', () => {
+      const { heatmap } = buildRiskRollup(reports, mapping, { rows: 'department' });
+
+      expect(heatmap.rowDimension).toBe('department');
+      expect(heatmap.rows).toEqual(['Finance Engineering', 'Discovery', UNASSIGNED_GROUP]);
+      expect(heatmap.columns).toEqual(['PAY', 'SRCH', 'LEDGER', PULL_REQUESTS_COLUMN]);
+      expect(heatmap.values).toEqual([
+        [6, 0, 2, 3],
+        [0, 3.5, 0, 0],
+        [1, 0, 0, 0]
+      ]);
+      expect(heatmap.max).toBe(6);
+    });
+
+    test('property: heatmap rows add up to the group totals', () => {
+      const userIds = ['alice', 'bob', 'carol', 'dave', 'erin'];
+      fc.assert(
+        fc.property(
+          fc.array(
+            fc.record({
+              userId: fc.constantFrom(...userIds),
+              project: fc.constantFrom('PAY', 'SRCH', 'CORE'),
+              contribution: fc.integer({ min: 1, max: 20 })
+            }),
+            { maxLength: 20 }
+          ),
+          (artifacts) => {
+            const generated = userIds
+              .map(userId => buildReport(userId, 'HIGH', artifacts
+                .filter(artifact => artifact.userId === userId)
+                .map((artifact, index) => ({ key: `${artifact.project}-${index + 1}`, adjustedContribution: artifact.contribution }))))
+              .filter(report => report.scoreBreakdown.tickets.length > 0);
+
+            const { teams, heatmap } = buildRiskRollup(generated, mapping);
+
+            heatmap.rows.forEach((row, index) => {
+              const team = teams.find(entry => entry.name === row);
+              const rowTotal = heatmap.values[index].reduce((sum, value) => sum + value, 0);
+              expect(rowTotal).toBeCloseTo(team.totalIntensity, 2);
+            });
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  describe('Organization Mapping', () => {
+    test('should save and return the mapping', async () => {
+      const saved = await saveOrgMapping({ payload: mapping });
+      const partial = await saveOrgMapping({ payload: { teamDepartments: { Payments: 'Finance' } } });
+      const loaded = await getOrgMapping();
+
+      expect(saved.success).toBe(true);
+      expect(partial.mapping.userTeams).toEqual(mapping.userTeams);
+      expect(loaded.mapping).toEqual({ userTeams: mapping.userTeams, teamDepartments: { Payments: 'Finance' } });
+    });
+
+    test('should reject malformed mappings', async () => {
+      const result = await saveOrgMapping({ payload: { userTeams: { alice: '' } } });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('userTeams must map names to non-empty strings');
+    });
+  });
+
+  describe('getKnowledgeRiskRollup', () => {
+    test('should roll up the latest complete scan run with the stored mapping', async () => {
+      mockHelpers.setMockJiraTickets([
+        buildTicket('PAY-101', 'alice'),
+        buildTicket('PAY-102', 'bob'),
+        buildTicket('SRCH-201', 'carol')
+      ]);
+      await saveOrgMapping({ payload: mapping });
+      const scan = await scanLastSixMonths({ payload: {} });
+
+      const result = await getKnowledgeRiskRollup({ payload: {} });
+
+      expect(result.success).toBe(true);
+      expect(result.runId).toBe(scan.runId);
+      expect(result.teams.map(team => [team.name, team.memberCount])).toEqual([['Payments', 2], ['Search', 1]]);
+      expect(result.teams[0].totalIntensity).toBeCloseTo(scan.reports
+        .filter(report => ['alice', 'bob'].includes(report.userId))
+        .reduce((sum, report) => sum + report.undocumentedIntensityScore, 0), 2);
+      expect(result.projects.map(project => project.name)).toEqual(['PAY', 'SRCH']);
+      expect(result.departments.map(department => department.name)).toEqual(['Finance Engineering', 'Discovery']);
+      expect(result.heatmap.rows).toEqual(['Payments', 'Search']);
+      expect(result.summary).toMatchObject({ teams: 2, projects: 2, departments: 2, usersWithGaps: 3 });
+    });
+
+    test('should only read stored data: no scan, alerts, Jira writes or history writes', async () => {
+      mockHelpers.setMockJiraTickets([buildTicket('PAY-101', 'alice')]);
+      await saveNotificationConfig({ payload: { channels: { webhook: { enabled: true, url: 'https://hooks.slack.com/services/T000/B000/legacy-keeper' } } } });
+      await scanLastSixMonths({ payload: {} });
+      const storage = mockHelpers.getStorageState();
+      const calls = JSON.parse(JSON.stringify(mockHelpers.getApiCallHistory()));
+      const createdIssues = mockHelpers.getCreatedJiraIssues().length;
+
+      const result = await getKnowledgeRiskRollup({ payload: {} });
+
+      expect(result.success).toBe(true);
+      expect(mockHelpers.getStorageState()).toEqual(storage);
+      expect(mockHelpers.getApiCallHistory()).toEqual(calls);
+      expect(mockHelpers.getCreatedJiraIssues()).toHaveLength(createdIssues);
+    });
+
+    test('should ask for a scan before any run completed and report unknown runs', async () => {
+      expect((await getKnowledgeRiskRollup({ payload: {} })).error).toBe('No completed scan to roll up yet; run a scan first');
+      expect((await getKnowledgeRiskRollup({ payload: { runId: 'scan-1' } })).error).toBe('Scan run scan-1 not found');
+      expect(mockHelpers.getApiCallHistory().jiraCalls).toEqual([]);
+    });
+
+    test('should reject unknown row dimensions', async () => {
+      const result = await getKnowledgeRiskRollup({ payload: { rows: 'project' } });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('rows must be one of team, department');
+    });
+  });
+});
@@ -0,0 +1,279 @@
+const fc = require('fast-check');
+const api = require('@forge/api');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const { runWorkerPool } = require('../utils/workerPool');
+const {
+  REQUEST_BUDGET_DEFAULTS,
+  resolveRequestBudget,
+  createRequestBudget,
+  runWithRequestBudget,
+  requestWithBudget,
+  describeRequestBudget
+} = require('../utils/requestBudget');
+const { getScanRun } = require('../services/scanHistoryService');
+const { scanLastSixMonths } = require('../scanners/legacyDetector');
+const { runScheduledScan, saveScheduledScanConfig } = require('../scanners/scheduledScan');
+const { saveNotificationConfig } = require('../services/notificationService');
+
+/**
+ * Resolve after the given number of milliseconds
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Resume a scan until it completes, collecting every invocation's result
+ */
+async function scanToCompletion(payload) {
+  const invocations = [await scanLastSixMonths({ payload })];
+  while (invocations[invocations.length - 1].continuationToken) {
+    const { continuationToken } = invocations[invocations.length - 1];
+    invocations.push(await scanLastSixMonths({ payload: { continuationToken } }));
+    expect(invocations.length).toBeLessThanOrEqual(20);
+  }
+  return invocations;
+}
+
+describe('Scan Execution', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore?.();
+    console.warn.mockRestore?.();
+    console.error.mockRestore?.();
+  });
+
+  describe('Worker pool', () => {
+    test('property: never exceeds the concurrency and keeps results in item order', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.integer({ min: 0, max: 3 }), { maxLength: 12 }),
+          fc.integer({ min: 1, max: 5 }),
+          async (delays, concurrency) => {
+            let active = 0;
+            let peak = 0;
+            const { results, started } = await runWorkerPool(delays, async (ms, index) => {
+              active++;
+              peak = Math.max(peak, active);
+              await delay(ms);
+              active--;
+              return index;
+            }, { concurrency });
+
+            expect(peak).toBeLessThanOrEqual(concurrency);
+            expect(started).toBe(delays.length);
+            expect(results).toEqual(delays.map((_, index) => index));
+          }
+        ),
+        { numRuns: 25 }
+      );
+    });
+
+    test('should stop starting items once told to and finish the ones in flight', async () => {
+      const { results, started } = await runWorkerPool([1, 2, 3, 4, 5], async item => item * 10, {
+        concurrency: 2,
+        shouldContinue: count => count < 3
+      });
+
+      expect(started).toBe(3);
+      expect(results).toEqual([10, 20, 30, undefined, undefined]);
+    });
+  });
+
+  describe('Request budget', () => {
+    test('should validate overrides and merge them over the defaults', () => {
+      expect(resolveRequestBudget({ jira: { maxConcurrent: 2 } }).jira).toEqual({ ...REQUEST_BUDGET_DEFAULTS.jira, maxConcurrent: 2 });
+      expect(() => resolveRequestBudget({ github: {} })).toThrow('Unknown API github in requestBudget. Expected: jira, bitbucket, confluence');
+      expect(() => resolveRequestBudget({ bitbucket: { maxRequests: 0 } })).toThrow('requestBudget.bitbucket.maxRequests must be a positive integer');
+    });
+
+    test('should cap requests in flight per API across workers', async () => {
+      const budget = createRequestBudget(resolveRequestBudget({ jira: { maxConcurrent: 2 } }));
+      let active = 0;
+      let peak = 0;
+      const request = async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await delay(2);
+        active--;
+        return { status: 200 };
+      };
+
+      await runWithRequestBudget(budget, () => Promise.all(Array.from({ length: 6 }, () => requestWithBudget('jira', request))));
+
+      expect(peak).toBe(2);
+      expect(describeRequestBudget(budget).jira).toMatchObject({ used: 6, maxConcurrent: 2, throttled: 0 });
+    });
+
+    test('should refuse requests beyond the budget and flag the task that asked', async () => {
+      const budget = createRequestBudget(resolveRequestBudget({ bitbucket: { maxRequests: 1 } }));
+      const task = { rejected: false };
+      const request = async () => ({ status: 200 });
+
+      await runWithRequestBudget(budget, () => requestWithBudget('bitbucket', request));
+      await expect(runWithRequestBudget(budget, () => requestWithBudget('bitbucket', request), task))
+        .rejects.toMatchObject({ code: 'REQUEST_BUDGET_EXHAUSTED' });
+
+      expect(task.rejected).toBe(true);
+      expect(budget.exhausted).toBe('bitbucket');
+      // Requests outside a budget are not counted
+      await expect(requestWithBudget('bitbucket', request)).resolves.toEqual({ status: 200 });
+    });
+
+    test('should pause and retry rate-limited requests', async () => {
+      const budget = createRequestBudget(resolveRequestBudget());
+      const responses = [{ status: 429, headers: { 'Retry-After': '0' } }, { status: 200 }];
+      const request = jest.fn(async () => responses.shift());
+
+      const response = await runWithRequestBudget(budget, () => requestWithBudget('confluence', request));
+
+      expect(response.status).toBe(200);
+      expect(request).toHaveBeenCalledTimes(2);
+      expect(describeRequestBudget(budget).confluence).toMatchObject({ used: 2, throttled: 1 });
+    });
+  });
+
+  describe('Scan Integration', () => {
+    test('should report the same users and scores at any concurrency', async () => {
+      const sequential = await scanLastSixMonths({ payload: { concurrency: 1 } });
+      const parallel = await scanLastSixMonths({ payload: { concurrency: 5 } });
+
+      expect(parallel.continuationToken).toBeNull();
+      expect(parallel.reports.map(r => [r.userId, r.undocumentedIntensityScore]))
+        .toEqual(sequential.reports.map(r => [r.userId, r.undocumentedIntensityScore]));
+      expect(parallel.summary.execution).toMatchObject({ invocation: 1, concurrency: 5, stoppedBy: null, remainingUsers: 0 });
+      expect(parallel.summary.execution.requests.jira.used).toBeGreaterThan(0);
+    });
+
+    test('should checkpoint at the time budget and resume until every user is scanned', async () => {
+      const full = await scanLastSixMonths({ payload: {} });
+      const invocations = await scanToCompletion({ concurrency: 1, timeBudgetMs: 1 });
+      const last = invocations[invocations.length - 1];
+
+      expect(invocations.length).toBeGreaterThan(1);
+      expect(invocations[0].summary.execution.stoppedBy).toBe('TIME_BUDGET');
+      expect(invocations.flatMap(result => result.reports.map(report => report.userId)))
+        .toEqual(full.reports.map(report => report.userId));
+      expect(last.summary).toMatchObject({
+        totalUsersScanned: full.summary.totalUsersScanned,
+        usersWithGaps: full.summary.usersWithGaps,
+        execution: { invocation: invocations.length, processedUsers: full.summary.totalUsersScanned, remainingUsers: 0 }
+      });
+
+      // Every invocation extends one history run, and the checkpoint is gone once the scan completed
+      expect(new Set(invocations.map(result => result.runId)).size).toBe(1);
+      const { run } = await getScanRun({ payload: { runId: last.runId } });
+      expect(run.complete).toBe(true);
+      expect(run.reports.map(report => report.userId)).toEqual(full.reports.map(report => report.userId));
+      expect(Object.keys(mockHelpers.getStorageState()).filter(key => key.includes(':checkpoint:'))).toEqual([]);
+    });
+
+    test('should defer users whose requests ran out of budget to the next invocation', async () => {
+      const full = await scanLastSixMonths({ payload: {} });
+      const invocations = await scanToCompletion({ concurrency: 1, requestBudget: { bitbucket: { maxRequests: 1 } } });
+
+      expect(invocations[0].summary.execution).toMatchObject({ stoppedBy: 'REQUEST_BUDGET' });
+      expect(invocations[0].summary.execution.requests.bitbucket.used).toBe(1);
+      expect(invocations.flatMap(result => result.reports.map(r => [r.userId, r.undocumentedIntensityScore])))
+        .toEqual(full.reports.map(r => [r.userId, r.undocumentedIntensityScore]));
+    });
+
+    test('should let the next scheduled trigger resume a paused scan and diff the complete report set', async () => {
+      const full = await scanLastSixMonths({ payload: {} });
+      await saveScheduledScanConfig({ payload: { incremental: false } });
+      // Each ticket search takes longer than a whole invocation's time budget, so every trigger scores one user
+      const now = Date.now;
+      let elapsed = 0;
+      jest.spyOn(Date, 'now').mockImplementation(() => now() + elapsed);
+      const asApp = api.asApp;
+      jest.spyOn(api, 'asApp').mockImplementation(() => {
+        const client = asApp();
+        return {
+          ...client,
+          requestJira: (path, options) => {
+            if (decodeURIComponent(String(path)).includes('assignee = "')) {
+              elapsed += 30000;
+            }
+            return client.requestJira(path, options);
+          }
+        };
+      });
+
+      const paused = await runScheduledScan();
+      expect(paused).toMatchObject({ success: true, pending: true });
+      expect(mockHelpers.getStorageState()['scheduled-scan:latest']).toBeUndefined();
+
+      let resumed = await runScheduledScan();
+      for (let trigger = 0; resumed.pending && trigger < 10; trigger++) {
+        resumed = await runScheduledScan();
+      }
+      api.asApp.mockRestore();
+      Date.now.mockRestore();
+
+      expect(resumed.success).toBe(true);
+      expect(resumed.run.reports.map(report => report.userId)).toEqual(full.reports.map(report => report.userId));
+      expect(mockHelpers.getStorageState()['scheduled-scan:pending']).toBeUndefined();
+    });
+
+    test('should defer users still being scored when the time budget runs out', async () => {
+      const full = await scanLastSixMonths({ payload: {} });
+      // Every user starts at once, but their ticket searches outlast the time budget
+      const asApp = api.asApp;
+      jest.spyOn(api, 'asApp').mockImplementation(() => {
+        const client = asApp();
+        return {
+          ...client,
+          requestJira: async (path, options) => {
+            if (decodeURIComponent(String(path)).includes('assignee = "')) {
+              await delay(300);
+            }
+            return client.requestJira(path, options);
+          }
+        };
+      });
+
+      const invocations = await scanToCompletion({ concurrency: 5, timeBudgetMs: 200 });
+      api.asApp.mockRestore();
+
+      expect(invocations[0].summary.execution).toMatchObject({ stoppedBy: 'TIME_BUDGET', processedUsers: 1 });
+      expect(invocations.flatMap(result => result.reports.map(r => [r.userId, r.undocumentedIntensityScore])))
+        .toEqual(full.reports.map(r => [r.userId, r.undocumentedIntensityScore]));
+    });
+
+    test('should record every alert and throttle entry when users are scored in parallel', async () => {
+      const assign = (key, accountId) => mockHelpers.createMockJiraTicket({
+        id: key.replace(/\D/g, ''),
+        key,
+        fields: {
+          summary: 'Rework the settlement reconciliation job so it survives partial upstream outages',
+          description: '',
+          assignee: { accountId, displayName: `User ${accountId}` },
+          comment: { total: 5 }
+        }
+      });
+      mockHelpers.addMockJiraTickets(['alice', 'bob', 'carol', 'dave'].flatMap((accountId, i) =>
+        [assign(`PAY-${i * 2 + 1}`, accountId), assign(`PAY-${i * 2 + 2}`, accountId)]));
+      await saveNotificationConfig({ payload: { channels: { webhook: { enabled: true, url: 'https://hooks.slack.com/services/T000/B000/legacy-keeper' } } } });
+
+      const result = await scanLastSixMonths({ payload: { concurrency: 5 } });
+      const alerted = result.reports.filter(r => ['HIGH', 'CRITICAL'].includes(r.riskLevel)).map(r => r.userId);
+      const storage = mockHelpers.getStorageState();
+
+      expect(alerted.length).toBeGreaterThanOrEqual(4);
+      expect(storage['notifications:delivery-log'].map(entry => entry.userId).sort()).toEqual([...alerted].sort());
+      expect(Object.keys(storage['notifications:throttle']).sort()).toEqual([...alerted].sort());
+    });
+
+    test('should reject invalid execution options and unknown continuation tokens', async () => {
+      expect((await scanLastSixMonths({ payload: { concurrency: 0 } })).error).toBe('concurrency must be an integer between 1 and 10');
+      expect((await scanLastSixMonths({ payload: { timeBudgetMs: -5 } })).error).toBe('timeBudgetMs must be a positive integer');
+      expect((await scanLastSixMonths({ payload: { continuationToken: 'missing' } })).error).toBe('Unknown or expired continuation token missing');
+    });
+  });
+});
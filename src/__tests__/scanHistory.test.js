@@ -0,0 +1,201 @@
+const fc = require('fast-check');
+const api = require('@forge/api');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const {
+  RETENTION_DEFAULTS,
+  applyRetentionPolicy,
+  recordScanRun,
+  listScanRuns,
+  getScanRun,
+  getUserScoreHistory,
+  getScanHistoryRetention,
+  saveScanHistoryRetention
+} = require('../services/scanHistoryService');
+const { scanLastSixMonths } = require('../scanners/legacyDetector');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a compact-able report for recordScanRun
+ */
+function buildReport(userId, score) {
+  return {
+    userId,
+    undocumentedIntensityScore: score,
+    riskLevel: score >= 5 ? 'HIGH' : 'LOW',
+    criticalJiraTickets: [],
+    highComplexityPRs: [],
+    documentationLinks: [],
+    documentationWeight: 0,
+    specificArtifacts: [],
+    scoring: { strategy: 'weighted-documentation', strategyVersion: 2, configVersion: 0 },
+    intensityTrend: null,
+    knowledgeTransfer: null
+  };
+}
+
+/**
+ * Record a run that started the given number of days before now
+ */
+function recordRun(daysAgo, reports, now = new Date()) {
+  return recordScanRun({
+    payload: { timeframe: '6_MONTHS' },
+    startedAt: new Date(now.getTime() - daysAgo * DAY_MS),
+    summary: { timeframe: { key: '6_MONTHS' }, incremental: null, scoring: reports[0] ? reports[0].scoring : null, usersWithGaps: reports.length },
+    reports
+  }, { now: new Date(now.getTime() - daysAgo * DAY_MS + 1000) });
+}
+
+describe('Scan History', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore?.();
+    console.info.mockRestore?.();
+    console.warn.mockRestore?.();
+    console.error.mockRestore?.();
+  });
+
+  describe('Recording scans', () => {
+    test('should store each run with its parameters, scoring version, summary and reports', async () => {
+      const result = await scanLastSixMonths({ payload: { timeframe: '12_MONTHS', projectKeys: ['MOCK'] } });
+
+      const { runs, total } = await listScanRuns({});
+      expect(total).toBe(1);
+      expect(runs[0]).toMatchObject({
+        runId: result.runId,
+        timeframe: '12_MONTHS',
+        incremental: false,
+        scoring: result.summary.scoring,
+        usersWithGaps: result.reports.length
+      });
+
+      const { run } = await getScanRun({ payload: { runId: result.runId } });
+      expect(run.parameters).toEqual({ timeframe: '12_MONTHS', projectKeys: ['MOCK'] });
+      expect(run.scope.projectKeys).toEqual(['MOCK']);
+      expect(run.summary).toEqual(JSON.parse(JSON.stringify(result.summary)));
+      expect(run.reports.map(report => report.userId)).toEqual(result.reports.map(report => report.userId));
+      expect(run.reports[0]).toMatchObject({
+        undocumentedIntensityScore: result.reports[0].undocumentedIntensityScore,
+        riskLevel: result.reports[0].riskLevel
+      });
+    });
+
+    test('should build a score history per user across runs', async () => {
+      const first = await scanLastSixMonths({});
+      const second = await scanLastSixMonths({});
+      const userId = first.reports[0].userId;
+
+      const { history } = await getUserScoreHistory({ payload: { accountId: userId } });
+      expect(history.map(point => point.runId)).toEqual([first.runId, second.runId]);
+      expect(history[0]).toMatchObject({
+        undocumentedIntensityScore: first.reports[0].undocumentedIntensityScore,
+        riskLevel: first.reports[0].riskLevel,
+        scoring: first.reports[0].scoring
+      });
+
+      const { run } = await getScanRun({ payload: { runId: second.runId, userId } });
+      expect(run.reports.map(report => report.userId)).toEqual([userId]);
+      expect((await listScanRuns({ payload: { limit: 1 } })).runs.map(entry => entry.runId)).toEqual([second.runId]);
+    });
+
+    test('should keep reports in chunks and filter by date', async () => {
+      const now = new Date();
+      const reports = Array.from({ length: 30 }, (_, i) => buildReport(`user-${i}`, i));
+      const oldRun = await recordRun(100, [buildReport('user-1', 9)], now);
+      const newRun = await recordRun(1, reports, now);
+
+      expect(mockHelpers.getStorageState()[`scan-history:run:${newRun}:reports:1`]).toHaveLength(5);
+      expect((await getScanRun({ payload: { runId: newRun } })).run.reports).toHaveLength(30);
+
+      const lastQuarter = { from: new Date(now.getTime() - 120 * DAY_MS).toISOString(), to: new Date(now.getTime() - 90 * DAY_MS).toISOString() };
+      expect((await listScanRuns({ payload: lastQuarter })).runs.map(run => run.runId)).toEqual([oldRun]);
+      expect((await getUserScoreHistory({ payload: { accountId: 'user-1', ...lastQuarter } })).history)
+        .toEqual([expect.objectContaining({ runId: oldRun, undocumentedIntensityScore: 9 })]);
+    });
+
+    test('should not fail the scan when the history cannot be stored', async () => {
+      const set = api.storage.set.getMockImplementation();
+      api.storage.set.mockImplementation(async (key, value) => {
+        if (key.startsWith('scan-history:')) {
+          throw new Error('Storage quota exceeded');
+        }
+        return set(key, value);
+      });
+
+      try {
+        const result = await scanLastSixMonths({});
+
+        expect(result.success).toBe(true);
+        expect(result.runId).toBeNull();
+        expect(result.reports.length).toBeGreaterThan(0);
+      } finally {
+        api.storage.set.mockImplementation(set);
+      }
+    });
+  });
+
+  describe('Retention', () => {
+    test('should default the policy and validate changes', async () => {
+      expect((await getScanHistoryRetention()).retention).toEqual(RETENTION_DEFAULTS);
+      expect((await saveScanHistoryRetention({ payload: { maxRuns: 0 } })).error).toBe('maxRuns must be a positive integer');
+      expect((await saveScanHistoryRetention({ payload: { maxAgeDays: 90 } })).retention).toEqual({ ...RETENTION_DEFAULTS, maxAgeDays: 90 });
+    });
+
+    test('should delete runs beyond the limits with their reports and score points', async () => {
+      await saveScanHistoryRetention({ payload: { maxRuns: 2, maxAgeDays: 30 } });
+
+      const expiredByAge = await recordRun(45, [buildReport('alice', 6)]);
+      const expiredByCount = await recordRun(20, [buildReport('alice', 7), buildReport('bob', 3)]);
+      const kept = [await recordRun(10, [buildReport('alice', 8)]), await recordRun(5, [buildReport('carol', 2)])];
+
+      const state = mockHelpers.getStorageState();
+      expect((await listScanRuns({})).runs.map(run => run.runId)).toEqual([...kept].reverse());
+      expect(Object.keys(state).filter(key => key.includes(expiredByAge) || key.includes(expiredByCount))).toEqual([]);
+      expect((await getScanRun({ payload: { runId: expiredByCount } })).error).toBe(`Scan run ${expiredByCount} not found`);
+      expect((await getUserScoreHistory({ payload: { accountId: 'alice' } })).history.map(point => point.runId)).toEqual([kept[0]]);
+      expect(state['scan-history:scores:bob']).toBeUndefined();
+    });
+
+    test('property: retention keeps the newest runs within both limits', () => {
+      const now = new Date('2026-06-01T00:00:00Z');
+
+      fc.assert(
+        fc.property(
+          fc.array(fc.integer({ min: 0, max: 60 }), { maxLength: 30 }),
+          fc.integer({ min: 1, max: 10 }),
+          fc.integer({ min: 1, max: 60 }),
+          (ages, maxRuns, maxAgeDays) => {
+            const index = [...ages].sort((a, b) => b - a).map((age, i) => ({
+              runId: `scan-${i}`,
+              startedAt: new Date(now.getTime() - age * DAY_MS).toISOString()
+            }));
+            const { kept, expired } = applyRetentionPolicy(index, { maxRuns, maxAgeDays }, now);
+
+            expect(kept.length + expired.length).toBe(index.length);
+            expect(kept.length).toBeLessThanOrEqual(maxRuns);
+            expect(kept).toEqual(index.filter(run => kept.includes(run)));
+            kept.forEach(run => expect(now.getTime() - new Date(run.startedAt).getTime()).toBeLessThanOrEqual(maxAgeDays * DAY_MS));
+            if (kept.length > 0) {
+              expect(kept[kept.length - 1]).toBe(index[index.length - 1]);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('should validate query parameters', async () => {
+      expect((await listScanRuns({ payload: { limit: 0 } })).error).toBe('limit must be a positive integer');
+      expect((await listScanRuns({ payload: { from: 'last quarter' } })).error).toBe('from must be a valid date');
+      expect((await getScanRun({ payload: {} })).error).toBe('runId is required');
+      expect((await getUserScoreHistory({ payload: {} })).error).toBe('accountId is required');
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const { resolveScanScope, applyScopeToJql, isSiteWideScope } = require('../utils/scanScope');
+
+describe('Scan Scope', () => {
+  test('should treat an empty payload as a site-wide scan', () => {
+    const scope = resolveScanScope({});
+    
+    expect(scope.clause).toBe('');
+    expect(isSiteWideScope(scope)).toBe(true);
+    expect(applyScopeToJql(scope, 'updated >= "2024-01-01"')).toBe('updated >= "2024-01-01"');
+  });
+
+  test('should combine every scope field into one JQL clause', () => {
+    const scope = resolveScanScope({
+      projectKeys: ['core', 'PAY'],
+      components: 'Billing API',
+      labels: ['legacy'],
+      filterId: 10042,
+      jql: 'priority = High OR priority = Highest'
+    });
+    
+    expect(scope.projectKeys).toEqual(['CORE', 'PAY']);
+    expect(scope.clause).toBe(
+      'project in ("CORE", "PAY") AND component in ("Billing API") AND labels in ("legacy") ' +
+      'AND filter = 10042 AND (priority = High OR priority = Highest)'
+    );
+    expect(applyScopeToJql(scope, 'updated >= "2024-01-01"')).toBe(`${scope.clause} AND updated >= "2024-01-01"`);
+  });
+
+  test('should escape quotes in component and label names', () => {
+    const scope = resolveScanScope({ components: ['Team "Alpha"'] });
+    
+    expect(scope.clause).toBe('component in ("Team \\"Alpha\\"")');
+  });
+
+  test('should reject invalid scope values', () => {
+    expect(() => resolveScanScope({ projectKeys: ['not a key'] })).toThrow('Invalid project key');
+    expect(() => resolveScanScope({ labels: [''] })).toThrow('labels must contain non-empty strings');
+    expect(() => resolveScanScope({ filterId: 'my-filter' })).toThrow('filterId must be a numeric Jira filter ID');
+    expect(() => resolveScanScope({ jql: 'project = CORE ORDER BY created' })).toThrow('must not contain an ORDER BY clause');
+  });
+});
@@ -0,0 +1,271 @@
+const api = require('@forge/api');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const scanStateService = require('../services/scanStateService');
+const { JiraTicket, BitbucketPR } = require('../models');
+const { resolveTimeframe } = require('../utils/timeframe');
+const { resolveScanScope } = require('../utils/scanScope');
+
+describe('Scan State Service', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+  });
+
+  test('should round-trip user state through storage and rehydrate models', async () => {
+    const fingerprint = scanStateService.buildStateFingerprint(resolveTimeframe('6_MONTHS'), resolveScanScope({}));
+    
+    await scanStateService.saveUserScanState(fingerprint, {
+      userId: 'user123',
+      tickets: [new JiraTicket({ id: '1', key: 'CORE-1', summary: 'Ticket', assignee: 'user123', created: '2024-01-01', updated: '2024-02-01' })],
+      pullRequests: [new BitbucketPR({ id: 402, title: 'PR', author: 'user123', created: '2024-01-15', complexityScore: 8 })],
+      documentationLinks: [],
+      scoreInputs: { totalPRComplexity: 8, criticalTickets: 1, highComplexityPRs: 1, documentationLinks: 0 },
+      cursors: { tickets: '2024-02-02T00:00:00.000Z', pullRequests: null }
+    });
+    
+    const state = await scanStateService.loadUserScanState(fingerprint, 'user123');
+    
+    expect(state.tickets[0]).toBeInstanceOf(JiraTicket);
+    expect(state.tickets[0].updated).toEqual(new Date('2024-02-01'));
+    expect(state.pullRequests[0]).toBeInstanceOf(BitbucketPR);
+    expect(state.cursors.pullRequests).toBeNull();
+    expect(await scanStateService.loadUserScanState(fingerprint, 'unknown')).toBeNull();
+  });
+
+  describe('Large state', () => {
+    const fingerprint = scanStateService.buildStateFingerprint(resolveTimeframe('6_MONTHS'), resolveScanScope({}));
+
+    /**
+     * Build a state whose tickets add up to well over one storage value
+     */
+    function buildLargeState(ticketCount) {
+      const timeInStatus = Object.fromEntries(Array.from({ length: 20 }, (_, i) => [`Review stage ${i}`, 86400000 * i]));
+      return {
+        userId: 'user123',
+        tickets: Array.from({ length: ticketCount }, (_, i) => new JiraTicket({
+          id: String(i),
+          key: `CORE-${i}`,
+          summary: `Ticket ${i}`,
+          description: 'Long description '.repeat(100),
+          assignee: 'user123',
+          created: '2024-01-01',
+          updated: '2024-02-01',
+          timeInStatus
+        })),
+        pullRequests: [new BitbucketPR({ id: 402, title: 'PR', author: 'user123', created: '2024-01-15', complexityScore: 8 })],
+        participation: [{ key: 'CORE-900', role: 'commenter' }],
+        documentationLinks: [],
+        scoreInputs: { criticalTickets: ticketCount },
+        cursors: { tickets: '2024-02-02T00:00:00.000Z', pullRequests: null }
+      };
+    }
+
+    test('should split large state across keys that each stay under the chunk size', async () => {
+      const state = buildLargeState(150);
+      expect(JSON.stringify(state.tickets).length).toBeGreaterThan(3 * scanStateService.STATE_CHUNK_CHARS);
+
+      await scanStateService.saveUserScanState(fingerprint, state);
+
+      const stored = mockHelpers.getStorageState();
+      const keys = Object.keys(stored);
+      expect(keys.length).toBeGreaterThan(4);
+      keys.forEach(key => {
+        expect(key.startsWith(`legacy-detector:${fingerprint}:user:user123`)).toBe(true);
+        expect(JSON.stringify(stored[key]).length).toBeLessThanOrEqual(scanStateService.STATE_CHUNK_CHARS);
+      });
+
+      const loaded = await scanStateService.loadUserScanState(fingerprint, 'user123');
+      expect(loaded.tickets.map(ticket => ticket.key)).toEqual(state.tickets.map(ticket => ticket.key));
+      expect(loaded.tickets[149]).toBeInstanceOf(JiraTicket);
+      expect(loaded.tickets[149].timeInStatus).toEqual(state.tickets[149].timeInStatus);
+      expect(loaded.pullRequests[0]).toBeInstanceOf(BitbucketPR);
+      expect(loaded.participation).toEqual(state.participation);
+      expect(loaded.scoreInputs).toEqual({ criticalTickets: 150 });
+    });
+
+    test('should replace the previous chunks on save and remove every key on delete', async () => {
+      await scanStateService.saveUserScanState(fingerprint, buildLargeState(150));
+      await scanStateService.saveUserScanState(fingerprint, buildLargeState(2));
+
+      expect(Object.keys(mockHelpers.getStorageState())).toHaveLength(3);
+      expect((await scanStateService.loadUserScanState(fingerprint, 'user123')).tickets).toHaveLength(2);
+
+      await scanStateService.deleteUserScanState(fingerprint, 'user123');
+
+      expect(mockHelpers.getStorageState()).toEqual({});
+      expect(await scanStateService.loadUserScanState(fingerprint, 'user123')).toBeNull();
+    });
+
+    test('should keep the previous state when a chunk cannot be written', async () => {
+      await scanStateService.saveUserScanState(fingerprint, buildLargeState(2));
+      const before = mockHelpers.getStorageState();
+
+      const setStorage = api.storage.set.getMockImplementation();
+      api.storage.set.mockImplementation(async (key, value) => {
+        if (key.endsWith(':tickets:3')) {
+          throw new Error('Value too large');
+        }
+        return setStorage(key, value);
+      });
+      try {
+        await expect(scanStateService.saveUserScanState(fingerprint, buildLargeState(150))).rejects.toThrow('Value too large');
+      } finally {
+        api.storage.set.mockImplementation(setStorage);
+      }
+
+      const loaded = await scanStateService.loadUserScanState(fingerprint, 'user123');
+      expect(loaded.tickets).toHaveLength(2);
+      expect(mockHelpers.getStorageState()[`legacy-detector:${fingerprint}:user:user123`]).toEqual(before[`legacy-detector:${fingerprint}:user:user123`]);
+    });
+
+    test('should still load state saved before chunking', async () => {
+      mockHelpers.setStorageState({
+        [`legacy-detector:${fingerprint}:user:user123`]: {
+          userId: 'user123',
+          tickets: [{ id: '1', key: 'CORE-1', summary: 'Ticket', assignee: 'user123', created: '2024-01-01', updated: '2024-02-01' }],
+          pullRequests: [],
+          cursors: { tickets: null, pullRequests: null }
+        }
+      });
+
+      const loaded = await scanStateService.loadUserScanState(fingerprint, 'user123');
+      expect(loaded.tickets[0]).toBeInstanceOf(JiraTicket);
+      expect(loaded.tickets[0].key).toBe('CORE-1');
+
+      await scanStateService.saveUserScanState(fingerprint, { ...loaded, scoreInputs: {}, documentationLinks: [] });
+      expect((await scanStateService.loadUserScanState(fingerprint, 'user123')).tickets.map(ticket => ticket.key)).toEqual(['CORE-1']);
+    });
+  });
+
+  describe('Large cursor', () => {
+    const fingerprint = scanStateService.buildStateFingerprint(resolveTimeframe('6_MONTHS'), resolveScanScope({}));
+    const cursorKey = `legacy-detector:${fingerprint}:cursor`;
+
+    test('should split the tracked users of a large site across keys and replace them on save', async () => {
+      const users = Array.from({ length: 8000 }, (_, i) => ({
+        accountId: `5b10ac8d82e05b22cc7d4e${String(i).padStart(4, '0')}`,
+        displayName: `Developer number ${i} of a very large site`
+      }));
+      expect(JSON.stringify(users).length).toBeGreaterThan(3 * scanStateService.STATE_CHUNK_CHARS);
+
+      await scanStateService.saveScanCursor(fingerprint, { lastScannedAt: '2026-03-01T00:00:00.000Z', users });
+
+      const stored = mockHelpers.getStorageState();
+      expect(Object.keys(stored).length).toBeGreaterThan(4);
+      Object.values(stored).forEach(value => {
+        expect(JSON.stringify(value).length).toBeLessThanOrEqual(scanStateService.STATE_CHUNK_CHARS);
+      });
+      expect(await scanStateService.loadScanCursor(fingerprint)).toEqual({ lastScannedAt: '2026-03-01T00:00:00.000Z', users });
+
+      await scanStateService.saveScanCursor(fingerprint, { lastScannedAt: '2026-03-08T00:00:00.000Z', users: users.slice(0, 1) });
+
+      expect(Object.keys(mockHelpers.getStorageState())).toHaveLength(2);
+      expect((await scanStateService.loadScanCursor(fingerprint)).users).toEqual(users.slice(0, 1));
+    });
+
+    test('should still load a cursor saved before chunking', async () => {
+      mockHelpers.setStorageState({
+        [cursorKey]: { lastScannedAt: '2026-03-01T00:00:00.000Z', users: [{ accountId: 'user123', displayName: 'John Developer' }] }
+      });
+
+      expect(await scanStateService.loadScanCursor(fingerprint)).toEqual({
+        lastScannedAt: '2026-03-01T00:00:00.000Z',
+        users: [{ accountId: 'user123', displayName: 'John Developer' }]
+      });
+    });
+  });
+
+  describe('Checkpoints', () => {
+    const NOW = new Date('2026-03-20T00:00:00.000Z');
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Build a checkpoint created the given number of days before NOW
+     */
+    function buildCheckpoint(token, daysAgo, pendingCount = 2) {
+      return {
+        token,
+        createdAt: new Date(NOW.getTime() - daysAgo * DAY_MS).toISOString(),
+        payload: {},
+        invocation: 1,
+        pending: Array.from({ length: pendingCount }, (_, i) => `5b10ac8d82e05b22cc7d4e${String(i).padStart(4, '0')}`),
+        trackedUsers: Array.from({ length: pendingCount }, (_, i) => ({ accountId: `user-${i}`, displayName: `Developer number ${i} of a very large site` }))
+      };
+    }
+
+    test('should split the pending and tracked users of a large scan across keys', async () => {
+      const checkpoint = buildCheckpoint('large', 1, 8000);
+
+      await scanStateService.saveScanCheckpoint(checkpoint);
+
+      const stored = mockHelpers.getStorageState();
+      expect(Object.keys(stored).length).toBeGreaterThan(4);
+      Object.values(stored).forEach(value => {
+        expect(JSON.stringify(value).length).toBeLessThanOrEqual(scanStateService.STATE_CHUNK_CHARS);
+      });
+      expect(await scanStateService.loadScanCheckpoint('large', NOW)).toEqual(checkpoint);
+
+      await scanStateService.deleteScanCheckpoint('large');
+      expect(mockHelpers.getStorageState()).toEqual({});
+    });
+
+    test('should still load a checkpoint saved before chunking', async () => {
+      const checkpoint = buildCheckpoint('legacy', 1);
+      mockHelpers.setStorageState({ 'legacy-detector:checkpoint:legacy': checkpoint });
+
+      expect(await scanStateService.loadScanCheckpoint('legacy', NOW)).toEqual(checkpoint);
+    });
+
+    test('should prune expired checkpoints with their chunks and keep recent ones', async () => {
+      await scanStateService.saveScanCheckpoint(buildCheckpoint('recent', 3));
+      await scanStateService.saveScanCheckpoint(buildCheckpoint('abandoned', scanStateService.CHECKPOINT_MAX_AGE_DAYS + 1));
+      mockHelpers.setStorageState({
+        ...mockHelpers.getStorageState(),
+        'legacy-detector:checkpoint:legacy': buildCheckpoint('legacy', 30)
+      });
+
+      expect(await scanStateService.pruneExpiredCheckpoints(NOW)).toBe(2);
+
+      expect(Object.keys(mockHelpers.getStorageState()).every(key => key.startsWith('legacy-detector:checkpoint:recent'))).toBe(true);
+      expect((await scanStateService.loadScanCheckpoint('recent', NOW)).pending).toHaveLength(2);
+    });
+
+    test('should keep checkpoints when storage cannot be queried', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const query = jest.spyOn(api.storage, 'query').mockImplementation(() => {
+        throw new Error('Storage unavailable');
+      });
+
+      try {
+        await scanStateService.saveScanCheckpoint(buildCheckpoint('abandoned', 30));
+
+        expect(await scanStateService.pruneExpiredCheckpoints(NOW)).toBe(0);
+        expect(mockHelpers.getStorageState()['legacy-detector:checkpoint:abandoned']).toBeDefined();
+      } finally {
+        query.mockRestore();
+        console.warn.mockRestore?.();
+      }
+    });
+  });
+
+  test('should fingerprint scopes and custom windows separately', () => {
+    const preset = resolveTimeframe('6_MONTHS');
+    const siteWide = resolveScanScope({});
+    
+    expect(scanStateService.buildStateFingerprint(preset, siteWide))
+      .toBe(scanStateService.buildStateFingerprint(resolveTimeframe('6_MONTHS'), resolveScanScope({})));
+    expect(scanStateService.buildStateFingerprint(preset, siteWide))
+      .not.toBe(scanStateService.buildStateFingerprint(preset, resolveScanScope({ projectKeys: ['CORE'] })));
+    expect(scanStateService.buildStateFingerprint(resolveTimeframe({ from: '2024-01-01', to: '2024-03-01' }), siteWide))
+      .not.toBe(scanStateService.buildStateFingerprint(resolveTimeframe({ from: '2024-01-01', to: '2024-04-01' }), siteWide));
+  });
+
+  test('should let changed artifacts replace stored ones with the same identifier', () => {
+    const merged = scanStateService.mergeArtifacts(
+      [{ key: 'CORE-1', summary: 'old' }, { key: 'CORE-2', summary: 'kept' }],
+      [{ key: 'CORE-1', summary: 'new' }],
+      'key'
+    );
+    
+    expect(merged).toEqual([{ key: 'CORE-1', summary: 'new' }, { key: 'CORE-2', summary: 'kept' }]);
+  });
+});
@@ -0,0 +1,212 @@
+const fc = require('fast-check');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const {
+  runScheduledScan,
+  resumeScheduledScan,
+  diffReportSets,
+  getLatestScheduledScan,
+  saveScheduledScanConfig
+} = require('../scanners/scheduledScan');
+const { scanLastSixMonths } = require('../scanners/legacyDetector');
+const { saveScanCheckpoint, CHECKPOINT_MAX_AGE_DAYS } = require('../services/scanStateService');
+
+/**
+ * Build a compact report as stored by scheduled runs
+ */
+function report(userId, undocumentedIntensityScore, riskLevel) {
+  return { userId, undocumentedIntensityScore, riskLevel };
+}
+
+describe('Scheduled Scan', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore?.();
+    console.warn.mockRestore?.();
+    console.error.mockRestore?.();
+  });
+
+  describe('diffReportSets', () => {
+    test('should list users newly at HIGH or CRITICAL', () => {
+      const diff = diffReportSets(
+        [report('a', 2, 'MEDIUM'), report('b', 6, 'CRITICAL')],
+        [report('a', 3.5, 'HIGH'), report('b', 6, 'CRITICAL'), report('c', 5.5, 'CRITICAL')]
+      );
+
+      expect(diff.newlyAtRisk.map(entry => entry.userId)).toEqual(['a', 'c']);
+      expect(diff.newlyAtRisk[0].previousRiskLevel).toBe('MEDIUM');
+      expect(diff.newlyAtRisk[1].previousRiskLevel).toBeNull();
+    });
+
+    test('should list score increases above the configured percentage', () => {
+      const diff = diffReportSets(
+        [report('a', 2, 'MEDIUM'), report('b', 4, 'HIGH')],
+        [report('a', 2.2, 'MEDIUM'), report('b', 6, 'CRITICAL')],
+        { scoreIncreasePercent: 25 }
+      );
+
+      expect(diff.scoreIncreases).toEqual([
+        { userId: 'b', previousScore: 4, undocumentedIntensityScore: 6, increasePercent: 50 }
+      ]);
+    });
+
+    test('should list users who dropped out of the report set', () => {
+      const diff = diffReportSets([report('a', 2, 'MEDIUM'), report('b', 4, 'HIGH')], [report('a', 2, 'MEDIUM')]);
+
+      expect(diff.droppedOut).toEqual([{ userId: 'b', previousRiskLevel: 'HIGH', previousScore: 4 }]);
+    });
+
+    test('property: identical report sets produce an empty diff', () => {
+      fc.assert(
+        fc.property(
+          fc.uniqueArray(
+            fc.record({
+              userId: fc.string({ minLength: 1, maxLength: 10 }),
+              undocumentedIntensityScore: fc.float({ min: 0, max: 20, noNaN: true }),
+              riskLevel: fc.constantFrom('LOW', 'MEDIUM', 'HIGH', 'CRITICAL')
+            }),
+            { selector: entry => entry.userId, maxLength: 20 }
+          ),
+          (reports) => {
+            const diff = diffReportSets(reports, reports);
+            expect(diff).toEqual({ newlyAtRisk: [], scoreIncreases: [], droppedOut: [] });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('runScheduledScan', () => {
+    test('should store the run and report every at-risk user on the first run', async () => {
+      const result = await runScheduledScan({});
+
+      expect(result.success).toBe(true);
+      expect(result.run.previousRunId).toBeNull();
+      expect(result.run.summary.incremental).not.toBeNull();
+
+      const atRisk = result.run.reports.filter(entry => ['HIGH', 'CRITICAL'].includes(entry.riskLevel));
+      expect(result.run.diff.newlyAtRisk).toHaveLength(atRisk.length);
+
+      const latest = await getLatestScheduledScan();
+      expect(latest.run.runId).toBe(result.run.runId);
+    });
+
+    test('should diff against the previous stored run', async () => {
+      await saveScheduledScanConfig({ payload: { incremental: false } });
+      const first = await runScheduledScan({});
+      expect(first.success).toBe(true);
+
+      // Everyone drops out once their activity disappears
+      mockHelpers.setMockJiraTickets([]);
+      mockHelpers.setMockState({ bitbucketPRs: [] });
+      const second = await runScheduledScan({});
+
+      expect(second.run.previousRunId).toBe(first.run.runId);
+      expect(second.run.diff.droppedOut.map(entry => entry.userId).sort())
+        .toEqual(first.run.reports.map(entry => entry.userId).sort());
+    });
+
+    test('should use the stored configuration for the scan', async () => {
+      await saveScheduledScanConfig({ payload: { timeframe: '12_MONTHS', projectKeys: ['CORE'], scoreIncreasePercent: 50 } });
+
+      const result = await runScheduledScan({});
+
+      expect(result.run.summary.timeframe.key).toBe('12_MONTHS');
+      expect(result.run.summary.scope.projectKeys).toEqual(['CORE']);
+    });
+
+    test('should keep report sets in the scan history instead of a copy per run', async () => {
+      mockHelpers.setStorageState({
+        'scheduled-scan:latest': 'run-1',
+        'scheduled-scan:run:run-1': { runId: 'run-1', reports: [report('user123', 1, 'LOW')], diff: {} }
+      });
+
+      const result = await runScheduledScan({});
+      const storage = mockHelpers.getStorageState();
+
+      // The run stored by an earlier version is still diffed against, then removed
+      expect(result.run.previousRunId).toBe('run-1');
+      expect(result.run.diff.newlyAtRisk.map(entry => entry.userId)).toContain('user123');
+      expect(Object.keys(storage).filter(key => key.startsWith('scheduled-scan:run:'))).toEqual([]);
+      expect(storage['scheduled-scan:latest']).toMatchObject({ runId: result.run.runId, previousRunId: 'run-1' });
+      expect(storage['scheduled-scan:latest'].reports).toBeUndefined();
+      expect(result.run.runId).toMatch(/^scan-/);
+
+      const latest = await getLatestScheduledScan();
+      expect(latest.run.reports).toEqual(result.run.reports);
+      expect(latest.run.reports.length).toBeGreaterThan(0);
+    });
+
+    test('should return an error result when the scan fails', async () => {
+      await saveScheduledScanConfig({ payload: {} });
+      mockHelpers.simulateError('jira');
+
+      const result = await runScheduledScan({});
+
+      expect(result.success).toBe(false);
+      expect((await getLatestScheduledScan()).run).toBeNull();
+    });
+  });
+
+  describe('resumeScheduledScan', () => {
+    test('should do nothing while no scheduled scan is paused', async () => {
+      const result = await resumeScheduledScan({});
+
+      expect(result).toEqual({ success: true, pending: false });
+      expect(mockHelpers.getApiCallHistory().jiraCalls).toHaveLength(0);
+      expect(mockHelpers.getStorageState()).toEqual({});
+    });
+
+    test('should resume a paused scan until it completes and store the run', async () => {
+      const paused = await scanLastSixMonths({ payload: { concurrency: 1, timeBudgetMs: 1 } });
+      expect(paused.continuationToken).toBeTruthy();
+      mockHelpers.setStorageState({
+        ...mockHelpers.getStorageState(),
+        'scheduled-scan:pending': { continuationToken: paused.continuationToken, startedAt: '2026-03-01T00:00:00.000Z' }
+      });
+
+      let resumed = await resumeScheduledScan({});
+      for (let trigger = 0; resumed.pending && trigger < 10; trigger++) {
+        resumed = await resumeScheduledScan({});
+      }
+
+      expect(resumed.success).toBe(true);
+      expect(resumed.run).toMatchObject({ runId: paused.runId, startedAt: '2026-03-01T00:00:00.000Z' });
+      expect(resumed.run.summary.execution.remainingUsers).toBe(0);
+      expect(mockHelpers.getStorageState()['scheduled-scan:pending']).toBeUndefined();
+      expect(await resumeScheduledScan({})).toEqual({ success: true, pending: false });
+    });
+
+    test('should delete checkpoints of scans nobody resumed', async () => {
+      const createdAt = new Date(Date.now() - (CHECKPOINT_MAX_AGE_DAYS + 1) * 24 * 60 * 60 * 1000).toISOString();
+      await saveScanCheckpoint({ token: 'abandoned', createdAt, payload: {}, pending: ['user123'], trackedUsers: [] });
+
+      await runScheduledScan({});
+
+      expect(Object.keys(mockHelpers.getStorageState()).filter(key => key.includes(':checkpoint:'))).toEqual([]);
+    });
+  });
+
+  describe('saveScheduledScanConfig', () => {
+    test('should reject invalid configurations', async () => {
+      expect((await saveScheduledScanConfig({ payload: { scoreIncreasePercent: -1 } })).success).toBe(false);
+      expect((await saveScheduledScanConfig({ payload: { timeframe: '5_YEARS' } })).error).toContain('Unsupported timeframe');
+      expect((await saveScheduledScanConfig({ payload: { projectKeys: ['bad key'] } })).error).toContain('Invalid project key');
+    });
+
+    test('should only store the documented fields', async () => {
+      const result = await saveScheduledScanConfig({
+        payload: { timeframe: '12_MONTHS', labels: ['payments'], concurrency: 10, pagination: { maxIssues: 5 }, requestBudget: { jira: { maxRequests: 1 } } }
+      });
+
+      expect(result.config).toEqual({ timeframe: '12_MONTHS', incremental: true, scoreIncreasePercent: 20, labels: ['payments'] });
+      expect(mockHelpers.getStorageState()['scheduled-scan:config']).toEqual(result.config);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const fc = require('fast-check');
+const { mockHelpers } = require('../__mocks__/@forge/api');
+const {
+  DEFAULT_STRATEGY_ID,
+  registerScoringStrategy,
+  getScoringStrategy,
+  validateScoringConfig,
+  resolveScoringConfig,
+  loadScoringConfig,
+  getScoringConfig,
+  saveScoringConfig
+} = require('../services/scoringService');
+const { calculateUndocumentedIntensity, scanLastSixMonths } = require('../scanners/legacyDetector');
+const { RISK_THRESHOLDS } = require('../models');
+
+/**
+ * Build a critical ticket assigned to a scoring test user
+ * @param {string} key - Issue key
+ * @returns {Object} Mock Jira issue
+ */
+function criticalTicket(key) {
+  return mockHelpers.createMockJiraTicket({
+    id: key,
+    key,
+    fields: {
+      summary: 'Reconcile the settlement ledger against the card network reports',
+      description: '',
+      assignee: { accountId: 'scoring_user', displayName: 'Scoring User' },
+      comment: { total: 5 }
+    }
+  });
+}
+
+describe('Scoring Service', () => {
+  beforeEach(() => {
+    mockHelpers.resetMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore?.();
+    console.error.mockRestore?.();
+  });
+
+  describe('Strategies', () => {
+    test('should default to the weighted documentation strategy', () => {
+      const config = resolveScoringConfig();
+
+      expect(config).toEqual({
+        strategy: DEFAULT_STRATEGY_ID,
+        strategyVersion: 3,
+        configVersion: 0,
+        weights: { PR_COMPLEXITY: 1.5, CRITICAL_TICKET: 2, PARTICIPATION: 1, INCIDENT: 1.5, DOC_LINK_PENALTY: 0.5 },
+        thresholds: RISK_THRESHOLDS,
+        trend: { enabled: false, slopeThreshold: 0.1 }
+      });
+    });
+
+    test('should score with the default formula', () => {
+      const strategy = getScoringStrategy(DEFAULT_STRATEGY_ID);
+      const result = strategy.score({
+        criticalTickets: [{}, {}],
+        highComplexityPRs: [{ complexityScore: 8 }],
+        documentationWeight: 2
+      }, strategy.defaultWeights);
+
+      expect(result.baseScore).toBe(16);
+      expect(result.divisor).toBe(2);
+      expect(result.score).toBe(8);
+      expect(result.ticketContributions).toEqual([2, 2]);
+      expect(result.prContributions).toEqual([12]);
+    });
+
+    test('should reject unknown and malformed strategies', () => {
+      expect(() => getScoringStrategy('nope')).toThrow('Unknown scoring strategy: nope');
+      expect(() => registerScoringStrategy({ id: 'broken', version: 1 })).toThrow('A scoring strategy needs');
+    });
+
+    test('should use a registered strategy when it is configured', async () => {
+      registerScoringStrategy({
+        id: 'ticket-count',
+        version: 3,
+        description: 'Critical tickets only',
+        formula: 'critical tickets * PER_TICKET',
+        defaultWeights: { PER_TICKET: 1 },
+        score({ criticalTickets, highComplexityPRs }, weights) {
+          const ticketContributions = criticalTickets.map(() => weights.PER_TICKET);
+          return {
+            baseScore: ticketContributions.length * weights.PER_TICKET,
+            divisor: 1,
+            score: ticketContributions.length * weights.PER_TICKET,
+            ticketContributions,
+            prContributions: highComplexityPRs.map(() => 0),
+            expression: `${criticalTickets.length} * ${weights.PER_TICKET}`
+          };
+        }
+      });
+      mockHelpers.setMockJiraTickets([criticalTicket('SCORE-1'), criticalTicket('SCORE-2')]);
+
+      const saved = await saveScoringConfig({ payload: { strategy: 'ticket-count', weights: { PER_TICKET: 4 } } });
+      const report = await calculateUndocumentedIntensity('scoring_user', '6_MONTHS');
+
+      expect(saved.success).toBe(true);
+      expect(report.undocumentedIntensityScore).toBe(8);
+      expect(report.riskLevel).toBe('CRITICAL');
+      expect(report.scoring).toEqual({ strategy: 'ticket-count', strategyVersion: 3, configVersion: 1 });
+      expect(report.scoreBreakdown.weights).toEqual({ PER_TICKET: 4 });
+    });
+  });
+
+  describe('Configuration', () => {
+    test('should validate weights and thresholds', () => {
+      const valid = resolveScoringConfig();
+
+      expect(() => validateScoringConfig(valid)).not.toThrow();
+      expect(() => validateScoringConfig({ ...valid, weights: { UNKNOWN: 1 } })).toThrow('Unknown weight UNKNOWN');
+      expect(() => validateScoringConfig({ ...valid, weights: { PR_COMPLEXITY: -1 } })).toThrow('Weight PR_COMPLEXITY must be a non-negative number');
+      expect(() => validateScoringConfig({ ...valid, thresholds: { CRITICAL: 5, HIGH: 0, MEDIUM: 1 } })).toThrow('Threshold HIGH must be a positive number');
+      expect(() => validateScoringConfig({ ...valid, thresholds: { CRITICAL: 3, HIGH: 5, MEDIUM: 1 } })).toThrow('strictly descending');
+      expect(() => validateScoringConfig({ ...valid, trend: { enabled: 'yes', slopeThreshold: 0.1 } })).toThrow('Trend enabled must be true or false');
+      expect(() => validateScoringConfig({ ...valid, trend: { enabled: true, slopeThreshold: 0 } })).toThrow('Trend slopeThreshold must be a positive number');
+    });
+
+    test('should save partial updates, bump the version and reject invalid saves', async () => {
+      const first = await saveScoringConfig({ payload: { weights: { CRITICAL_TICKET: 3 } } });
+      const second = await saveScoringConfig({ payload: { thresholds: { CRITICAL: 10 } } });
+      const rejected = await saveScoringConfig({ payload: { thresholds: { MEDIUM: 20 } } });
+
+      expect(first.config.configVersion).toBe(1);
+      expect(second.config).toMatchObject({
+        configVersion: 2,
+        weights: { PR_COMPLEXITY: 1.5, CRITICAL_TICKET: 3, DOC_LINK_PENALTY: 0.5 },
+        thresholds: { CRITICAL: 10, HIGH: 3, MEDIUM: 1.5 }
+      });
+      expect(rejected.success).toBe(false);
+      expect(rejected.error).toContain('strictly descending');
+      expect((await loadScoringConfig()).configVersion).toBe(2);
+    });
+
+    test('should list the current configuration and strategies', async () => {
+      const result = await getScoringConfig();
+
+      expect(result.success).toBe(true);
+      expect(result.config.strategy).toBe(DEFAULT_STRATEGY_ID);
+      expect(result.strategies.map(strategy => strategy.id)).toContain(DEFAULT_STRATEGY_ID);
+    });
+
+    test('should apply stored weights and thresholds to scans and record them on reports', async () => {
+      mockHelpers.setMockJiraTickets([criticalTicket('SCORE-1')]);
+      await saveScoringConfig({ payload: { weights: { CRITICAL_TICKET: 4 }, thresholds: { CRITICAL: 20, HIGH: 10, MEDIUM: 2 } } });
+
+      const result = await scanLastSixMonths({ payload: {} });
+      const report = result.reports.find(entry => entry.userId === 'scoring_user');
+
+      expect(report.scoreBreakdown.tickets[0].contribution).toBe(4);
+      expect(report.riskLevel).toBe('MEDIUM');
+      expect(report.scoring).toEqual({ strategy: DEFAULT_STRATEGY_ID, strategyVersion: 3, configVersion: 1 });
+      expect(result.summary.scoring).toEqual(report.scoring);
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    test('property: saved thresholds are always strictly descending', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.record({
+            CRITICAL: fc.double({ min: 0.1, max: 50, noNaN: true }),
+            HIGH: fc.double({ min: 0.1, max: 50, noNaN: true }),
+            MEDIUM: fc.double({ min: 0.1, max: 50, noNaN: true })
+          }),
+          async (thresholds) => {
+            mockHelpers.resetMocks();
+            const result = await saveScoringConfig({ payload: { thresholds } });
+            const stored = await loadScoringConfig();
+
+            expect(result.success).toBe(thresholds.CRITICAL > thresholds.HIGH && thresholds.HIGH > thresholds.MEDIUM);
+            expect(stored.thresholds.CRITICAL).toBeGreaterThan(stored.thresholds.HIGH);
+            expect(stored.thresholds.HIGH).toBeGreaterThan(stored.thresholds.MEDIUM);
+          }
+        ),
+        { numRuns: 30 }
+      );
+    });
+  });
+});
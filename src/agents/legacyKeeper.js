@@ -19,6 +19,7 @@ ALWAYS reference specific artifacts in your questions:
 - PR IDs: "In PR #402, you changed the auth logic..."
 - Commit hashes: "Looking at commit abc123, you refactored..."
 - Jira tickets: "For JIRA-456, you implemented..."
+- Incidents: "When you resolved OPS-789, what did you check first..."
 
 Focus on the "WHY" behind code decisions, not just the "what":
 - Why did you choose this approach over alternatives?
@@ -41,7 +42,7 @@ Always dig deeper into architectural decisions, trade-offs, and undocumented con
 const INTERVIEW_TEMPLATES = {
   opening: [
     "Hello! I'm the Legacy Keeper, and I'm here to conduct a forensic knowledge extraction session before you transition out of your role.",
-    "I'll ask you highly specific questions about concrete artifacts - your PRs, commits, and Jira tickets - focusing on the 'why' behind your code decisions.",
+    "I'll ask you highly specific questions about concrete artifacts - your PRs, commits, Jira tickets and incidents - focusing on the 'why' behind your code decisions.",
     "Let's start by examining your recent development activity and the undocumented reasoning behind your technical choices."
   ],
   
@@ -338,7 +339,8 @@ function buildArtifactReferences(artifact) {
   const groupedArtifacts = {
     'PR': [],
     'COMMIT': [],
-    'JIRA_TICKET': []
+    'JIRA_TICKET': [],
+    'INCIDENT': []
   };
 
   artifact.sourceArtifacts.forEach(sourceArtifact => {
@@ -380,6 +382,18 @@ function buildArtifactReferences(artifact) {
     references += '\n';
   }
 
+  // Format Incidents
+  if (groupedArtifacts.INCIDENT.length > 0) {
+    references += '### Incidents\n';
+    groupedArtifacts.INCIDENT.forEach(incident => {
+      references += `- **${incident.id}**: ${incident.title} (${incident.date.toLocaleDateString()}) - ${incident.author}\n`;
+      if (incident.complexityIndicators && incident.complexityIndicators.length > 0) {
+        references += `  - Involvement: ${incident.complexityIndicators.join(', ')}\n`;
+      }
+    });
+    references += '\n';
+  }
+
   return references;
 }
 
@@ -520,7 +534,7 @@ function extractArtifactLinks(artifact) {
 
 /**
  * Generate artifact-specific questions for forensic interviews
- * @param {Array} artifacts - Array of code artifacts (PRs, commits, Jira tickets)
+ * @param {Array} artifacts - Array of code artifacts (PRs, commits, Jira tickets, incidents)
  * @returns {Array<Object>} Array of artifact-specific question objects with metadata
  */
 function generateArtifactQuestions(artifacts) {
@@ -617,6 +631,34 @@ function generateArtifactQuestions(artifacts) {
         }
         break;
         
+      case 'INCIDENT':
+        questions.push({
+          question: `During incident ${artifact.id} "${artifact.title}", what did you check first, and how did you know where to look?`,
+          type: "INCIDENT",
+          artifactId: artifact.id,
+          focus: "diagnostic_heuristics",
+          followUp: `Which dashboards, logs or people did you rely on to resolve ${artifact.id} that a new on-call engineer wouldn't know about?`
+        });
+        
+        questions.push({
+          question: `If ${artifact.id} happened again tonight without you, what steps would the on-call engineer need that aren't in any runbook?`,
+          type: "INCIDENT",
+          artifactId: artifact.id,
+          focus: "runbook_gaps"
+        });
+        
+        const repeatIndicator = (artifact.complexityIndicators || []).find(indicator => indicator.startsWith('repeat_component_'));
+        if (repeatIndicator) {
+          const component = repeatIndicator.slice('repeat_component_'.length);
+          questions.push({
+            question: `${artifact.id} is one of several incidents you handled on ${component}. What keeps causing them, and what would actually fix it?`,
+            type: "INCIDENT",
+            artifactId: artifact.id,
+            focus: "recurring_failure"
+          });
+        }
+        break;
+        
       default:
         questions.push({
           question: `Regarding ${artifact.id}, what critical context would be lost if you weren't here to explain it?`,
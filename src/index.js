@@ -1,6 +1,32 @@
 const Resolver = require('@forge/resolver');
 const { scanLastSixMonths } = require('./scanners/legacyDetector');
 const { saveToConfluence } = require('./services/confluenceService');
+const {
+  runScheduledScan,
+  resumeScheduledScan,
+  getLatestScheduledScan,
+  saveScheduledScanConfig
+} = require('./scanners/scheduledScan');
+const { analyzeKnowledgeConcentration } = require('./scanners/knowledgeConcentration');
+const { getKnowledgeRiskRollup, getOrgMapping, saveOrgMapping } = require('./scanners/riskRollup');
+const { simulateDeparture } = require('./scanners/departureSimulation');
+const { getScoringConfig, saveScoringConfig } = require('./services/scoringService');
+const { importDepartureRoster, getDepartureRoster } = require('./services/departureRosterService');
+const {
+  getNotificationConfig,
+  saveNotificationConfig,
+  getNotificationDeliveryLog
+} = require('./services/notificationService');
+const { getKnowledgeTransferConfig, saveKnowledgeTransferConfig } = require('./services/knowledgeTransferService');
+const { getExclusionRules, saveExclusionRules } = require('./services/exclusionRulesService');
+const { getIncidentConfig, saveIncidentConfig } = require('./services/incidentSignalService');
+const {
+  listScanRuns,
+  getScanRun,
+  getUserScoreHistory,
+  getScanHistoryRetention,
+  saveScanHistoryRetention
+} = require('./services/scanHistoryService');
 // Bitbucket service removed due to workspace/site scope conflicts
 // const { 
 //   getPullRequestsLastSixMonths, 
@@ -15,6 +41,7 @@ const {
   executeCompleteWorkflow,
   getWorkflowSession,
   getAllActiveSessions,
+  runDepartureOffboarding,
   validateWorkflowCompletion
 } = require('./workflows/cognitiveOffboardingWorkflow');
 
@@ -23,6 +50,31 @@ const resolver = new Resolver();
 // Register resolver functions
 resolver.define('scanLastSixMonths', scanLastSixMonths);
 resolver.define('saveToConfluence', saveToConfluence);
+resolver.define('getLatestScheduledScan', getLatestScheduledScan);
+resolver.define('saveScheduledScanConfig', saveScheduledScanConfig);
+resolver.define('analyzeKnowledgeConcentration', analyzeKnowledgeConcentration);
+resolver.define('getKnowledgeRiskRollup', getKnowledgeRiskRollup);
+resolver.define('getOrgMapping', getOrgMapping);
+resolver.define('saveOrgMapping', saveOrgMapping);
+resolver.define('simulateDeparture', simulateDeparture);
+resolver.define('getScoringConfig', getScoringConfig);
+resolver.define('saveScoringConfig', saveScoringConfig);
+resolver.define('importDepartureRoster', importDepartureRoster);
+resolver.define('getDepartureRoster', getDepartureRoster);
+resolver.define('getNotificationConfig', getNotificationConfig);
+resolver.define('saveNotificationConfig', saveNotificationConfig);
+resolver.define('getNotificationDeliveryLog', getNotificationDeliveryLog);
+resolver.define('getKnowledgeTransferConfig', getKnowledgeTransferConfig);
+resolver.define('saveKnowledgeTransferConfig', saveKnowledgeTransferConfig);
+resolver.define('getExclusionRules', getExclusionRules);
+resolver.define('saveExclusionRules', saveExclusionRules);
+resolver.define('getIncidentConfig', getIncidentConfig);
+resolver.define('saveIncidentConfig', saveIncidentConfig);
+resolver.define('listScanRuns', listScanRuns);
+resolver.define('getScanRun', getScanRun);
+resolver.define('getUserScoreHistory', getUserScoreHistory);
+resolver.define('getScanHistoryRetention', getScanHistoryRetention);
+resolver.define('saveScanHistoryRetention', saveScanHistoryRetention);
 // Bitbucket functions removed due to workspace/site scope conflicts
 // resolver.define('getBitbucketPRs', getPullRequestsLastSixMonths);
 // resolver.define('getBitbucketCommits', getCommitHistory);
@@ -41,6 +93,34 @@ resolver.define('validateWorkflowCompletion', validateWorkflowCompletion);
 // Export individual functions for manifest handlers
 exports.scanLastSixMonths = scanLastSixMonths;
 exports.saveToConfluence = saveToConfluence;
+exports.runScheduledScan = runScheduledScan;
+exports.resumeScheduledScan = resumeScheduledScan;
+exports.getLatestScheduledScan = getLatestScheduledScan;
+exports.saveScheduledScanConfig = saveScheduledScanConfig;
+exports.analyzeKnowledgeConcentration = analyzeKnowledgeConcentration;
+exports.getKnowledgeRiskRollup = getKnowledgeRiskRollup;
+exports.getOrgMapping = getOrgMapping;
+exports.saveOrgMapping = saveOrgMapping;
+exports.simulateDeparture = simulateDeparture;
+exports.getScoringConfig = getScoringConfig;
+exports.saveScoringConfig = saveScoringConfig;
+exports.importDepartureRoster = importDepartureRoster;
+exports.getDepartureRoster = getDepartureRoster;
+exports.getNotificationConfig = getNotificationConfig;
+exports.saveNotificationConfig = saveNotificationConfig;
+exports.getNotificationDeliveryLog = getNotificationDeliveryLog;
+exports.getKnowledgeTransferConfig = getKnowledgeTransferConfig;
+exports.saveKnowledgeTransferConfig = saveKnowledgeTransferConfig;
+exports.getExclusionRules = getExclusionRules;
+exports.saveExclusionRules = saveExclusionRules;
+exports.getIncidentConfig = getIncidentConfig;
+exports.saveIncidentConfig = saveIncidentConfig;
+exports.listScanRuns = listScanRuns;
+exports.getScanRun = getScanRun;
+exports.getUserScoreHistory = getUserScoreHistory;
+exports.getScanHistoryRetention = getScanHistoryRetention;
+exports.saveScanHistoryRetention = saveScanHistoryRetention;
+exports.runDepartureOffboarding = runDepartureOffboarding;
 // Bitbucket exports removed due to workspace/site scope conflicts
 // exports.getBitbucketPRs = getPullRequestsLastSixMonths;
 // exports.getBitbucketCommits = getCommitHistory;
@@ -1,7 +1,59 @@
+const { extractAdfText } = require('../utils/adf');
+
 /**
  * Core data models and interfaces for the Legacy Keeper
  */
 
+/**
+ * Supported lookback presets, expressed in months back from the scan date
+ */
+const TIMEFRAME_PRESETS = {
+  '3_MONTHS': 3,
+  '6_MONTHS': 6,
+  '9_MONTHS': 9,
+  '12_MONTHS': 12,
+  '18_MONTHS': 18,
+  '24_MONTHS': 24
+};
+
+/**
+ * Timeframe key used for explicit from/to windows
+ */
+const CUSTOM_TIMEFRAME = 'CUSTOM';
+
+/**
+ * Default minimum Undocumented Intensity score for each risk level
+ * Admins can override these through the scoring configuration (see services/scoringService).
+ */
+const RISK_THRESHOLDS = {
+  CRITICAL: 5,
+  HIGH: 3,
+  MEDIUM: 1.5
+};
+
+/**
+ * Validate a timeframe key and, for custom windows, its explicit bounds
+ * @param {string} timeframe - Timeframe key
+ * @param {Date|null} windowStart - Start of the scan window
+ * @param {Date|null} windowEnd - End of the scan window
+ * @returns {string[]} Validation errors
+ */
+function validateTimeframe(timeframe, windowStart, windowEnd) {
+  const errors = [];
+
+  if (timeframe === CUSTOM_TIMEFRAME) {
+    if (!windowStart || !windowEnd) {
+      errors.push('Custom timeframe requires a window start and end');
+    } else if (windowStart.getTime() >= windowEnd.getTime()) {
+      errors.push('Window start must be before window end');
+    }
+  } else if (!Object.prototype.hasOwnProperty.call(TIMEFRAME_PRESETS, timeframe)) {
+    errors.push(`Timeframe must be one of ${Object.keys(TIMEFRAME_PRESETS).join(', ')} or ${CUSTOM_TIMEFRAME}`);
+  }
+
+  return errors;
+}
+
 /**
  * Knowledge Artifact - Represents captured tacit knowledge
  */
@@ -17,7 +69,8 @@ class KnowledgeArtifact {
     relatedTickets = [],
     relatedPRs = [],
     relatedCommits = [],
-    sourceArtifacts = []
+    sourceArtifacts = [],
+    scoreBreakdown = null
   }) {
     this.id = id;
     this.employeeId = employeeId;
@@ -30,6 +83,8 @@ class KnowledgeArtifact {
     this.relatedPRs = relatedPRs;
     this.relatedCommits = relatedCommits;
     this.sourceArtifacts = sourceArtifacts;
+    // Undocumented Intensity score breakdown of the source employee, rendered in the Legacy Document
+    this.scoreBreakdown = scoreBreakdown;
   }
 
   validate() {
@@ -112,7 +167,21 @@ class JiraTicket {
     created,
     updated,
     commentCount = 0,
-    documentationLinks = []
+    documentationLinks = [],
+    components = [],
+    labels = [],
+    parentKey = null,
+    epicKey = null,
+    epicSummary = null,
+    issueLinks = [],
+    subtaskKeys = [],
+    centrality = 0,
+    criticalParent = null,
+    reopenCount = 0,
+    reassignmentCount = 0,
+    timeInStatus = {},
+    priorityEscalations = 0,
+    distinctTransitions = 0
   }) {
     this.id = id;
     this.key = key;
@@ -124,6 +193,22 @@ class JiraTicket {
     this.updated = new Date(updated);
     this.commentCount = commentCount;
     this.documentationLinks = documentationLinks;
+    this.components = components;
+    this.labels = labels;
+    // Hierarchy and issue-link relations, and the ticket's centrality in the user's ticket graph (see utils/issueGraph)
+    this.parentKey = parentKey;
+    this.epicKey = epicKey;
+    this.epicSummary = epicSummary;
+    this.issueLinks = issueLinks;
+    this.subtaskKeys = subtaskKeys;
+    this.centrality = centrality;
+    this.criticalParent = criticalParent;
+    // Changelog signals (see utils/changelogSignals)
+    this.reopenCount = reopenCount;
+    this.reassignmentCount = reassignmentCount;
+    this.timeInStatus = timeInStatus;
+    this.priorityEscalations = priorityEscalations;
+    this.distinctTransitions = distinctTransitions;
   }
 
   validate() {
@@ -133,6 +218,13 @@ class JiraTicket {
     if (!this.key) errors.push('Key is required');
     if (!this.summary) errors.push('Summary is required');
     if (!this.assignee) errors.push('Assignee is required');
+    if (!Array.isArray(this.components)) errors.push('Components must be an array');
+    if (!Array.isArray(this.labels)) errors.push('Labels must be an array');
+    if (!Array.isArray(this.issueLinks) || !Array.isArray(this.subtaskKeys)) errors.push('Issue links and sub-task keys must be arrays');
+    if (typeof this.centrality !== 'number' || this.centrality < 0) errors.push('Centrality must be a non-negative number');
+    if (this.reopenCount < 0 || this.reassignmentCount < 0 || this.priorityEscalations < 0 || this.distinctTransitions < 0) {
+      errors.push('Changelog signal counts must be non-negative');
+    }
     
     return {
       isValid: errors.length === 0,
@@ -141,7 +233,8 @@ class JiraTicket {
   }
 
   getDocumentationRatio() {
-    const descriptionLength = this.description ? this.description.length : 0;
+    // Descriptions may still be ADF documents when built straight from REST v3 responses
+    const descriptionLength = extractAdfText(this.description).length;
     const linksCount = this.documentationLinks.length;
     const commentsCount = this.commentCount;
     
@@ -478,8 +571,8 @@ class CodeArtifact {
   validate() {
     const errors = [];
     
-    if (!['PR', 'COMMIT', 'JIRA_TICKET'].includes(this.type)) {
-      errors.push('Type must be PR, COMMIT, or JIRA_TICKET');
+    if (!['PR', 'COMMIT', 'JIRA_TICKET', 'INCIDENT'].includes(this.type)) {
+      errors.push('Type must be PR, COMMIT, JIRA_TICKET, or INCIDENT');
     }
     if (!this.id) errors.push('ID is required');
     if (!this.title) errors.push('Title is required');
@@ -502,6 +595,8 @@ class DeveloperActivity {
   constructor({
     userId,
     timeframe = '6_MONTHS',
+    windowStart = null,
+    windowEnd = null,
     jiraTickets = [],
     pullRequests = [],
     commits = [],
@@ -510,6 +605,8 @@ class DeveloperActivity {
   }) {
     this.userId = userId;
     this.timeframe = timeframe;
+    this.windowStart = windowStart ? new Date(windowStart) : null;
+    this.windowEnd = windowEnd ? new Date(windowEnd) : null;
     this.jiraTickets = jiraTickets;
     this.pullRequests = pullRequests;
     this.commits = commits;
@@ -521,7 +618,7 @@ class DeveloperActivity {
     const errors = [];
     
     if (!this.userId) errors.push('User ID is required');
-    if (this.timeframe !== '6_MONTHS') errors.push('Only 6_MONTHS timeframe is supported');
+    errors.push(...validateTimeframe(this.timeframe, this.windowStart, this.windowEnd));
     if (!Array.isArray(this.jiraTickets)) errors.push('Jira tickets must be an array');
     if (!Array.isArray(this.pullRequests)) errors.push('Pull requests must be an array');
     if (!Array.isArray(this.commits)) errors.push('Commits must be an array');
@@ -544,28 +641,53 @@ class UndocumentedIntensityReport {
   constructor({
     userId,
     timeframe = '6_MONTHS',
+    windowStart = null,
+    windowEnd = null,
     highComplexityPRs = [],
     criticalJiraTickets = [],
+    incidents = [],
+    epics = [],
     documentationLinks = [],
+    documentationWeight = 0,
     undocumentedIntensityScore = 0,
     specificArtifacts = [],
-    riskLevel = 'LOW'
+    riskLevel = 'LOW',
+    scoreBreakdown = null,
+    scoring = null,
+    intensityTrend = null,
+    knowledgeTransfer = null
   }) {
     this.userId = userId;
     this.timeframe = timeframe;
+    this.windowStart = windowStart ? new Date(windowStart) : null;
+    this.windowEnd = windowEnd ? new Date(windowEnd) : null;
     this.highComplexityPRs = highComplexityPRs;
     this.criticalJiraTickets = criticalJiraTickets;
+    // Incidents the user resolved or commented on, weighted with the repeat-component multiplier
+    this.incidents = incidents;
+    // Tickets, incidents and PRs grouped by the epic they belong to (see utils/issueGraph)
+    this.epics = epics;
     this.documentationLinks = documentationLinks;
+    // Sum of validated documentation link weights (freshness x length), see services/documentationLinkService
+    this.documentationWeight = documentationWeight;
     this.undocumentedIntensityScore = undocumentedIntensityScore;
     this.specificArtifacts = specificArtifacts;
     this.riskLevel = riskLevel;
+    // Per-artifact contributions, documentation divisor and weights behind the score
+    this.scoreBreakdown = scoreBreakdown;
+    // Strategy, strategy version and configuration version that produced the score
+    this.scoring = scoring;
+    // Monthly scores inside the window with their slope, acceleration and direction
+    this.intensityTrend = intensityTrend;
+    // Jira epic and task keys tracking the user's knowledge transfer, with their progress
+    this.knowledgeTransfer = knowledgeTransfer;
   }
 
   validate() {
     const errors = [];
     
     if (!this.userId) errors.push('User ID is required');
-    if (this.timeframe !== '6_MONTHS') errors.push('Only 6_MONTHS timeframe is supported');
+    errors.push(...validateTimeframe(this.timeframe, this.windowStart, this.windowEnd));
     if (!['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'].includes(this.riskLevel)) {
       errors.push('Risk level must be CRITICAL, HIGH, MEDIUM, or LOW');
     }
@@ -576,15 +698,25 @@ class UndocumentedIntensityReport {
     };
   }
 
-  static calculateRiskLevel(undocumentedIntensityScore) {
-    if (undocumentedIntensityScore >= 8) return 'CRITICAL';
-    if (undocumentedIntensityScore >= 6) return 'HIGH';
-    if (undocumentedIntensityScore >= 3) return 'MEDIUM';
+  /**
+   * Classify a score against risk thresholds
+   * @param {number} undocumentedIntensityScore - Undocumented Intensity score
+   * @param {{CRITICAL: number, HIGH: number, MEDIUM: number}} [thresholds] - Thresholds (defaults to RISK_THRESHOLDS)
+   * @returns {string} CRITICAL, HIGH, MEDIUM or LOW
+   */
+  static calculateRiskLevel(undocumentedIntensityScore, thresholds = RISK_THRESHOLDS) {
+    if (undocumentedIntensityScore >= thresholds.CRITICAL) return 'CRITICAL';
+    if (undocumentedIntensityScore >= thresholds.HIGH) return 'HIGH';
+    if (undocumentedIntensityScore >= thresholds.MEDIUM) return 'MEDIUM';
     return 'LOW';
   }
 }
 
 module.exports = {
+  TIMEFRAME_PRESETS,
+  CUSTOM_TIMEFRAME,
+  RISK_THRESHOLDS,
+  validateTimeframe,
   KnowledgeArtifact,
   InterviewContext,
   JiraTicket,
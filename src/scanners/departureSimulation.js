@@ -0,0 +1,416 @@
+const {
+  buildJiraTicket,
+  isCriticalTicket,
+  fetchUserPullRequests,
+  extractDocumentationLinks,
+  resolveScanExecution
+} = require('./legacyDetector');
+const { calculateBusFactor } = require('./knowledgeConcentration');
+const { ApiError } = require('../models');
+const { resolveTimeframe, isWithinTimeframe, buildJqlDateClause, describeTimeframe } = require('../utils/timeframe');
+const { resolveScanScope, applyScopeToJql } = require('../utils/scanScope');
+const { resolvePagination, searchAllIssues } = require('../services/jiraService');
+const { calculateChangelogIntensity } = require('../utils/changelogSignals');
+const { extractIssueParticipants, weighParticipation } = require('../utils/participation');
+const {
+  createRequestBudget,
+  runWithRequestBudget,
+  isRequestBudgetExhausted,
+  describeRequestBudget
+} = require('../utils/requestBudget');
+const { runWorkerPool } = require('../utils/workerPool');
+const {
+  loadExclusionRules,
+  createExclusionFilter,
+  isIssueExcluded,
+  filterExcludedUsers,
+  summarizeExclusions
+} = require('../services/exclusionRulesService');
+
+/**
+ * Departure Simulation - "What if they leave?"
+ * Removes a set of users from recent Jira and Bitbucket activity and reports the tickets, pull requests,
+ * components and repositories nobody else has worked on, with bus factors before and after the departure.
+ * The simulation only reads: it never starts an offboarding workflow, sends notifications or writes to storage.
+ */
+
+/**
+ * Default simulation settings
+ */
+const SIMULATION_DEFAULTS = {
+  // Critical tickets weigh this many times an ordinary ticket when ranking what to document first
+  CRITICAL_TICKET_WEIGHT: 2,
+  // Applied per complexity point, so a PR at maximum complexity (10) weighs as much as a critical ticket
+  PR_COMPLEXITY_WEIGHT: 0.2,
+  // PRs that already link to documentation keep this fraction of their priority
+  DOCUMENTED_PR_FACTOR: 0.5,
+  // Number of artifacts in the document-first list
+  DOCUMENT_FIRST_LIMIT: 20
+};
+
+/**
+ * Resolver: simulate the departure of one or more users
+ * @param {Object} req - Forge request; payload accepts accountIds (required), timeframe, scope fields,
+ *   pagination and documentFirstLimit, plus the scan's concurrency, timeBudgetMs and requestBudget.
+ *   Contributors' pull requests are fetched payload.concurrency users at a time within a shared request budget
+ *   per API, departing users first; once the time or request budget runs out the remaining contributors'
+ *   pull requests are left out and the summary's execution section reports them. Users and issues matched by
+ *   the exclusion rules are left out, departing users included; summary.exclusions counts them per rule.
+ * @returns {Promise<Object>} Orphaned tickets, pull requests, components and repositories, areas that lose
+ *   contributors but keep others, and a ranked list of artifacts to document first
+ */
+async function simulateDeparture(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    const startedAt = Date.now();
+    const accountIds = resolveDepartingAccountIds(payload.accountIds);
+    const documentFirstLimit = payload.documentFirstLimit === undefined
+      ? SIMULATION_DEFAULTS.DOCUMENT_FIRST_LIMIT
+      : payload.documentFirstLimit;
+    const timeframe = resolveTimeframe(payload.timeframe);
+    const scope = resolveScanScope(payload);
+    const pagination = resolvePagination(payload.pagination);
+    const execution = resolveScanExecution(payload);
+    const budget = createRequestBudget(execution.requestBudget);
+    const exclusions = createExclusionFilter(await loadExclusionRules());
+
+    if (!Number.isInteger(documentFirstLimit) || documentFirstLimit < 1) {
+      throw new ApiError({
+        code: 'INVALID_INPUT',
+        message: 'documentFirstLimit must be a positive integer'
+      });
+    }
+
+    console.log(`Simulating the departure of ${accountIds.length} user(s) (${timeframe.key}, read-only)...`);
+
+    const departing = new Set(accountIds);
+    const displayNames = new Map();
+    const participants = await runWithRequestBudget(budget, () => collectTicketContributors(timeframe, { scope, pagination, exclusions }, displayNames));
+    // Departing users come first, so their pull requests are fetched before the budget can run out
+    const participantIds = new Set([...accountIds, ...participants.flatMap(entry => entry.contributors.map(c => c.userId))]);
+    const contributorIds = new Set((await runWithRequestBudget(budget, () => filterExcludedUsers(
+      Array.from(participantIds).map(accountId => ({ accountId })),
+      exclusions
+    ))).map(user => user.accountId));
+    const tickets = participants.map(({ ticket, contributors }) => ({
+      ticket,
+      contributors: contributors.filter(contributor => contributorIds.has(contributor.userId))
+    }));
+    const { pullRequests, remainingUsers } = await collectPullRequests(Array.from(contributorIds), timeframe, {
+      execution,
+      budget,
+      deadline: startedAt + execution.timeBudgetMs
+    });
+
+    const componentActivity = new Map();
+    tickets.forEach(({ ticket, contributors }) => {
+      ticket.components.forEach(component => {
+        contributors.forEach(contributor => recordActivity(componentActivity, component, { name: component }, contributor, contributor.weight));
+      });
+    });
+
+    const repositoryActivity = new Map();
+    pullRequests.forEach(pr => {
+      const repository = pr.sourceRepository || 'unknown';
+      const author = { userId: pr.author, displayName: displayNames.get(pr.author) || pr.author };
+      recordActivity(repositoryActivity, repository, { name: repository }, author, Math.max(1, (pr.linesAdded || 0) + (pr.linesDeleted || 0)));
+    });
+
+    const orphanedTickets = tickets
+      .filter(({ contributors }) => contributors.length > 0 && contributors.every(contributor => departing.has(contributor.userId)))
+      .map(describeOrphanedTicket);
+    const orphanedPullRequests = pullRequests
+      .filter(pr => departing.has(pr.author))
+      .map(describeOrphanedPullRequest);
+    const components = assessAreas(componentActivity, departing);
+    const repositories = assessAreas(repositoryActivity, departing);
+
+    return {
+      success: true,
+      departing: accountIds.map(accountId => ({
+        accountId,
+        displayName: displayNames.get(accountId) || accountId,
+        tickets: tickets.filter(({ contributors }) => contributors.some(contributor => contributor.userId === accountId)).length,
+        pullRequests: pullRequests.filter(pr => pr.author === accountId).length
+      })),
+      orphaned: {
+        tickets: orphanedTickets,
+        pullRequests: orphanedPullRequests,
+        components: components.filter(area => area.orphaned),
+        repositories: repositories.filter(area => area.orphaned)
+      },
+      affected: {
+        components: components.filter(area => !area.orphaned),
+        repositories: repositories.filter(area => !area.orphaned)
+      },
+      documentFirst: rankDocumentFirst(orphanedTickets, orphanedPullRequests, documentFirstLimit),
+      summary: {
+        timeframe: describeTimeframe(timeframe),
+        scope,
+        readOnly: true,
+        issuesAnalyzed: tickets.length,
+        pullRequestsAnalyzed: pullRequests.length,
+        orphanedTickets: orphanedTickets.length,
+        orphanedPullRequests: orphanedPullRequests.length,
+        orphanedComponents: components.filter(area => area.orphaned).length,
+        orphanedRepositories: repositories.filter(area => area.orphaned).length,
+        exclusions: summarizeExclusions(exclusions),
+        execution: {
+          concurrency: execution.concurrency,
+          timeBudgetMs: execution.timeBudgetMs,
+          elapsedMs: Date.now() - startedAt,
+          requests: describeRequestBudget(budget),
+          stoppedBy: remainingUsers > 0 ? (budget.exhausted ? 'REQUEST_BUDGET' : 'TIME_BUDGET') : null,
+          totalUsers: contributorIds.size,
+          remainingUsers
+        }
+      }
+    };
+
+  } catch (error) {
+    console.error('Error simulating departure:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      orphaned: { tickets: [], pullRequests: [], components: [], repositories: [] },
+      documentFirst: []
+    };
+  }
+}
+
+/**
+ * Validate the account IDs of the users whose departure is simulated
+ * @param {*} accountIds - accountIds from the payload
+ * @returns {string[]} Unique account IDs in request order
+ * @throws {ApiError} If accountIds is not a non-empty array of non-empty strings
+ */
+function resolveDepartingAccountIds(accountIds) {
+  const isValid = Array.isArray(accountIds) && accountIds.length > 0 &&
+    accountIds.every(accountId => typeof accountId === 'string' && accountId.trim().length > 0);
+
+  if (!isValid) {
+    throw new ApiError({
+      code: 'INVALID_INPUT',
+      message: 'accountIds must be a non-empty array of user account IDs'
+    });
+  }
+
+  return Array.from(new Set(accountIds.map(accountId => accountId.trim())));
+}
+
+/**
+ * Fetch every issue updated inside the scan window with everyone who took part in it
+ * @param {Object} timeframe - Resolved scan window
+ * @param {{scope: Object, pagination: Object, exclusions: Object}} options - Jira search options and the
+ *   exclusion filter; excluded issues are skipped
+ * @param {Map<string, string>} displayNames - Display names keyed by account ID, filled in as participants are found
+ * @returns {Promise<Array<{ticket: JiraTicket, contributors: Array}>>} Tickets with their contributors
+ *   ({ userId, displayName, roles, weight }), heaviest participation first
+ * @throws {ApiError} If the Jira search fails
+ */
+async function collectTicketContributors(timeframe, options, displayNames) {
+  const jql = `${applyScopeToJql(options.scope, buildJqlDateClause('updated', timeframe))} ORDER BY updated DESC`;
+  const result = await searchAllIssues(jql, { ...options.pagination, expand: 'changelog' });
+
+  return result.issues
+    .filter(issue => isWithinTimeframe(new Date(issue.fields.updated), timeframe))
+    .filter(issue => !isIssueExcluded(issue, options.exclusions))
+    .map(issue => {
+      const contributors = Array.from(extractIssueParticipants(issue).entries())
+        .map(([userId, { displayName, roles }]) => {
+          displayNames.set(userId, displayName);
+          return { userId, displayName, roles, weight: weighParticipation(roles) };
+        })
+        .sort((a, b) => b.weight - a.weight);
+
+      return { ticket: buildJiraTicket(issue), contributors };
+    });
+}
+
+/**
+ * Fetch the PRs every contributor created inside the scan window
+ * Contributors are fetched in parallel; no further contributors are started once the deadline has passed or a
+ * request budget is used up, and a contributor whose requests were refused by the budget is left out.
+ * @param {string[]} userIds - Contributor account IDs
+ * @param {Object} timeframe - Resolved scan window
+ * @param {{execution: Object, budget: Object, deadline: number}} options - Execution options, the simulation's
+ *   request budget and the time (ms since epoch) after which no further contributors are started
+ * @returns {Promise<{pullRequests: Array, remainingUsers: number}>} Pull requests, each listed once, and the
+ *   number of contributors whose pull requests were not fetched
+ */
+async function collectPullRequests(userIds, timeframe, options) {
+  const { budget, deadline } = options;
+  const { results } = await runWorkerPool(userIds, async userId => {
+    const task = { rejected: false };
+    try {
+      const userPullRequests = await runWithRequestBudget(budget, () => fetchUserPullRequests(userId, timeframe), task);
+      return task.rejected ? null : userPullRequests;
+    } catch (error) {
+      if (task.rejected) {
+        return null;
+      }
+      // Bitbucket data is optional; tickets and components can still be simulated
+      console.warn(`Bitbucket data unavailable for user ${userId}, skipping their pull requests:`, error.message);
+      return [];
+    }
+  }, {
+    concurrency: options.execution.concurrency,
+    shouldContinue: started => started === 0 || (!isRequestBudgetExhausted(budget) && Date.now() < deadline)
+  });
+
+  const pullRequests = new Map();
+  results.forEach(userPullRequests => {
+    (userPullRequests || []).forEach(pr => pullRequests.set(pr.id, pr));
+  });
+
+  return {
+    pullRequests: Array.from(pullRequests.values()),
+    remainingUsers: userIds.filter((userId, i) => !results[i]).length
+  };
+}
+
+/**
+ * Add a contributor's activity to an area
+ * @param {Map} areas - Area activity keyed by area name
+ * @param {string} areaKey - Unique area key
+ * @param {Object} attributes - Area attributes (name)
+ * @param {{userId: string, displayName: string}} contributor - Contributor
+ * @param {number} weight - Activity weight
+ */
+function recordActivity(areas, areaKey, attributes, contributor, weight) {
+  if (!areas.has(areaKey)) {
+    areas.set(areaKey, { ...attributes, contributors: new Map() });
+  }
+
+  const contributors = areas.get(areaKey).contributors;
+  const existing = contributors.get(contributor.userId) || {
+    userId: contributor.userId,
+    displayName: contributor.displayName,
+    activity: 0
+  };
+  existing.activity = Math.round((existing.activity + weight) * 1000) / 1000;
+  contributors.set(contributor.userId, existing);
+}
+
+/**
+ * Recompute the bus factor of every area the departing users contributed to
+ * @param {Map} areas - Area activity keyed by area name
+ * @param {Set<string>} departing - Departing account IDs
+ * @returns {Array} Areas with the departing users' share, the remaining contributors and the bus factor
+ *   before and after, orphaned areas first, then by departing share
+ */
+function assessAreas(areas, departing) {
+  return Array.from(areas.values())
+    .filter(area => Array.from(area.contributors.keys()).some(userId => departing.has(userId)))
+    .map(area => {
+      const contributors = Array.from(area.contributors.values());
+      const remaining = contributors.filter(contributor => !departing.has(contributor.userId));
+      const totalActivity = contributors.reduce((sum, contributor) => sum + contributor.activity, 0);
+      const departingActivity = totalActivity - remaining.reduce((sum, contributor) => sum + contributor.activity, 0);
+
+      return {
+        name: area.name,
+        totalActivity: Math.round(totalActivity * 1000) / 1000,
+        departingShare: Math.round((departingActivity / totalActivity) * 10000) / 100,
+        orphaned: remaining.length === 0,
+        remainingContributors: remaining
+          .sort((a, b) => b.activity - a.activity)
+          .map(({ userId, displayName }) => ({ userId, displayName })),
+        busFactor: {
+          before: calculateBusFactor(contributors.map(contributor => contributor.activity)),
+          after: calculateBusFactor(remaining.map(contributor => contributor.activity))
+        }
+      };
+    })
+    .sort((a, b) => Number(b.orphaned) - Number(a.orphaned) || b.departingShare - a.departingShare);
+}
+
+/**
+ * Describe a ticket whose only contributors are departing, with its document-first priority
+ * Priority = (critical ? CRITICAL_TICKET_WEIGHT : 1) * (1 + changelog churn) * (1 - documentation ratio)
+ * @param {{ticket: JiraTicket, contributors: Array}} entry - Ticket and its contributors
+ * @returns {Object} Orphaned ticket
+ */
+function describeOrphanedTicket({ ticket, contributors }) {
+  const critical = isCriticalTicket(ticket);
+  const churn = Math.round(calculateChangelogIntensity(ticket) * 100) / 100;
+  const documentationRatio = Math.round(Math.min(ticket.getDocumentationRatio(), 1) * 100) / 100;
+  const reasons = [
+    ...(critical ? ['critical ticket'] : []),
+    ...(churn > 0 ? [`changelog churn ${churn}`] : []),
+    `documentation ratio ${documentationRatio}`
+  ];
+
+  return {
+    key: ticket.key,
+    summary: ticket.summary,
+    status: ticket.status,
+    components: ticket.components,
+    critical,
+    documentationRatio,
+    contributors,
+    busFactor: {
+      before: calculateBusFactor(contributors.map(contributor => contributor.weight)),
+      after: 0
+    },
+    priority: roundPriority((critical ? SIMULATION_DEFAULTS.CRITICAL_TICKET_WEIGHT : 1) * (1 + churn) * (1 - documentationRatio)),
+    reasons
+  };
+}
+
+/**
+ * Describe a pull request whose author is departing, with its document-first priority
+ * Priority = max(complexity, 1) * PR_COMPLEXITY_WEIGHT, scaled by DOCUMENTED_PR_FACTOR when the
+ * title or description links to documentation
+ * @param {Object} pr - Pull request
+ * @returns {Object} Orphaned pull request
+ */
+function describeOrphanedPullRequest(pr) {
+  const documented = extractDocumentationLinks(`${pr.title || ''} ${pr.description || ''}`).length > 0;
+  const complexityScore = pr.complexityScore || 0;
+
+  return {
+    id: pr.id,
+    title: pr.title,
+    author: pr.author,
+    repository: pr.sourceRepository || 'unknown',
+    complexityScore,
+    documented,
+    busFactor: { before: 1, after: 0 },
+    priority: roundPriority(Math.max(complexityScore, 1) * SIMULATION_DEFAULTS.PR_COMPLEXITY_WEIGHT *
+      (documented ? SIMULATION_DEFAULTS.DOCUMENTED_PR_FACTOR : 1)),
+    reasons: [`complexity ${complexityScore}`, documented ? 'links to documentation' : 'no documentation links']
+  };
+}
+
+/**
+ * Rank orphaned tickets and pull requests by document-first priority
+ * @param {Array} tickets - Orphaned tickets
+ * @param {Array} pullRequests - Orphaned pull requests
+ * @param {number} limit - Maximum number of artifacts
+ * @returns {Array<{rank: number, type: string, artifact: string, title: string, priority: number, reasons: string[]}>} Ranked artifacts
+ */
+function rankDocumentFirst(tickets, pullRequests, limit) {
+  return [
+    ...tickets.map(ticket => ({ type: 'TICKET', artifact: `JIRA-${ticket.key}`, title: ticket.summary, priority: ticket.priority, reasons: ticket.reasons })),
+    ...pullRequests.map(pr => ({ type: 'PULL_REQUEST', artifact: `PR #${pr.id}`, title: pr.title, priority: pr.priority, reasons: pr.reasons }))
+  ]
+    .sort((a, b) => b.priority - a.priority || a.artifact.localeCompare(b.artifact))
+    .slice(0, limit)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+/**
+ * Round a priority to two decimals
+ * @param {number} value - Priority
+ * @returns {number} Rounded priority
+ */
+function roundPriority(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  SIMULATION_DEFAULTS,
+  simulateDeparture,
+  rankDocumentFirst
+};
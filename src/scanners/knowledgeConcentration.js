@@ -0,0 +1,400 @@
+const {
+  getActiveUsersLastSixMonths,
+  identifyCriticalTickets,
+  fetchUserPullRequests,
+  resolveScanExecution
+} = require('./legacyDetector');
+const { getDiffContext } = require('../services/bitbucketService');
+const { ApiError } = require('../models');
+const { resolveTimeframe, describeTimeframe } = require('../utils/timeframe');
+const { resolveScanScope } = require('../utils/scanScope');
+const { resolvePagination } = require('../services/jiraService');
+const {
+  createRequestBudget,
+  runWithRequestBudget,
+  isRequestBudgetExhausted,
+  describeRequestBudget
+} = require('../utils/requestBudget');
+const { runWorkerPool } = require('../utils/workerPool');
+const {
+  loadExclusionRules,
+  createExclusionFilter,
+  filterExcludedUsers,
+  summarizeExclusions
+} = require('../services/exclusionRulesService');
+
+/**
+ * Knowledge Concentration - Computes contributor share and bus factor per Jira component and repository directory
+ * Flags areas of the system where a single person holds most of the recent activity
+ */
+
+/**
+ * Default analysis settings
+ */
+const CONCENTRATION_DEFAULTS = {
+  // Flag an area when one contributor holds more than this share of its activity (percent)
+  CONCENTRATION_THRESHOLD: 60,
+  // Bus factor: smallest number of contributors that together hold at least this share (percent)
+  BUS_FACTOR_COVERAGE: 50,
+  // Areas with less activity than this are reported but never flagged
+  MIN_ACTIVITY: 3,
+  // Number of path segments that make up a directory (e.g. 'src/auth')
+  DIRECTORY_DEPTH: 2
+};
+
+/**
+ * Resolver: analyze knowledge concentration across Jira components and repository directories
+ * @param {Object} req - Forge request; payload accepts timeframe, scope fields, pagination,
+ *   concentrationThreshold, minActivity and directoryDepth, plus the scan's concurrency, timeBudgetMs and
+ *   requestBudget. Users are analyzed payload.concurrency at a time within a shared request budget per API.
+ *   Once the time or request budget runs out no further users are started, and users whose requests were
+ *   refused or who are still being analyzed at the deadline are left out (except the first); the summary's
+ *   execution section then reports the analysis as partial. Users and issues matched by the exclusion rules are
+ *   left out; summary.exclusions counts them per rule.
+ * @returns {Promise<Object>} Areas with contributor shares and bus factor, plus the flagged areas
+ */
+async function analyzeKnowledgeConcentration(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    const startedAt = Date.now();
+    const timeframe = resolveTimeframe(payload.timeframe);
+    const scope = resolveScanScope(payload);
+    const pagination = resolvePagination(payload.pagination);
+    const settings = resolveConcentrationSettings(payload);
+    const execution = resolveScanExecution(payload);
+    const budget = createRequestBudget(execution.requestBudget);
+    const exclusions = createExclusionFilter(await loadExclusionRules());
+
+    console.log(`Starting knowledge concentration analysis (${timeframe.key}, threshold ${settings.concentrationThreshold}%)...`);
+
+    const users = await runWithRequestBudget(budget, async () => filterExcludedUsers(
+      await getActiveUsersLastSixMonths(timeframe, { pagination, scope, exclusions }),
+      exclusions
+    ));
+
+    // Discovery swallows search errors, so an exhausted budget would otherwise look like a site without users
+    if (isRequestBudgetExhausted(budget)) {
+      throw new ApiError({
+        code: 'REQUEST_BUDGET_EXHAUSTED',
+        message: `Request budget for ${budget.exhausted} exhausted during user discovery`
+      });
+    }
+
+    const deadline = startedAt + execution.timeBudgetMs;
+    const { results } = await runWorkerPool(users, (user, index) => analyzeUser(user, {
+      timeframe,
+      pagination,
+      scope,
+      directoryDepth: settings.directoryDepth,
+      exclusions,
+      budget,
+      deadline: index === 0 ? null : deadline
+    }), {
+      concurrency: execution.concurrency,
+      shouldContinue: started => started === 0 || (!isRequestBudgetExhausted(budget) && Date.now() < deadline)
+    });
+
+    const componentActivity = new Map();
+    const directoryActivity = new Map();
+    let ticketsWithoutComponent = 0;
+    let usersAnalyzed = 0;
+
+    // Aggregate in discovery order so shares and tie-breaks do not depend on which worker finished first
+    users.forEach((user, i) => {
+      const result = results[i];
+      if (!result || result.skipped) {
+        return;
+      }
+      usersAnalyzed++;
+
+      result.tickets.forEach(ticket => {
+        if (ticket.components.length === 0) {
+          ticketsWithoutComponent++;
+          return;
+        }
+        ticket.components.forEach(component => {
+          recordActivity(componentActivity, component, { name: component }, user, 1);
+        });
+      });
+
+      result.directories.forEach(({ repository, directory, weight }) => {
+        const areaKey = `${repository || 'unknown'}:${directory}`;
+        recordActivity(directoryActivity, areaKey, { name: directory, repository }, user, weight);
+      });
+    });
+
+    const components = buildAreas('COMPONENT', componentActivity, settings);
+    const directories = buildAreas('DIRECTORY', directoryActivity, settings);
+    const flagged = [...components, ...directories]
+      .filter(area => area.flagged)
+      .sort((a, b) => b.topContributor.share - a.topContributor.share);
+    const remainingUsers = users.length - usersAnalyzed;
+
+    if (remainingUsers > 0) {
+      console.warn(`Knowledge concentration analysis stopped after ${usersAnalyzed} of ${users.length} users (${budget.exhausted ? `${budget.exhausted} request budget` : 'time budget'} reached)`);
+    }
+
+    return {
+      success: true,
+      components,
+      directories,
+      flagged,
+      summary: {
+        timeframe: describeTimeframe(timeframe),
+        scope,
+        settings,
+        usersAnalyzed,
+        componentsAnalyzed: components.length,
+        directoriesAnalyzed: directories.length,
+        flaggedAreas: flagged.length,
+        ticketsWithoutComponent,
+        exclusions: summarizeExclusions(exclusions),
+        execution: {
+          concurrency: execution.concurrency,
+          timeBudgetMs: execution.timeBudgetMs,
+          elapsedMs: Date.now() - startedAt,
+          requests: describeRequestBudget(budget),
+          stoppedBy: remainingUsers > 0 ? (budget.exhausted ? 'REQUEST_BUDGET' : 'TIME_BUDGET') : null,
+          totalUsers: users.length,
+          remainingUsers
+        }
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in knowledge concentration analysis:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      components: [],
+      directories: [],
+      flagged: []
+    };
+  }
+}
+
+/**
+ * Collect one user's tickets and directory activity inside the analysis' request budget
+ * A user whose requests were refused by the budget, or who is still being analyzed when the deadline
+ * passes, is skipped so a partial analysis never counts half of a user's activity.
+ * @param {{accountId: string, displayName: string}} user - Active user
+ * @param {Object} context - Analysis state (timeframe, pagination, scope, directoryDepth, the exclusion filter and
+ *   the request budget)
+ * @param {number|null} [context.deadline] - Time (ms since epoch) after which the user is skipped; null never skips
+ * @returns {Promise<{tickets: Array, directories: Array, skipped: boolean}>} The user's activity
+ */
+async function analyzeUser(user, context) {
+  const task = { rejected: false };
+  const skipped = { tickets: [], directories: [], skipped: true };
+  const isPastDeadline = () => Boolean(context.deadline) && Date.now() >= context.deadline;
+
+  try {
+    return await runWithRequestBudget(context.budget, async () => {
+      const tickets = await identifyCriticalTickets(user.accountId, context.timeframe, {
+        pagination: context.pagination,
+        scope: context.scope,
+        exclusions: context.exclusions
+      });
+      if (task.rejected || isPastDeadline()) {
+        return skipped;
+      }
+
+      const directories = await collectDirectoryActivity(user.accountId, context.timeframe, context.directoryDepth);
+      if (task.rejected || isPastDeadline()) {
+        return skipped;
+      }
+
+      return { tickets, directories, skipped: false };
+    }, task);
+  } catch (userError) {
+    console.error(`Error analyzing knowledge concentration for user ${user.accountId}:`, userError.message);
+    return task.rejected ? skipped : { tickets: [], directories: [], skipped: false };
+  }
+}
+
+/**
+ * Validate and normalize analysis settings from the payload
+ * @param {Object} payload - Resolver payload
+ * @returns {{concentrationThreshold: number, minActivity: number, directoryDepth: number}} Settings
+ * @throws {ApiError} If any setting is out of range
+ */
+function resolveConcentrationSettings(payload) {
+  const settings = {
+    concentrationThreshold: payload.concentrationThreshold === undefined
+      ? CONCENTRATION_DEFAULTS.CONCENTRATION_THRESHOLD
+      : payload.concentrationThreshold,
+    minActivity: payload.minActivity === undefined ? CONCENTRATION_DEFAULTS.MIN_ACTIVITY : payload.minActivity,
+    directoryDepth: payload.directoryDepth === undefined ? CONCENTRATION_DEFAULTS.DIRECTORY_DEPTH : payload.directoryDepth
+  };
+
+  if (typeof settings.concentrationThreshold !== 'number' || settings.concentrationThreshold <= 0 || settings.concentrationThreshold > 100) {
+    throw new ApiError({
+      code: 'INVALID_INPUT',
+      message: 'concentrationThreshold must be a percentage between 0 and 100'
+    });
+  }
+
+  if (!Number.isInteger(settings.minActivity) || settings.minActivity < 0) {
+    throw new ApiError({
+      code: 'INVALID_INPUT',
+      message: 'minActivity must be a non-negative integer'
+    });
+  }
+
+  if (!Number.isInteger(settings.directoryDepth) || settings.directoryDepth < 1) {
+    throw new ApiError({
+      code: 'INVALID_INPUT',
+      message: 'directoryDepth must be a positive integer'
+    });
+  }
+
+  return settings;
+}
+
+/**
+ * Collect weighted directory activity from a user's PRs
+ * Each changed file contributes its changed line count (at least 1) to its directory.
+ * @param {string} userId - User account ID
+ * @param {Object} timeframe - Resolved scan window
+ * @param {number} depth - Directory depth in path segments
+ * @returns {Promise<Array<{repository: string, directory: string, weight: number}>>} Directory activity
+ */
+async function collectDirectoryActivity(userId, timeframe, depth) {
+  let pullRequests;
+  try {
+    pullRequests = await fetchUserPullRequests(userId, timeframe);
+  } catch (error) {
+    // Bitbucket data is optional; components can still be analyzed
+    console.warn(`Bitbucket data unavailable for user ${userId}, skipping directory analysis:`, error.message);
+    return [];
+  }
+
+  const activity = [];
+
+  for (const pr of pullRequests) {
+    try {
+      const diffContext = await getDiffContext(pr.id);
+      diffContext.changedFiles.forEach(file => {
+        if (!file.path || file.path === 'unknown') {
+          return;
+        }
+        activity.push({
+          repository: pr.sourceRepository,
+          directory: getDirectory(file.path, depth),
+          weight: Math.max(1, (file.linesAdded || 0) + (file.linesDeleted || 0))
+        });
+      });
+    } catch (error) {
+      console.warn(`Skipping changed files for PR #${pr.id}:`, error.message);
+    }
+  }
+
+  return activity;
+}
+
+/**
+ * Get the directory of a file path, truncated to a number of segments
+ * @param {string} filePath - File path (e.g. 'src/auth/oauth/client.js')
+ * @param {number} depth - Maximum number of directory segments
+ * @returns {string} Directory (e.g. 'src/auth'), or '/' for top-level files
+ */
+function getDirectory(filePath, depth) {
+  const segments = filePath.split('/').filter(Boolean);
+  segments.pop();
+
+  if (segments.length === 0) {
+    return '/';
+  }
+
+  return segments.slice(0, depth).join('/');
+}
+
+/**
+ * Add a contributor's activity to an area
+ * @param {Map} areas - Area activity keyed by area key
+ * @param {string} areaKey - Unique area key
+ * @param {Object} attributes - Area attributes (name, repository)
+ * @param {Object} user - Contributor ({ accountId, displayName })
+ * @param {number} weight - Activity weight
+ */
+function recordActivity(areas, areaKey, attributes, user, weight) {
+  if (!areas.has(areaKey)) {
+    areas.set(areaKey, { ...attributes, contributors: new Map() });
+  }
+
+  const contributors = areas.get(areaKey).contributors;
+  const existing = contributors.get(user.accountId) || {
+    userId: user.accountId,
+    displayName: user.displayName,
+    activity: 0
+  };
+  existing.activity += weight;
+  contributors.set(user.accountId, existing);
+}
+
+/**
+ * Turn raw area activity into areas with contributor share and bus factor
+ * @param {string} type - Area type ('COMPONENT' or 'DIRECTORY')
+ * @param {Map} areas - Area activity keyed by area key
+ * @param {Object} settings - Analysis settings
+ * @returns {Array} Areas sorted by total activity, most active first
+ */
+function buildAreas(type, areas, settings) {
+  return Array.from(areas.values())
+    .map(area => {
+      const contributors = Array.from(area.contributors.values());
+      const totalActivity = contributors.reduce((sum, contributor) => sum + contributor.activity, 0);
+      const shares = contributors
+        .map(contributor => ({
+          ...contributor,
+          share: Math.round((contributor.activity / totalActivity) * 10000) / 100
+        }))
+        .sort((a, b) => b.activity - a.activity);
+      const topContributor = shares[0];
+
+      return {
+        type,
+        name: area.name,
+        ...(area.repository !== undefined ? { repository: area.repository } : {}),
+        totalActivity,
+        contributors: shares,
+        topContributor: { userId: topContributor.userId, displayName: topContributor.displayName, share: topContributor.share },
+        busFactor: calculateBusFactor(shares.map(contributor => contributor.activity)),
+        flagged: totalActivity >= settings.minActivity && topContributor.share > settings.concentrationThreshold
+      };
+    })
+    .sort((a, b) => b.totalActivity - a.totalActivity);
+}
+
+/**
+ * Calculate the bus factor: the smallest number of contributors that together hold
+ * at least BUS_FACTOR_COVERAGE percent of the activity
+ * @param {number[]} activities - Activity per contributor
+ * @returns {number} Bus factor (0 when there is no activity)
+ */
+function calculateBusFactor(activities) {
+  const total = activities.reduce((sum, activity) => sum + activity, 0);
+  if (total === 0) {
+    return 0;
+  }
+
+  const sorted = [...activities].sort((a, b) => b - a);
+  const required = total * (CONCENTRATION_DEFAULTS.BUS_FACTOR_COVERAGE / 100);
+  let covered = 0;
+
+  for (let i = 0; i < sorted.length; i++) {
+    covered += sorted[i];
+    if (covered >= required) {
+      return i + 1;
+    }
+  }
+
+  return sorted.length;
+}
+
+module.exports = {
+  CONCENTRATION_DEFAULTS,
+  analyzeKnowledgeConcentration,
+  calculateBusFactor,
+  getDirectory
+};
@@ -1,68 +1,314 @@
-const api = require('@forge/api');
-const { JiraTicket, UndocumentedIntensityReport } = require('../models');
+const { JiraTicket, UndocumentedIntensityReport, ApiError } = require('../models');
+const {
+  resolveTimeframe,
+  isWithinTimeframe,
+  formatQueryDate,
+  buildJqlDateClause,
+  buildJqlSinceClause,
+  describeTimeframe
+} = require('../utils/timeframe');
+const {
+  resolvePagination,
+  searchAllIssues,
+  createSearchCoverage,
+  recordSearchCoverage,
+  getIssuesByKey
+} = require('../services/jiraService');
+const { resolveScanScope, applyScopeToJql, isSiteWideScope } = require('../utils/scanScope');
+const {
+  CHANGELOG_CHURN_THRESHOLD,
+  extractChangelogSignals,
+  calculateChangelogIntensity
+} = require('../utils/changelogSignals');
+const { extractAdfText, extractAdfLinks } = require('../utils/adf');
+const {
+  CENTRALITY_THRESHOLD,
+  HIERARCHY_LOOKUP_DEPTH,
+  extractIssueRelations,
+  countRelations,
+  calculateCentrality,
+  groupArtifactsByEpic
+} = require('../utils/issueGraph');
+const { formatScoreBreakdownText } = require('../utils/scoreBreakdown');
+const { getMonthKey, buildMonthBuckets, calculateTrend, adjustRiskLevelForTrend } = require('../utils/intensityTrend');
+const {
+  getScoringStrategy,
+  resolveScoringConfig,
+  loadScoringConfig,
+  describeScoring
+} = require('../services/scoringService');
+const { dispatchKnowledgeGapNotification } = require('../services/notificationService');
+const { loadKnowledgeTransferConfig, syncKnowledgeTransfer } = require('../services/knowledgeTransferService');
+const {
+  buildStateFingerprint,
+  loadScanCursor,
+  saveScanCursor,
+  loadUserScanState,
+  saveUserScanState,
+  deleteUserScanState,
+  mergeArtifacts,
+  createContinuationToken,
+  saveScanCheckpoint,
+  loadScanCheckpoint,
+  deleteScanCheckpoint
+} = require('../services/scanStateService');
+const {
+  isDocumentationUrl,
+  dedupeDocumentationLinks,
+  fetchRemoteDocumentationLinks,
+  validateDocumentationLinks,
+  findAuthoredDocumentation,
+  sumDocumentationWeight
+} = require('../services/documentationLinkService');
+const { loadDepartureRoster, getUpcomingDepartures } = require('../services/departureRosterService');
+const { loadIncidentConfig, fetchIncidents, weighUserIncidents } = require('../services/incidentSignalService');
+const {
+  loadExclusionRules,
+  describeExclusionRules,
+  createExclusionFilter,
+  isIssueExcluded,
+  filterExcludedUsers,
+  summarizeExclusions
+} = require('../services/exclusionRulesService');
+const { recordScanRun } = require('../services/scanHistoryService');
+const {
+  DISCOVERY_THRESHOLD,
+  createRoleCounts,
+  extractIssueParticipants,
+  weighParticipation,
+  addRoleCounts
+} = require('../utils/participation');
+const {
+  resolveRequestBudget,
+  createRequestBudget,
+  runWithRequestBudget,
+  isRequestBudgetExhausted,
+  describeRequestBudget
+} = require('../utils/requestBudget');
+const { runWorkerPool } = require('../utils/workerPool');
 
 /**
- * Legacy Detector - Identifies departing developers with Undocumented Intensity by analyzing last 6 months of Jira + Bitbucket activity
- * Implements strict 6-month constraint and Undocumented Intensity algorithm: (High Complexity PRs + Critical Jira Tickets) / (Documentation Links)
+ * Legacy Detector - Identifies departing developers with Undocumented Intensity by analyzing Jira + Bitbucket activity within a configurable lookback window
+ * Defaults to the last 6 months and implements the Undocumented Intensity algorithm: (High Complexity PRs + Critical Jira Tickets) / (Weighted Documentation)
  */
 
 /**
- * Tunable weights for Undocumented Intensity algorithm calibration
+ * Defaults for how a scan spends one invocation; the payload overrides individual fields
  */
-const WEIGHTS = {
-  PR_COMPLEXITY: 1.5,
-  CRITICAL_TICKET: 2.0,
-  DOC_LINK_PENALTY: 0.5
+const SCAN_EXECUTION_DEFAULTS = {
+  // Users scored in parallel
+  CONCURRENCY: 4,
+  MAX_CONCURRENCY: 10,
+  // Stop taking new users after this long, leaving headroom under Forge's 25 second invocation limit
+  TIME_BUDGET_MS: 20000
 };
 
 /**
- * Main Legacy Detector function that analyzes last 6 months of Jira + Bitbucket activity to identify Undocumented Intensity
- * @param {Object} req - Forge request object
+ * Main Legacy Detector function that analyzes Jira + Bitbucket activity within the requested timeframe to identify Undocumented Intensity
+ * @param {Object} req - Forge request object; payload.timeframe may be a preset key (e.g. '12_MONTHS') or { from, to } dates,
+ *   payload.pagination may set { pageSize, maxIssues } for every Jira search, and projectKeys, components, labels,
+ *   filterId or jql restrict both the user-discovery and ticket queries to part of the site. With payload.incremental
+ *   the scan only fetches issues and PRs changed since the stored cursor and merges them into the persisted state.
+ *   Employees on the departure roster are scanned first, soonest departure first. When knowledge-transfer tasks are
+ *   enabled, at-risk users get a Jira epic with tasks and each report records the issue keys and their progress.
+ *   Users and issues matched by the exclusion rules are dropped before scoring; summary.exclusions counts them per rule.
+ *   Incident-type issues (see incidentSignalService) are searched once per scan and credited to the users who resolved
+ *   or commented on them; summary.incidents records the configured source, how many incidents were found and, when
+ *   the incident search failed (e.g. the site has no Incident issue type), its error.
+ *   Tickets that block many others or belong to a critical parent or epic count as critical through their centrality
+ *   in the user's ticket graph, and each report groups its artifacts by epic (report.epics).
+ *   Every successful run is stored in the scan history; runId identifies it (null if it could not be stored).
+ *   Users are scored payload.concurrency at a time within a shared request budget per API (payload.requestBudget).
+ *   Once payload.timeBudgetMs has passed or a request budget is used up, no further users are started and the
+ *   result carries a continuationToken; pass it as payload.continuationToken to scan the remaining users in a
+ *   new invocation. Users still being scored at that point are deferred to the next invocation too (except the first,
+ *   so every invocation makes progress). Each invocation returns its own reports, while the summary counts cover
+ *   the whole scan. Alerts are sent one user at a time after scoring.
  * @returns {Promise<UndocumentedIntensityReport[]>} Array of undocumented intensity reports
  */
 async function scanLastSixMonths(req) {
   try {
-    console.log('Starting Legacy Detector scan for Undocumented Intensity (strict 6-month constraint)...');
+    const request = (req && req.payload) || {};
+    const invocationStartedAt = Date.now();
+    const checkpoint = request.continuationToken ? await loadScanCheckpoint(request.continuationToken) : null;
+    // Resumed invocations repeat the original scan's parameters
+    const payload = checkpoint ? checkpoint.payload : request;
+    const timeframe = resolveTimeframe(payload.timeframe);
+    const pagination = resolvePagination(payload.pagination);
+    const scope = resolveScanScope(payload);
+    const execution = resolveScanExecution(payload);
+    const budget = createRequestBudget(execution.requestBudget);
+    const coverage = {
+      activeUsers: createSearchCoverage(),
+      tickets: createSearchCoverage()
+    };
+    const incremental = payload.incremental === true;
+    const exclusions = createExclusionFilter(await loadExclusionRules());
+    const fingerprint = incremental ? buildStateFingerprint(timeframe, scope, describeExclusionRules(exclusions.rules)) : null;
+    const cursor = incremental ? await loadScanCursor(fingerprint) : null;
+    const scanStartedAt = checkpoint ? new Date(checkpoint.scanStartedAt) : new Date();
+    const assignments = new Map();
+    const scoring = await loadScoringConfig();
+    const knowledgeTransfer = await loadKnowledgeTransferConfig();
+    const incidentConfig = await loadIncidentConfig();
     
-    // Enforce strict 6-month constraint
-    const sixMonthsAgo = new Date();
-    sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+    console.log(`${checkpoint ? `Resuming (invocation ${checkpoint.invocation + 1})` : 'Starting'} Legacy Detector scan for Undocumented Intensity (${timeframe.key}: ${formatQueryDate(timeframe.from)} to ${formatQueryDate(timeframe.to)}, scope: ${isSiteWideScope(scope) ? 'site-wide' : scope.clause})...`);
     
-    // Get all users with recent activity in last 6 months
-    const activeUsers = await getActiveUsersLastSixMonths(sixMonthsAgo);
-    console.log(`Found ${activeUsers.length} active users in last 6 months`);
+    // Get all users with activity inside the scan window (or since the cursor, plus previously tracked users).
+    // Incremental scans also keep tracked users whose participation since the cursor is below the discovery threshold.
+    // Resumed invocations repeat discovery so the checkpoint only has to store the account IDs still to scan.
+    const trackedIds = new Set(cursor ? cursor.users.map(user => user.accountId) : []);
+    const discoveredUsers = (await runWithRequestBudget(budget, () => getActiveUsersLastSixMonths(timeframe, {
+      pagination,
+      scope,
+      coverage: coverage.activeUsers,
+      since: cursor ? cursor.lastScannedAt : null,
+      assignments,
+      exclusions,
+      failOnError: incremental,
+      minParticipation: cursor ? 0 : DISCOVERY_THRESHOLD
+    }))).filter(user => user.participation.weight >= DISCOVERY_THRESHOLD || trackedIds.has(user.accountId));
+    const departures = getUpcomingDepartures(await loadDepartureRoster(), scanStartedAt);
+    const pendingIds = checkpoint ? new Set(checkpoint.pending) : null;
+    const activeUsers = (await runWithRequestBudget(budget, () => filterExcludedUsers(
+      prioritizeDepartingUsers(cursor ? mergeUsers(cursor.users, discoveredUsers) : discoveredUsers, departures),
+      exclusions
+    ))).filter(user => !pendingIds || pendingIds.has(user.accountId));
     
-    const reports = [];
+    // Incidents are searched once for the whole window and weighed per user while scoring
+    const incidentStatus = {};
+    const incidents = await runWithRequestBudget(budget, () => fetchIncidents(timeframe, incidentConfig, { pagination, scope, exclusions, status: incidentStatus }));
     
-    for (const user of activeUsers) {
-      try {
-        // Calculate Undocumented Intensity for this user
-        const intensityReport = await calculateUndocumentedIntensity(user.accountId, sixMonthsAgo);
-        
-        if (intensityReport.undocumentedIntensityScore > 0) {
-          reports.push(intensityReport);
-          
-          // Log notification for high-risk departing developers
-          if (intensityReport.riskLevel === 'CRITICAL' || intensityReport.riskLevel === 'HIGH') {
-            logKnowledgeGapNotification(user, intensityReport);
-          }
-        }
-      } catch (userError) {
-        console.error(`Error processing user ${user.accountId}:`, userError.message);
+    // Discovery and the incident search swallow search errors, so an exhausted budget would otherwise look like a site without users
+    if (isRequestBudgetExhausted(budget)) {
+      throw new ApiError({
+        code: 'REQUEST_BUDGET_EXHAUSTED',
+        message: `Request budget for ${budget.exhausted} exhausted during user discovery`
+      });
+    }
+    console.log(`Found ${activeUsers.length} ${checkpoint ? 'remaining' : 'active'} users in timeframe ${timeframe.key}${cursor ? ` (${discoveredUsers.length} with changes since ${cursor.lastScannedAt})` : ''}`);
+    
+    // Score users in parallel; stop taking new users once the time or request budget runs out.
+    // Every invocation starts and finishes at least one user so a resumed scan always makes progress.
+    const deadline = invocationStartedAt + execution.timeBudgetMs;
+    const { results } = await runWorkerPool(activeUsers, (user, index) => scanUser(user, {
+      timeframe,
+      pagination,
+      scope,
+      coverage: coverage.tickets,
+      incremental,
+      fingerprint,
+      scannedAt: scanStartedAt,
+      assignments,
+      exclusions,
+      scoring,
+      knowledgeTransfer,
+      incidents,
+      budget,
+      deadline: index === 0 ? null : deadline
+    }), {
+      concurrency: execution.concurrency,
+      shouldContinue: started => started === 0 || (!isRequestBudgetExhausted(budget) && Date.now() < deadline)
+    });
+    
+    // Alerts share a throttle map and delivery log in storage, so they are sent one user at a time once scoring is done
+    for (const result of results) {
+      if (result && !result.deferred && result.notification) {
+        await dispatchKnowledgeGapNotification(result.notification);
       }
     }
     
-    console.log(`Legacy Detector scan completed. Found ${reports.length} departing developers with high Undocumented Intensity.`);
+    const reports = results.filter(result => result && result.report).map(result => result.report);
+    const trackedUsers = [
+      ...(checkpoint ? checkpoint.trackedUsers : []),
+      ...results.filter(result => result && result.tracked).map(result => result.tracked)
+    ];
+    const pending = activeUsers.filter((user, i) => !results[i] || results[i].deferred).map(user => user.accountId);
+    if (activeUsers.length > 0 && pending.length === activeUsers.length) {
+      throw new ApiError({
+        code: 'REQUEST_BUDGET_EXHAUSTED',
+        message: `Request budget for ${budget.exhausted} is too small to scan a single user`
+      });
+    }
+    const processedUsers = (checkpoint ? checkpoint.processedUsers : 0) + activeUsers.length - pending.length;
+    const counts = addReportCounts(checkpoint ? checkpoint.counts : countReports([]), countReports(reports));
+    const invocation = checkpoint ? checkpoint.invocation + 1 : 1;
+    const continuationToken = pending.length > 0 ? (checkpoint ? checkpoint.token : createContinuationToken()) : null;
+    
+    if (incremental && !continuationToken) {
+      await saveScanCursor(fingerprint, { lastScannedAt: scanStartedAt, users: trackedUsers });
+    }
+    
+    console.log(continuationToken
+      ? `Legacy Detector scan paused after ${processedUsers} users (${budget.exhausted ? `${budget.exhausted} request budget` : 'time budget'} reached), ${pending.length} remaining.`
+      : `Legacy Detector scan completed. Found ${counts.usersWithGaps} departing developers with high Undocumented Intensity.`);
+    
+    if (coverage.activeUsers.truncated || coverage.tickets.truncated) {
+      console.warn(`Legacy Detector scan truncated: fetched ${coverage.activeUsers.fetched} of ${formatAvailable(coverage.activeUsers)} issues for user discovery and ${coverage.tickets.fetched} of ${formatAvailable(coverage.tickets)} assigned tickets`);
+    }
+    
+    const summary = {
+      timeframe: describeTimeframe(timeframe),
+      scope,
+      coverage,
+      scoring: describeScoring(scoring),
+      exclusions: summarizeExclusions(exclusions),
+      incidents: incidentConfig.enabled ? {
+        issueTypes: incidentConfig.issueTypes,
+        projectKeys: incidentConfig.projectKeys,
+        found: incidents.length,
+        ...(incidentStatus.error ? { error: incidentStatus.error } : {})
+      } : null,
+      incremental: incremental ? {
+        since: cursor ? cursor.lastScannedAt : null,
+        cursor: scanStartedAt.toISOString(),
+        trackedUsers: trackedUsers.length
+      } : null,
+      execution: {
+        invocation,
+        concurrency: execution.concurrency,
+        timeBudgetMs: execution.timeBudgetMs,
+        elapsedMs: Date.now() - invocationStartedAt,
+        requests: describeRequestBudget(budget),
+        stoppedBy: continuationToken ? (budget.exhausted ? 'REQUEST_BUDGET' : 'TIME_BUDGET') : null,
+        processedUsers,
+        remainingUsers: pending.length
+      },
+      totalUsersScanned: checkpoint ? checkpoint.totalUsers : activeUsers.length,
+      departingUsers: departures.length,
+      ...counts
+    };
+    
+    // Keep the run so later queries can answer what earlier scans reported; resumed invocations extend the same run
+    const runId = await recordScanRun(
+      { payload, startedAt: scanStartedAt, summary, reports },
+      checkpoint && checkpoint.runId ? { runId: checkpoint.runId } : {}
+    );
+    
+    if (continuationToken) {
+      await saveScanCheckpoint({
+        token: continuationToken,
+        createdAt: checkpoint ? checkpoint.createdAt : new Date(invocationStartedAt).toISOString(),
+        payload,
+        scanStartedAt: scanStartedAt.toISOString(),
+        runId,
+        invocation,
+        totalUsers: summary.totalUsersScanned,
+        processedUsers,
+        pending,
+        counts,
+        trackedUsers
+      });
+    } else if (checkpoint) {
+      await deleteScanCheckpoint(checkpoint.token);
+    }
     
     return {
       success: true,
+      runId,
+      continuationToken,
       reports,
-      summary: {
-        totalUsersScanned: activeUsers.length,
-        usersWithGaps: reports.length,
-        criticalRiskUsers: reports.filter(r => r.riskLevel === 'CRITICAL').length,
-        highRiskUsers: reports.filter(r => r.riskLevel === 'HIGH').length
-      }
+      summary
     };
     
   } catch (error) {
@@ -76,114 +322,416 @@ async function scanLastSixMonths(req) {
 }
 
 /**
- * Get active users from Jira with strict 6-month constraint
- * @param {Date} sixMonthsAgo - Date representing 6 months ago
- * @returns {Promise<Array>} Array of active users
+ * Validate the concurrency and budget options of a scan payload and merge them over the defaults
+ * @param {Object} payload - Scan payload
+ * @param {number} [payload.concurrency] - Users scored in parallel (1 to MAX_CONCURRENCY)
+ * @param {number} [payload.timeBudgetMs] - Stop taking new users after this many milliseconds
+ * @param {Object} [payload.requestBudget] - Request limits per API (see resolveRequestBudget)
+ * @returns {{concurrency: number, timeBudgetMs: number, requestBudget: Object}} Execution options
+ * @throws {ApiError} If an option is out of range
  */
-async function getActiveUsersLastSixMonths(sixMonthsAgo) {
+function resolveScanExecution(payload) {
+  const concurrency = payload.concurrency === undefined ? SCAN_EXECUTION_DEFAULTS.CONCURRENCY : payload.concurrency;
+  const timeBudgetMs = payload.timeBudgetMs === undefined ? SCAN_EXECUTION_DEFAULTS.TIME_BUDGET_MS : payload.timeBudgetMs;
+  
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > SCAN_EXECUTION_DEFAULTS.MAX_CONCURRENCY) {
+    throw new ApiError({
+      code: 'INVALID_INPUT',
+      message: `concurrency must be an integer between 1 and ${SCAN_EXECUTION_DEFAULTS.MAX_CONCURRENCY}`
+    });
+  }
+  
+  if (!Number.isInteger(timeBudgetMs) || timeBudgetMs < 1) {
+    throw new ApiError({
+      code: 'INVALID_INPUT',
+      message: 'timeBudgetMs must be a positive integer'
+    });
+  }
+  
+  return { concurrency, timeBudgetMs, requestBudget: resolveRequestBudget(payload.requestBudget) };
+}
+
+/**
+ * Score one user inside the scan's request budget, sync knowledge transfer and build the user's alert
+ * A user whose requests were refused by the budget (while scoring or syncing knowledge transfer), or who is
+ * still being scored when the deadline passes, is deferred to the next invocation, even when the refusal was
+ * swallowed further down and the report looks complete. The alert is returned rather than sent, so the scan
+ * can send alerts one at a time.
+ * @param {{accountId: string, displayName: string, participation: Object}} user - Active user
+ * @param {Object} context - Per-scan state (timeframe, pagination, scope, coverage, incremental, fingerprint,
+ *   scannedAt, assignments, exclusions, scoring, knowledgeTransfer, the scan's incidents and the request budget)
+ * @param {number|null} [context.deadline] - Time (ms since epoch) after which the user is deferred; null never defers
+ * @returns {Promise<{report: (UndocumentedIntensityReport|null), tracked: (Object|null), notification: (Object|null), deferred: boolean}>}
+ *   Report when the user has Undocumented Intensity, the user to keep on the cursor (incremental scans), and
+ *   the alert for high-risk users
+ */
+async function scanUser(user, context) {
+  const task = { rejected: false };
+  const deferred = { report: null, tracked: null, notification: null, deferred: true };
+  const isPastDeadline = () => Boolean(context.deadline) && Date.now() >= context.deadline;
+  
   try {
-    // Search for issues updated in last 6 months only
-    const jql = `updated >= "${sixMonthsAgo.toISOString().split('T')[0]}" ORDER BY updated DESC`;
-    const response = await api.asApp().requestJira(`/rest/api/3/search?jql=${encodeURIComponent(jql)}&maxResults=100`);
+    return await runWithRequestBudget(context.budget, async () => {
+      // Calculate Undocumented Intensity for this user
+      const options = {
+        pagination: context.pagination,
+        scope: context.scope,
+        coverage: context.coverage,
+        exclusions: context.exclusions,
+        scoring: context.scoring,
+        participation: user.participation,
+        incidents: context.incidents
+      };
+      let intensityReport;
+      let tracked = null;
+      if (context.incremental) {
+        const result = await scanUserIncrementally(user.accountId, context.timeframe, {
+          ...options,
+          fingerprint: context.fingerprint,
+          scannedAt: context.scannedAt,
+          assignments: context.assignments
+        });
+        intensityReport = result.report;
+        tracked = result.state ? toTrackedUser(user) : null;
+      } else {
+        intensityReport = await calculateUndocumentedIntensity(user.accountId, context.timeframe, options);
+      }
+      
+      if (task.rejected || isPastDeadline()) {
+        return deferred;
+      }
+      
+      let notification = null;
+      if (intensityReport.undocumentedIntensityScore > 0) {
+        // Create or update the user's knowledge-transfer epic and record its issue keys on the report.
+        // The sync is idempotent, so a user deferred after a refused request picks up where it stopped.
+        intensityReport.knowledgeTransfer = await syncKnowledgeTransfer(
+          user,
+          intensityReport,
+          generateRecommendedActions(intensityReport.riskLevel, intensityReport.criticalJiraTickets.length),
+          context.knowledgeTransfer
+        );
+        if (task.rejected) {
+          return deferred;
+        }
+        
+        // Alert about high-risk departing developers through the configured channels
+        if (intensityReport.riskLevel === 'CRITICAL' || intensityReport.riskLevel === 'HIGH') {
+          notification = logKnowledgeGapNotification(user, intensityReport);
+        }
+      }
+      
+      return {
+        report: intensityReport.undocumentedIntensityScore > 0 ? intensityReport : null,
+        tracked,
+        notification,
+        deferred: false
+      };
+    }, task);
+  } catch (userError) {
+    if (task.rejected) {
+      return deferred;
+    }
+    console.error(`Error processing user ${user.accountId}:`, userError.message);
     
-    if (!response.data || !response.data.issues) {
-      return [];
+    // Keep tracking users whose state could not be refreshed so the next run retries them
+    return { report: null, tracked: context.incremental ? toTrackedUser(user) : null, notification: null, deferred: false };
+  }
+}
+
+/**
+ * Score a single user without running a scan: no other users are discovered or scored, and nothing is stored
+ * or sent (no alerts, knowledge-transfer tasks, scan history or checkpoints). Used by cognitive offboarding,
+ * which needs one departing employee's report on demand.
+ * The user's participation in other people's tickets comes from a discovery search restricted to issues the
+ * user took part in. Issues matched by the exclusion rules are skipped; the user is scored even if the user
+ * rules would exclude them from scans.
+ * @param {string} userId - User account ID
+ * @param {Object} [payload] - Scan payload: timeframe, pagination, scope fields (see scanLastSixMonths) and requestBudget
+ * @returns {Promise<UndocumentedIntensityReport>} The user's report, also when the score is 0
+ * @throws {ApiError} INVALID_INPUT without a user ID, REQUEST_BUDGET_EXHAUSTED if the request budget runs out
+ */
+async function scanSingleUser(userId, payload = {}) {
+  if (!userId) {
+    throw new ApiError({
+      code: 'INVALID_INPUT',
+      message: 'userId is required to scan a single user'
+    });
+  }
+  
+  const timeframe = resolveTimeframe(payload.timeframe);
+  const pagination = resolvePagination(payload.pagination);
+  const scope = resolveScanScope(payload);
+  const budget = createRequestBudget(resolveRequestBudget(payload.requestBudget));
+  const exclusions = createExclusionFilter(await loadExclusionRules());
+  const scoring = await loadScoringConfig();
+  const incidentConfig = await loadIncidentConfig();
+  
+  const report = await runWithRequestBudget(budget, async () => {
+    const participants = await getActiveUsersLastSixMonths(timeframe, {
+      pagination,
+      scope,
+      exclusions,
+      participant: userId,
+      minParticipation: 0
+    });
+    const user = participants.find(participant => participant.accountId === userId);
+    const incidents = await fetchIncidents(timeframe, incidentConfig, { pagination, scope, exclusions });
+    
+    return calculateUndocumentedIntensity(userId, timeframe, {
+      pagination,
+      scope,
+      exclusions,
+      scoring,
+      participation: user ? user.participation : undefined,
+      incidents
+    });
+  });
+  
+  // Discovery and the incident search swallow refused requests, so a partial report must not pass as complete
+  if (isRequestBudgetExhausted(budget)) {
+    throw new ApiError({
+      code: 'REQUEST_BUDGET_EXHAUSTED',
+      message: `Request budget for ${budget.exhausted} exhausted while scanning user ${userId}`
+    });
+  }
+  
+  return report;
+}
+
+/**
+ * Count the reports by outcome for the scan summary
+ * @param {UndocumentedIntensityReport[]} reports - Reports with Undocumented Intensity
+ * @returns {{usersWithGaps: number, criticalRiskUsers: number, highRiskUsers: number, knowledgeTransferTasksCreated: number}} Counts
+ */
+function countReports(reports) {
+  return {
+    usersWithGaps: reports.length,
+    criticalRiskUsers: reports.filter(r => r.riskLevel === 'CRITICAL').length,
+    highRiskUsers: reports.filter(r => r.riskLevel === 'HIGH').length,
+    knowledgeTransferTasksCreated: reports.reduce((sum, r) => sum + (r.knowledgeTransfer ? r.knowledgeTransfer.created.length : 0), 0)
+  };
+}
+
+/**
+ * Add two sets of report counts, e.g. earlier invocations of a resumed scan and the current one
+ * @param {Object} a - Report counts (see countReports)
+ * @param {Object} b - Report counts
+ * @returns {Object} Summed counts
+ */
+function addReportCounts(a, b) {
+  const sum = {};
+  Object.keys(b).forEach(key => {
+    sum[key] = (a[key] || 0) + b[key];
+  });
+  return sum;
+}
+
+/**
+ * Format the available total of a coverage tally for log messages
+ * @param {Object} coverage - Search coverage tally
+ * @returns {string} Available total, or 'unknown' when Jira did not report one
+ */
+function formatAvailable(coverage) {
+  return coverage.available === null ? 'unknown' : String(coverage.available);
+}
+
+/**
+ * Reduce a user to the fields stored on the scan cursor
+ * Participation is stored per user in the scan state, not on the cursor.
+ * @param {{accountId: string, displayName: string}} user - Scanned user
+ * @returns {{accountId: string, displayName: string}} Tracked user
+ */
+function toTrackedUser(user) {
+  return { accountId: user.accountId, displayName: user.displayName };
+}
+
+/**
+ * Merge previously tracked users with newly discovered ones, preferring fresh display names
+ * @param {Array} trackedUsers - Users stored on the scan cursor
+ * @param {Array} discoveredUsers - Users with changes since the cursor
+ * @returns {Array} Unique users
+ */
+function mergeUsers(trackedUsers, discoveredUsers) {
+  const userMap = new Map();
+  trackedUsers.forEach(user => userMap.set(user.accountId, user));
+  discoveredUsers.forEach(user => userMap.set(user.accountId, user));
+  return Array.from(userMap.values());
+}
+
+/**
+ * Order users so employees on the departure roster come first, soonest departure first
+ * Departing employees without activity in the window are added so they are always scanned.
+ * @param {Array} users - Active users
+ * @param {Array} departures - Upcoming departures from the roster (see getUpcomingDepartures)
+ * @returns {Array} Users with departing employees first
+ */
+function prioritizeDepartingUsers(users, departures) {
+  const departingIds = new Set(departures.map(entry => entry.accountId));
+  const usersById = new Map(users.map(user => [user.accountId, user]));
+  const namesById = new Map(departures.map(entry => [entry.accountId, entry.name]));
+  const departing = Array.from(departingIds).map(accountId => usersById.get(accountId) || {
+    accountId,
+    displayName: namesById.get(accountId) || accountId
+  });
+
+  return [...departing, ...users.filter(user => !departingIds.has(user.accountId))];
+}
+
+/**
+ * Get active users from Jira within the scan window
+ * @param {Object|Date|string} timeframe - Scan window, preset key, or window start date
+ * @param {Object} [options] - Search options
+ * @param {Object} [options.pagination] - Jira pagination settings ({ pageSize, maxIssues })
+ * @param {Object} [options.scope] - Resolved scan scope (site-wide when omitted)
+ * @param {Object} [options.coverage] - Coverage tally updated with fetched vs. available totals
+ * @param {Date|string} [options.since] - Only search issues updated since this cursor (incremental scans)
+ * @param {Map} [options.assignments] - Filled with the current assignee (or null) of every issue found
+ * @param {boolean} [options.failOnError] - Rethrow search errors instead of returning no users
+ * @param {Object} [options.exclusions] - Exclusion filter (see exclusionRulesService); excluded issues are skipped
+ *   and recorded as unassigned
+ * @param {number} [options.minParticipation] - Minimum participation weight to return a user (defaults to DISCOVERY_THRESHOLD)
+ * @param {string} [options.participant] - Only search issues this account was assigned, reported or updated
+ * @returns {Promise<Array<{accountId: string, displayName: string, participation: Object}>>} Users whose assignee,
+ *   reporter, commenter and changelog author participation reaches the minimum, each with their participation
+ *   (see addParticipation)
+ */
+async function getActiveUsersLastSixMonths(timeframe, options = {}) {
+  const window = resolveTimeframe(timeframe);
+  
+  try {
+    // Search every page of issues updated inside the scan window
+    let conditions = buildJqlDateClause('updated', window);
+    if (options.since) {
+      conditions += ` AND ${buildJqlSinceClause('updated', options.since)}`;
+    }
+    if (options.participant) {
+      conditions += ` AND (assignee = "${options.participant}" OR reporter = "${options.participant}" OR issue in updatedBy("${options.participant}"))`;
     }
+    const jql = `${applyScopeToJql(options.scope, conditions)} ORDER BY updated DESC`;
+    const result = await searchAllIssues(jql, { ...options.pagination, expand: 'changelog' });
     
-    // Extract unique assignees with 6-month constraint validation
+    if (options.coverage) {
+      recordSearchCoverage(options.coverage, result);
+    }
+    
+    // Extract everyone who took part in an issue with timeframe validation
     const userMap = new Map();
-    response.data.issues.forEach(issue => {
-      // Double-check 6-month constraint for user extraction
+    result.issues.forEach(issue => {
+      // Double-check the scan window for user extraction
       const updatedDate = new Date(issue.fields.updated);
-      if (updatedDate < sixMonthsAgo) {
-        console.warn(`6-month filter: Skipping old issue ${issue.key} for user extraction (updated: ${updatedDate.toISOString().split('T')[0]})`);
+      if (!isWithinTimeframe(updatedDate, window)) {
+        console.warn(`Timeframe filter: Skipping issue ${issue.key} outside ${window.key} for user extraction (updated: ${formatQueryDate(updatedDate)})`);
         return;
       }
       
-      if (issue.fields.assignee && issue.fields.assignee.accountId) {
-        userMap.set(issue.fields.assignee.accountId, {
-          accountId: issue.fields.assignee.accountId,
-          displayName: issue.fields.assignee.displayName || 'Unknown User'
-        });
+      // Excluded issues count as unassigned, so incremental state drops them as well
+      if (options.exclusions && isIssueExcluded(issue, options.exclusions)) {
+        if (options.assignments) {
+          options.assignments.set(issue.key, null);
+        }
+        return;
       }
+      
+      if (options.assignments) {
+        options.assignments.set(issue.key, issue.fields.assignee ? issue.fields.assignee.accountId : null);
+      }
+      
+      addParticipation(userMap, issue);
     });
     
-    return Array.from(userMap.values());
+    const minParticipation = options.minParticipation === undefined ? DISCOVERY_THRESHOLD : options.minParticipation;
+    return Array.from(userMap.values()).filter(user => user.participation.weight >= minParticipation);
     
   } catch (error) {
-    console.error('Error getting active users for last 6 months:', error.message);
+    console.error(`Error getting active users for timeframe ${window.key}:`, error.message);
+    
+    // Incremental scans must not advance their cursor past changes they never saw
+    if (options.failOnError) {
+      throw error;
+    }
     return [];
   }
 }
 
 /**
- * Calculate Undocumented Intensity using the weighted formula: (Total PR Complexity * PR_COMPLEXITY) + (Critical Ticket Count * CRITICAL_TICKET) / (Documentation Links * DOC_LINK_PENALTY)
+ * Record every participant of an issue on the user map
+ * Each user's participation tallies their roles and weight across issues, and lists the critical
+ * tickets they took part in without being the assignee (assigned critical tickets are scored directly).
+ * @param {Map} userMap - Users keyed by account ID
+ * @param {Object} issue - Jira issue fetched with expand=changelog
+ */
+function addParticipation(userMap, issue) {
+  const participants = extractIssueParticipants(issue);
+  if (participants.size === 0) {
+    return;
+  }
+  
+  const ticket = buildJiraTicket(issue);
+  const isCritical = isCriticalTicket(ticket);
+  
+  participants.forEach(({ displayName, roles }, accountId) => {
+    if (!userMap.has(accountId)) {
+      userMap.set(accountId, {
+        accountId,
+        displayName,
+        participation: { issues: 0, weight: 0, roles: createRoleCounts(), criticalTickets: [] }
+      });
+    }
+    
+    const { participation } = userMap.get(accountId);
+    const weight = weighParticipation(roles);
+    participation.issues++;
+    participation.weight = Math.round((participation.weight + weight) * 1000) / 1000;
+    addRoleCounts(participation.roles, roles);
+    
+    if (isCritical && ticket.assignee !== accountId) {
+      participation.criticalTickets.push({
+        key: ticket.key,
+        summary: ticket.summary,
+        updated: ticket.updated,
+        epicKey: ticket.epicKey,
+        epicSummary: ticket.epicSummary,
+        roles,
+        weight
+      });
+    }
+  });
+}
+
+/**
+ * Calculate Undocumented Intensity with the configured scoring strategy; the default strategy uses the weighted formula:
+ * ((Total PR Complexity * PR_COMPLEXITY) + (Critical Ticket Count * CRITICAL_TICKET) + (Participation * PARTICIPATION)
+ *   + (Incidents * INCIDENT)) / (1 + Documentation Weight * DOC_LINK_PENALTY)
  * @param {string} userId - User account ID
- * @param {Date} sixMonthsAgo - Date representing 6 months ago
+ * @param {Object|Date|string} timeframe - Scan window, preset key, or window start date
+ * @param {Object} [options] - Jira search options passed to identifyCriticalTickets ({ pagination, scope, coverage, exclusions }),
+ *   plus the resolved scoring configuration (loaded from storage when omitted), the user's participation from
+ *   discovery (see getActiveUsersLastSixMonths) and the scan's incidents (see fetchIncidents)
  * @returns {Promise<UndocumentedIntensityReport>} Undocumented intensity report
  */
-async function calculateUndocumentedIntensity(userId, sixMonthsAgo) {
+async function calculateUndocumentedIntensity(userId, timeframe, options = {}) {
+  const window = resolveTimeframe(timeframe);
+  
   try {
-    // Get critical Jira tickets (high activity, low documentation) for last 6 months
-    const criticalTickets = await identifyCriticalTickets(userId, sixMonthsAgo);
+    // Incidents the user resolved or commented on are scored as incidents rather than as tickets
+    const incidents = weighUserIncidents(options.incidents || [], userId);
+    
+    // Get critical Jira tickets (high activity, low documentation) inside the scan window
+    const criticalTickets = withoutIncidents(await identifyCriticalTickets(userId, window, options), incidents);
     
     // Get high complexity PRs with Bitbucket integration
-    const highComplexityPRs = await identifyHighComplexityPRs(userId, sixMonthsAgo);
-    
-    // Find documentation links across all artifacts
-    const documentationLinks = await findDocumentationLinks(criticalTickets, highComplexityPRs);
-    
-    // Calculate total PR complexity score
-    const totalPRComplexity = highComplexityPRs.reduce((sum, pr) => sum + (pr.complexityScore || 0), 0);
-    
-    // Calculate Undocumented Intensity Score using tunable weights
-    const complexityComponent = totalPRComplexity * WEIGHTS.PR_COMPLEXITY;
-    const ticketComponent = criticalTickets.length * WEIGHTS.CRITICAL_TICKET;
-    const baseScore = complexityComponent + ticketComponent;
-    
-    // Apply documentation penalty (ensure we never divide by zero)
-    const docCount = documentationLinks.length;
-    const penaltyDivisor = docCount > 0 ? (docCount * WEIGHTS.DOC_LINK_PENALTY) : 1;
-    const undocumentedIntensityScore = baseScore / penaltyDivisor;
-    
-    // Calibration logging for algorithm tuning
-    const mathExpression = `(${totalPRComplexity} * ${WEIGHTS.PR_COMPLEXITY}) + (${criticalTickets.length} * ${WEIGHTS.CRITICAL_TICKET}) / ${docCount > 0 ? `(${docCount} * ${WEIGHTS.DOC_LINK_PENALTY})` : '1'}`;
-    
-    console.log(JSON.stringify({
-      event: "CALIBRATION_LOG",
-      user: userId,
-      inputs: {
-        complexity: totalPRComplexity,
-        tickets: criticalTickets.length,
-        docs: docCount
-      },
-      math: mathExpression,
-      finalScore: Math.round(undocumentedIntensityScore * 100) / 100
-    }));
-    
-    // Determine risk level based on score
-    let riskLevel = 'LOW';
-    if (undocumentedIntensityScore >= 5) riskLevel = 'CRITICAL';
-    else if (undocumentedIntensityScore >= 3) riskLevel = 'HIGH';
-    else if (undocumentedIntensityScore >= 1.5) riskLevel = 'MEDIUM';
-    
-    // Generate specific artifacts for forensic questioning
-    const specificArtifacts = [
-      ...criticalTickets.map(ticket => `JIRA-${ticket.key}`),
-      ...highComplexityPRs.map(pr => `PR #${pr.id}`)
-    ];
+    const highComplexityPRs = await identifyHighComplexityPRs(userId, window);
     
-    return new UndocumentedIntensityReport({
-      userId,
-      timeframe: '6_MONTHS',
-      highComplexityPRs,
-      criticalJiraTickets: criticalTickets,
-      documentationLinks,
-      undocumentedIntensityScore,
-      specificArtifacts,
-      riskLevel
+    // Find documentation links across all artifacts, including incident postmortems
+    const participation = withoutIncidents(options.participation ? options.participation.criticalTickets : [], incidents);
+    const documentationLinks = await findDocumentationLinks([...criticalTickets, ...incidents], highComplexityPRs, {
+      author: { userId, window, participation }
     });
     
+    const scoring = options.scoring || await loadScoringConfig();
+    return buildIntensityReport(userId, window, criticalTickets, highComplexityPRs, documentationLinks, scoring, participation, incidents);
+    
   } catch (error) {
     console.error(`Error calculating Undocumented Intensity for user ${userId}:`, error.message);
     throw error;
@@ -191,90 +739,569 @@ async function calculateUndocumentedIntensity(userId, sixMonthsAgo) {
 }
 
 /**
- * Identify critical Jira tickets (high activity, low documentation) for a specific user within 6-month constraint
+ * Incrementally rescan a user: fetch only tickets and PRs changed since the user's stored cursors,
+ * merge them into the persisted state, drop artifacts that left the window, and rescore
+ *
+ * Jira failures propagate without touching the stored state, so the next run retries from the same cursor.
+ * When Bitbucket is unavailable the stored PRs are kept and the PR cursor is not advanced.
+ *
+ * @param {string} userId - User account ID
+ * @param {Object|Date|string} timeframe - Scan window, preset key, or window start date
+ * @param {Object} options - Incremental scan options
+ * @param {string} options.fingerprint - Scan state fingerprint (see buildStateFingerprint)
+ * @param {Date} [options.scannedAt] - Time this scan started; becomes the new cursor
+ * @param {Map} [options.assignments] - Current assignee per changed issue key, used to drop reassigned tickets
+ * @param {Object} [options.pagination] - Jira pagination settings ({ pageSize, maxIssues })
+ * @param {Object} [options.scope] - Resolved scan scope
+ * @param {Object} [options.coverage] - Coverage tally updated with fetched vs. available totals
+ * @param {Object} [options.exclusions] - Exclusion filter; excluded tickets are skipped
+ * @param {Object} [options.scoring] - Resolved scoring configuration (loaded from storage when omitted)
+ * @param {Object} [options.participation] - Participation from discovery; its critical tickets replace the stored
+ *   entries for every issue discovery saw
+ * @param {Array} [options.incidents] - The scan's incidents; they cover the whole window, so they are not stored
+ * @returns {Promise<{report: UndocumentedIntensityReport, state: (Object|null)}>} Report and the saved state (null when nothing is left to track)
+ */
+async function scanUserIncrementally(userId, timeframe, options) {
+  const window = resolveTimeframe(timeframe);
+  const scannedAt = (options.scannedAt || new Date()).toISOString();
+  const stored = await loadUserScanState(options.fingerprint, userId);
+  const cursors = stored ? stored.cursors : { tickets: null, pullRequests: null };
+  
+  const changedTickets = await fetchAssignedTickets(userId, window, { ...options, since: cursors.tickets });
+  
+  let changedPRs = [];
+  let pullRequestsCursor = scannedAt;
+  try {
+    changedPRs = await fetchUserPullRequests(userId, window, { updatedSince: cursors.pullRequests });
+  } catch (error) {
+    if (!isBitbucketUnavailable(error)) {
+      throw error;
+    }
+    console.warn(`Bitbucket integration unavailable for user ${userId}, keeping stored pull requests`);
+    pullRequestsCursor = cursors.pullRequests;
+  }
+  
+  // Merge changes into the stored state, then drop artifacts that aged out of the window or moved to another assignee
+  const assignments = options.assignments || new Map();
+  const tickets = mergeArtifacts(stored ? stored.tickets : [], changedTickets, 'key').filter(ticket => {
+    if (!isWithinTimeframe(ticket.updated, window)) {
+      return false;
+    }
+    return !assignments.has(ticket.key) || assignments.get(ticket.key) === userId;
+  });
+  const pullRequests = mergeArtifacts(stored ? stored.pullRequests : [], changedPRs, 'id')
+    .filter(pr => isWithinTimeframe(pr.created, window));
+  const freshParticipation = options.participation ? options.participation.criticalTickets : [];
+  const participation = mergeArtifacts(
+    ((stored && stored.participation) || []).filter(entry => !assignments.has(entry.key)),
+    freshParticipation,
+    'key'
+  ).filter(entry => isWithinTimeframe(entry.updated, window));
+  
+  const incidents = weighUserIncidents(options.incidents || [], userId);
+  await resolveTicketGraph(tickets);
+  const criticalTickets = withoutIncidents(tickets.filter(isCriticalTicket), incidents);
+  const highComplexityPRs = pullRequests.filter(isHighComplexityPR);
+  const scoredParticipation = withoutIncidents(participation, incidents);
+  const documentationLinks = await findDocumentationLinks([...criticalTickets, ...incidents], highComplexityPRs, {
+    author: { userId, window, participation: scoredParticipation }
+  });
+  const scoring = options.scoring || await loadScoringConfig();
+  const report = buildIntensityReport(userId, window, criticalTickets, highComplexityPRs, documentationLinks, scoring, scoredParticipation, incidents);
+  
+  if (tickets.length === 0 && pullRequests.length === 0 && participation.length === 0) {
+    if (stored) {
+      await deleteUserScanState(options.fingerprint, userId);
+    }
+    return { report, state: null };
+  }
+  
+  const state = {
+    userId,
+    tickets,
+    pullRequests,
+    participation,
+    documentationLinks,
+    scoreInputs: summarizeScoreInputs(criticalTickets, highComplexityPRs, documentationLinks, scoredParticipation, incidents),
+    cursors: {
+      tickets: scannedAt,
+      pullRequests: pullRequestsCursor
+    }
+  };
+  try {
+    await saveUserScanState(options.fingerprint, state);
+  } catch (error) {
+    // The previous state and its cursors are kept, so the next run fetches these changes again
+    console.warn(`Could not save scan state for user ${userId}, keeping the previous state: ${error.message}`);
+  }
+  
+  return { report, state };
+}
+
+/**
+ * Drop the tickets that are scored as incidents
+ * @param {Array<{key: string}>} tickets - Critical tickets or participation entries
+ * @param {Array<{key: string}>} incidents - The user's weighted incidents
+ * @returns {Array} Tickets that are not incidents
+ */
+function withoutIncidents(tickets, incidents) {
+  const incidentKeys = new Set(incidents.map(incident => incident.key));
+  return tickets.filter(ticket => !incidentKeys.has(ticket.key));
+}
+
+/**
+ * Collect the raw inputs of the Undocumented Intensity formula
+ * @param {JiraTicket[]} criticalTickets - Critical Jira tickets
+ * @param {Array} highComplexityPRs - High complexity PRs
+ * @param {Array<{weight: number}>} documentationLinks - Weighted documentation links
+ * @param {Array<{weight: number}>} [participation] - Critical tickets the user took part in without being the assignee
+ * @param {Array<{weight: number}>} [incidents] - Incidents the user resolved or commented on
+ * @returns {{totalPRComplexity: number, criticalTickets: number, highComplexityPRs: number, participationWeight: number, incidents: number, incidentWeight: number, documentationLinks: number, documentationWeight: number}} Score inputs
+ */
+function summarizeScoreInputs(criticalTickets, highComplexityPRs, documentationLinks, participation = [], incidents = []) {
+  return {
+    totalPRComplexity: highComplexityPRs.reduce((sum, pr) => sum + (pr.complexityScore || 0), 0),
+    criticalTickets: criticalTickets.length,
+    highComplexityPRs: highComplexityPRs.length,
+    participationWeight: Math.round(participation.reduce((sum, entry) => sum + entry.weight, 0) * 1000) / 1000,
+    incidents: incidents.length,
+    incidentWeight: Math.round(incidents.reduce((sum, entry) => sum + entry.weight, 0) * 1000) / 1000,
+    documentationLinks: documentationLinks.length,
+    documentationWeight: sumDocumentationWeight(documentationLinks)
+  };
+}
+
+/**
+ * Score a user's artifacts and build the Undocumented Intensity report
  * @param {string} userId - User account ID
- * @param {Date} sixMonthsAgo - Date representing 6 months ago
+ * @param {{key: string, from: Date, to: Date}} window - Resolved scan window
+ * @param {JiraTicket[]} criticalTickets - Critical Jira tickets
+ * @param {Array} highComplexityPRs - High complexity PRs
+ * @param {Array<{url: string, weight: number}>} documentationLinks - Weighted documentation links
+ * @param {Object} [scoring] - Resolved scoring configuration (see services/scoringService); defaults when omitted
+ * @param {Array<{key: string, weight: number}>} [participation] - Critical tickets the user took part in without being the assignee
+ * @param {Array<{key: string, weight: number}>} [incidents] - Incidents the user resolved or commented on (see weighUserIncidents)
+ * @returns {UndocumentedIntensityReport} Undocumented intensity report
+ */
+function buildIntensityReport(userId, window, criticalTickets, highComplexityPRs, documentationLinks, scoring = resolveScoringConfig(), participation = [], incidents = []) {
+  const { totalPRComplexity, participationWeight, incidentWeight, documentationWeight } = summarizeScoreInputs(criticalTickets, highComplexityPRs, documentationLinks, participation, incidents);
+  
+  // Calculate Undocumented Intensity Score with the configured strategy and weights
+  const strategy = getScoringStrategy(scoring.strategy);
+  const result = strategy.score({ criticalTickets, highComplexityPRs, participation, incidents, documentationWeight }, scoring.weights);
+  const undocumentedIntensityScore = result.score;
+  
+  // Calibration logging for algorithm tuning
+  console.log(JSON.stringify({
+    event: "CALIBRATION_LOG",
+    user: userId,
+    strategy: `${strategy.id}@${strategy.version}`,
+    inputs: {
+      complexity: totalPRComplexity,
+      tickets: criticalTickets.length,
+      participation: participationWeight,
+      incidents: incidentWeight,
+      docs: documentationLinks.length,
+      docWeight: documentationWeight
+    },
+    math: result.expression,
+    finalScore: Math.round(undocumentedIntensityScore * 100) / 100
+  }));
+  
+  // Determine risk level based on score, optionally moved one step by the monthly trend
+  const intensityTrend = buildIntensityTrend(window, strategy, scoring, criticalTickets, highComplexityPRs, participation, incidents, documentationWeight);
+  const scoreRiskLevel = UndocumentedIntensityReport.calculateRiskLevel(undocumentedIntensityScore, scoring.thresholds);
+  const riskLevel = scoring.trend.enabled ? adjustRiskLevelForTrend(scoreRiskLevel, intensityTrend) : scoreRiskLevel;
+  intensityTrend.riskAdjustment = riskLevel === scoreRiskLevel ? null : { from: scoreRiskLevel, to: riskLevel };
+  
+  // Generate specific artifacts for forensic questioning
+  const specificArtifacts = [
+    ...criticalTickets.map(ticket => `JIRA-${ticket.key}`),
+    ...participation.map(entry => `JIRA-${entry.key}`),
+    ...incidents.map(incident => `INCIDENT-${incident.key}`),
+    ...highComplexityPRs.map(pr => `PR #${pr.id}`)
+  ];
+  
+  return new UndocumentedIntensityReport({
+    userId,
+    timeframe: window.key,
+    windowStart: window.from,
+    windowEnd: window.to,
+    highComplexityPRs,
+    criticalJiraTickets: criticalTickets,
+    incidents,
+    epics: groupArtifactsByEpic({ criticalTickets, participation, incidents, highComplexityPRs }),
+    documentationLinks: documentationLinks.map(link => link.url),
+    documentationWeight,
+    undocumentedIntensityScore,
+    specificArtifacts,
+    riskLevel,
+    scoreBreakdown: buildScoreBreakdown({
+      strategy,
+      scoring,
+      result,
+      criticalTickets,
+      highComplexityPRs,
+      participation,
+      incidents,
+      documentationLinks,
+      documentationWeight,
+      riskLevel,
+      intensityTrend
+    }),
+    scoring: describeScoring(scoring),
+    intensityTrend
+  });
+}
+
+/**
+ * Score each calendar month of the scan window and summarise the series
+ * Tickets fall in the month they were last updated and PRs in the month they were created, the
+ * same dates the scan window filters on. Documentation is not dated per artifact, so every month
+ * uses the window's documentation divisor; for additive strategies the monthly scores then add
+ * up to the window score.
+ * @param {{from: Date, to: Date}} window - Resolved scan window
+ * @param {Object} strategy - Scoring strategy
+ * @param {Object} scoring - Resolved scoring configuration
+ * @param {JiraTicket[]} criticalTickets - Critical Jira tickets
+ * @param {Array} highComplexityPRs - High complexity PRs
+ * @param {Array<{updated: string, weight: number}>} participation - Critical tickets the user took part in without being the assignee
+ * @param {Array<{updated: string, weight: number}>} incidents - Incidents the user resolved or commented on
+ * @param {number} documentationWeight - Window documentation weight
+ * @returns {{months: Array<{month: string, score: number, criticalTickets: number, highComplexityPRs: number}>, slope: number, acceleration: number, relativeSlope: number, direction: string}}
+ *   Monthly series (oldest first) and its trend
+ */
+function buildIntensityTrend(window, strategy, scoring, criticalTickets, highComplexityPRs, participation, incidents, documentationWeight) {
+  const months = buildMonthBuckets(window).map(bucket => {
+    const monthTickets = criticalTickets.filter(ticket => getMonthKey(ticket.updated) === bucket.month);
+    const monthPRs = highComplexityPRs.filter(pr => getMonthKey(pr.created) === bucket.month);
+    const monthParticipation = participation.filter(entry => getMonthKey(entry.updated) === bucket.month);
+    const monthIncidents = incidents.filter(entry => getMonthKey(entry.updated) === bucket.month);
+    const { score } = strategy.score({
+      criticalTickets: monthTickets,
+      highComplexityPRs: monthPRs,
+      participation: monthParticipation,
+      incidents: monthIncidents,
+      documentationWeight
+    }, scoring.weights);
+
+    return {
+      month: bucket.month,
+      score: Math.round(score * 100) / 100,
+      criticalTickets: monthTickets.length,
+      highComplexityPRs: monthPRs.length
+    };
+  });
+
+  return {
+    months,
+    ...calculateTrend(months.map(month => month.score), scoring.trend)
+  };
+}
+
+/**
+ * Build the structured explanation of a score: each artifact's contribution, the documentation
+ * divisor with the links behind it, the weights and thresholds used, and the monthly trend
+ * Artifact contributions are shown before and after the documentation divisor, so the adjusted
+ * contributions add up to the final score.
+ * @param {Object} inputs - Scoring inputs and results from buildIntensityReport
+ * @returns {Object} Score breakdown
+ */
+function buildScoreBreakdown(inputs) {
+  const { strategy, scoring, result } = inputs;
+  const round = value => Math.round(value * 100) / 100;
+  
+  return {
+    strategy: strategy.id,
+    strategyVersion: strategy.version,
+    formula: strategy.formula,
+    weights: { ...scoring.weights },
+    riskThresholds: { ...scoring.thresholds },
+    tickets: inputs.criticalTickets.map((ticket, index) => ({
+      key: ticket.key,
+      summary: ticket.summary,
+      epicKey: ticket.epicKey || null,
+      centrality: ticket.centrality || 0,
+      reasons: getCriticalTicketReasons(ticket),
+      contribution: round(result.ticketContributions[index]),
+      adjustedContribution: round(result.ticketContributions[index] / result.divisor)
+    })),
+    pullRequests: inputs.highComplexityPRs.map((pr, index) => ({
+      id: pr.id,
+      title: pr.title,
+      complexityScore: pr.complexityScore || 0,
+      contribution: round(result.prContributions[index]),
+      adjustedContribution: round(result.prContributions[index] / result.divisor)
+    })),
+    participation: inputs.participation.map((entry, index) => ({
+      key: entry.key,
+      summary: entry.summary,
+      roles: entry.roles,
+      weight: entry.weight,
+      contribution: round((result.participationContributions || [])[index] || 0),
+      adjustedContribution: round(((result.participationContributions || [])[index] || 0) / result.divisor)
+    })),
+    incidents: inputs.incidents.map((incident, index) => ({
+      key: incident.key,
+      summary: incident.summary,
+      roles: incident.roles,
+      repeatComponent: incident.repeatComponent,
+      repeatCount: incident.repeatCount,
+      weight: incident.weight,
+      contribution: round((result.incidentContributions || [])[index] || 0),
+      adjustedContribution: round(((result.incidentContributions || [])[index] || 0) / result.divisor)
+    })),
+    baseScore: round(result.baseScore),
+    documentation: {
+      weight: inputs.documentationWeight,
+      divisor: round(result.divisor),
+      links: inputs.documentationLinks.map(link => ({
+        url: link.url,
+        pageId: link.pageId,
+        status: link.status,
+        weight: link.weight
+      }))
+    },
+    finalScore: round(result.score),
+    riskLevel: inputs.riskLevel,
+    trend: {
+      direction: inputs.intensityTrend.direction,
+      slope: inputs.intensityTrend.slope,
+      acceleration: inputs.intensityTrend.acceleration,
+      riskAdjustment: inputs.intensityTrend.riskAdjustment
+    }
+  };
+}
+
+/**
+ * Identify critical Jira tickets (high activity or central in the ticket graph, low documentation) for a specific
+ * user within the scan window
+ * @param {string} userId - User account ID
+ * @param {Object|Date|string} timeframe - Scan window, preset key, or window start date
+ * @param {Object} [options] - Search options
+ * @param {Object} [options.pagination] - Jira pagination settings ({ pageSize, maxIssues })
+ * @param {Object} [options.scope] - Resolved scan scope (site-wide when omitted)
+ * @param {Object} [options.coverage] - Coverage tally updated with fetched vs. available totals
+ * @param {Object} [options.exclusions] - Exclusion filter; excluded tickets are skipped
  * @returns {Promise<JiraTicket[]>} Array of critical tickets
  */
-async function identifyCriticalTickets(userId, sixMonthsAgo) {
+async function identifyCriticalTickets(userId, timeframe, options = {}) {
   try {
-    // Search for tickets assigned to this user in the last 6 months with strict date constraint
-    const jql = `assignee = "${userId}" AND updated >= "${sixMonthsAgo.toISOString().split('T')[0]}" ORDER BY updated DESC`;
-    const response = await api.asApp().requestJira(`/rest/api/3/search?jql=${encodeURIComponent(jql)}&maxResults=50&expand=changelog`);
+    const tickets = await resolveTicketGraph(await fetchAssignedTickets(userId, timeframe, options));
+    return tickets.filter(isCriticalTicket);
     
-    if (!response.data || !response.data.issues) {
-      return [];
+  } catch (error) {
+    console.error(`Error identifying critical tickets for user ${userId}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Fetch every ticket assigned to a user inside the scan window
+ * @param {string} userId - User account ID
+ * @param {Object|Date|string} timeframe - Scan window, preset key, or window start date
+ * @param {Object} [options] - Search options
+ * @param {Object} [options.pagination] - Jira pagination settings ({ pageSize, maxIssues })
+ * @param {Object} [options.scope] - Resolved scan scope (site-wide when omitted)
+ * @param {Object} [options.coverage] - Coverage tally updated with fetched vs. available totals
+ * @param {Object} [options.exclusions] - Exclusion filter; excluded tickets are skipped
+ * @param {Date|string} [options.since] - Only fetch tickets updated since this cursor (incremental scans)
+ * @returns {Promise<JiraTicket[]>} Array of tickets
+ * @throws {ApiError} If the Jira search fails
+ */
+async function fetchAssignedTickets(userId, timeframe, options = {}) {
+  const window = resolveTimeframe(timeframe);
+  
+  // Search every page of tickets assigned to this user inside the scan window
+  let conditions = `assignee = "${userId}" AND ${buildJqlDateClause('updated', window)}`;
+  if (options.since) {
+    conditions += ` AND ${buildJqlSinceClause('updated', options.since)}`;
+  }
+  const jql = `${applyScopeToJql(options.scope, conditions)} ORDER BY updated DESC`;
+  const result = await searchAllIssues(jql, { ...options.pagination, expand: 'changelog' });
+  
+  if (options.coverage) {
+    recordSearchCoverage(options.coverage, result);
+  }
+  
+  const tickets = [];
+  
+  for (const issue of result.issues) {
+    // Enforce the scan window at data level
+    const updatedDate = new Date(issue.fields.updated);
+    if (!isWithinTimeframe(updatedDate, window)) {
+      console.warn(`Timeframe filter: Skipping ticket ${issue.key} outside ${window.key} (updated: ${formatQueryDate(updatedDate)})`);
+      continue; // Skip tickets outside the scan window
     }
     
-    const criticalTickets = [];
+    if (options.exclusions && isIssueExcluded(issue, options.exclusions)) {
+      continue;
+    }
     
-    for (const issue of response.data.issues) {
-      // Enforce 6-month constraint at data level
-      const updatedDate = new Date(issue.fields.updated);
-      if (updatedDate < sixMonthsAgo) {
-        console.warn(`6-month filter: Skipping old ticket ${issue.key} (updated: ${updatedDate.toISOString().split('T')[0]})`);
-        continue; // Skip tickets older than 6 months
+    tickets.push(buildJiraTicket(issue));
+  }
+  
+  return tickets;
+}
+
+/**
+ * Build a JiraTicket from a Jira issue fetched with expand=changelog
+ * @param {Object} issue - Jira issue
+ * @returns {JiraTicket} Ticket with documentation links and changelog signals
+ */
+function buildJiraTicket(issue) {
+  return new JiraTicket({
+    id: issue.id,
+    key: issue.key,
+    summary: issue.fields.summary || '',
+    description: extractAdfText(issue.fields.description),
+    assignee: issue.fields.assignee ? issue.fields.assignee.accountId : null,
+    status: issue.fields.status ? issue.fields.status.name : null,
+    created: issue.fields.created,
+    updated: issue.fields.updated,
+    commentCount: issue.fields.comment ? issue.fields.comment.total : 0,
+    documentationLinks: extractTicketDocumentationLinks(issue),
+    components: (issue.fields.components || []).map(component => component.name),
+    labels: issue.fields.labels || [],
+    ...extractIssueRelations(issue),
+    ...extractChangelogSignals(issue)
+  });
+}
+
+/**
+ * Work out each ticket's epic and its centrality in the user's ticket graph
+ * Parents and epics outside the given tickets are fetched, up to HIERARCHY_LOOKUP_DEPTH levels so a
+ * sub-task's story leads to its epic, to tell whether they are critical themselves. Parents that were
+ * deleted or cannot be seen are skipped; any other failed lookup leaves the tickets without a critical
+ * parent rather than failing the scan.
+ * @param {JiraTicket[]} tickets - The user's tickets; epicKey, epicSummary, criticalParent and centrality are set in place
+ * @returns {Promise<JiraTicket[]>} The same tickets
+ */
+async function resolveTicketGraph(tickets) {
+  const known = new Map(tickets.map(ticket => [ticket.key, ticket]));
+  
+  try {
+    for (let depth = 0; depth < HIERARCHY_LOOKUP_DEPTH; depth++) {
+      const missing = new Set();
+      known.forEach(ticket => {
+        [ticket && ticket.parentKey, ticket && ticket.epicKey].forEach(key => {
+          if (key && !known.has(key)) {
+            missing.add(key);
+          }
+        });
+      });
+      if (missing.size === 0) {
+        break;
       }
       
-      const ticket = new JiraTicket({
-        id: issue.id,
-        key: issue.key,
-        summary: issue.fields.summary,
-        description: issue.fields.description || '',
-        assignee: issue.fields.assignee.accountId,
-        status: issue.fields.status.name,
-        created: issue.fields.created,
-        updated: issue.fields.updated,
-        commentCount: issue.fields.comment ? issue.fields.comment.total : 0,
-        documentationLinks: extractDocumentationLinks(issue.fields.description || '')
+      (await getIssuesByKey(Array.from(missing), { expand: 'changelog' })).forEach(issue => known.set(issue.key, buildJiraTicket(issue)));
+      // Remember keys Jira did not return so they are not looked up again
+      missing.forEach(key => {
+        if (!known.has(key)) {
+          known.set(key, null);
+        }
       });
-      
-      // Consider it critical if high activity but low documentation
-      const docRatio = ticket.getDocumentationRatio();
-      const isHighActivity = ticket.commentCount > 3 || ticket.summary.length > 50;
-      
-      if (isHighActivity && docRatio < 0.3) {
-        criticalTickets.push(ticket);
-      }
     }
-    
-    return criticalTickets;
-    
   } catch (error) {
-    console.error(`Error identifying critical tickets for user ${userId}:`, error.message);
-    return [];
+    console.warn(`Issue hierarchy lookup failed, scoring tickets without their parents: ${error.message}`);
   }
+  
+  tickets.forEach(ticket => {
+    const parent = ticket.parentKey ? known.get(ticket.parentKey) : null;
+    // A parent's epic is fresher than one stored with the ticket by an earlier scan
+    const epicKey = (parent && parent.epicKey) || ticket.epicKey || null;
+    const epic = epicKey ? known.get(epicKey) : null;
+    const criticalParent = [parent, epic].find(candidate => candidate && isCriticalByActivity(candidate));
+    
+    ticket.epicKey = epicKey;
+    ticket.epicSummary = epic ? epic.summary : ticket.epicSummary;
+    ticket.criticalParent = criticalParent ? criticalParent.key : null;
+    ticket.centrality = calculateCentrality(countRelations(ticket), Boolean(criticalParent));
+  });
+  
+  return tickets;
+}
+
+/**
+ * Consider a ticket critical if it shows high activity, high changelog churn (reopens, handovers,
+ * escalations, stalls) or high centrality in the user's ticket graph, but low documentation
+ * @param {JiraTicket} ticket - Jira ticket
+ * @returns {boolean} True if the ticket is critical
+ */
+function isCriticalTicket(ticket) {
+  const isCentral = (ticket.centrality || 0) >= CENTRALITY_THRESHOLD;
+  
+  return (hasHighActivity(ticket) || isCentral) && ticket.getDocumentationRatio() < 0.3;
 }
 
 /**
- * Identify high complexity PRs for a user using Bitbucket data with strict 6-month constraint
+ * Consider a ticket critical on its own activity alone, ignoring its place in the ticket graph
+ * Used for parents and epics, so criticality does not depend on the order tickets are resolved in.
+ * @param {JiraTicket} ticket - Jira ticket
+ * @returns {boolean} True if the ticket is critical by activity or churn
+ */
+function isCriticalByActivity(ticket) {
+  return hasHighActivity(ticket) && ticket.getDocumentationRatio() < 0.3;
+}
+
+/**
+ * Check a ticket for high activity (many comments, a long summary) or high changelog churn
+ * @param {JiraTicket} ticket - Jira ticket
+ * @returns {boolean} True if the ticket is active or churning
+ */
+function hasHighActivity(ticket) {
+  const isHighActivity = ticket.commentCount > 3 || ticket.summary.length > 50;
+  const isHighChurn = calculateChangelogIntensity(ticket) >= CHANGELOG_CHURN_THRESHOLD;
+  
+  return isHighActivity || isHighChurn;
+}
+
+/**
+ * Explain why a ticket is critical, in the terms isCriticalTicket uses
+ * @param {JiraTicket} ticket - Critical Jira ticket
+ * @returns {string[]} Human-readable reasons
+ */
+function getCriticalTicketReasons(ticket) {
+  const reasons = [];
+  const churn = calculateChangelogIntensity(ticket);
+  
+  if (ticket.commentCount > 3) {
+    reasons.push(`${ticket.commentCount} comments`);
+  }
+  if (ticket.summary.length > 50) {
+    reasons.push('long summary');
+  }
+  if (churn >= CHANGELOG_CHURN_THRESHOLD) {
+    reasons.push(`changelog churn ${Math.round(churn * 100) / 100}`);
+  }
+  if ((ticket.centrality || 0) >= CENTRALITY_THRESHOLD) {
+    const { blocks, subtasks } = countRelations(ticket);
+    const details = [
+      ...(blocks > 0 ? [`blocks ${blocks}`] : []),
+      ...(subtasks > 0 ? [`${subtasks} sub-tasks`] : []),
+      ...(ticket.criticalParent ? [`child of critical ${ticket.criticalParent}`] : [])
+    ];
+    reasons.push(`centrality ${ticket.centrality}${details.length > 0 ? ` (${details.join(', ')})` : ''}`);
+  }
+  reasons.push(`documentation ratio ${Math.round(ticket.getDocumentationRatio() * 100) / 100}`);
+  
+  return reasons;
+}
+
+/**
+ * Identify high complexity PRs for a user using Bitbucket data within the scan window
  * @param {string} userId - User account ID
- * @param {Date} sixMonthsAgo - Date representing 6 months ago
+ * @param {Object|Date|string} timeframe - Scan window, preset key, or window start date
  * @returns {Promise<Array>} Array of high complexity PRs
  */
-async function identifyHighComplexityPRs(userId, sixMonthsAgo) {
+async function identifyHighComplexityPRs(userId, timeframe) {
+  const window = resolveTimeframe(timeframe);
+  
   try {
-    const bitbucketService = require('../services/bitbucketService');
-    
-    // Get all PRs for the user from last 6 months
-    const allPRs = await bitbucketService.getPullRequestsLastSixMonths(userId);
-    
-    // Filter PRs to enforce strict 6-month constraint at data level
-    const filteredPRs = allPRs.filter(pr => {
-      const prDate = new Date(pr.created);
-      if (prDate < sixMonthsAgo) {
-        console.warn(`6-month filter: Skipping old PR #${pr.id} (created: ${prDate.toISOString().split('T')[0]})`);
-        return false;
-      }
-      return true;
-    });
-    
-    // Identify high complexity PRs (complexity score >= 6 out of 10)
-    const highComplexityPRs = filteredPRs.filter(pr => {
-      return pr.complexityScore >= 6;
-    });
+    const filteredPRs = await fetchUserPullRequests(userId, window);
+    const highComplexityPRs = filteredPRs.filter(isHighComplexityPR);
     
-    console.log(`Found ${highComplexityPRs.length} high complexity PRs for user ${userId} in last 6 months`);
+    console.log(`Found ${highComplexityPRs.length} high complexity PRs for user ${userId} in timeframe ${window.key}`);
     return highComplexityPRs;
     
   } catch (error) {
@@ -282,7 +1309,7 @@ async function identifyHighComplexityPRs(userId, sixMonthsAgo) {
     
     // If Bitbucket integration fails, return empty array to maintain algorithm structure
     // This allows the system to continue with Jira-only analysis
-    if (error.code === 'PERMISSION_DENIED' || error.code === 'BITBUCKET_API_ERROR') {
+    if (isBitbucketUnavailable(error)) {
       console.warn(`Bitbucket integration unavailable for user ${userId}, continuing with Jira-only analysis`);
       return [];
     }
@@ -291,33 +1318,92 @@ async function identifyHighComplexityPRs(userId, sixMonthsAgo) {
   }
 }
 
+/**
+ * Fetch every PR a user created inside the scan window
+ * @param {string} userId - User account ID
+ * @param {Object|Date|string} timeframe - Scan window, preset key, or window start date
+ * @param {Object} [options] - Query options
+ * @param {Date|string} [options.updatedSince] - Only fetch PRs updated since this cursor (incremental scans)
+ * @returns {Promise<Array>} Array of PRs
+ */
+async function fetchUserPullRequests(userId, timeframe, options = {}) {
+  const window = resolveTimeframe(timeframe);
+  const bitbucketService = require('../services/bitbucketService');
+  
+  // Get all PRs for the user inside the scan window
+  const allPRs = await bitbucketService.getPullRequestsLastSixMonths(userId, window, options);
+  
+  // Filter PRs to enforce the scan window at data level
+  return allPRs.filter(pr => {
+    const prDate = new Date(pr.created);
+    if (!isWithinTimeframe(prDate, window)) {
+      console.warn(`Timeframe filter: Skipping PR #${pr.id} outside ${window.key} (created: ${formatQueryDate(prDate)})`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Identify high complexity PRs (complexity score >= 6 out of 10)
+ * @param {Object} pr - Pull request
+ * @returns {boolean} True if the PR is high complexity
+ */
+function isHighComplexityPR(pr) {
+  return pr.complexityScore >= 6;
+}
+
+/**
+ * Check whether a Bitbucket error means the integration is unavailable rather than broken
+ * @param {Error} error - Error thrown by the Bitbucket service
+ * @returns {boolean} True if the scan should continue without Bitbucket data
+ */
+function isBitbucketUnavailable(error) {
+  return error.code === 'PERMISSION_DENIED' || error.code === 'BITBUCKET_API_ERROR';
+}
+
 /**
  * Find documentation links across all artifacts
+ * Combines links written into ticket descriptions and comments, each critical ticket's remote links
+ * (including Confluence "mentioned in" and linked-page relations) and links in PR titles and descriptions.
+ * Links to the same Confluence page count once, and dead or archived pages are dropped (see validateDocumentationLinks).
+ * With options.author, Confluence pages the user wrote about these tickets or their components are credited as
+ * well (see findAuthoredDocumentation), unless a link already credits them.
  * @param {Array} criticalTickets - Array of critical Jira tickets
  * @param {Array} highComplexityPRs - Array of high complexity PRs
- * @returns {Promise<Array>} Array of documentation links
+ * @param {Object} [options] - Validation options ({ now })
+ * @param {{userId: string, window: Object, participation: Array}} [options.author] - User whose authored pages to
+ *   credit, the scan window and the critical tickets they took part in without being the assignee
+ * @returns {Promise<Array<{url: string, pageId: (string|null), status: string, weight: number}>>} Weighted documentation links
  */
-async function findDocumentationLinks(criticalTickets, highComplexityPRs) {
-  const documentationLinks = new Set();
+async function findDocumentationLinks(criticalTickets, highComplexityPRs, options = {}) {
+  const documentationLinks = [];
   
-  // Extract documentation links from Jira tickets
-  criticalTickets.forEach(ticket => {
-    ticket.documentationLinks.forEach(link => {
-      documentationLinks.add(link);
-    });
-  });
+  // Extract documentation links from Jira tickets and their remote links
+  for (const ticket of criticalTickets) {
+    documentationLinks.push(...ticket.documentationLinks);
+    documentationLinks.push(...await fetchRemoteDocumentationLinks(ticket.key));
+  }
   
   // Extract documentation links from PRs
   highComplexityPRs.forEach(pr => {
     // Extract documentation links from PR title and description
     const prText = `${pr.title || ''} ${pr.description || ''}`;
-    const prDocLinks = extractDocumentationLinks(prText);
-    prDocLinks.forEach(link => {
-      documentationLinks.add(link);
-    });
+    documentationLinks.push(...extractDocumentationLinks(prText));
   });
   
-  return Array.from(documentationLinks);
+  const validated = await validateDocumentationLinks(dedupeDocumentationLinks(documentationLinks), options);
+  if (!options.author) {
+    return validated;
+  }
+  
+  const authored = await findAuthoredDocumentation(
+    options.author.userId,
+    options.author.window,
+    [...criticalTickets, ...(options.author.participation || [])],
+    { now: options.now, excludePageIds: validated.map(link => link.pageId).filter(Boolean) }
+  );
+  return [...validated, ...authored];
 }
 
 /**
@@ -335,38 +1421,51 @@ function calculateDocumentationRatio(tickets) {
   return totalRatio / tickets.length;
 }
 
+/**
+ * Extract documentation links from a ticket's description and comments
+ * @param {Object} issue - Jira issue
+ * @returns {string[]} Unique documentation links
+ */
+function extractTicketDocumentationLinks(issue) {
+  const comments = (issue.fields.comment && issue.fields.comment.comments) || [];
+  const links = [
+    ...extractDocumentationLinks(issue.fields.description),
+    ...comments.flatMap(comment => extractDocumentationLinks(comment.body))
+  ];
+  
+  return dedupeDocumentationLinks(links);
+}
+
 /**
  * Extract documentation links from ticket description
- * @param {string} description - Ticket description
+ * @param {string|Object} description - Ticket description as plain text or an ADF document
  * @returns {string[]} Array of documentation links
  */
 function extractDocumentationLinks(description) {
   if (!description) return [];
   
-  // Simple regex to find URLs that might be documentation
-  const urlRegex = /https?:\/\/[^\s]+/g;
-  const urls = description.match(urlRegex) || [];
+  // Text links, smart links, embeds and bare URLs that might be documentation
+  const urls = extractAdfLinks(description).map(link => link.url);
   
   // Filter for likely documentation URLs
-  return urls.filter(url => {
-    const lowerUrl = url.toLowerCase();
-    return lowerUrl.includes('confluence') || 
-           lowerUrl.includes('wiki') || 
-           lowerUrl.includes('docs') ||
-           lowerUrl.includes('documentation');
-  });
+  return urls.filter(isDocumentationUrl);
 }
 
 /**
  * Generate recommended actions based on risk level and ticket count
- * @param {string} riskLevel - Risk level (HIGH, MEDIUM, LOW)
+ * @param {string} riskLevel - Risk level (CRITICAL, HIGH, MEDIUM, LOW)
  * @param {number} ticketCount - Number of zombie tickets
  * @returns {string[]} Array of recommended actions
  */
 function generateRecommendedActions(riskLevel, ticketCount) {
   const actions = [];
   
-  if (riskLevel === 'HIGH') {
+  if (riskLevel === 'CRITICAL') {
+    actions.push('Escalate to the engineering manager before the departure date');
+    actions.push('Schedule immediate knowledge transfer session');
+    actions.push('Name a successor for every critical artifact');
+    actions.push('Record walkthroughs of undocumented systems and decisions');
+  } else if (riskLevel === 'HIGH') {
     actions.push('Schedule immediate knowledge transfer session');
     actions.push('Prioritize documentation of critical processes');
     actions.push('Assign backup team members to shadow work');
@@ -387,9 +1486,11 @@ function generateRecommendedActions(riskLevel, ticketCount) {
 }
 
 /**
- * Log notification for detected Undocumented Intensity (simulates Slack/email notification)
+ * Build and log the notification for detected Undocumented Intensity
+ * Delivery (Jira, Confluence, webhook, email) is handled by services/notificationService.
  * @param {Object} user - User object
  * @param {UndocumentedIntensityReport} report - Undocumented intensity report
+ * @returns {Object} Notification for dispatchKnowledgeGapNotification
  */
 function logKnowledgeGapNotification(user, report) {
   const notification = {
@@ -404,23 +1505,33 @@ function logKnowledgeGapNotification(user, report) {
     criticalTickets: report.criticalJiraTickets.length,
     highComplexityPRs: report.highComplexityPRs.length,
     documentationLinks: report.documentationLinks.length,
+    documentationWeight: report.documentationWeight,
     specificArtifacts: report.specificArtifacts,
+    scoreBreakdown: report.scoreBreakdown,
+    trend: report.intensityTrend ? report.intensityTrend.direction : null,
+    explanation: formatScoreBreakdownText(report.scoreBreakdown),
     message: `High Undocumented Intensity detected for ${user.displayName}: Score ${report.undocumentedIntensityScore.toFixed(2)} (${report.criticalJiraTickets.length} critical tickets + ${report.highComplexityPRs.length} complex PRs / ${report.documentationLinks.length} docs)`,
     recommendedActions: generateRecommendedActions(report.riskLevel, report.criticalJiraTickets.length)
   };
   
-  // In a real implementation, this would send to Slack/email
   console.log('📢 LEGACY KEEPER NOTIFICATION:', JSON.stringify(notification, null, 2));
   
-  // Simulate organizational outreach for cognitive offboarding
-  console.log(`🔔 Simulated notification sent to HR and team leads about ${user.displayName}'s high Undocumented Intensity - cognitive offboarding recommended.`);
+  return notification;
 }
 
 module.exports = {
+  SCAN_EXECUTION_DEFAULTS,
   scanLastSixMonths,
+  resolveScanExecution,
+  scanSingleUser,
+  getActiveUsersLastSixMonths,
   calculateUndocumentedIntensity,
+  scanUserIncrementally,
   identifyCriticalTickets,
+  buildJiraTicket,
+  isCriticalTicket,
   identifyHighComplexityPRs,
+  fetchUserPullRequests,
   findDocumentationLinks,
   calculateDocumentationRatio,
   extractDocumentationLinks,
@@ -0,0 +1,401 @@
+const api = require('@forge/api');
+const { ApiError } = require('../models');
+const { loadScanRun, loadLatestCompleteRun } = require('../services/scanHistoryService');
+
+/**
+ * Risk Roll-up - Aggregates per-user Undocumented Intensity reports by team, Jira project and department
+ * Teams and departments come from an admin-managed organization mapping (account ID -> team,
+ * team -> department); Jira projects come from the keys of each user's critical tickets.
+ */
+
+/**
+ * Storage key for the organization mapping
+ */
+const ORG_MAPPING_KEY = 'risk-rollup:org-mapping';
+
+/**
+ * Group name for users without a team and teams without a department
+ */
+const UNASSIGNED_GROUP = 'Unassigned';
+
+/**
+ * Heatmap column for pull request contributions, which do not belong to a Jira project
+ */
+const PULL_REQUESTS_COLUMN = 'Pull requests';
+
+/**
+ * Dimensions the heatmap rows can be grouped by
+ */
+const HEATMAP_ROW_DIMENSIONS = ['team', 'department'];
+
+/**
+ * Number of top undocumented artifacts listed per group by default
+ */
+const DEFAULT_TOP_ARTIFACTS = 5;
+
+/**
+ * Risk levels that count as high risk members
+ */
+const HIGH_RISK_LEVELS = ['HIGH', 'CRITICAL'];
+
+/**
+ * Resolver: roll the reports of a stored scan up by team, project and department
+ * Only reads the scan history, so opening the dashboard never starts a scan (and with it alerts,
+ * knowledge-transfer issues or scan state updates).
+ * @param {Object} req - Forge request; payload accepts rows ('team' or 'department'), topArtifacts, and runId
+ *   to roll up a specific stored run instead of the latest complete one
+ * @returns {Promise<Object>} Groups per dimension and a heatmap matrix, with the run they were built from
+ */
+async function getKnowledgeRiskRollup(req) {
+  try {
+    const { rows = 'team', topArtifacts = DEFAULT_TOP_ARTIFACTS, runId } = (req && req.payload) || {};
+    validateRollupOptions({ rows, topArtifacts });
+
+    const mapping = await loadOrgMapping();
+    const run = runId ? await loadScanRun(runId) : await loadLatestCompleteRun();
+
+    if (!run) {
+      throw new ApiError({
+        code: 'SCAN_RUN_NOT_FOUND',
+        message: runId ? `Scan run ${runId} not found` : 'No completed scan to roll up yet; run a scan first'
+      });
+    }
+
+    const rollup = buildRiskRollup(run.reports, mapping, { rows, topArtifacts });
+
+    return {
+      success: true,
+      runId: run.runId,
+      completedAt: run.completedAt,
+      ...rollup,
+      summary: {
+        ...run.summary,
+        teams: rollup.teams.length,
+        projects: rollup.projects.length,
+        departments: rollup.departments.length
+      }
+    };
+
+  } catch (error) {
+    console.error('Error building knowledge risk roll-up:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Validate roll-up options from the payload
+ * @param {{rows: string, topArtifacts: number}} options - Roll-up options
+ * @throws {ApiError} If the row dimension is unknown or topArtifacts is not a positive integer
+ */
+function validateRollupOptions({ rows, topArtifacts }) {
+  if (!HEATMAP_ROW_DIMENSIONS.includes(rows)) {
+    throw new ApiError({
+      code: 'INVALID_INPUT',
+      message: `rows must be one of ${HEATMAP_ROW_DIMENSIONS.join(', ')}`
+    });
+  }
+
+  if (!Number.isInteger(topArtifacts) || topArtifacts < 1) {
+    throw new ApiError({
+      code: 'INVALID_INPUT',
+      message: 'topArtifacts must be a positive integer'
+    });
+  }
+}
+
+/**
+ * Roll Undocumented Intensity reports up by team, Jira project and department
+ *
+ * Team and department totals add up the members' scores. A project's total adds up the
+ * documentation-adjusted contributions of the critical tickets (assigned or participated in) in that
+ * project, so a user with tickets in two projects counts towards both in proportion to their work there.
+ *
+ * @param {Array<Object>} reports - Per-user reports from scanLastSixMonths, or their compact form from the scan history
+ * @param {{userTeams: Object<string, string>, teamDepartments: Object<string, string>}} mapping - Organization mapping
+ * @param {Object} [options] - Roll-up options ({ rows, topArtifacts })
+ * @returns {{teams: Array, projects: Array, departments: Array, heatmap: Object}} Groups sorted by total intensity, and the heatmap
+ */
+function buildRiskRollup(reports, mapping, options = {}) {
+  const rows = options.rows || 'team';
+  const topArtifacts = options.topArtifacts || DEFAULT_TOP_ARTIFACTS;
+  const members = reports.map(report => describeMember(report, mapping));
+
+  const teams = buildGroups(members, member => [[member.team, member.score]], topArtifacts);
+  const departments = buildGroups(members, member => [[member.department, member.score]], topArtifacts);
+  const projects = buildGroups(members, member => Array.from(member.projectIntensity.entries()), topArtifacts, {
+    artifactFilter: (artifact, project) => artifact.project === project
+  });
+
+  // Departments also list the teams they roll up
+  departments.forEach(department => {
+    department.teams = Array.from(new Set(members
+      .filter(member => member.department === department.name)
+      .map(member => member.team))).sort();
+  });
+
+  return {
+    teams,
+    projects,
+    departments,
+    heatmap: buildHeatmap(members, rows)
+  };
+}
+
+/**
+ * Reduce a report to the fields the roll-up groups on
+ * @param {UndocumentedIntensityReport} report - Undocumented intensity report
+ * @param {Object} mapping - Organization mapping
+ * @returns {Object} Member with team, department, score, artifacts and per-project intensity
+ */
+function describeMember(report, mapping) {
+  const team = mapping.userTeams[report.userId] || UNASSIGNED_GROUP;
+  const breakdown = report.scoreBreakdown || { tickets: [], pullRequests: [] };
+  const artifacts = [
+    ...breakdown.tickets.map(ticket => ({
+      artifact: `JIRA-${ticket.key}`,
+      title: ticket.summary,
+      project: getProjectKey(ticket.key),
+      userId: report.userId,
+      contribution: ticket.adjustedContribution
+    })),
+    ...(breakdown.participation || []).map(entry => ({
+      artifact: `JIRA-${entry.key}`,
+      title: entry.summary,
+      project: getProjectKey(entry.key),
+      userId: report.userId,
+      contribution: entry.adjustedContribution
+    })),
+    ...(breakdown.incidents || []).map(incident => ({
+      artifact: `INCIDENT-${incident.key}`,
+      title: incident.summary,
+      project: getProjectKey(incident.key),
+      userId: report.userId,
+      contribution: incident.adjustedContribution
+    })),
+    ...breakdown.pullRequests.map(pr => ({
+      artifact: `PR #${pr.id}`,
+      title: pr.title,
+      project: null,
+      userId: report.userId,
+      contribution: pr.adjustedContribution
+    }))
+  ];
+
+  const projectIntensity = new Map();
+  artifacts.filter(artifact => artifact.project).forEach(artifact => {
+    projectIntensity.set(artifact.project, (projectIntensity.get(artifact.project) || 0) + artifact.contribution);
+  });
+
+  return {
+    userId: report.userId,
+    team,
+    department: mapping.teamDepartments[team] || UNASSIGNED_GROUP,
+    score: report.undocumentedIntensityScore,
+    riskLevel: report.riskLevel,
+    artifacts,
+    projectIntensity
+  };
+}
+
+/**
+ * Get the Jira project key of an issue key
+ * @param {string} issueKey - Issue key (e.g. 'CORE-123')
+ * @returns {string} Project key (e.g. 'CORE')
+ */
+function getProjectKey(issueKey) {
+  const separator = issueKey.lastIndexOf('-');
+  return separator > 0 ? issueKey.slice(0, separator) : issueKey;
+}
+
+/**
+ * Group members and summarise each group
+ * @param {Object[]} members - Members from describeMember
+ * @param {Function} assign - Returns [groupName, intensity] pairs for a member
+ * @param {number} topArtifacts - Number of top artifacts to list per group
+ * @param {Object} [options] - Grouping options
+ * @param {Function} [options.artifactFilter] - Limits the artifacts a member brings to a group
+ * @returns {Array<{name: string, members: string[], memberCount: number, totalIntensity: number, medianIntensity: number, highRiskMembers: number, topArtifacts: Array}>}
+ *   Groups sorted by total intensity (highest first)
+ */
+function buildGroups(members, assign, topArtifacts, options = {}) {
+  const groups = new Map();
+
+  members.forEach(member => {
+    assign(member).forEach(([name, intensity]) => {
+      if (!groups.has(name)) {
+        groups.set(name, { name, entries: [] });
+      }
+      groups.get(name).entries.push({ member, intensity });
+    });
+  });
+
+  return Array.from(groups.values())
+    .map(({ name, entries }) => {
+      const intensities = entries.map(entry => entry.intensity);
+      const artifacts = entries
+        .flatMap(entry => entry.member.artifacts)
+        .filter(artifact => !options.artifactFilter || options.artifactFilter(artifact, name))
+        .sort((a, b) => b.contribution - a.contribution);
+
+      return {
+        name,
+        members: entries.map(entry => entry.member.userId),
+        memberCount: entries.length,
+        totalIntensity: round(intensities.reduce((sum, value) => sum + value, 0)),
+        medianIntensity: round(median(intensities)),
+        highRiskMembers: entries.filter(entry => HIGH_RISK_LEVELS.includes(entry.member.riskLevel)).length,
+        topArtifacts: artifacts.slice(0, topArtifacts)
+      };
+    })
+    .sort((a, b) => b.totalIntensity - a.totalIntensity || a.name.localeCompare(b.name));
+}
+
+/**
+ * Build a heatmap matrix of intensity by team or department (rows) and Jira project (columns)
+ * Pull request contributions have their own column, so each row adds up to the row's total intensity.
+ * @param {Object[]} members - Members from describeMember
+ * @param {string} rowDimension - 'team' or 'department'
+ * @returns {{rowDimension: string, columnDimension: string, rows: string[], columns: string[], values: number[][], max: number}}
+ *   Matrix where values[row][column] is the documentation-adjusted intensity
+ */
+function buildHeatmap(members, rowDimension) {
+  const cells = new Map();
+  const rowTotals = new Map();
+  const columnTotals = new Map();
+
+  const add = (row, column, value) => {
+    const key = `${row}\u0000${column}`;
+    cells.set(key, (cells.get(key) || 0) + value);
+    rowTotals.set(row, (rowTotals.get(row) || 0) + value);
+    columnTotals.set(column, (columnTotals.get(column) || 0) + value);
+  };
+
+  members.forEach(member => {
+    const row = member[rowDimension];
+    rowTotals.set(row, rowTotals.get(row) || 0);
+    member.artifacts.forEach(artifact => add(row, artifact.project || PULL_REQUESTS_COLUMN, artifact.contribution));
+  });
+
+  const byTotal = totals => Array.from(totals.keys())
+    .sort((a, b) => totals.get(b) - totals.get(a) || a.localeCompare(b));
+  const rows = byTotal(rowTotals);
+  const columns = byTotal(columnTotals).filter(column => column !== PULL_REQUESTS_COLUMN);
+  if (columnTotals.has(PULL_REQUESTS_COLUMN)) {
+    columns.push(PULL_REQUESTS_COLUMN);
+  }
+
+  const values = rows.map(row => columns.map(column => round(cells.get(`${row}\u0000${column}`) || 0)));
+
+  return {
+    rowDimension,
+    columnDimension: 'project',
+    rows,
+    columns,
+    values,
+    max: values.reduce((max, row) => Math.max(max, ...row), 0)
+  };
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number} Median (0 for an empty list)
+ */
+function median(values) {
+  if (values.length === 0) {
+    return 0;
+  }
+
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Round to two decimals for display
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate an organization mapping
+ * @param {Object} mapping - Mapping to validate
+ * @throws {ApiError} If userTeams or teamDepartments is not an object of non-empty strings
+ */
+function validateOrgMapping(mapping) {
+  ['userTeams', 'teamDepartments'].forEach(field => {
+    const value = mapping[field];
+    const isValid = value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.values(value).every(name => typeof name === 'string' && name.trim().length > 0);
+
+    if (!isValid) {
+      throw new ApiError({
+        code: 'INVALID_INPUT',
+        message: `${field} must map names to non-empty strings`
+      });
+    }
+  });
+}
+
+/**
+ * Load the organization mapping from storage
+ * @returns {Promise<{userTeams: Object<string, string>, teamDepartments: Object<string, string>}>} Mapping (empty until an admin saves one)
+ */
+async function loadOrgMapping() {
+  const stored = await api.storage.get(ORG_MAPPING_KEY);
+  return {
+    userTeams: {},
+    teamDepartments: {},
+    ...(stored || {})
+  };
+}
+
+/**
+ * Resolver: get the organization mapping
+ * @returns {Promise<Object>} Mapping of account IDs to teams and teams to departments
+ */
+async function getOrgMapping() {
+  try {
+    return { success: true, mapping: await loadOrgMapping() };
+  } catch (error) {
+    console.error('Error loading organization mapping:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resolver: validate and save the organization mapping
+ * Each field that is sent replaces the stored one.
+ * @param {Object} req - Forge request; payload holds userTeams (account ID -> team) and/or teamDepartments (team -> department)
+ * @returns {Promise<Object>} Saved mapping or a validation error
+ */
+async function saveOrgMapping(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    const current = await loadOrgMapping();
+    const mapping = {
+      userTeams: payload.userTeams === undefined ? current.userTeams : payload.userTeams,
+      teamDepartments: payload.teamDepartments === undefined ? current.teamDepartments : payload.teamDepartments
+    };
+
+    validateOrgMapping(mapping);
+    await api.storage.set(ORG_MAPPING_KEY, mapping);
+
+    return { success: true, mapping };
+  } catch (error) {
+    console.error('Error saving organization mapping:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  UNASSIGNED_GROUP,
+  PULL_REQUESTS_COLUMN,
+  getKnowledgeRiskRollup,
+  buildRiskRollup,
+  getOrgMapping,
+  saveOrgMapping
+};
@@ -0,0 +1,347 @@
+const api = require('@forge/api');
+const { ApiError } = require('../models');
+const { scanLastSixMonths } = require('./legacyDetector');
+const { DEFAULT_TIMEFRAME, resolveTimeframe } = require('../utils/timeframe');
+const { resolveScanScope } = require('../utils/scanScope');
+const { logError, LOG_LEVELS, ERROR_TYPES } = require('../utils/errorHandler');
+const { summarizeReport, loadScanRun } = require('../services/scanHistoryService');
+const { pruneExpiredCheckpoints } = require('../services/scanStateService');
+
+/**
+ * Scheduled Scan - Runs the Legacy Detector on a schedule and reports risk changes since the previous run
+ * Report sets live in the scan history (see scanHistoryService), so they follow its retention policy;
+ * the scheduled scan only keeps the latest run's ID, summary and diff.
+ */
+
+/**
+ * Storage keys for scheduled scan runs and configuration
+ */
+const STORAGE_KEYS = {
+  CONFIG: 'scheduled-scan:config',
+  LATEST_RUN: 'scheduled-scan:latest',
+  PENDING_SCAN: 'scheduled-scan:pending',
+  // Full run copies stored by earlier versions; deleted once a new run is stored
+  LEGACY_RUN_PREFIX: 'scheduled-scan:run:'
+};
+
+/**
+ * Fields a scheduled scan configuration may hold; anything else in a saved payload is ignored
+ */
+const SCHEDULE_CONFIG_FIELDS = ['timeframe', 'incremental', 'scoreIncreasePercent', 'projectKeys', 'components', 'labels', 'filterId', 'jql'];
+
+/**
+ * Defaults for scheduled scans; a stored configuration overrides individual fields
+ */
+const DEFAULT_SCHEDULE_CONFIG = {
+  timeframe: DEFAULT_TIMEFRAME,
+  incremental: true,
+  scoreIncreasePercent: 20
+};
+
+/**
+ * Risk levels that count as "at risk" in the run diff
+ */
+const AT_RISK_LEVELS = ['HIGH', 'CRITICAL'];
+
+/**
+ * Scheduled trigger handler: run the Legacy Detector and diff its report set against the previous run
+ * A scan that stops at its time or request budget is resumed by the hourly resume trigger (see
+ * resumeScheduledScan) or the next weekly trigger; the diff is only built once the scan completed, from every
+ * report stored in its scan history run. Each trigger also deletes checkpoints of scans nobody resumed.
+ * @param {Object} [event] - Forge scheduled trigger event
+ * @returns {Promise<Object>} Stored run with its diff, the continuation of a paused scan, or an error result
+ */
+async function runScheduledScan(event) {
+  try {
+    const config = await loadScheduledScanConfig();
+    const pending = await api.storage.get(STORAGE_KEYS.PENDING_SCAN);
+    await pruneExpiredCheckpoints();
+    const startedAt = pending ? new Date(pending.startedAt) : new Date();
+
+    console.log(pending
+      ? `Resuming scheduled Legacy Detector scan started at ${pending.startedAt}...`
+      : `Starting scheduled Legacy Detector scan (${config.timeframe}, incremental: ${config.incremental})...`);
+
+    const { scoreIncreasePercent, ...scanPayload } = config;
+    const result = await scanLastSixMonths({
+      payload: pending ? { continuationToken: pending.continuationToken } : scanPayload
+    });
+
+    if (!result.success) {
+      logError({
+        context: 'Scheduled Scan',
+        errorType: ERROR_TYPES.API_ERROR,
+        message: `Scheduled scan failed: ${result.error}`
+      }, LOG_LEVELS.ERROR);
+
+      // Start over on the next trigger instead of retrying a checkpoint that cannot be resumed
+      if (pending) {
+        await api.storage.delete(STORAGE_KEYS.PENDING_SCAN);
+      }
+      return { success: false, error: result.error };
+    }
+
+    if (result.continuationToken) {
+      await api.storage.set(STORAGE_KEYS.PENDING_SCAN, {
+        continuationToken: result.continuationToken,
+        startedAt: startedAt.toISOString()
+      });
+      console.log(`Scheduled scan paused with ${result.summary.execution.remainingUsers} users remaining; the resume trigger continues it`);
+
+      return { success: true, pending: true, continuationToken: result.continuationToken, summary: result.summary };
+    }
+
+    if (pending) {
+      await api.storage.delete(STORAGE_KEYS.PENDING_SCAN);
+    }
+
+    // Earlier invocations returned their own reports, so take the complete set from the scan history
+    const stored = result.runId ? await loadScanRun(result.runId) : null;
+    const reports = stored ? stored.reports : result.reports.map(summarizeReport);
+
+    const previousRun = await getLatestRun();
+    const diff = diffReportSets(previousRun ? previousRun.reports : [], reports, { scoreIncreasePercent });
+
+    const run = {
+      runId: result.runId,
+      startedAt: startedAt.toISOString(),
+      completedAt: new Date().toISOString(),
+      previousRunId: previousRun ? previousRun.runId : null,
+      summary: result.summary,
+      diff
+    };
+
+    await api.storage.set(STORAGE_KEYS.LATEST_RUN, run);
+    await deleteLegacyRuns();
+
+    logRiskChanges(run);
+
+    return { success: true, run: { ...run, reports } };
+
+  } catch (error) {
+    console.error('Error in scheduled Legacy Detector scan:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Scheduled trigger handler: resume a paused scheduled scan
+ * Runs more often than the weekly scan, so a scan paused at its budget completes within hours instead of
+ * waiting a week. Does nothing while no scheduled scan is paused.
+ * @param {Object} [event] - Forge scheduled trigger event
+ * @returns {Promise<Object>} Result of runScheduledScan, or { success: true, pending: false } when nothing was paused
+ */
+async function resumeScheduledScan(event) {
+  try {
+    if (!(await api.storage.get(STORAGE_KEYS.PENDING_SCAN))) {
+      return { success: true, pending: false };
+    }
+  } catch (error) {
+    console.error('Error checking for a paused scheduled scan:', error.message);
+    return { success: false, error: error.message };
+  }
+
+  return runScheduledScan(event);
+}
+
+/**
+ * Compare two report sets
+ * @param {Array} previousReports - Compact reports from the previous run
+ * @param {Array} currentReports - Compact reports from this run
+ * @param {Object} [options] - Diff options
+ * @param {number} [options.scoreIncreasePercent] - Minimum score increase (in percent) to report
+ * @returns {{newlyAtRisk: Array, scoreIncreases: Array, droppedOut: Array}} Risk changes
+ */
+function diffReportSets(previousReports, currentReports, options = {}) {
+  const threshold = options.scoreIncreasePercent === undefined
+    ? DEFAULT_SCHEDULE_CONFIG.scoreIncreasePercent
+    : options.scoreIncreasePercent;
+  const previousByUser = new Map(previousReports.map(report => [report.userId, report]));
+  const currentUsers = new Set(currentReports.map(report => report.userId));
+
+  const newlyAtRisk = [];
+  const scoreIncreases = [];
+
+  currentReports.forEach(report => {
+    const previous = previousByUser.get(report.userId);
+
+    if (AT_RISK_LEVELS.includes(report.riskLevel) && (!previous || !AT_RISK_LEVELS.includes(previous.riskLevel))) {
+      newlyAtRisk.push({
+        userId: report.userId,
+        riskLevel: report.riskLevel,
+        previousRiskLevel: previous ? previous.riskLevel : null,
+        undocumentedIntensityScore: report.undocumentedIntensityScore
+      });
+    }
+
+    // A percentage increase is only meaningful against a non-zero previous score
+    if (previous && previous.undocumentedIntensityScore > 0) {
+      const increasePercent = ((report.undocumentedIntensityScore - previous.undocumentedIntensityScore) /
+        previous.undocumentedIntensityScore) * 100;
+
+      if (increasePercent > threshold) {
+        scoreIncreases.push({
+          userId: report.userId,
+          previousScore: previous.undocumentedIntensityScore,
+          undocumentedIntensityScore: report.undocumentedIntensityScore,
+          increasePercent: Math.round(increasePercent * 100) / 100
+        });
+      }
+    }
+  });
+
+  const droppedOut = previousReports
+    .filter(report => !currentUsers.has(report.userId))
+    .map(report => ({
+      userId: report.userId,
+      previousRiskLevel: report.riskLevel,
+      previousScore: report.undocumentedIntensityScore
+    }));
+
+  return { newlyAtRisk, scoreIncreases, droppedOut };
+}
+
+/**
+ * Log the risk changes of a run (simulates Slack/email notification)
+ * @param {Object} run - Stored scheduled run
+ */
+function logRiskChanges(run) {
+  const { newlyAtRisk, scoreIncreases, droppedOut } = run.diff;
+
+  if (newlyAtRisk.length === 0 && scoreIncreases.length === 0 && droppedOut.length === 0) {
+    console.log(`Scheduled scan ${run.runId}: no risk changes since ${run.previousRunId || 'the first run'}`);
+    return;
+  }
+
+  console.log('📢 LEGACY KEEPER RISK CHANGES:', JSON.stringify({
+    type: 'SCHEDULED_SCAN_RISK_CHANGES',
+    runId: run.runId,
+    previousRunId: run.previousRunId,
+    newlyAtRisk,
+    scoreIncreases,
+    droppedOut,
+    message: `${newlyAtRisk.length} newly at risk, ${scoreIncreases.length} rising scores, ${droppedOut.length} dropped out`
+  }, null, 2));
+}
+
+/**
+ * Load the most recent stored run with its report set from the scan history
+ * A run whose history entry has expired under the retention policy is returned without reports.
+ * @returns {Promise<Object|null>} Latest run, or null before the first scheduled scan
+ */
+async function getLatestRun() {
+  const latest = await api.storage.get(STORAGE_KEYS.LATEST_RUN);
+  if (!latest) {
+    return null;
+  }
+  // Earlier versions stored the run ID here and a full copy of the run under its own key
+  if (typeof latest === 'string') {
+    return (await api.storage.get(`${STORAGE_KEYS.LEGACY_RUN_PREFIX}${latest}`)) || null;
+  }
+
+  const stored = latest.runId ? await loadScanRun(latest.runId) : null;
+  return { ...latest, reports: stored ? stored.reports : [] };
+}
+
+/**
+ * Delete the full run copies stored by earlier versions of the scheduled scan
+ * @returns {Promise<void>}
+ */
+async function deleteLegacyRuns() {
+  let page;
+  do {
+    page = await api.storage.query().where('key', api.startsWith(STORAGE_KEYS.LEGACY_RUN_PREFIX)).limit(20).getMany();
+    for (const { key } of page.results) {
+      await api.storage.delete(key);
+    }
+  } while (page.results.length > 0);
+}
+
+/**
+ * Keep only the fields a scheduled scan configuration may hold
+ * @param {Object} source - Stored configuration or resolver payload
+ * @returns {Object} Configuration fields present in the source
+ */
+function pickScheduleConfig(source) {
+  return SCHEDULE_CONFIG_FIELDS.reduce((config, field) => (
+    source[field] === undefined ? config : { ...config, [field]: source[field] }
+  ), {});
+}
+
+/**
+ * Load the scheduled scan configuration merged over the defaults
+ * @returns {Promise<Object>} Scheduled scan configuration
+ */
+async function loadScheduledScanConfig() {
+  const stored = await api.storage.get(STORAGE_KEYS.CONFIG);
+  return { ...DEFAULT_SCHEDULE_CONFIG, ...pickScheduleConfig(stored || {}) };
+}
+
+/**
+ * Validate a scheduled scan configuration
+ * @param {Object} config - Configuration to validate
+ * @throws {ApiError} If any field is invalid
+ */
+function validateScheduledScanConfig(config) {
+  if (typeof config.scoreIncreasePercent !== 'number' || isNaN(config.scoreIncreasePercent) || config.scoreIncreasePercent < 0) {
+    throw new ApiError({
+      code: 'INVALID_SCHEDULE_CONFIG',
+      message: 'scoreIncreasePercent must be a non-negative number'
+    });
+  }
+
+  if (typeof config.incremental !== 'boolean') {
+    throw new ApiError({
+      code: 'INVALID_SCHEDULE_CONFIG',
+      message: 'incremental must be a boolean'
+    });
+  }
+
+  // Reuse the scanner's own validation for the window and scope
+  resolveTimeframe(config.timeframe);
+  resolveScanScope(config);
+}
+
+/**
+ * Resolver: get the latest scheduled run with its diff
+ * @returns {Promise<Object>} Latest run, or null if no scheduled scan has run yet
+ */
+async function getLatestScheduledScan() {
+  try {
+    const run = await getLatestRun();
+    return { success: true, run };
+  } catch (error) {
+    console.error('Error loading latest scheduled scan:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resolver: save the scheduled scan configuration
+ * Only SCHEDULE_CONFIG_FIELDS are stored; other payload fields (e.g. execution or pagination options) are ignored.
+ * @param {Object} req - Forge request; payload holds timeframe, scope fields, incremental and scoreIncreasePercent
+ * @returns {Promise<Object>} Saved configuration or a validation error
+ */
+async function saveScheduledScanConfig(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    const config = { ...DEFAULT_SCHEDULE_CONFIG, ...pickScheduleConfig(payload) };
+
+    validateScheduledScanConfig(config);
+    await api.storage.set(STORAGE_KEYS.CONFIG, config);
+
+    return { success: true, config };
+  } catch (error) {
+    console.error('Error saving scheduled scan configuration:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE_CONFIG,
+  runScheduledScan,
+  resumeScheduledScan,
+  diffReportSets,
+  getLatestScheduledScan,
+  saveScheduledScanConfig
+};
@@ -1,5 +1,5 @@
 const api = require('@forge/api');
-const { ApiError } = require('../models');
+const { ApiError, CUSTOM_TIMEFRAME } = require('../models');
 const { 
   handleApiError, 
   logError, 
@@ -7,6 +7,8 @@ const {
   LOG_LEVELS, 
   ERROR_TYPES 
 } = require('../utils/errorHandler');
+const { resolveTimeframe, formatQueryDate } = require('../utils/timeframe');
+const { requestWithBudget } = require('../utils/requestBudget');
 
 /**
  * Bitbucket Integration Service
@@ -14,11 +16,14 @@ const {
  */
 
 /**
- * Get Pull Requests from the last 6 months for a specific user
+ * Get Pull Requests within a timeframe (the last 6 months by default) for a specific user
  * @param {string} userId - User account ID
- * @returns {Promise<BitbucketPR[]>} Array of pull requests from last 6 months
+ * @param {string|Object} timeframe - Preset key, { from, to } window, or resolved window (defaults to '6_MONTHS')
+ * @param {Object} [options] - Query options
+ * @param {Date|string} [options.updatedSince] - Only return PRs updated at or after this time (incremental scans)
+ * @returns {Promise<BitbucketPR[]>} Array of pull requests inside the timeframe
  */
-async function getPullRequestsLastSixMonths(userId) {
+async function getPullRequestsLastSixMonths(userId, timeframe = '6_MONTHS', options = {}) {
   const context = 'Bitbucket getPullRequestsLastSixMonths';
   
   try {
@@ -39,21 +44,22 @@ async function getPullRequestsLastSixMonths(userId) {
       throw validationError;
     }
 
+    const window = resolveTimeframe(timeframe);
+
     logError({
       context,
-      message: `Fetching pull requests for user: ${userId} (last 6 months)`,
+      message: `Fetching pull requests for user: ${userId} (${window.key})`,
       artifactId: userId,
       artifactType: 'USER',
-      apiService: 'bitbucket'
+      apiService: 'bitbucket',
+      timeframe: window.key
     }, LOG_LEVELS.INFO);
-    
-    // Calculate 6 months ago date
-    const sixMonthsAgo = new Date();
-    sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-    const dateFilter = sixMonthsAgo.toISOString().split('T')[0];
 
-    // Bitbucket API query for PRs by user in last 6 months
-    const query = `author.uuid="${userId}" AND created_on>=${dateFilter}`;
+    // Bitbucket API query for PRs by user inside the timeframe
+    let query = `author.uuid="${userId}" AND ${buildBitbucketDateQuery('created_on', window)}`;
+    if (options.updatedSince) {
+      query += ` AND updated_on>=${new Date(options.updatedSince).toISOString()}`;
+    }
     
     let response;
     let retryCount = 0;
@@ -61,7 +67,7 @@ async function getPullRequestsLastSixMonths(userId) {
     
     while (retryCount < maxRetries) {
       try {
-        response = await api.asApp().requestBitbucket('/2.0/pullrequests', {
+        response = await requestWithBudget('bitbucket', () => api.asApp().requestBitbucket('/2.0/pullrequests', {
           method: 'GET',
           headers: {
             'Accept': 'application/json'
@@ -71,7 +77,7 @@ async function getPullRequestsLastSixMonths(userId) {
             sort: '-created_on',
             pagelen: 100
           }
-        });
+        }));
         break; // Success, exit retry loop
         
       } catch (apiError) {
@@ -335,7 +341,7 @@ async function getPullRequestsLastSixMonths(userId) {
 /**
  * Get commit history for a user within a specific timeframe
  * @param {string} userId - User account ID
- * @param {string} timeframe - Timeframe (defaults to '6_MONTHS')
+ * @param {string|Object} timeframe - Preset key or { from, to } window (defaults to '6_MONTHS')
  * @returns {Promise<Commit[]>} Array of commits
  */
 async function getCommitHistory(userId, timeframe = '6_MONTHS') {
@@ -361,7 +367,7 @@ async function getCommitHistory(userId, timeframe = '6_MONTHS') {
 
     logError({
       context,
-      message: `Fetching commit history for user: ${userId} (${timeframe})`,
+      message: `Fetching commit history for user: ${userId} (${typeof timeframe === 'string' ? timeframe : JSON.stringify(timeframe)})`,
       artifactId: userId,
       artifactType: 'USER',
       apiService: 'bitbucket',
@@ -369,31 +375,25 @@ async function getCommitHistory(userId, timeframe = '6_MONTHS') {
     }, LOG_LEVELS.INFO);
     
     // Calculate date constraint based on timeframe
-    let dateConstraint;
-    if (timeframe === '6_MONTHS') {
-      dateConstraint = new Date();
-      dateConstraint.setMonth(dateConstraint.getMonth() - 6);
-    } else {
+    let window;
+    try {
+      window = resolveTimeframe(timeframe);
+    } catch (timeframeError) {
       logError({
         context,
         errorType: ERROR_TYPES.VALIDATION_ERROR,
-        message: `Invalid timeframe specified: ${timeframe}`,
+        message: `Invalid timeframe specified: ${JSON.stringify(timeframe)}`,
         artifactId: userId,
         artifactType: 'USER',
         apiService: 'bitbucket',
         timeframe
       }, LOG_LEVELS.WARN);
       
-      throw new ApiError({
-        code: 'INVALID_TIMEFRAME',
-        message: 'Only 6_MONTHS timeframe is supported'
-      });
+      throw timeframeError;
     }
-
-    const dateFilter = dateConstraint.toISOString().split('T')[0];
     
     // Query commits by author in the specified timeframe
-    const query = `author.raw:"${userId}" AND date>=${dateFilter}`;
+    const query = `author.raw:"${userId}" AND ${buildBitbucketDateQuery('date', window)}`;
     
     let response;
     let retryCount = 0;
@@ -401,7 +401,7 @@ async function getCommitHistory(userId, timeframe = '6_MONTHS') {
     
     while (retryCount < maxRetries) {
       try {
-        response = await api.asApp().requestBitbucket('/2.0/commits', {
+        response = await requestWithBudget('bitbucket', () => api.asApp().requestBitbucket('/2.0/commits', {
           method: 'GET',
           headers: {
             'Accept': 'application/json'
@@ -411,7 +411,7 @@ async function getCommitHistory(userId, timeframe = '6_MONTHS') {
             sort: '-date',
             pagelen: 100
           }
-        });
+        }));
         break; // Success, exit retry loop
         
       } catch (apiError) {
@@ -632,6 +632,23 @@ async function getCommitHistory(userId, timeframe = '6_MONTHS') {
   }
 }
 
+/**
+ * Build a Bitbucket query clause restricting a date field to a resolved timeframe
+ * Preset windows end "now", so only custom windows need an upper bound.
+ * @param {string} field - Bitbucket date field (e.g. 'created_on')
+ * @param {{key: string, from: Date, to: Date}} window - Resolved timeframe
+ * @returns {string} Bitbucket query clause
+ */
+function buildBitbucketDateQuery(field, window) {
+  let clause = `${field}>=${formatQueryDate(window.from)}`;
+  
+  if (window.key === CUSTOM_TIMEFRAME) {
+    clause += ` AND ${field}<=${window.to.toISOString()}`;
+  }
+  
+  return clause;
+}
+
 /**
  * Analyze Pull Request complexity and calculate complexity score
  * @param {Object} pr - Pull request data from Bitbucket API
@@ -673,12 +690,12 @@ async function analyzePRComplexity(prId) {
     while (retryCount < maxRetries) {
       try {
         // Get detailed PR information
-        response = await api.asApp().requestBitbucket(`/2.0/pullrequests/${prId}`, {
+        response = await requestWithBudget('bitbucket', () => api.asApp().requestBitbucket(`/2.0/pullrequests/${prId}`, {
           method: 'GET',
           headers: {
             'Accept': 'application/json'
           }
-        });
+        }));
         break; // Success, exit retry loop
         
       } catch (apiError) {
@@ -1033,12 +1050,12 @@ async function getDiffContext(prId) {
     // Get PR diff information with retry logic
     while (retryCount < maxRetries) {
       try {
-        response = await api.asApp().requestBitbucket(`/2.0/pullrequests/${prId}/diff`, {
+        response = await requestWithBudget('bitbucket', () => api.asApp().requestBitbucket(`/2.0/pullrequests/${prId}/diff`, {
           method: 'GET',
           headers: {
             'Accept': 'application/json'
           }
-        });
+        }));
         break; // Success, exit retry loop
         
       } catch (apiError) {
@@ -1129,12 +1146,12 @@ async function getDiffContext(prId) {
     retryCount = 0;
     while (retryCount < maxRetries) {
       try {
-        prResponse = await api.asApp().requestBitbucket(`/2.0/pullrequests/${prId}`, {
+        prResponse = await requestWithBudget('bitbucket', () => api.asApp().requestBitbucket(`/2.0/pullrequests/${prId}`, {
           method: 'GET',
           headers: {
             'Accept': 'application/json'
           }
-        });
+        }));
         break; // Success, exit retry loop
         
       } catch (apiError) {
@@ -1440,12 +1457,12 @@ async function validateBitbucketPermissions() {
     }, LOG_LEVELS.INFO);
     
     // Test API access with a simple request
-    const response = await api.asApp().requestBitbucket('/2.0/user', {
+    const response = await requestWithBudget('bitbucket', () => api.asApp().requestBitbucket('/2.0/user', {
       method: 'GET',
       headers: {
         'Accept': 'application/json'
       }
-    });
+    }));
     
     const isValid = response && response.status === 200;
     
@@ -1498,6 +1515,7 @@ async function validateBitbucketPermissions() {
 module.exports = {
   getPullRequestsLastSixMonths,
   getCommitHistory,
+  buildBitbucketDateQuery,
   analyzePRComplexity,
   getDiffContext,
   calculatePRComplexity,
@@ -1,5 +1,6 @@
 const api = require('@forge/api');
 const { ConfluencePageResult, ApiError } = require('../models');
+const { describeRoles } = require('../utils/scoreBreakdown');
 const { 
   handleApiError, 
   logError, 
@@ -238,6 +239,7 @@ async function linkToArtifacts(pageId, artifacts) {
         
         switch (artifact.type) {
           case 'JIRA_TICKET':
+          case 'INCIDENT':
             linkCreated = await createJiraTicketLink(pageId, artifact);
             break;
           case 'PR':
@@ -516,12 +518,16 @@ function formatLegacyDocument(knowledgeArtifact) {
     relatedPRs = [],
     relatedCommits = [],
     sourceArtifacts = [],
-    employeeId
+    employeeId,
+    scoreBreakdown = null
   } = knowledgeArtifact;
 
   // Format source artifacts section
   const artifactsSection = formatSourceArtifacts(sourceArtifacts);
   
+  // Explain the Undocumented Intensity score that prompted the offboarding
+  const scoreSection = formatScoreBreakdown(scoreBreakdown);
+  
   // Format related items section
   const relatedItemsSection = formatRelatedItems(relatedTickets, relatedPRs, relatedCommits);
 
@@ -542,6 +548,8 @@ ${tags.length > 0 ? `<p><strong>🏷️ Tags:</strong> ${tags.map(tag => escapeH
 <p>This document contains <strong>tacit knowledge</strong> extracted during cognitive offboarding. This knowledge was previously undocumented and exists only in the departing employee's experience. <strong>Review and integrate this knowledge into your team's documentation systems.</strong></p>
 </div>
 
+${scoreSection}
+
 ${artifactsSection}
 
 <h2>📖 Captured Knowledge</h2>
@@ -606,7 +614,7 @@ function formatSourceArtifacts(sourceArtifacts) {
   let artifactsHtml = '<h2>📦 Source Artifacts</h2>\n<p>This knowledge was extracted from analysis of the following artifacts:</p>\n';
 
   Object.entries(artifactsByType).forEach(([type, artifacts]) => {
-    const typeIcon = type === 'JIRA_TICKET' ? '🎫' : type === 'PR' ? '🔀' : '📝';
+    const typeIcon = type === 'JIRA_TICKET' ? '🎫' : type === 'PR' ? '🔀' : type === 'INCIDENT' ? '🚨' : '📝';
     artifactsHtml += `<h3>${typeIcon} ${type.replace('_', ' ')}</h3>\n<ul>\n`;
     
     artifacts.forEach(artifact => {
@@ -624,6 +632,61 @@ function formatSourceArtifacts(sourceArtifacts) {
   return artifactsHtml;
 }
 
+/**
+ * Format the Undocumented Intensity score breakdown section for Legacy Document
+ * @param {Object|null} scoreBreakdown - Score breakdown from the employee's UndocumentedIntensityReport
+ * @returns {string} Formatted score breakdown HTML (empty when there is no breakdown)
+ */
+function formatScoreBreakdown(scoreBreakdown) {
+  if (!scoreBreakdown) {
+    return '';
+  }
+
+  const { weights, documentation } = scoreBreakdown;
+  const rows = [
+    ...scoreBreakdown.tickets.map(ticket => `
+<tr><td>🎫 ${escapeHtml(ticket.key)}</td><td>${escapeHtml(ticket.reasons.join(', '))}</td><td>+${ticket.contribution}</td><td>${ticket.adjustedContribution}</td></tr>`),
+    ...(scoreBreakdown.participation || []).map(entry => `
+<tr><td>💬 ${escapeHtml(entry.key)}</td><td>Participated as ${escapeHtml(describeRoles(entry.roles))}</td><td>+${entry.contribution}</td><td>${entry.adjustedContribution}</td></tr>`),
+    ...(scoreBreakdown.incidents || []).map(incident => `
+<tr><td>🚨 ${escapeHtml(incident.key)}</td><td>Incident ${escapeHtml(describeRoles(incident.roles))}${incident.repeatComponent ? ` (${incident.repeatCount} on ${escapeHtml(incident.repeatComponent)})` : ''}</td><td>+${incident.contribution}</td><td>${incident.adjustedContribution}</td></tr>`),
+    ...scoreBreakdown.pullRequests.map(pr => `
+<tr><td>🔀 PR #${escapeHtml(String(pr.id))}</td><td>Complexity ${pr.complexityScore}</td><td>+${pr.contribution}</td><td>${pr.adjustedContribution}</td></tr>`)
+  ].join('');
+
+  const documentationItems = documentation.links.length === 0
+    ? '<p><em>No documentation found, so the score is not reduced.</em></p>'
+    : `<ul>
+${documentation.links.map(link => `<li>${escapeHtml(link.url)} (${escapeHtml(link.status)}, weight ${link.weight})</li>`).join('\n')}
+</ul>`;
+
+  const thresholds = Object.entries(scoreBreakdown.riskThresholds)
+    .map(([level, threshold]) => `${level} ≥ ${threshold}`)
+    .join(', ');
+  const weightList = Object.entries(weights)
+    .map(([name, value]) => `${escapeHtml(name)} ${value}`)
+    .join(', ');
+  const { trend } = scoreBreakdown;
+  const trendSummary = trend
+    ? `<p>Monthly trend: ${escapeHtml(trend.direction)} (slope ${trend.slope} per month, acceleration ${trend.acceleration})${trend.riskAdjustment ? `, which moved the risk level from ${escapeHtml(trend.riskAdjustment.from)} to ${escapeHtml(trend.riskAdjustment.to)}` : ''}.</p>`
+    : '';
+
+  return `
+<h2>📊 Why This Knowledge Was Flagged</h2>
+<div class="score-breakdown">
+<p><strong>Undocumented Intensity:</strong> ${scoreBreakdown.finalScore} (${escapeHtml(scoreBreakdown.riskLevel)}) = base ${scoreBreakdown.baseScore} ÷ documentation divisor ${documentation.divisor}</p>
+<table>
+<tr><th>Artifact</th><th>Reason</th><th>Contribution</th><th>After Documentation</th></tr>${rows}
+</table>
+<h3>📚 Documentation Divisor</h3>
+<p>Documentation weight ${documentation.weight} gives a divisor of ${documentation.divisor}.</p>
+${documentationItems}
+${trendSummary}
+<p><small>Strategy ${escapeHtml(scoreBreakdown.strategy)} v${scoreBreakdown.strategyVersion}: ${escapeHtml(scoreBreakdown.formula)}. Weights: ${weightList}. Risk thresholds: ${thresholds}.</small></p>
+</div>
+`;
+}
+
 /**
  * Format related items section for Legacy Document
  * @param {Array<string>} relatedTickets - Related Jira tickets
@@ -677,6 +740,7 @@ module.exports = {
   formatKnowledgeArtifact,
   formatLegacyDocument,
   formatSourceArtifacts,
+  formatScoreBreakdown,
   formatRelatedItems,
   buildPageUrl,
   escapeHtml,
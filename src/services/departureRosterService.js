@@ -0,0 +1,383 @@
+const api = require('@forge/api');
+const { ApiError } = require('../models');
+const { findUserByEmail } = require('./jiraService');
+const { logError, LOG_LEVELS, ERROR_TYPES } = require('../utils/errorHandler');
+
+/**
+ * Departure Roster Service
+ * Imports CSV or JSON rosters of departing employees from HR, maps each employee to a Jira
+ * account ID (directly, through a stored HR ID mapping, or by email) and stores the roster so
+ * scans can prioritise departing users and offboarding can start ahead of each departure date
+ */
+
+/**
+ * Storage key for the departure roster
+ */
+const ROSTER_KEY = 'departure-roster';
+
+/**
+ * Defaults for the departure roster
+ */
+const ROSTER_DEFAULTS = {
+  // Start cognitive offboarding this many days before the departure date
+  leadDays: 14
+};
+
+/**
+ * Roster entry statuses
+ */
+const ROSTER_STATUS = {
+  PENDING: 'PENDING',
+  TRIGGERED: 'TRIGGERED',
+  SKIPPED: 'SKIPPED'
+};
+
+/**
+ * Accepted column names (lowercase, without punctuation) for each roster field
+ */
+const FIELD_ALIASES = {
+  hrId: ['employeeid', 'hrid', 'id', 'employeenumber'],
+  email: ['email', 'emailaddress', 'workemail'],
+  accountId: ['accountid', 'jiraaccountid'],
+  name: ['name', 'displayname', 'fullname'],
+  departureDate: ['departuredate', 'lastday', 'leavingdate', 'enddate', 'terminationdate'],
+  department: ['department'],
+  role: ['role', 'title', 'jobtitle']
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Split CSV content into rows of fields
+ * Supports quoted fields with embedded commas, newlines and doubled quotes.
+ * @param {string} content - CSV content
+ * @returns {string[][]} Rows of fields, without blank lines
+ */
+function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < content.length; index++) {
+    const char = content[index];
+
+    if (quoted) {
+      if (char === '"' && content[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[index + 1] === '\n') {
+        index++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Map a raw record's keys onto roster fields
+ * @param {Object<string, *>} record - Record keyed by column name
+ * @returns {Object} Record keyed by roster field
+ */
+function mapRosterFields(record) {
+  const normalized = {};
+  Object.entries(record).forEach(([key, value]) => {
+    normalized[String(key).toLowerCase().replace(/[^a-z0-9]/g, '')] = value;
+  });
+
+  const mapped = {};
+  Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+    const alias = aliases.find(name => normalized[name] !== undefined && normalized[name] !== null && String(normalized[name]).trim() !== '');
+    if (alias) {
+      mapped[field] = String(normalized[alias]).trim();
+    }
+  });
+
+  return mapped;
+}
+
+/**
+ * Parse roster content into records keyed by roster field
+ * @param {string|Array|Object} content - CSV text, JSON text, an array of records or { employees: [...] }
+ * @param {string} [format] - 'csv' or 'json'; inferred from the content when omitted
+ * @returns {Object[]} Records keyed by roster field
+ * @throws {ApiError} If the content cannot be parsed
+ */
+function parseRoster(content, format) {
+  let records;
+
+  if (typeof content !== 'string') {
+    records = content;
+  } else {
+    const trimmed = content.trim();
+    const isJson = format ? format === 'json' : trimmed.startsWith('[') || trimmed.startsWith('{');
+
+    if (isJson) {
+      try {
+        records = JSON.parse(trimmed);
+      } catch (error) {
+        throw new ApiError({
+          code: 'INVALID_ROSTER',
+          message: `Roster is not valid JSON: ${error.message}`
+        });
+      }
+    } else {
+      const [header = [], ...rows] = parseCsvRows(trimmed);
+      records = rows.map(fields => Object.fromEntries(header.map((column, index) => [column, fields[index]])));
+    }
+  }
+
+  if (records && !Array.isArray(records) && Array.isArray(records.employees)) {
+    records = records.employees;
+  }
+
+  if (!Array.isArray(records)) {
+    throw new ApiError({
+      code: 'INVALID_ROSTER',
+      message: 'Roster must be CSV with a header row, a JSON array, or a JSON object with an employees array'
+    });
+  }
+
+  return records.map(record => mapRosterFields(record || {}));
+}
+
+/**
+ * Validate a roster record and normalize its departure date
+ * @param {Object} record - Record keyed by roster field
+ * @returns {{entry: (Object|null), errors: string[]}} Normalized entry, or the validation errors
+ */
+function normalizeRosterEntry(record) {
+  const errors = [];
+  const departure = new Date(record.departureDate);
+
+  if (!record.departureDate || isNaN(departure.getTime())) {
+    errors.push('Departure date is missing or invalid');
+  }
+  if (!record.accountId && !record.email && !record.hrId) {
+    errors.push('An account ID, email or employee ID is required');
+  }
+
+  if (errors.length > 0) {
+    return { entry: null, errors };
+  }
+
+  return {
+    entry: {
+      hrId: record.hrId || null,
+      email: record.email || null,
+      name: record.name || null,
+      accountId: record.accountId || null,
+      departureDate: departure.toISOString().split('T')[0],
+      department: record.department || null,
+      role: record.role || null
+    },
+    errors
+  };
+}
+
+/**
+ * Resolve the Jira account ID of a roster entry
+ * An explicit account ID wins, then the HR ID mapping, then a Jira user search by email.
+ * @param {Object} entry - Normalized roster entry
+ * @param {Object<string, string>} idMapping - HR employee ID -> Jira account ID
+ * @returns {Promise<string|null>} Account ID, or null when the employee cannot be matched
+ */
+async function resolveAccountId(entry, idMapping) {
+  if (entry.accountId) {
+    return entry.accountId;
+  }
+  if (entry.hrId && idMapping[entry.hrId]) {
+    return idMapping[entry.hrId];
+  }
+  if (entry.email) {
+    try {
+      return await findUserByEmail(entry.email);
+    } catch (error) {
+      console.warn(`Could not look up Jira user for ${entry.email}:`, error.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Load the departure roster from storage
+ * @returns {Promise<{entries: Object[], leadDays: number, idMapping: Object<string, string>, importedAt: (string|null)}>} Roster
+ */
+async function loadDepartureRoster() {
+  const stored = await api.storage.get(ROSTER_KEY);
+  return {
+    entries: [],
+    idMapping: {},
+    importedAt: null,
+    ...ROSTER_DEFAULTS,
+    ...(stored || {})
+  };
+}
+
+/**
+ * Store the departure roster
+ * @param {Object} roster - Roster from loadDepartureRoster
+ * @returns {Promise<Object>} The stored roster
+ */
+async function updateDepartureRoster(roster) {
+  await api.storage.set(ROSTER_KEY, roster);
+  return roster;
+}
+
+/**
+ * Whole days from the start of today (UTC) until a departure date
+ * @param {string} departureDate - Departure date (YYYY-MM-DD)
+ * @param {Date} [now] - Reference time
+ * @returns {number} Days until departure (negative once the date has passed)
+ */
+function daysUntilDeparture(departureDate, now = new Date()) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return Math.round((new Date(departureDate).getTime() - today) / DAY_MS);
+}
+
+/**
+ * List the matched employees who have not left yet, soonest departure first
+ * @param {Object} roster - Roster from loadDepartureRoster
+ * @param {Date} [now] - Reference time
+ * @returns {Object[]} Roster entries with an account ID and a departure date today or later
+ */
+function getUpcomingDepartures(roster, now = new Date()) {
+  return roster.entries
+    .filter(entry => entry.accountId && daysUntilDeparture(entry.departureDate, now) >= 0)
+    .sort((a, b) => a.departureDate.localeCompare(b.departureDate));
+}
+
+/**
+ * Resolver: import a roster of departing employees
+ * The import replaces the stored roster; employees already offboarded for the same departure
+ * date keep their status, so re-importing a roster never triggers anyone twice.
+ * @param {Object} req - Forge request; payload holds content (CSV or JSON), and optionally format,
+ *   idMapping (HR employee ID -> Jira account ID, merged into the stored mapping) and leadDays
+ * @returns {Promise<Object>} Stored roster with the unmatched and invalid rows
+ */
+async function importDepartureRoster(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    const current = await loadDepartureRoster();
+    const idMapping = { ...current.idMapping, ...(payload.idMapping || {}) };
+    const leadDays = payload.leadDays === undefined ? current.leadDays : payload.leadDays;
+
+    if (!Number.isInteger(leadDays) || leadDays < 0) {
+      throw new ApiError({
+        code: 'INVALID_INPUT',
+        message: 'leadDays must be a non-negative integer'
+      });
+    }
+
+    if (payload.content === undefined || payload.content === null) {
+      throw new ApiError({
+        code: 'INVALID_INPUT',
+        message: 'Roster content is required'
+      });
+    }
+
+    const records = parseRoster(payload.content, payload.format);
+    const previous = new Map(current.entries.map(entry => [`${entry.accountId}:${entry.departureDate}`, entry]));
+    const entries = [];
+    const unresolved = [];
+    const invalid = [];
+
+    for (const [index, record] of records.entries()) {
+      const { entry, errors } = normalizeRosterEntry(record);
+      if (!entry) {
+        invalid.push({ row: index + 1, errors });
+        continue;
+      }
+
+      const accountId = await resolveAccountId(entry, idMapping);
+      if (!accountId) {
+        unresolved.push({ row: index + 1, hrId: entry.hrId, email: entry.email, name: entry.name });
+        continue;
+      }
+
+      const earlier = previous.get(`${accountId}:${entry.departureDate}`);
+      entries.push({
+        ...entry,
+        accountId,
+        status: earlier ? earlier.status : ROSTER_STATUS.PENDING,
+        sessionId: earlier ? earlier.sessionId : null,
+        processedAt: earlier ? earlier.processedAt : null
+      });
+    }
+
+    if (unresolved.length > 0 || invalid.length > 0) {
+      logError({
+        context: 'Departure Roster Import',
+        errorType: ERROR_TYPES.VALIDATION_ERROR,
+        message: `Skipped ${unresolved.length} unmatched and ${invalid.length} invalid roster rows`,
+        unresolved,
+        invalid
+      }, LOG_LEVELS.WARN);
+    }
+
+    const roster = await updateDepartureRoster({
+      entries: entries.sort((a, b) => a.departureDate.localeCompare(b.departureDate)),
+      leadDays,
+      idMapping,
+      importedAt: new Date().toISOString()
+    });
+
+    return {
+      success: true,
+      roster,
+      imported: entries.length,
+      unresolved,
+      invalid
+    };
+
+  } catch (error) {
+    console.error('Error importing departure roster:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resolver: get the stored departure roster
+ * @returns {Promise<Object>} Roster
+ */
+async function getDepartureRoster() {
+  try {
+    return { success: true, roster: await loadDepartureRoster() };
+  } catch (error) {
+    console.error('Error loading departure roster:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  ROSTER_DEFAULTS,
+  ROSTER_STATUS,
+  parseRoster,
+  loadDepartureRoster,
+  updateDepartureRoster,
+  daysUntilDeparture,
+  getUpcomingDepartures,
+  importDepartureRoster,
+  getDepartureRoster
+};
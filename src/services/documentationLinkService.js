@@ -0,0 +1,585 @@
+const api = require('@forge/api');
+const { ApiError } = require('../models');
+const { logError, LOG_LEVELS, ERROR_TYPES } = require('../utils/errorHandler');
+const { requestWithBudget } = require('../utils/requestBudget');
+const { formatQueryDate, isWithinTimeframe } = require('../utils/timeframe');
+
+/**
+ * Documentation Link Service
+ * Finds documentation attached to Jira tickets through remote links and Confluence page relations,
+ * de-duplicates links that point at the same Confluence page, and validates and weights Confluence pages
+ * so dead links and stale stubs earn less documentation credit than maintained runbooks. Pages a user
+ * wrote about their own tickets and components earn credit even when no ticket links to them.
+ */
+
+/**
+ * Application type Jira uses for links created by Confluence
+ */
+const CONFLUENCE_APPLICATION_TYPE = 'com.atlassian.confluence';
+
+/**
+ * Remote link relationships that Confluence creates: "mentioned in" when a page mentions the issue,
+ * "Wiki Page" when a page is linked from the issue or embeds it with the Jira macro
+ */
+const CONFLUENCE_RELATIONSHIPS = ['mentioned in', 'wiki page'];
+
+/**
+ * URL fragments that mark a link as likely documentation
+ */
+const DOCUMENTATION_URL_HINTS = ['confluence', 'wiki', 'docs', 'documentation'];
+
+/**
+ * Tunable settings for documentation link weights
+ * A link's weight is its freshness factor times its length factor, each between its minimum and 1.
+ */
+const DOCUMENTATION_WEIGHTS = {
+  // Pages modified within this many days get full freshness credit
+  FRESH_DAYS: 90,
+  // Freshness decays linearly down to MIN_FRESHNESS for pages untouched this long
+  STALE_DAYS: 730,
+  MIN_FRESHNESS: 0.2,
+  // Pages with at least this many characters of text get full length credit
+  FULL_LENGTH: 3000,
+  MIN_LENGTH: 0.2,
+  // Links that cannot be checked (external sites, restricted or unreachable pages)
+  UNVERIFIED: 0.5
+};
+
+/**
+ * Settings for crediting Confluence pages a user authored
+ */
+const AUTHORED_PAGES = {
+  // Pages considered per user, most recently modified first
+  MAX_PAGES: 25,
+  // Major (non-minor) versions a user must have saved inside the window for a page they did not create
+  MIN_SIGNIFICANT_EDITS: 2,
+  // Share of the shorter word set that a page title and ticket summary must have in common
+  TITLE_SIMILARITY: 0.6,
+  // Words shorter than this are ignored when comparing titles
+  MIN_WORD_LENGTH: 4
+};
+
+/**
+ * Confluence page status that counts as live documentation; archived, trashed and draft pages do not
+ */
+const LIVE_PAGE_STATUS = 'current';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a URL looks like documentation
+ * @param {string} url - URL to check
+ * @returns {boolean} True for Confluence, wiki and docs URLs
+ */
+function isDocumentationUrl(url) {
+  const lowerUrl = String(url || '').toLowerCase();
+  return DOCUMENTATION_URL_HINTS.some(hint => lowerUrl.includes(hint));
+}
+
+/**
+ * Get the Confluence page ID a URL or remote link global ID points to
+ * Handles /pages/{id}/... paths, viewpage.action?pageId={id} URLs, /wiki/x/{code} tiny links
+ * and "appId=...&pageId={id}" global IDs.
+ * @param {string} value - URL or global ID
+ * @returns {string|null} Page ID, or null if the value does not identify a Confluence page
+ */
+function getConfluencePageId(value) {
+  const text = String(value || '');
+  const match = text.match(/\/pages\/(\d+)/) || text.match(/(?:^|[?&])pageId=(\d+)/);
+  if (match) {
+    return match[1];
+  }
+
+  const tinyLink = text.match(/\/wiki\/x\/([A-Za-z0-9_-]+)/);
+  return tinyLink ? decodeTinyLinkPageId(tinyLink[1]) : null;
+}
+
+/**
+ * Decode the page ID from a Confluence tiny link code (the "AbCd" in /wiki/x/AbCd)
+ * Tiny links are the page ID as little-endian bytes in base64, with trailing "A"s and padding
+ * stripped and "/" and "+" replaced by "-" and "_".
+ * @param {string} code - Tiny link code
+ * @returns {string|null} Page ID, or null for malformed codes
+ */
+function decodeTinyLinkPageId(code) {
+  if (!/^[A-Za-z0-9_-]{1,11}$/.test(code)) {
+    return null;
+  }
+
+  const base64 = code.replace(/-/g, '/').replace(/_/g, '+').padEnd(11, 'A') + '=';
+  const pageId = Buffer.from(base64, 'base64').readBigUInt64LE(0);
+
+  return pageId > 0n ? pageId.toString() : null;
+}
+
+/**
+ * Get the key used to de-duplicate a documentation link
+ * @param {string|{url: string, pageId: (string|null)}} link - Documentation URL, or a link with a known page ID
+ * @returns {string} "confluence-page:{id}" for Confluence pages, otherwise the URL itself
+ */
+function getDocumentationKey(link) {
+  const url = typeof link === 'string' ? link : link.url;
+  const pageId = (typeof link === 'object' && link.pageId) || getConfluencePageId(url);
+  return pageId ? `confluence-page:${pageId}` : url;
+}
+
+/**
+ * De-duplicate documentation links by target page, keeping the first URL seen for each page
+ * @param {Array<string|{url: string, pageId: (string|null)}>} links - Documentation URLs or links with page IDs
+ * @returns {string[]} Unique documentation URLs
+ */
+function dedupeDocumentationLinks(links) {
+  const unique = new Map();
+
+  links
+    .filter(link => link && (typeof link === 'string' || link.url))
+    .forEach(link => {
+      const key = getDocumentationKey(link);
+      if (!unique.has(key)) {
+        unique.set(key, typeof link === 'string' ? link : link.url);
+      }
+    });
+
+  return Array.from(unique.values());
+}
+
+/**
+ * Check whether a Jira remote link points at documentation
+ * @param {Object} remoteLink - Jira remote link
+ * @returns {boolean} True for Confluence page relations and documentation URLs
+ */
+function isDocumentationRemoteLink(remoteLink) {
+  const application = remoteLink.application || {};
+  const relationship = String(remoteLink.relationship || '').toLowerCase();
+  const url = remoteLink.object && remoteLink.object.url;
+
+  if (!url) {
+    return false;
+  }
+
+  return application.type === CONFLUENCE_APPLICATION_TYPE ||
+    CONFLUENCE_RELATIONSHIPS.includes(relationship) ||
+    isDocumentationUrl(url);
+}
+
+/**
+ * Fetch the documentation links attached to a ticket as remote links
+ * Confluence "mentioned in" and linked-page relations are stored by Jira as remote links, so this
+ * covers both. Failures are logged and treated as "no remote documentation" so a scan never fails
+ * because of them.
+ * @param {string} issueKey - Jira issue key
+ * @returns {Promise<Array<{url: string, pageId: (string|null)}>>} Documentation links with their Confluence page ID
+ *   (taken from the remote link's global ID, so short links and full URLs to one page share an ID)
+ */
+async function fetchRemoteDocumentationLinks(issueKey) {
+  try {
+    const response = await requestWithBudget('jira', () =>
+      api.asApp().requestJira(`/rest/api/3/issue/${encodeURIComponent(issueKey)}/remotelink`)
+    );
+
+    if (response && response.status >= 400) {
+      logError({
+        context: 'Documentation fetchRemoteDocumentationLinks',
+        errorType: response.status === 403 ? ERROR_TYPES.PERMISSION_DENIED : ERROR_TYPES.API_ERROR,
+        message: `Remote links for ${issueKey} unavailable (status ${response.status})`,
+        apiService: 'jira',
+        responseStatus: response.status,
+        issueKey
+      }, LOG_LEVELS.WARN);
+      return [];
+    }
+
+    const remoteLinks = Array.isArray(response && response.data) ? response.data : [];
+
+    return remoteLinks
+      .filter(isDocumentationRemoteLink)
+      .map(remoteLink => ({
+        url: remoteLink.object.url,
+        pageId: getConfluencePageId(remoteLink.globalId) || getConfluencePageId(remoteLink.object.url)
+      }));
+
+  } catch (error) {
+    console.warn(`Could not fetch remote links for ${issueKey}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the space key and title from a /display/{spaceKey}/{title} Confluence URL
+ * @param {string} url - Confluence URL
+ * @returns {{spaceKey: string, title: string}|null} Space key and title, or null for other URLs
+ */
+function parseDisplayUrl(url) {
+  const match = String(url || '').match(/\/display\/([^/?#]+)\/([^/?#]+)/);
+  if (!match) {
+    return null;
+  }
+  return {
+    spaceKey: decodeURIComponent(match[1]),
+    title: decodeURIComponent(match[2].replace(/\+/g, ' '))
+  };
+}
+
+/**
+ * Look up a Confluence page, including archived and trashed pages
+ * @param {{pageId: (string|null), display: (Object|null)}} target - Page ID or display URL parts
+ * @returns {Promise<{status: number, page: (Object|null)}>} HTTP status and the page, if found
+ */
+async function fetchConfluencePage(target) {
+  const expand = 'version,body.storage';
+
+  if (target.pageId) {
+    const response = await requestWithBudget('confluence', () => api.asApp().requestConfluence(
+      `/wiki/rest/api/content/${target.pageId}?status=any&expand=${encodeURIComponent(expand)}`
+    ));
+    return { status: response.status, page: response.status < 400 ? response.data : null };
+  }
+
+  // Display URLs carry a space and title instead of an ID, so resolve them through a content search
+  const response = await requestWithBudget('confluence', () => api.asApp().requestConfluence(
+    `/wiki/rest/api/content?spaceKey=${encodeURIComponent(target.display.spaceKey)}` +
+    `&title=${encodeURIComponent(target.display.title)}&status=any&expand=${encodeURIComponent(expand)}`
+  ));
+  if (response.status >= 400) {
+    return { status: response.status, page: null };
+  }
+
+  const page = ((response.data && response.data.results) || [])[0] || null;
+  return { status: page ? 200 : 404, page };
+}
+
+/**
+ * Weight a live page by how recently it was modified and how much text it has
+ * @param {Object} page - Confluence page (expanded with version and body.storage)
+ * @param {Date} now - Reference time
+ * @returns {{lastModified: (string|null), length: number, freshness: number, lengthFactor: number, weight: number}} Weight and its inputs
+ */
+function weighConfluencePage(page, now) {
+  const lastModified = page.version && page.version.when ? new Date(page.version.when) : null;
+  const storage = page.body && page.body.storage && page.body.storage.value;
+  const length = String(storage || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().length;
+
+  let freshness = DOCUMENTATION_WEIGHTS.MIN_FRESHNESS;
+  if (lastModified) {
+    const ageDays = Math.max(0, (now.getTime() - lastModified.getTime()) / DAY_MS);
+    const decay = (ageDays - DOCUMENTATION_WEIGHTS.FRESH_DAYS) /
+      (DOCUMENTATION_WEIGHTS.STALE_DAYS - DOCUMENTATION_WEIGHTS.FRESH_DAYS);
+    freshness = 1 - Math.min(1, Math.max(0, decay)) * (1 - DOCUMENTATION_WEIGHTS.MIN_FRESHNESS);
+  }
+
+  const lengthFactor = Math.min(1, Math.max(DOCUMENTATION_WEIGHTS.MIN_LENGTH, length / DOCUMENTATION_WEIGHTS.FULL_LENGTH));
+
+  return {
+    lastModified: lastModified ? lastModified.toISOString() : null,
+    length,
+    freshness: Math.round(freshness * 1000) / 1000,
+    lengthFactor: Math.round(lengthFactor * 1000) / 1000,
+    weight: Math.round(freshness * lengthFactor * 1000) / 1000
+  };
+}
+
+/**
+ * Validate documentation links against Confluence and weight the ones that remain
+ *
+ * Confluence links are resolved to page IDs (from the URL, tiny link or a title lookup) and fetched.
+ * Links that 404 or point to archived, trashed or draft pages are dropped; live pages are weighted by
+ * freshness and length. Links that cannot be checked keep the UNVERIFIED weight.
+ *
+ * @param {string[]} urls - De-duplicated documentation URLs
+ * @param {Object} [options] - Validation options
+ * @param {Date} [options.now] - Reference time for freshness
+ * @returns {Promise<Array<{url: string, pageId: (string|null), status: string, weight: number}>>}
+ *   Remaining links; status is 'CURRENT' for checked pages and 'UNVERIFIED' otherwise
+ */
+async function validateDocumentationLinks(urls, options = {}) {
+  const now = options.now || new Date();
+  const validated = [];
+  const seenPages = new Set();
+  let dropped = 0;
+
+  for (const url of urls) {
+    const pageId = getConfluencePageId(url);
+    const display = pageId ? null : parseDisplayUrl(url);
+
+    if (!pageId && !display) {
+      validated.push({ url, pageId: null, status: 'UNVERIFIED', weight: DOCUMENTATION_WEIGHTS.UNVERIFIED });
+      continue;
+    }
+
+    let result;
+    try {
+      result = await fetchConfluencePage({ pageId, display });
+    } catch (error) {
+      console.warn(`Could not validate documentation link ${url}:`, error.message);
+      validated.push({ url, pageId, status: 'UNVERIFIED', weight: DOCUMENTATION_WEIGHTS.UNVERIFIED });
+      continue;
+    }
+
+    if (result.status === 404 || (result.page && result.page.status !== LIVE_PAGE_STATUS)) {
+      dropped++;
+      logError({
+        context: 'Documentation validateDocumentationLinks',
+        errorType: ERROR_TYPES.VALIDATION_ERROR,
+        message: `Dropping documentation link ${url}: ${result.page ? `page is ${result.page.status}` : 'page not found'}`,
+        apiService: 'confluence',
+        responseStatus: result.status
+      }, LOG_LEVELS.INFO);
+      continue;
+    }
+
+    if (!result.page) {
+      validated.push({ url, pageId, status: 'UNVERIFIED', weight: DOCUMENTATION_WEIGHTS.UNVERIFIED });
+      continue;
+    }
+
+    // Display and ID links can resolve to the same page
+    const resolvedId = String(result.page.id || pageId);
+    if (seenPages.has(resolvedId)) {
+      continue;
+    }
+    seenPages.add(resolvedId);
+
+    validated.push({
+      url,
+      pageId: resolvedId,
+      title: result.page.title,
+      status: 'CURRENT',
+      ...weighConfluencePage(result.page, now)
+    });
+  }
+
+  if (dropped > 0) {
+    console.log(`Dropped ${dropped} dead or archived documentation link(s), kept ${validated.length}`);
+  }
+
+  return validated;
+}
+
+/**
+ * Search the live Confluence pages a user created or edited inside the scan window
+ * CQL dates are day-granular, so the search uses the day after the window as an exclusive bound
+ * and pages last modified outside the window itself are dropped afterwards.
+ * @param {string} userId - User account ID
+ * @param {{from: Date, to: Date}} window - Resolved scan window
+ * @returns {Promise<Array>} Pages (expanded with version, body.storage, metadata.labels and history), most recently modified first
+ * @throws {ApiError} If the Confluence search fails
+ */
+async function searchContributedPages(userId, window) {
+  const dayAfter = new Date(window.to);
+  dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+  const cql = `type = page AND contributor = "${userId}" AND lastmodified >= "${formatQueryDate(window.from)}" ` +
+    `AND lastmodified < "${formatQueryDate(dayAfter)}" ORDER BY lastmodified DESC`;
+  const response = await requestWithBudget('confluence', () => api.asApp().requestConfluence(
+    `/wiki/rest/api/content/search?cql=${encodeURIComponent(cql)}&limit=${AUTHORED_PAGES.MAX_PAGES}` +
+    `&expand=${encodeURIComponent('version,body.storage,metadata.labels,history')}`
+  ));
+
+  if (!response || response.status >= 400) {
+    throw new ApiError({
+      code: 'CONFLUENCE_SEARCH_FAILED',
+      message: `Confluence page search failed with status ${response ? response.status : 'unknown'}`,
+      details: { userId }
+    });
+  }
+
+  return ((response.data && response.data.results) || []).filter(page =>
+    (page.status === undefined || page.status === LIVE_PAGE_STATUS) &&
+    (!page.version || !page.version.when || isWithinTimeframe(new Date(page.version.when), window))
+  );
+}
+
+/**
+ * Count the major versions of a page a user saved inside the scan window
+ * @param {string} pageId - Confluence page ID
+ * @param {string} userId - User account ID
+ * @param {{from: Date, to: Date}} window - Resolved scan window
+ * @returns {Promise<number>} Major edits by the user
+ */
+async function countSignificantEdits(pageId, userId, window) {
+  const response = await requestWithBudget('confluence', () =>
+    api.asApp().requestConfluence(`/wiki/rest/api/content/${pageId}/version?limit=50`)
+  );
+  if (!response || response.status >= 400) {
+    return 0;
+  }
+
+  return ((response.data && response.data.results) || []).filter(version =>
+    version.by && version.by.accountId === userId &&
+    !version.minorEdit &&
+    isWithinTimeframe(new Date(version.when), window)
+  ).length;
+}
+
+/**
+ * Normalize a label, component name or ticket key for label matching
+ * @param {string} value - Raw value
+ * @returns {string} Lowercase value with whitespace replaced by dashes
+ */
+function normalizeLabel(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Split a title into the words compared for similarity
+ * @param {string} text - Title or summary
+ * @returns {Set<string>} Lowercase words of at least MIN_WORD_LENGTH characters
+ */
+function titleWords(text) {
+  return new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/)
+    .filter(word => word.length >= AUTHORED_PAGES.MIN_WORD_LENGTH));
+}
+
+/**
+ * Measure how similar a page title is to a ticket summary
+ * @param {string} title - Page title
+ * @param {string} summary - Ticket summary
+ * @returns {number} Shared words divided by the size of the smaller word set (0 when fewer than two words are shared)
+ */
+function titleSimilarity(title, summary) {
+  const titleSet = titleWords(title);
+  const summarySet = titleWords(summary);
+  const shared = Array.from(titleSet).filter(word => summarySet.has(word)).length;
+
+  if (shared < 2) {
+    return 0;
+  }
+  return shared / Math.min(titleSet.size, summarySet.size);
+}
+
+/**
+ * Match an authored page to one of the user's tickets or components
+ * Checked in order: the page body mentions a ticket key (links, Jira macros, plain text), a page label equals a
+ * ticket key, ticket label or component, the title names a component, or the title is similar to a ticket summary.
+ * @param {Object} page - Confluence page expanded with body.storage and metadata.labels
+ * @param {Array<{key: string, summary: string, components: (string[]|undefined), labels: (string[]|undefined)}>} tickets - The user's tickets
+ * @returns {{matchedBy: string, artifact: string}|null} How the page matched and the ticket key or component it matched
+ */
+function matchAuthoredPage(page, tickets) {
+  const body = (page.body && page.body.storage && page.body.storage.value) || '';
+  const linked = tickets.find(ticket => new RegExp(`(^|[^A-Z0-9-])${ticket.key}(?![0-9])`).test(body));
+  if (linked) {
+    return { matchedBy: 'LINK', artifact: linked.key };
+  }
+
+  const components = Array.from(new Set(tickets.flatMap(ticket => ticket.components || [])));
+  const pageLabels = new Set((((page.metadata && page.metadata.labels) || {}).results || []).map(label => normalizeLabel(label.name)));
+  for (const ticket of tickets) {
+    const matchingLabel = [ticket.key, ...(ticket.labels || [])].find(label => pageLabels.has(normalizeLabel(label)));
+    if (matchingLabel) {
+      return { matchedBy: 'LABEL', artifact: ticket.key };
+    }
+  }
+  const labelledComponent = components.find(component => pageLabels.has(normalizeLabel(component)));
+  if (labelledComponent) {
+    return { matchedBy: 'LABEL', artifact: labelledComponent };
+  }
+
+  const title = String(page.title || '').toLowerCase();
+  const namedComponent = components.find(component => titleWords(component).size > 0 && title.includes(component.toLowerCase()));
+  if (namedComponent) {
+    return { matchedBy: 'TITLE', artifact: namedComponent };
+  }
+  const similar = tickets.find(ticket => titleSimilarity(page.title, ticket.summary) >= AUTHORED_PAGES.TITLE_SIMILARITY);
+  return similar ? { matchedBy: 'TITLE', artifact: similar.key } : null;
+}
+
+/**
+ * Build a link to a Confluence page from its API links
+ * @param {Object} page - Confluence page
+ * @returns {string} Page URL
+ */
+function buildPageUrl(page) {
+  const links = page._links || {};
+  return links.webui ? `${links.base || '/wiki'}${links.webui}` : `/wiki/pages/viewpage.action?pageId=${page.id}`;
+}
+
+/**
+ * Find Confluence pages a user authored about their own work and weight them as documentation
+ *
+ * A page counts when the user created it inside the scan window, or saved at least MIN_SIGNIFICANT_EDITS major
+ * versions of it there, and it matches one of the user's tickets or components (see matchAuthoredPage). Matched
+ * pages are weighted like linked pages, by freshness and length. Failures are logged and treated as "no authored
+ * pages" so a scan never fails because of them.
+ *
+ * @param {string} userId - User account ID
+ * @param {{from: Date, to: Date}} window - Resolved scan window
+ * @param {Array} tickets - The user's tickets ({ key, summary, components, labels })
+ * @param {Object} [options] - Lookup options
+ * @param {Date} [options.now] - Reference time for freshness
+ * @param {string[]} [options.excludePageIds] - Pages already credited through links
+ * @returns {Promise<Array<{url: string, pageId: string, status: string, matchedBy: string, artifact: string, weight: number}>>}
+ *   Authored pages with status 'AUTHORED'
+ */
+async function findAuthoredDocumentation(userId, window, tickets, options = {}) {
+  if (tickets.length === 0) {
+    return [];
+  }
+
+  const now = options.now || new Date();
+  const excluded = new Set((options.excludePageIds || []).map(String));
+  const authored = [];
+
+  try {
+    for (const page of await searchContributedPages(userId, window)) {
+      const pageId = String(page.id);
+      const match = excluded.has(pageId) ? null : matchAuthoredPage(page, tickets);
+      if (!match) {
+        continue;
+      }
+
+      // Matching is cheap, so only matched pages pay for a version history lookup
+      const history = page.history || {};
+      const created = history.createdBy && history.createdBy.accountId === userId &&
+        isWithinTimeframe(new Date(history.createdDate), window);
+      if (!created && await countSignificantEdits(pageId, userId, window) < AUTHORED_PAGES.MIN_SIGNIFICANT_EDITS) {
+        continue;
+      }
+
+      excluded.add(pageId);
+      authored.push({
+        url: buildPageUrl(page),
+        pageId,
+        title: page.title,
+        status: 'AUTHORED',
+        ...match,
+        ...weighConfluencePage(page, now)
+      });
+    }
+  } catch (error) {
+    logError({
+      context: 'Documentation findAuthoredDocumentation',
+      errorType: ERROR_TYPES.API_ERROR,
+      message: `Authored Confluence pages for ${userId} unavailable: ${error.message}`,
+      artifactId: userId,
+      artifactType: 'USER',
+      apiService: 'confluence'
+    }, LOG_LEVELS.WARN);
+  }
+
+  return authored;
+}
+
+/**
+ * Sum the weights of validated documentation links
+ * @param {Array<{weight: number}>} links - Validated documentation links
+ * @returns {number} Total documentation weight
+ */
+function sumDocumentationWeight(links) {
+  return Math.round(links.reduce((sum, link) => sum + (link.weight || 0), 0) * 1000) / 1000;
+}
+
+module.exports = {
+  DOCUMENTATION_WEIGHTS,
+  AUTHORED_PAGES,
+  isDocumentationUrl,
+  getConfluencePageId,
+  getDocumentationKey,
+  dedupeDocumentationLinks,
+  isDocumentationRemoteLink,
+  fetchRemoteDocumentationLinks,
+  validateDocumentationLinks,
+  weighConfluencePage,
+  matchAuthoredPage,
+  findAuthoredDocumentation,
+  sumDocumentationWeight
+};
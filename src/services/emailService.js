@@ -0,0 +1,164 @@
+const api = require('@forge/api');
+const { ApiError } = require('../models');
+
+/**
+ * Email Service
+ * Sends plain-text notification emails through a transactional mail provider's HTTP API. Forge functions
+ * cannot open raw SMTP connections, so mail goes out over api.fetch; every provider host must be listed
+ * under permissions.external.fetch in the manifest.
+ *
+ * A provider is an object with:
+ *   - hosts: API hosts the provider's endpoints may use (e.g. regional hosts)
+ *   - endpoint: default https endpoint for sending one message
+ *   - buildRequest(apiKey, message) returning the request { headers, body }
+ */
+
+/**
+ * SendGrid v3 mail/send request
+ * @param {string} apiKey - SendGrid API key
+ * @param {{from: string, to: string[], subject: string, text: string}} message - Message to send
+ * @returns {{headers: Object, body: Object}} Request headers and JSON body
+ */
+function buildSendGridRequest(apiKey, message) {
+  return {
+    headers: { 'Authorization': `Bearer ${apiKey}` },
+    body: {
+      personalizations: [{ to: message.to.map(email => ({ email })) }],
+      from: { email: message.from },
+      subject: message.subject,
+      content: [{ type: 'text/plain', value: message.text }]
+    }
+  };
+}
+
+/**
+ * Postmark email request
+ * @param {string} apiKey - Postmark server token
+ * @param {{from: string, to: string[], subject: string, text: string}} message - Message to send
+ * @returns {{headers: Object, body: Object}} Request headers and JSON body
+ */
+function buildPostmarkRequest(apiKey, message) {
+  return {
+    headers: { 'X-Postmark-Server-Token': apiKey, 'Accept': 'application/json' },
+    body: {
+      From: message.from,
+      To: message.to.join(', '),
+      Subject: message.subject,
+      TextBody: message.text
+    }
+  };
+}
+
+/**
+ * Supported mail providers keyed by the email settings' provider value
+ */
+const EMAIL_PROVIDERS = {
+  sendgrid: {
+    hosts: ['api.sendgrid.com', 'api.eu.sendgrid.com'],
+    endpoint: 'https://api.sendgrid.com/v3/mail/send',
+    buildRequest: buildSendGridRequest
+  },
+  postmark: {
+    hosts: ['api.postmarkapp.com'],
+    endpoint: 'https://api.postmarkapp.com/email',
+    buildRequest: buildPostmarkRequest
+  }
+};
+
+/**
+ * Provider used when the email settings do not name one
+ */
+const DEFAULT_EMAIL_PROVIDER = 'sendgrid';
+
+/**
+ * Every host a provider endpoint may use; the manifest's external fetch permissions must list them all
+ */
+const EMAIL_HOSTS = Object.values(EMAIL_PROVIDERS).flatMap(provider => provider.hosts);
+
+/**
+ * Resolve the provider and endpoint of email settings
+ * @param {{provider: (string|null), endpoint: (string|null)}} settings - Email settings
+ * @returns {{provider: Object, url: string}} Provider and the endpoint URL to post to
+ * @throws {ApiError} INVALID_EMAIL_SETTINGS if the provider is unknown or the endpoint is not an https URL
+ *   on one of the provider's hosts
+ */
+function resolveEmailEndpoint(settings) {
+  const name = settings.provider || DEFAULT_EMAIL_PROVIDER;
+  const provider = EMAIL_PROVIDERS[name];
+  if (!provider) {
+    throw new ApiError({
+      code: 'INVALID_EMAIL_SETTINGS',
+      message: `Unknown email provider ${name}. Available: ${Object.keys(EMAIL_PROVIDERS).join(', ')}`
+    });
+  }
+
+  const url = settings.endpoint || provider.endpoint;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    parsed = null;
+  }
+
+  if (!parsed || parsed.protocol !== 'https:' || !provider.hosts.includes(parsed.hostname)) {
+    throw new ApiError({
+      code: 'INVALID_EMAIL_SETTINGS',
+      message: `The ${name} endpoint must be an https URL on one of: ${provider.hosts.join(', ')}`
+    });
+  }
+
+  return { provider, url };
+}
+
+/**
+ * Send a plain-text email through the configured provider
+ * @param {Object} settings - Email settings ({ provider, endpoint, apiKey })
+ * @param {{from: string, to: string[], subject: string, text: string}} message - Message to send
+ * @returns {Promise<{accepted: string[], response: string}>} Accepted recipients and the API's response status
+ * @throws {ApiError} INVALID_EMAIL_SETTINGS for an unknown provider or endpoint, EMAIL_DELIVERY_FAILED if the
+ *   API rejects the message or cannot be reached
+ */
+async function sendMail(settings, message) {
+  const { provider, url } = resolveEmailEndpoint(settings);
+  const { host } = new URL(url);
+  const request = provider.buildRequest(settings.apiKey, {
+    ...message,
+    // Header values cannot span lines
+    subject: String(message.subject).replace(/[\r\n]+/g, ' '),
+    text: String(message.text)
+  });
+
+  let response;
+  try {
+    response = await api.fetch(url, {
+      method: 'POST',
+      headers: { ...request.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(request.body)
+    });
+  } catch (error) {
+    throw new ApiError({
+      code: 'EMAIL_DELIVERY_FAILED',
+      message: `Email API request failed: ${error.message}`,
+      details: { host }
+    });
+  }
+
+  if (response.status < 200 || response.status >= 300) {
+    const reason = await response.text().catch(() => '');
+    throw new ApiError({
+      code: 'EMAIL_DELIVERY_FAILED',
+      message: `Email API rejected the message with status ${response.status}${reason ? `: ${reason}` : ''}`,
+      details: { host, status: response.status }
+    });
+  }
+
+  return { accepted: [...message.to], response: `HTTP ${response.status}` };
+}
+
+module.exports = {
+  EMAIL_PROVIDERS,
+  DEFAULT_EMAIL_PROVIDER,
+  EMAIL_HOSTS,
+  resolveEmailEndpoint,
+  sendMail
+};
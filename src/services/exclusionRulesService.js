@@ -0,0 +1,347 @@
+const api = require('@forge/api');
+const { ApiError } = require('../models');
+const { getUserGroups } = require('./jiraService');
+
+/**
+ * Exclusion Rules Service
+ * Admin-managed allow and deny lists that keep contractors, bots, service accounts, confidential
+ * projects and restricted issues out of Legacy Detector scans. Rules are applied to users and
+ * issues before anything is scored, and every exclusion is attributed to the rule that caused it.
+ *
+ * Deny lists exclude matching entities. A non-empty allow list excludes everything it does not
+ * match, except that the securityLevels allow list only applies to issues that have a level.
+ * Deny rules are checked before allow rules, and an entity is counted against the first rule it hits.
+ */
+
+/**
+ * Storage key for the exclusion rules
+ */
+const EXCLUSION_RULES_KEY = 'exclusions:rules';
+
+/**
+ * Rule dimensions and the kind of entity each one excludes
+ */
+const EXCLUSION_DIMENSIONS = {
+  users: 'users',
+  groups: 'users',
+  projects: 'issues',
+  labels: 'issues',
+  securityLevels: 'issues'
+};
+
+/**
+ * Rules in the order they are checked; each ID is `<dimension>.<list>`
+ */
+const USER_RULE_ORDER = ['users.deny', 'groups.deny', 'users.allow', 'groups.allow'];
+const ISSUE_RULE_ORDER = ['projects.deny', 'labels.deny', 'securityLevels.deny', 'projects.allow', 'labels.allow', 'securityLevels.allow'];
+
+/**
+ * Default rules: nothing is excluded
+ */
+const EXCLUSION_DEFAULTS = Object.fromEntries(
+  Object.keys(EXCLUSION_DIMENSIONS).map(dimension => [dimension, { allow: [], deny: [] }])
+);
+
+/**
+ * Normalize a rule value for comparison
+ * Project keys compare in upper case; labels and security level names compare case-insensitively
+ * like JQL does. Account IDs and group names are matched exactly.
+ * @param {string} dimension - Rule dimension
+ * @param {string} value - Raw value
+ * @returns {string} Comparable value
+ */
+function normalizeRuleValue(dimension, value) {
+  const trimmed = value.trim();
+  if (dimension === 'projects') {
+    return trimmed.toUpperCase();
+  }
+  if (dimension === 'labels' || dimension === 'securityLevels') {
+    return trimmed.toLowerCase();
+  }
+  return trimmed;
+}
+
+/**
+ * Validate exclusion rules
+ * @param {Object} rules - Rules keyed by dimension, each with allow and deny lists
+ * @throws {ApiError} If a dimension is unknown, a list is not an array of non-empty strings,
+ *   or a value is on both the allow and deny list of a dimension
+ */
+function validateExclusionRules(rules) {
+  const invalid = message => new ApiError({ code: 'INVALID_EXCLUSION_RULES', message });
+
+  Object.keys(rules).forEach(dimension => {
+    if (!Object.prototype.hasOwnProperty.call(EXCLUSION_DIMENSIONS, dimension)) {
+      throw invalid(`Unknown exclusion rule ${dimension}. Expected: ${Object.keys(EXCLUSION_DIMENSIONS).join(', ')}`);
+    }
+  });
+
+  Object.entries(rules).forEach(([dimension, lists]) => {
+    if (!lists || typeof lists !== 'object' || Array.isArray(lists) ||
+      Object.keys(lists).some(list => list !== 'allow' && list !== 'deny')) {
+      throw invalid(`${dimension} must be an object with allow and deny lists`);
+    }
+
+    ['allow', 'deny'].forEach(list => {
+      const values = lists[list] || [];
+      if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || value.trim() === '')) {
+        throw invalid(`${dimension}.${list} must be an array of non-empty strings`);
+      }
+    });
+
+    const denied = new Set((lists.deny || []).map(value => normalizeRuleValue(dimension, value)));
+    const conflict = (lists.allow || []).find(value => denied.has(normalizeRuleValue(dimension, value)));
+    if (conflict) {
+      throw invalid(`${conflict} is on both the allow and deny list for ${dimension}`);
+    }
+  });
+}
+
+/**
+ * Merge stored or submitted rules over the defaults, normalizing and de-duplicating every list
+ * @param {Object} [rules] - Rules keyed by dimension
+ * @returns {Object} Rules with every dimension and list present
+ */
+function resolveExclusionRules(rules = {}) {
+  return Object.fromEntries(Object.keys(EXCLUSION_DIMENSIONS).map(dimension => {
+    const lists = rules[dimension] || {};
+    return [dimension, {
+      allow: Array.from(new Set((lists.allow || []).map(value => normalizeRuleValue(dimension, value)))),
+      deny: Array.from(new Set((lists.deny || []).map(value => normalizeRuleValue(dimension, value))))
+    }];
+  }));
+}
+
+/**
+ * Load the exclusion rules from storage
+ * @returns {Promise<Object>} Resolved rules
+ */
+async function loadExclusionRules() {
+  const stored = await api.storage.get(EXCLUSION_RULES_KEY);
+  return resolveExclusionRules(stored || {});
+}
+
+/**
+ * Check whether any rule is configured
+ * @param {Object} rules - Resolved rules
+ * @returns {boolean} True when at least one list has a value
+ */
+function hasExclusionRules(rules) {
+  return Object.values(rules).some(lists => lists.allow.length > 0 || lists.deny.length > 0);
+}
+
+/**
+ * Describe the configured rules as a stable string, for scan state fingerprints
+ * @param {Object} rules - Resolved rules
+ * @returns {string} Canonical description, empty when no rule is configured
+ */
+function describeExclusionRules(rules) {
+  if (!hasExclusionRules(rules)) {
+    return '';
+  }
+  return Object.keys(EXCLUSION_DIMENSIONS)
+    .map(dimension => `${dimension}:${[...rules[dimension].allow].sort().join(',')}:${[...rules[dimension].deny].sort().join(',')}`)
+    .join(';');
+}
+
+/**
+ * Create the exclusion filter for one scan
+ * @param {Object} rules - Resolved rules
+ * @returns {{rules: Object, groups: Map, excluded: Map<string, Set<string>>}} Filter holding the rules,
+ *   cached group memberships and the entities each rule excluded
+ */
+function createExclusionFilter(rules) {
+  return {
+    rules,
+    groups: new Map(),
+    excluded: new Map([...USER_RULE_ORDER, ...ISSUE_RULE_ORDER].map(rule => [rule, new Set()]))
+  };
+}
+
+/**
+ * Check a value against one rule
+ * @param {Object} rules - Resolved rules
+ * @param {string} rule - Rule ID (`<dimension>.<list>`)
+ * @param {string[]} values - The entity's normalized values for the dimension
+ * @returns {boolean} True when the rule excludes the entity
+ */
+function ruleExcludes(rules, rule, values) {
+  const [dimension, list] = rule.split('.');
+  const configured = rules[dimension][list];
+
+  if (configured.length === 0) {
+    return false;
+  }
+  if (list === 'deny') {
+    return values.some(value => configured.includes(value));
+  }
+  if (dimension === 'securityLevels' && values.length === 0) {
+    return false;
+  }
+  return !values.some(value => configured.includes(value));
+}
+
+/**
+ * Find the rule that excludes a Jira issue
+ * @param {Object} issue - Jira issue (project, labels and security fields are read when present)
+ * @param {Object} rules - Resolved rules
+ * @returns {string|null} Rule ID, or null when the issue is kept
+ */
+function getIssueExclusionRule(issue, rules) {
+  const fields = issue.fields || {};
+  const projectKey = (fields.project && fields.project.key) || String(issue.key || '').split('-')[0];
+  const values = {
+    projects: [normalizeRuleValue('projects', projectKey)],
+    labels: (fields.labels || []).map(label => normalizeRuleValue('labels', label)),
+    securityLevels: fields.security && fields.security.name ? [normalizeRuleValue('securityLevels', fields.security.name)] : []
+  };
+
+  return ISSUE_RULE_ORDER.find(rule => ruleExcludes(rules, rule, values[rule.split('.')[0]])) || null;
+}
+
+/**
+ * Find the rule that excludes a user
+ * @param {string} accountId - User account ID
+ * @param {string[]} groups - Names of the user's groups
+ * @param {Object} rules - Resolved rules
+ * @returns {string|null} Rule ID, or null when the user is kept
+ */
+function getUserExclusionRule(accountId, groups, rules) {
+  const values = { users: [accountId], groups };
+  return USER_RULE_ORDER.find(rule => ruleExcludes(rules, rule, values[rule.split('.')[0]])) || null;
+}
+
+/**
+ * Check an issue against the filter, recording the exclusion against its rule
+ * @param {Object} issue - Jira issue
+ * @param {Object} filter - Exclusion filter from createExclusionFilter
+ * @returns {boolean} True when the issue must be left out of the scan
+ */
+function isIssueExcluded(issue, filter) {
+  const rule = getIssueExclusionRule(issue, filter.rules);
+  if (rule) {
+    filter.excluded.get(rule).add(issue.key);
+  }
+  return rule !== null;
+}
+
+/**
+ * Remove excluded users, recording each exclusion against its rule
+ * Group memberships are only looked up when a group rule is configured. A user whose groups cannot be
+ * read is excluded, since the scan cannot prove they are outside a denied or inside an allowed group.
+ * @param {Array<{accountId: string}>} users - Users to filter
+ * @param {Object} filter - Exclusion filter from createExclusionFilter
+ * @returns {Promise<Array>} Users that may be scanned
+ */
+async function filterExcludedUsers(users, filter) {
+  const { rules } = filter;
+  const checkGroups = rules.groups.allow.length > 0 || rules.groups.deny.length > 0;
+  const kept = [];
+
+  for (const user of users) {
+    let rule = null;
+    let groups = [];
+
+    // Denied users are excluded without a lookup
+    if (checkGroups && !rules.users.deny.includes(user.accountId)) {
+      try {
+        if (!filter.groups.has(user.accountId)) {
+          filter.groups.set(user.accountId, await getUserGroups(user.accountId));
+        }
+        groups = filter.groups.get(user.accountId);
+      } catch (error) {
+        console.warn(`Could not read groups of user ${user.accountId}, excluding them from the scan:`, error.message);
+        rule = rules.groups.deny.length > 0 ? 'groups.deny' : 'groups.allow';
+      }
+    }
+
+    rule = rule || getUserExclusionRule(user.accountId, groups, rules);
+
+    if (rule) {
+      filter.excluded.get(rule).add(user.accountId);
+    } else {
+      kept.push(user);
+    }
+  }
+
+  return kept;
+}
+
+/**
+ * Summarize what each configured rule excluded
+ * @param {Object} filter - Exclusion filter from createExclusionFilter
+ * @returns {{rules: Array<{rule: string, entity: string, values: string[], excluded: number}>, excludedUsers: number, excludedIssues: number}}
+ *   Configured rules in the order they are checked, with the number of distinct users or issues each excluded
+ */
+function summarizeExclusions(filter) {
+  const rules = [...USER_RULE_ORDER, ...ISSUE_RULE_ORDER]
+    .map(rule => {
+      const [dimension, list] = rule.split('.');
+      return {
+        rule,
+        entity: EXCLUSION_DIMENSIONS[dimension],
+        values: filter.rules[dimension][list],
+        excluded: filter.excluded.get(rule).size
+      };
+    })
+    .filter(rule => rule.values.length > 0);
+
+  const total = entity => rules.filter(rule => rule.entity === entity).reduce((sum, rule) => sum + rule.excluded, 0);
+
+  return {
+    rules,
+    excludedUsers: total('users'),
+    excludedIssues: total('issues')
+  };
+}
+
+/**
+ * Resolver: get the exclusion rules
+ * @returns {Promise<Object>} Rules
+ */
+async function getExclusionRules() {
+  try {
+    return { success: true, rules: await loadExclusionRules() };
+  } catch (error) {
+    console.error('Error loading exclusion rules:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resolver: validate and save the exclusion rules
+ * Each dimension given in the payload replaces the stored one; omitted dimensions are kept.
+ * @param {Object} req - Forge request; payload holds rules keyed by dimension ({ allow, deny })
+ * @returns {Promise<Object>} Saved rules or a validation error
+ */
+async function saveExclusionRules(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    validateExclusionRules(payload);
+
+    const rules = resolveExclusionRules({ ...(await loadExclusionRules()), ...payload });
+
+    await api.storage.set(EXCLUSION_RULES_KEY, { ...rules, updatedAt: new Date().toISOString() });
+    return { success: true, rules };
+  } catch (error) {
+    console.error('Error saving exclusion rules:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  EXCLUSION_DEFAULTS,
+  validateExclusionRules,
+  resolveExclusionRules,
+  loadExclusionRules,
+  hasExclusionRules,
+  describeExclusionRules,
+  createExclusionFilter,
+  getIssueExclusionRule,
+  getUserExclusionRule,
+  isIssueExcluded,
+  filterExcludedUsers,
+  summarizeExclusions,
+  getExclusionRules,
+  saveExclusionRules
+};
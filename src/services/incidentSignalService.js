@@ -0,0 +1,304 @@
+const api = require('@forge/api');
+const { ApiError } = require('../models');
+const { searchAllIssues } = require('./jiraService');
+const { isDocumentationUrl, dedupeDocumentationLinks } = require('./documentationLinkService');
+const { resolveTimeframe, isWithinTimeframe, buildJqlDateClause } = require('../utils/timeframe');
+const { quoteJqlValue, applyScopeToJql } = require('../utils/scanScope');
+const { isIssueExcluded } = require('./exclusionRulesService');
+const { extractAdfLinks } = require('../utils/adf');
+const { extractIssueRelations } = require('../utils/issueGraph');
+const { logError, LOG_LEVELS, ERROR_TYPES } = require('../utils/errorHandler');
+
+/**
+ * Incident Signal Service
+ * Treats incident-type issues (a configurable issue type, or every issue in a Jira Service Management
+ * project) as a separate signal source. Firefighting knowledge is the most tacit of all, so each user is
+ * credited for the incidents they resolved or commented on, and incidents that keep recurring on the same
+ * component weigh more than one-off outages.
+ *
+ * Incidents are searched once per scan over the whole window and within the scan scope, so a scan
+ * restricted by project only sees incidents in a service desk project when that project is in scope.
+ */
+
+/**
+ * Storage key for the incident signal configuration
+ */
+const INCIDENT_CONFIG_KEY = 'incidents:config';
+
+/**
+ * Defaults for the incident signal source
+ */
+const INCIDENT_DEFAULTS = {
+  enabled: true,
+  // Issue types treated as incidents in any project
+  issueTypes: ['Incident'],
+  // Jira Service Management projects whose issues are all treated as incidents
+  projectKeys: []
+};
+
+/**
+ * Weights for a user's part in an incident
+ */
+const INCIDENT_WEIGHTS = {
+  // Resolving an incident carries the full weight
+  RESOLVER: 1.0,
+  // Applied per comment
+  COMMENTER: 0.25,
+  // Cap on one user's weight for a single incident before the repeat multiplier
+  MAX_PER_INCIDENT: 1.0,
+  // Added to the multiplier for each other incident the user handled on the same component
+  REPEAT_BONUS: 0.5,
+  MAX_REPEAT_MULTIPLIER: 2.0
+};
+
+/**
+ * Validate a resolved incident configuration
+ * @param {Object} config - Configuration to validate
+ * @throws {ApiError} If a setting is malformed, or the source is enabled without an issue type or project
+ */
+function validateIncidentConfig(config) {
+  const invalid = message => new ApiError({ code: 'INVALID_INCIDENT_CONFIG', message });
+
+  if (typeof config.enabled !== 'boolean') {
+    throw invalid('enabled must be true or false');
+  }
+  ['issueTypes', 'projectKeys'].forEach(field => {
+    if (!Array.isArray(config[field]) || config[field].some(value => typeof value !== 'string' || value.trim() === '')) {
+      throw invalid(`${field} must be a list of non-empty strings`);
+    }
+  });
+  if (config.enabled && config.issueTypes.length === 0 && config.projectKeys.length === 0) {
+    throw invalid('At least one incident issue type or service management project is required');
+  }
+}
+
+/**
+ * Load the incident configuration from storage
+ * @returns {Promise<Object>} Configuration merged over the defaults
+ */
+async function loadIncidentConfig() {
+  const stored = await api.storage.get(INCIDENT_CONFIG_KEY);
+  return { ...INCIDENT_DEFAULTS, ...(stored || {}) };
+}
+
+/**
+ * Build the JQL clause matching incidents
+ * @param {{issueTypes: string[], projectKeys: string[]}} config - Incident configuration
+ * @returns {string} Clause matching any configured issue type or project
+ */
+function buildIncidentClause(config) {
+  const clauses = [];
+  if (config.issueTypes.length > 0) {
+    clauses.push(`issuetype in (${config.issueTypes.map(quoteJqlValue).join(', ')})`);
+  }
+  if (config.projectKeys.length > 0) {
+    clauses.push(`project in (${config.projectKeys.map(quoteJqlValue).join(', ')})`);
+  }
+  return `(${clauses.join(' OR ')})`;
+}
+
+/**
+ * Work out who resolved an incident
+ * The author of the last changelog entry that set a resolution wins; without a changelog entry a
+ * resolved incident is credited to its assignee.
+ * @param {Object} issue - Jira issue fetched with expand=changelog
+ * @returns {string|null} Account ID of the resolver, or null while the incident is unresolved
+ */
+function findIncidentResolver(issue) {
+  const histories = (issue.changelog && issue.changelog.histories) || [];
+  const resolutions = histories.filter(history => history.author && (history.items || []).some(item =>
+    item.field === 'resolution' && (item.to || item.toString)
+  ));
+
+  if (resolutions.length > 0) {
+    const latest = resolutions.reduce((a, b) => (new Date(b.created) >= new Date(a.created) ? b : a));
+    return latest.author.accountId;
+  }
+
+  const fields = issue.fields || {};
+  return fields.resolution && fields.assignee ? fields.assignee.accountId : null;
+}
+
+/**
+ * Reduce a Jira issue to the incident fields used for weighting, documentation lookups and epic grouping
+ * @param {Object} issue - Jira issue fetched with expand=changelog
+ * @returns {Object} Incident with its resolver, comment counts per account ID, epic and documentation links
+ */
+function buildIncident(issue) {
+  const fields = issue.fields || {};
+  const comments = (fields.comment && fields.comment.comments) || [];
+  const commenters = {};
+  comments.forEach(comment => {
+    if (comment.author && comment.author.accountId) {
+      commenters[comment.author.accountId] = (commenters[comment.author.accountId] || 0) + 1;
+    }
+  });
+
+  const { epicKey, epicSummary } = extractIssueRelations(issue);
+
+  return {
+    key: issue.key,
+    summary: fields.summary || '',
+    issueType: fields.issuetype ? fields.issuetype.name : null,
+    epicKey,
+    epicSummary,
+    updated: fields.updated,
+    resolved: fields.resolutiondate || null,
+    components: (fields.components || []).map(component => component.name),
+    labels: fields.labels || [],
+    resolvedBy: findIncidentResolver(issue),
+    commenters,
+    documentationLinks: dedupeDocumentationLinks([fields.description, ...comments.map(comment => comment.body)]
+      .filter(Boolean)
+      .flatMap(text => extractAdfLinks(text).map(link => link.url))
+      .filter(isDocumentationUrl))
+  };
+}
+
+/**
+ * Fetch every incident updated inside the scan window
+ * Failures are logged and yield no incidents, so an unavailable service desk (or an incident issue type the
+ * site does not have) never fails a scan; options.status records the failure so the scan can report it.
+ * @param {Object|Date|string} timeframe - Scan window, preset key, or window start date
+ * @param {Object} config - Incident configuration (see loadIncidentConfig)
+ * @param {Object} [options] - Search options
+ * @param {Object} [options.pagination] - Jira pagination settings ({ pageSize, maxIssues })
+ * @param {Object} [options.scope] - Resolved scan scope (site-wide when omitted)
+ * @param {Object} [options.exclusions] - Exclusion filter; excluded incidents are skipped
+ * @param {Object} [options.status] - Filled with the error message when the incident search fails
+ * @returns {Promise<Array<Object>>} Incidents (see buildIncident); empty when the source is disabled
+ */
+async function fetchIncidents(timeframe, config, options = {}) {
+  if (!config.enabled) {
+    return [];
+  }
+
+  const window = resolveTimeframe(timeframe);
+  try {
+    const conditions = `${buildIncidentClause(config)} AND ${buildJqlDateClause('updated', window)}`;
+    const jql = `${applyScopeToJql(options.scope, conditions)} ORDER BY updated DESC`;
+    const result = await searchAllIssues(jql, { ...options.pagination, expand: 'changelog' });
+
+    return result.issues
+      .filter(issue => isWithinTimeframe(new Date(issue.fields.updated), window))
+      .filter(issue => !options.exclusions || !isIssueExcluded(issue, options.exclusions))
+      .map(buildIncident);
+  } catch (error) {
+    logError({
+      context: 'Incident fetchIncidents',
+      errorType: ERROR_TYPES.API_ERROR,
+      message: `Incidents for ${window.key} unavailable: ${error.message}`,
+      apiService: 'jira'
+    }, LOG_LEVELS.WARN);
+    if (options.status) {
+      options.status.error = error.message;
+    }
+    return [];
+  }
+}
+
+/**
+ * Weigh the incidents one user resolved or commented on
+ * An incident's base weight is RESOLVER when the user resolved it plus COMMENTER per comment, capped at
+ * MAX_PER_INCIDENT. It is then multiplied by 1 + REPEAT_BONUS for every other incident the user handled on
+ * the same component (up to MAX_REPEAT_MULTIPLIER), so repeat firefighting on one component stands out.
+ * @param {Array<Object>} incidents - Incidents from fetchIncidents
+ * @param {string} userId - User account ID
+ * @returns {Array<{key: string, summary: string, updated: string, components: string[], epicKey: (string|null), roles: Object,
+ *   repeatComponent: (string|null), repeatCount: number, weight: number}>} The user's incidents, heaviest first
+ */
+function weighUserIncidents(incidents, userId) {
+  const handled = incidents
+    .map(incident => ({
+      incident,
+      roles: {
+        resolver: incident.resolvedBy === userId ? 1 : 0,
+        commenter: incident.commenters[userId] || 0
+      }
+    }))
+    .filter(({ roles }) => roles.resolver > 0 || roles.commenter > 0);
+
+  const perComponent = new Map();
+  handled.forEach(({ incident }) => {
+    incident.components.forEach(component => perComponent.set(component, (perComponent.get(component) || 0) + 1));
+  });
+
+  return handled
+    .map(({ incident, roles }) => {
+      const repeatComponent = incident.components.reduce((best, component) =>
+        (best === null || perComponent.get(component) > perComponent.get(best) ? component : best), null);
+      const repeatCount = repeatComponent ? perComponent.get(repeatComponent) : 1;
+      const base = Math.min(roles.resolver * INCIDENT_WEIGHTS.RESOLVER + roles.commenter * INCIDENT_WEIGHTS.COMMENTER, INCIDENT_WEIGHTS.MAX_PER_INCIDENT);
+      const multiplier = Math.min(1 + (repeatCount - 1) * INCIDENT_WEIGHTS.REPEAT_BONUS, INCIDENT_WEIGHTS.MAX_REPEAT_MULTIPLIER);
+
+      return {
+        key: incident.key,
+        summary: incident.summary,
+        updated: incident.updated,
+        components: incident.components,
+        labels: incident.labels,
+        epicKey: incident.epicKey || null,
+        epicSummary: incident.epicSummary || null,
+        documentationLinks: incident.documentationLinks,
+        roles,
+        repeatComponent: repeatCount > 1 ? repeatComponent : null,
+        repeatCount,
+        weight: Math.round(base * multiplier * 1000) / 1000
+      };
+    })
+    .sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Resolver: get the current incident configuration
+ * @returns {Promise<Object>} Configuration
+ */
+async function getIncidentConfig() {
+  try {
+    return { success: true, config: await loadIncidentConfig() };
+  } catch (error) {
+    console.error('Error loading incident configuration:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resolver: validate and save the incident configuration
+ * Issue types and projects are replaced when given.
+ * @param {Object} req - Forge request; payload holds any configuration fields to change
+ * @returns {Promise<Object>} Saved configuration or a validation error
+ */
+async function saveIncidentConfig(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    const current = await loadIncidentConfig();
+    const config = { ...current };
+
+    Object.keys(INCIDENT_DEFAULTS).forEach(field => {
+      if (payload[field] !== undefined) {
+        config[field] = payload[field];
+      }
+    });
+
+    validateIncidentConfig(config);
+
+    await api.storage.set(INCIDENT_CONFIG_KEY, { ...config, updatedAt: new Date().toISOString() });
+    return { success: true, config };
+  } catch (error) {
+    console.error('Error saving incident configuration:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  INCIDENT_DEFAULTS,
+  INCIDENT_WEIGHTS,
+  validateIncidentConfig,
+  loadIncidentConfig,
+  buildIncidentClause,
+  findIncidentResolver,
+  fetchIncidents,
+  weighUserIncidents,
+  getIncidentConfig,
+  saveIncidentConfig
+};
@@ -0,0 +1,444 @@
+const api = require('@forge/api');
+const { ApiError } = require('../models');
+const { logError, LOG_LEVELS, ERROR_TYPES } = require('../utils/errorHandler');
+const { requestWithBudget } = require('../utils/requestBudget');
+
+/**
+ * Jira Search Service
+ * Paginates JQL searches so scans see every matching issue up to a hard cap, and looks up
+ * Jira users by email address and their group memberships.
+ * Requests count against the request budget of the running scan, if any (see requestBudget).
+ */
+
+/**
+ * Default pagination settings for JQL searches
+ * Jira Cloud returns at most 100 issues per page.
+ */
+const SEARCH_DEFAULTS = {
+  PAGE_SIZE: 100,
+  MAX_PAGE_SIZE: 100,
+  MAX_ISSUES: 1000
+};
+
+/**
+ * Issue keys looked up per JQL search by getIssuesByKey
+ */
+const KEY_LOOKUP_BATCH_SIZE = 50;
+
+/**
+ * Validate and normalize pagination options
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.pageSize] - Issues requested per page (1-100)
+ * @param {number} [options.maxIssues] - Hard cap on issues fetched per search
+ * @returns {{pageSize: number, maxIssues: number}} Normalized pagination options
+ * @throws {ApiError} If the page size or cap is not a positive integer in range
+ */
+function resolvePagination(options = {}) {
+  const pageSize = options.pageSize === undefined ? SEARCH_DEFAULTS.PAGE_SIZE : options.pageSize;
+  const maxIssues = options.maxIssues === undefined ? SEARCH_DEFAULTS.MAX_ISSUES : options.maxIssues;
+
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > SEARCH_DEFAULTS.MAX_PAGE_SIZE) {
+    throw new ApiError({
+      code: 'INVALID_PAGINATION',
+      message: `Page size must be an integer between 1 and ${SEARCH_DEFAULTS.MAX_PAGE_SIZE}`
+    });
+  }
+
+  if (!Number.isInteger(maxIssues) || maxIssues < 1) {
+    throw new ApiError({
+      code: 'INVALID_PAGINATION',
+      message: 'Maximum issues must be a positive integer'
+    });
+  }
+
+  return { pageSize, maxIssues };
+}
+
+/**
+ * Build the search URL for a single page
+ * Token-based pages (nextPageToken) take precedence over offset-based pages (startAt).
+ * @param {string} jql - JQL query
+ * @param {Object} page - Page position ({ startAt } or { nextPageToken })
+ * @param {number} maxResults - Issues requested for this page
+ * @param {string} [expand] - Optional expand parameter (e.g. 'changelog')
+ * @returns {string} Jira search path
+ */
+function buildSearchPath(jql, page, maxResults, expand) {
+  let path = `/rest/api/3/search?jql=${encodeURIComponent(jql)}`;
+
+  if (page.nextPageToken) {
+    path += `&nextPageToken=${encodeURIComponent(page.nextPageToken)}`;
+  } else {
+    path += `&startAt=${page.startAt}`;
+  }
+
+  path += `&maxResults=${maxResults}`;
+
+  if (expand) {
+    path += `&expand=${encodeURIComponent(expand)}`;
+  }
+
+  return path;
+}
+
+/**
+ * Iterate over the pages of a JQL search
+ *
+ * Follows nextPageToken when Jira returns one and falls back to startAt offsets
+ * otherwise. Iteration stops on the last page, on an empty page, or once the
+ * hard cap of issues has been yielded.
+ *
+ * @param {string} jql - JQL query
+ * @param {Object} [options] - Search options
+ * @param {number} [options.pageSize] - Issues requested per page
+ * @param {number} [options.maxIssues] - Hard cap on issues yielded
+ * @param {string} [options.expand] - Optional expand parameter
+ * @yields {{issues: Array, startAt: number, total: (number|null), hasMore: boolean}} Search page
+ * @throws {ApiError} If Jira responds with an error status
+ */
+async function* iterateJiraSearch(jql, options = {}) {
+  const { pageSize, maxIssues } = resolvePagination(options);
+
+  let startAt = 0;
+  let nextPageToken = null;
+  let yielded = 0;
+
+  while (yielded < maxIssues) {
+    const maxResults = Math.min(pageSize, maxIssues - yielded);
+    const path = buildSearchPath(jql, { startAt, nextPageToken }, maxResults, options.expand);
+    const response = await requestWithBudget('jira', () => api.asApp().requestJira(path));
+
+    if (response && response.status >= 400) {
+      logError({
+        context: 'Jira iterateJiraSearch',
+        errorType: response.status === 403 ? ERROR_TYPES.PERMISSION_DENIED : ERROR_TYPES.API_ERROR,
+        message: `Jira search failed with status ${response.status}`,
+        apiService: 'jira',
+        responseStatus: response.status,
+        startAt
+      }, LOG_LEVELS.ERROR);
+
+      throw new ApiError({
+        code: 'JIRA_SEARCH_FAILED',
+        message: `Jira search failed with status ${response.status}`,
+        details: { jql, startAt, status: response.status }
+      });
+    }
+
+    const data = (response && response.data) || {};
+    const issues = Array.isArray(data.issues) ? data.issues.slice(0, maxIssues - yielded) : [];
+    const total = typeof data.total === 'number' ? data.total : null;
+
+    // Decide whether Jira has more pages for this query
+    let hasMore;
+    if (data.nextPageToken) {
+      hasMore = data.isLast !== true;
+    } else if (data.isLast !== undefined) {
+      hasMore = data.isLast === false;
+    } else if (total !== null) {
+      hasMore = startAt + issues.length < total;
+    } else {
+      hasMore = issues.length >= maxResults;
+    }
+    hasMore = hasMore && issues.length > 0;
+
+    yielded += issues.length;
+    yield { issues, startAt, total, hasMore };
+
+    if (!hasMore) {
+      return;
+    }
+
+    startAt += issues.length;
+    nextPageToken = data.nextPageToken || null;
+  }
+}
+
+/**
+ * Run a JQL search across all pages and collect the issues
+ * @param {string} jql - JQL query
+ * @param {Object} [options] - Search options (see iterateJiraSearch)
+ * @returns {Promise<{issues: Array, fetched: number, available: (number|null), truncated: boolean, pages: number}>}
+ *   Collected issues with coverage totals; available is null when Jira did not report a total
+ */
+async function searchAllIssues(jql, options = {}) {
+  const issues = [];
+  let available = null;
+  let truncated = false;
+  let pages = 0;
+
+  for await (const page of iterateJiraSearch(jql, options)) {
+    pages++;
+    issues.push(...page.issues);
+
+    if (page.total !== null) {
+      available = page.total;
+    }
+    truncated = page.hasMore;
+  }
+
+  // Without a reported total, a complete search means we saw everything
+  if (available === null && !truncated) {
+    available = issues.length;
+  }
+
+  if (truncated) {
+    logError({
+      context: 'Jira searchAllIssues',
+      errorType: ERROR_TYPES.VALIDATION_ERROR,
+      message: `Jira search truncated at ${issues.length} of ${available === null ? 'unknown' : available} issues`,
+      apiService: 'jira',
+      fetched: issues.length,
+      available
+    }, LOG_LEVELS.WARN);
+  }
+
+  return {
+    issues,
+    fetched: issues.length,
+    available,
+    truncated,
+    pages
+  };
+}
+
+/**
+ * Create an empty coverage tally for aggregating several searches
+ * @returns {{fetched: number, available: (number|null), truncated: boolean, searches: number, truncatedSearches: number}}
+ */
+function createSearchCoverage() {
+  return {
+    fetched: 0,
+    available: 0,
+    truncated: false,
+    searches: 0,
+    truncatedSearches: 0
+  };
+}
+
+/**
+ * Add a search result to a coverage tally
+ * Available becomes null once any search could not report its total.
+ * @param {Object} coverage - Coverage tally from createSearchCoverage
+ * @param {Object} result - Result from searchAllIssues
+ * @returns {Object} The updated coverage tally
+ */
+function recordSearchCoverage(coverage, result) {
+  coverage.searches++;
+  coverage.fetched += result.fetched;
+  coverage.available = coverage.available === null || result.available === null
+    ? null
+    : coverage.available + result.available;
+
+  if (result.truncated) {
+    coverage.truncated = true;
+    coverage.truncatedSearches++;
+  }
+
+  return coverage;
+}
+
+/**
+ * Find the Jira account ID for an email address
+ * Users who hide their email address are only matched when the search returns exactly one user.
+ * @param {string} email - Email address
+ * @returns {Promise<string|null>} Account ID, or null when no single user matches
+ * @throws {ApiError} If the user search fails
+ */
+async function findUserByEmail(email) {
+  const response = await requestWithBudget('jira', () =>
+    api.asApp().requestJira(`/rest/api/3/user/search?query=${encodeURIComponent(email)}`)
+  );
+
+  if (response && response.status >= 400) {
+    logError({
+      context: 'Jira findUserByEmail',
+      errorType: response.status === 403 ? ERROR_TYPES.PERMISSION_DENIED : ERROR_TYPES.API_ERROR,
+      message: `Jira user search failed with status ${response.status}`,
+      apiService: 'jira',
+      responseStatus: response.status
+    }, LOG_LEVELS.ERROR);
+
+    throw new ApiError({
+      code: 'JIRA_USER_SEARCH_FAILED',
+      message: `Jira user search failed with status ${response.status}`,
+      details: { status: response.status }
+    });
+  }
+
+  const users = Array.isArray(response && response.data) ? response.data : [];
+  const exact = users.find(user => (user.emailAddress || '').toLowerCase() === email.toLowerCase());
+
+  if (exact) {
+    return exact.accountId;
+  }
+  return users.length === 1 && !users[0].emailAddress ? users[0].accountId : null;
+}
+
+/**
+ * Get the names of the Jira groups a user belongs to
+ * @param {string} accountId - User account ID
+ * @returns {Promise<string[]>} Group names
+ * @throws {ApiError} If the group lookup fails
+ */
+async function getUserGroups(accountId) {
+  const response = await requestWithBudget('jira', () =>
+    api.asApp().requestJira(`/rest/api/3/user/groups?accountId=${encodeURIComponent(accountId)}`)
+  );
+
+  if (!response || response.status >= 400) {
+    logError({
+      context: 'Jira getUserGroups',
+      errorType: response && response.status === 403 ? ERROR_TYPES.PERMISSION_DENIED : ERROR_TYPES.API_ERROR,
+      message: `Jira group lookup failed with status ${response ? response.status : 'unknown'}`,
+      artifactId: accountId,
+      artifactType: 'USER',
+      apiService: 'jira',
+      responseStatus: response ? response.status : null
+    }, LOG_LEVELS.ERROR);
+
+    throw new ApiError({
+      code: 'JIRA_GROUP_LOOKUP_FAILED',
+      message: `Jira group lookup failed with status ${response ? response.status : 'unknown'}`,
+      details: { accountId }
+    });
+  }
+
+  return (Array.isArray(response.data) ? response.data : []).map(group => group.name);
+}
+
+/**
+ * Create a Jira issue
+ * @param {Object} fields - Issue fields (project, issuetype, summary, and optionally description, parent, assignee, labels)
+ * @returns {Promise<{id: string, key: string}>} Created issue
+ * @throws {ApiError} If Jira rejects the issue
+ */
+async function createIssue(fields) {
+  const response = await requestWithBudget('jira', () => api.asApp().requestJira('/rest/api/3/issue', {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ fields })
+  }));
+
+  if (!response || response.status < 200 || response.status >= 300) {
+    const status = response ? response.status : null;
+    logError({
+      context: 'Jira createIssue',
+      errorType: status === 403 ? ERROR_TYPES.PERMISSION_DENIED : ERROR_TYPES.API_ERROR,
+      message: `Jira issue creation failed with status ${status}`,
+      apiService: 'jira',
+      responseStatus: status,
+      project: fields.project && fields.project.key
+    }, LOG_LEVELS.ERROR);
+
+    throw new ApiError({
+      code: 'JIRA_ISSUE_CREATE_FAILED',
+      message: `Creating a Jira issue in ${fields.project && fields.project.key} failed with status ${status}`,
+      details: { status }
+    });
+  }
+
+  return { id: response.data.id, key: response.data.key };
+}
+
+/**
+ * Look up the status of Jira issues by key
+ * @param {string[]} keys - Issue keys
+ * @returns {Promise<Map<string, {status: string, done: boolean}>>} Status per key found; deleted or inaccessible
+ *   issues are left out
+ * @throws {ApiError} If a Jira lookup fails for another reason
+ */
+async function getIssueStatuses(keys) {
+  const statuses = new Map();
+
+  (await getIssuesByKey(keys)).forEach(issue => {
+    const status = issue.fields.status || {};
+    statuses.set(issue.key, {
+      status: status.name || 'Unknown',
+      done: status.statusCategory ? status.statusCategory.key === 'done' : status.name === 'Done'
+    });
+  });
+
+  return statuses;
+}
+
+/**
+ * Fetch a single Jira issue by key
+ * @param {string} key - Issue key
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.expand] - Optional expand parameter (e.g. 'changelog')
+ * @returns {Promise<Object|null>} Issue, or null when Jira reports it missing or inaccessible (404) or the key invalid (400)
+ * @throws {ApiError} If Jira responds with another error status
+ */
+async function getIssue(key, options = {}) {
+  const path = `/rest/api/3/issue/${encodeURIComponent(key)}${options.expand ? `?expand=${encodeURIComponent(options.expand)}` : ''}`;
+  const response = await requestWithBudget('jira', () => api.asApp().requestJira(path));
+  const status = response ? response.status : null;
+
+  if (status === 404 || status === 400) {
+    return null;
+  }
+
+  if (!response || status >= 400) {
+    throw new ApiError({
+      code: 'JIRA_ISSUE_FETCH_FAILED',
+      message: `Fetching Jira issue ${key} failed with status ${status}`,
+      details: { key, status }
+    });
+  }
+
+  return response.data;
+}
+
+/**
+ * Fetch Jira issues by key
+ * Keys are searched KEY_LOOKUP_BATCH_SIZE at a time. Jira rejects a whole `key in (...)` search when one of
+ * its keys was deleted or cannot be seen, so a batch rejected with 400 or 404 is looked up key by key instead.
+ * @param {string[]} keys - Issue keys
+ * @param {Object} [options] - Search options
+ * @param {string} [options.expand] - Optional expand parameter (e.g. 'changelog')
+ * @returns {Promise<Array>} Issues found (deleted or inaccessible keys are left out)
+ * @throws {ApiError} If a Jira lookup fails for another reason
+ */
+async function getIssuesByKey(keys, options = {}) {
+  const issues = [];
+
+  for (let i = 0; i < keys.length; i += KEY_LOOKUP_BATCH_SIZE) {
+    const batch = keys.slice(i, i + KEY_LOOKUP_BATCH_SIZE);
+    try {
+      const result = await searchAllIssues(`key in (${batch.join(', ')}) ORDER BY key ASC`, { expand: options.expand });
+      issues.push(...result.issues);
+    } catch (error) {
+      const status = error.details ? error.details.status : null;
+      if (status !== 400 && status !== 404) {
+        throw error;
+      }
+      for (const key of batch) {
+        const issue = await getIssue(key, options);
+        if (issue) {
+          issues.push(issue);
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+module.exports = {
+  SEARCH_DEFAULTS,
+  resolvePagination,
+  iterateJiraSearch,
+  searchAllIssues,
+  createSearchCoverage,
+  recordSearchCoverage,
+  findUserByEmail,
+  getUserGroups,
+  createIssue,
+  getIssueStatuses,
+  getIssue,
+  getIssuesByKey
+};
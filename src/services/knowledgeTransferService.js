@@ -0,0 +1,320 @@
+const api = require('@forge/api');
+const { ApiError } = require('../models');
+const { createIssue, getIssueStatuses } = require('./jiraService');
+const { textToAdf } = require('../utils/adf');
+const { RISK_ORDER } = require('../utils/intensityTrend');
+const { logError, LOG_LEVELS, ERROR_TYPES } = require('../utils/errorHandler');
+
+/**
+ * Knowledge Transfer Service
+ * Turns the recommended actions and top undocumented artifacts of an at-risk user into a Jira
+ * epic with one child task each, assigned through a configurable manager mapping. The created
+ * keys are stored per user so later scans add only missing tasks and report their progress.
+ */
+
+/**
+ * Storage key for the knowledge-transfer configuration, and prefix for per-user tracking records
+ */
+const KNOWLEDGE_TRANSFER_CONFIG_KEY = 'knowledge-transfer:config';
+const TRACKING_KEY_PREFIX = 'knowledge-transfer:user';
+
+/**
+ * Defaults for knowledge-transfer task creation
+ */
+const KNOWLEDGE_TRANSFER_DEFAULTS = {
+  // Off until an admin picks a project
+  enabled: false,
+  projectKey: null,
+  epicIssueType: 'Epic',
+  // Child issue type created under the epic (use 'Subtask' in projects whose epics take sub-tasks)
+  taskIssueType: 'Task',
+  // Lowest risk level that gets an epic
+  minRiskLevel: 'HIGH',
+  // Undocumented artifacts (by score contribution) that get their own task
+  topArtifacts: 5,
+  // User account ID -> manager account ID; tasks for unmapped users use defaultAssignee
+  managerMapping: {},
+  defaultAssignee: null,
+  labels: ['legacy-keeper', 'knowledge-transfer']
+};
+
+/**
+ * Task kinds recorded on tracking records
+ */
+const TASK_KIND = {
+  ACTION: 'ACTION',
+  ARTIFACT: 'ARTIFACT'
+};
+
+/**
+ * Validate a resolved knowledge-transfer configuration
+ * @param {Object} config - Configuration to validate
+ * @throws {ApiError} If a setting is malformed, or task creation is enabled without a project
+ */
+function validateKnowledgeTransferConfig(config) {
+  const invalid = message => new ApiError({ code: 'INVALID_KNOWLEDGE_TRANSFER_CONFIG', message });
+
+  if (typeof config.enabled !== 'boolean') {
+    throw invalid('enabled must be true or false');
+  }
+  if (config.enabled && !config.projectKey) {
+    throw invalid('A projectKey is required to create knowledge-transfer tasks');
+  }
+  if (!RISK_ORDER.includes(config.minRiskLevel)) {
+    throw invalid(`minRiskLevel must be one of ${RISK_ORDER.join(', ')}`);
+  }
+  if (!Number.isInteger(config.topArtifacts) || config.topArtifacts < 0) {
+    throw invalid('topArtifacts must be a non-negative integer');
+  }
+  if (!config.epicIssueType || !config.taskIssueType) {
+    throw invalid('epicIssueType and taskIssueType are required');
+  }
+  if (!config.managerMapping || typeof config.managerMapping !== 'object' || Array.isArray(config.managerMapping) ||
+    Object.values(config.managerMapping).some(manager => typeof manager !== 'string' || manager.trim() === '')) {
+    throw invalid('managerMapping must map user account IDs to manager account IDs');
+  }
+}
+
+/**
+ * Load the knowledge-transfer configuration from storage
+ * @returns {Promise<Object>} Configuration merged over the defaults
+ */
+async function loadKnowledgeTransferConfig() {
+  const stored = await api.storage.get(KNOWLEDGE_TRANSFER_CONFIG_KEY);
+  return { ...KNOWLEDGE_TRANSFER_DEFAULTS, ...(stored || {}) };
+}
+
+/**
+ * Storage key of a user's tracking record
+ * @param {string} userId - User account ID
+ * @returns {string} Storage key
+ */
+function trackingKey(userId) {
+  return `${TRACKING_KEY_PREFIX}:${userId}`;
+}
+
+/**
+ * Check whether a risk level is at or above the configured minimum
+ * @param {string} riskLevel - Report risk level
+ * @param {string} minRiskLevel - Configured minimum
+ * @returns {boolean} True when the user needs knowledge-transfer tasks
+ */
+function isAtRisk(riskLevel, minRiskLevel) {
+  return RISK_ORDER.indexOf(riskLevel) >= RISK_ORDER.indexOf(minRiskLevel);
+}
+
+/**
+ * Pick a report's top undocumented artifacts by their documentation-adjusted contribution
+ * @param {UndocumentedIntensityReport} report - Undocumented intensity report
+ * @param {number} limit - Number of artifacts to return
+ * @returns {Array<{artifact: string, title: string, contribution: number}>} Artifacts, largest contribution first
+ */
+function selectTopArtifacts(report, limit) {
+  const breakdown = report.scoreBreakdown || { tickets: [], pullRequests: [] };
+  return [
+    ...breakdown.tickets.map(ticket => ({ artifact: `JIRA-${ticket.key}`, title: ticket.summary, contribution: ticket.adjustedContribution })),
+    ...(breakdown.incidents || []).map(incident => ({ artifact: `INCIDENT-${incident.key}`, title: incident.summary, contribution: incident.adjustedContribution })),
+    ...breakdown.pullRequests.map(pr => ({ artifact: `PR #${pr.id}`, title: pr.title, contribution: pr.adjustedContribution }))
+  ]
+    .sort((a, b) => b.contribution - a.contribution)
+    .slice(0, limit);
+}
+
+/**
+ * Plan the tasks an at-risk user should have: one per recommended action and one per top artifact
+ * @param {UndocumentedIntensityReport} report - Undocumented intensity report
+ * @param {string[]} actions - Recommended actions
+ * @param {Object} config - Knowledge-transfer configuration
+ * @param {string} displayName - User display name
+ * @returns {Array<{kind: string, source: string, summary: string}>} Planned tasks
+ */
+function planTasks(report, actions, config, displayName) {
+  return [
+    ...actions.map(action => ({ kind: TASK_KIND.ACTION, source: action, summary: `${action} (${displayName})` })),
+    ...selectTopArtifacts(report, config.topArtifacts).map(({ artifact, title }) => ({
+      kind: TASK_KIND.ARTIFACT,
+      source: artifact,
+      summary: `Document ${artifact}${title ? `: ${title}` : ''}`
+    }))
+  ];
+}
+
+/**
+ * Create Jira issue fields for an epic or task
+ * @param {Object} config - Knowledge-transfer configuration
+ * @param {string} issueType - Issue type name
+ * @param {string} summary - Summary (truncated to Jira's 255 characters)
+ * @param {string} description - Plain-text description
+ * @param {string|null} assignee - Assignee account ID
+ * @param {string|null} [parentKey] - Parent epic key
+ * @returns {Object} Issue fields
+ */
+function buildIssueFields(config, issueType, summary, description, assignee, parentKey = null) {
+  return {
+    project: { key: config.projectKey },
+    issuetype: { name: issueType },
+    summary: summary.slice(0, 255),
+    description: textToAdf(description),
+    labels: config.labels,
+    ...(assignee ? { assignee: { accountId: assignee } } : {}),
+    ...(parentKey ? { parent: { key: parentKey } } : {})
+  };
+}
+
+/**
+ * Create or update the knowledge-transfer epic of a user and report its progress
+ * At-risk users get an epic on their first qualifying scan; later scans add tasks for new actions
+ * or artifacts only. Users with an epic keep getting progress updates after their risk drops.
+ * Failures are logged and returned instead of thrown so they never fail a scan.
+ * @param {{accountId: string, displayName: string}} user - Scanned user
+ * @param {UndocumentedIntensityReport} report - The user's report
+ * @param {string[]} actions - Recommended actions for the report
+ * @param {Object} [config] - Knowledge-transfer configuration (loaded from storage when omitted)
+ * @returns {Promise<Object|null>} Epic key, task keys and progress, or null when the user is not tracked
+ */
+async function syncKnowledgeTransfer(user, report, actions, config) {
+  const settings = config || await loadKnowledgeTransferConfig();
+  const tracking = await api.storage.get(trackingKey(user.accountId));
+  const atRisk = settings.enabled && isAtRisk(report.riskLevel, settings.minRiskLevel);
+
+  if (!tracking && !atRisk) {
+    return null;
+  }
+
+  const record = tracking || { userId: user.accountId, epicKey: null, tasks: [], createdAt: new Date().toISOString() };
+  const assignee = settings.managerMapping[user.accountId] || settings.defaultAssignee || null;
+  const created = [];
+  let error = null;
+
+  try {
+    if (atRisk) {
+      if (!record.epicKey) {
+        const epic = await createIssue(buildIssueFields(
+          settings,
+          settings.epicIssueType,
+          `Knowledge transfer: ${user.displayName}`,
+          `${user.displayName} has a ${report.riskLevel} Undocumented Intensity score of ${report.undocumentedIntensityScore.toFixed(2)}. ` +
+            'Each task below covers a recommended action or an undocumented artifact to capture before their knowledge is lost.',
+          assignee
+        ));
+        record.epicKey = epic.key;
+        record.assignee = assignee;
+      }
+
+      const existing = new Set(record.tasks.map(task => `${task.kind}:${task.source}`));
+      for (const task of planTasks(report, actions, settings, user.displayName)) {
+        if (existing.has(`${task.kind}:${task.source}`)) {
+          continue;
+        }
+        const issue = await createIssue(buildIssueFields(
+          settings,
+          settings.taskIssueType,
+          task.summary,
+          task.kind === TASK_KIND.ARTIFACT
+            ? `Capture the reasoning behind ${task.source}, which ${user.displayName} worked on without documentation.`
+            : `Recommended for ${user.displayName} (${report.riskLevel} knowledge risk).`,
+          assignee,
+          record.epicKey
+        ));
+        record.tasks.push({ key: issue.key, kind: task.kind, source: task.source });
+        created.push(issue.key);
+      }
+    }
+  } catch (creationError) {
+    // Keep whatever was created so the next scan resumes instead of duplicating issues
+    error = creationError.message;
+    logError({
+      context: 'Knowledge Transfer Tasks',
+      errorType: ERROR_TYPES.API_ERROR,
+      message: `Could not create knowledge-transfer issues for ${user.accountId}: ${creationError.message}`,
+      artifactId: user.accountId,
+      artifactType: 'USER',
+      apiService: 'jira'
+    }, LOG_LEVELS.WARN);
+  }
+
+  if (!record.epicKey) {
+    return { epicKey: null, taskKeys: [], created: [], progress: null, error };
+  }
+
+  let progress = null;
+  try {
+    const statuses = await getIssueStatuses(record.tasks.map(task => task.key));
+    record.tasks.forEach(task => {
+      const status = statuses.get(task.key);
+      task.status = status ? status.status : 'Missing';
+      task.done = status ? status.done : false;
+    });
+    const done = record.tasks.filter(task => task.done).length;
+    progress = {
+      done,
+      total: record.tasks.length,
+      percent: record.tasks.length === 0 ? 0 : Math.round((done / record.tasks.length) * 100)
+    };
+  } catch (statusError) {
+    console.warn(`Could not check knowledge-transfer progress for ${user.accountId}:`, statusError.message);
+  }
+
+  record.updatedAt = new Date().toISOString();
+  await api.storage.set(trackingKey(user.accountId), record);
+
+  return {
+    epicKey: record.epicKey,
+    taskKeys: record.tasks.map(task => task.key),
+    created,
+    progress,
+    error
+  };
+}
+
+/**
+ * Resolver: get the knowledge-transfer configuration
+ * @returns {Promise<Object>} Configuration
+ */
+async function getKnowledgeTransferConfig() {
+  try {
+    return { success: true, config: await loadKnowledgeTransferConfig() };
+  } catch (error) {
+    console.error('Error loading knowledge-transfer configuration:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resolver: validate and save the knowledge-transfer configuration
+ * The manager mapping is replaced when given, so removed managers stop receiving tasks.
+ * @param {Object} req - Forge request; payload holds any configuration fields to change
+ * @returns {Promise<Object>} Saved configuration or a validation error
+ */
+async function saveKnowledgeTransferConfig(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    const current = await loadKnowledgeTransferConfig();
+    const config = { ...current };
+
+    Object.keys(KNOWLEDGE_TRANSFER_DEFAULTS).forEach(field => {
+      if (payload[field] !== undefined) {
+        config[field] = payload[field];
+      }
+    });
+
+    validateKnowledgeTransferConfig(config);
+
+    await api.storage.set(KNOWLEDGE_TRANSFER_CONFIG_KEY, { ...config, updatedAt: new Date().toISOString() });
+    return { success: true, config };
+  } catch (error) {
+    console.error('Error saving knowledge-transfer configuration:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  KNOWLEDGE_TRANSFER_DEFAULTS,
+  TASK_KIND,
+  validateKnowledgeTransferConfig,
+  loadKnowledgeTransferConfig,
+  selectTopArtifacts,
+  syncKnowledgeTransfer,
+  getKnowledgeTransferConfig,
+  saveKnowledgeTransferConfig
+};
@@ -0,0 +1,671 @@
+const api = require('@forge/api');
+const { ApiError } = require('../models');
+const { EMAIL_PROVIDERS, DEFAULT_EMAIL_PROVIDER, resolveEmailEndpoint, sendMail } = require('./emailService');
+const { createIssue } = require('./jiraService');
+const { escapeHtml } = require('./confluenceService');
+const { textToAdf } = require('../utils/adf');
+const { RISK_ORDER } = require('../utils/intensityTrend');
+const { logError, LOG_LEVELS, ERROR_TYPES } = require('../utils/errorHandler');
+const { requestWithBudget } = require('../utils/requestBudget');
+
+/**
+ * Notification Service
+ * Delivers knowledge-gap alerts through pluggable channels (Jira issue, Confluence page comment,
+ * webhook, email). Each channel renders its own template, alerts for the same user are
+ * throttled unless their risk level rises, and every delivery attempt is recorded in a delivery log.
+ *
+ * A channel is an object with:
+ *   - id and description
+ *   - defaultSettings: its settings with their default values (every channel has enabled: false)
+ *   - defaultTemplate: { subject, body } with {{placeholder}} paths into the notification
+ *   - validate(settings) returning an error message for unusable settings, or null
+ *   - send({ subject, body, notification }, settings) resolving with a delivery reference
+ *     (issue key, comment ID, HTTP status) or throwing when delivery fails
+ */
+
+/**
+ * Storage keys for the notification configuration, throttle state and delivery log
+ */
+const NOTIFICATION_CONFIG_KEY = 'notifications:config';
+const THROTTLE_KEY = 'notifications:throttle';
+const DELIVERY_LOG_KEY = 'notifications:delivery-log';
+
+/**
+ * Defaults for notification delivery
+ */
+const NOTIFICATION_DEFAULTS = {
+  // Do not alert about the same user again within this many hours, unless their risk level rose
+  throttleHours: 720
+};
+
+/**
+ * Delivery log entries kept in storage (oldest are dropped first)
+ */
+const DELIVERY_LOG_LIMIT = 200;
+
+/**
+ * Delivery statuses recorded in the delivery log
+ */
+const DELIVERY_STATUS = {
+  SENT: 'SENT',
+  FAILED: 'FAILED',
+  THROTTLED: 'THROTTLED'
+};
+
+/**
+ * Template used by channels without a more specific one
+ */
+const DEFAULT_TEMPLATE = {
+  subject: 'Knowledge gap: {{user.displayName}} ({{riskLevel}})',
+  body: [
+    '{{message}}',
+    '',
+    'Artifacts to capture:',
+    '{{specificArtifacts}}',
+    '',
+    'Why this was flagged:',
+    '{{explanation}}',
+    '',
+    'Recommended actions:',
+    '{{recommendedActions}}'
+  ].join('\n')
+};
+
+/**
+ * Hosts webhooks may target; Forge only lets functions fetch hosts listed under
+ * permissions.external.fetch in the manifest, so this list must match it. Every host accepts the
+ * channel's { text } payload.
+ */
+const WEBHOOK_HOSTS = ['hooks.slack.com', '*.webhook.office.com'];
+
+/**
+ * Headers a webhook configuration may not set: hop-by-hop headers and the ones the fetch sets itself
+ */
+const RESERVED_WEBHOOK_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'host',
+  'content-length'
+];
+
+/**
+ * Characters allowed in a header name (RFC 9110 token)
+ */
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * Channel settings that hold credentials
+ */
+const SECRET_SETTINGS = ['apiKey'];
+
+const SECRET_MASK = '********';
+
+/**
+ * Check whether a webhook URL targets an allowed host over https
+ * @param {string} url - Webhook URL
+ * @returns {boolean} True when Forge will let the app fetch the URL
+ */
+function isAllowedWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  return parsed.protocol === 'https:' && WEBHOOK_HOSTS.some(host => (
+    host.startsWith('*.') ? parsed.hostname.endsWith(host.slice(1)) : parsed.hostname === host
+  ));
+}
+
+/**
+ * Find the problem with a webhook's custom headers
+ * @param {*} headers - Headers from the webhook settings
+ * @returns {string|null} Error message, or null when every header may be sent
+ */
+function validateWebhookHeaders(headers) {
+  if (headers === null || typeof headers !== 'object' || Array.isArray(headers)) {
+    return 'Webhook headers must be an object of header names and values';
+  }
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      return `Webhook header name ${JSON.stringify(name)} is not a valid header name`;
+    }
+    if (RESERVED_WEBHOOK_HEADERS.includes(name.toLowerCase())) {
+      return `Webhook header ${name} cannot be set`;
+    }
+    if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+      return `Webhook header ${name} must be a single-line string`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that a delivery response has a 2xx status
+ * @param {{status: number}} response - API response
+ * @param {string} code - Error code to throw
+ * @param {string} action - What was attempted, for the error message
+ * @throws {ApiError} If the status is not 2xx
+ */
+function assertDelivered(response, code, action) {
+  if (response.status < 200 || response.status >= 300) {
+    throw new ApiError({
+      code,
+      message: `${action} failed with status ${response.status}`,
+      details: { status: response.status }
+    });
+  }
+}
+
+/**
+ * Jira channel: create an issue for the alert
+ */
+const JIRA_CHANNEL = {
+  id: 'jira',
+  description: 'Create a Jira issue in a project',
+  defaultSettings: { enabled: false, projectKey: null, issueType: 'Task', labels: ['legacy-keeper'] },
+  defaultTemplate: {
+    subject: 'Capture knowledge from {{user.displayName}} ({{riskLevel}} knowledge gap)',
+    body: DEFAULT_TEMPLATE.body
+  },
+  validate(settings) {
+    return settings.projectKey ? null : 'Jira notifications need a projectKey';
+  },
+  async send({ subject, body }, settings) {
+    const issue = await createIssue({
+      project: { key: settings.projectKey },
+      issuetype: { name: settings.issueType },
+      // Jira rejects summaries longer than 255 characters
+      summary: subject.slice(0, 255),
+      description: textToAdf(body),
+      labels: settings.labels
+    });
+    return issue.key;
+  }
+};
+
+/**
+ * Confluence channel: comment on a page (e.g. a team's offboarding page)
+ */
+const CONFLUENCE_CHANNEL = {
+  id: 'confluence',
+  description: 'Add a comment to a Confluence page',
+  defaultSettings: { enabled: false, pageId: null },
+  defaultTemplate: DEFAULT_TEMPLATE,
+  validate(settings) {
+    return settings.pageId ? null : 'Confluence notifications need a pageId';
+  },
+  async send({ subject, body }, settings) {
+    const paragraphs = body.split('\n').filter(line => line.trim() !== '').map(line => `<p>${escapeHtml(line)}</p>`);
+    const response = await requestWithBudget('confluence', () => api.asApp().requestConfluence('/wiki/rest/api/content', {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        type: 'comment',
+        container: { id: String(settings.pageId), type: 'page' },
+        body: {
+          storage: {
+            value: `<p><strong>${escapeHtml(subject)}</strong></p>${paragraphs.join('')}`,
+            representation: 'storage'
+          }
+        }
+      })
+    }));
+
+    assertDelivered(response, 'CONFLUENCE_COMMENT_FAILED', `Commenting on Confluence page ${settings.pageId}`);
+    return response.data.id;
+  }
+};
+
+/**
+ * Webhook channel: POST the rendered alert and the raw notification as JSON
+ * Only hosts in WEBHOOK_HOSTS are accepted, as Forge blocks fetches to hosts missing from the manifest,
+ * and custom headers may not override hop-by-hop or framing headers (see RESERVED_WEBHOOK_HEADERS).
+ */
+const WEBHOOK_CHANNEL = {
+  id: 'webhook',
+  description: 'POST a JSON payload to a webhook URL',
+  defaultSettings: { enabled: false, url: null, headers: {} },
+  defaultTemplate: {
+    subject: DEFAULT_TEMPLATE.subject,
+    body: '{{message}}'
+  },
+  validate(settings) {
+    if (!isAllowedWebhookUrl(settings.url || '')) {
+      return `Webhook notifications need an https url on one of: ${WEBHOOK_HOSTS.join(', ')}`;
+    }
+    return validateWebhookHeaders(settings.headers);
+  },
+  async send({ subject, body, notification }, settings) {
+    const response = await api.fetch(settings.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...settings.headers
+      },
+      body: JSON.stringify({ subject, text: body, notification })
+    });
+
+    assertDelivered(response, 'WEBHOOK_DELIVERY_FAILED', 'Webhook delivery');
+    return `HTTP ${response.status}`;
+  }
+};
+
+/**
+ * Email channel: send a plain-text email through a mail provider's API (see emailService)
+ * The endpoint defaults to the provider's own and may be set to another of its hosts (e.g. a regional one).
+ */
+const EMAIL_CHANNEL = {
+  id: 'email',
+  description: `Send an email through a mail provider API (${Object.keys(EMAIL_PROVIDERS).join(', ')})`,
+  defaultSettings: { enabled: false, provider: DEFAULT_EMAIL_PROVIDER, endpoint: null, apiKey: null, from: null, to: [] },
+  defaultTemplate: {
+    subject: '[Legacy Keeper] {{user.displayName}} has a {{riskLevel}} knowledge gap',
+    body: DEFAULT_TEMPLATE.body
+  },
+  validate(settings) {
+    if (!settings.apiKey || !settings.from) {
+      return 'Email notifications need an apiKey and a from address';
+    }
+    if (!Array.isArray(settings.to) || settings.to.length === 0) {
+      return 'Email notifications need at least one recipient in to';
+    }
+    try {
+      resolveEmailEndpoint(settings);
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  },
+  async send({ subject, body }, settings) {
+    const result = await sendMail(settings, { from: settings.from, to: settings.to, subject, text: body });
+    return result.response;
+  }
+};
+
+/**
+ * Registered channels keyed by ID
+ */
+const channels = new Map([JIRA_CHANNEL, CONFLUENCE_CHANNEL, WEBHOOK_CHANNEL, EMAIL_CHANNEL].map(channel => [channel.id, channel]));
+
+/**
+ * Register a notification channel
+ * @param {Object} channel - Channel implementing the interface described above
+ * @throws {ApiError} If the channel is missing part of the interface
+ */
+function registerNotificationChannel(channel) {
+  const isValid = channel &&
+    typeof channel.id === 'string' && channel.id.length > 0 &&
+    channel.defaultSettings && typeof channel.defaultSettings === 'object' &&
+    channel.defaultTemplate && typeof channel.defaultTemplate.subject === 'string' && typeof channel.defaultTemplate.body === 'string' &&
+    typeof channel.validate === 'function' &&
+    typeof channel.send === 'function';
+
+  if (!isValid) {
+    throw new ApiError({
+      code: 'INVALID_NOTIFICATION_CHANNEL',
+      message: 'A notification channel needs an id, defaultSettings, a defaultTemplate with subject and body, and validate and send functions'
+    });
+  }
+
+  channels.set(channel.id, { ...channel, defaultSettings: { enabled: false, ...channel.defaultSettings } });
+}
+
+/**
+ * Render a template against a notification
+ * Placeholders are dotted paths ({{user.displayName}}); arrays render one item per line and
+ * unknown paths render as empty text.
+ * @param {{subject: string, body: string}} template - Channel template
+ * @param {Object} notification - Notification from logKnowledgeGapNotification
+ * @returns {{subject: string, body: string}} Rendered subject and body
+ */
+function renderTemplate(template, notification) {
+  const context = {
+    ...notification,
+    score: Math.round((notification.undocumentedIntensityScore || 0) * 100) / 100
+  };
+  const render = text => text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = path.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), context);
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return Array.isArray(value) ? value.join('\n') : String(value);
+  });
+
+  return {
+    subject: render(template.subject),
+    body: render(template.body)
+  };
+}
+
+/**
+ * Merge a stored or submitted configuration over the channel defaults
+ * @param {Object} [config] - Partial configuration ({ channels, templates, throttleHours })
+ * @returns {{channels: Object, templates: Object, throttleHours: number}} Resolved configuration
+ */
+function resolveNotificationConfig(config = {}) {
+  const storedChannels = config.channels || {};
+  const storedTemplates = config.templates || {};
+  const resolved = { channels: {}, templates: {}, throttleHours: NOTIFICATION_DEFAULTS.throttleHours };
+
+  channels.forEach((channel, id) => {
+    resolved.channels[id] = { ...channel.defaultSettings, ...(storedChannels[id] || {}) };
+    resolved.templates[id] = { ...channel.defaultTemplate, ...(storedTemplates[id] || {}) };
+  });
+
+  if (config.throttleHours !== undefined) {
+    resolved.throttleHours = config.throttleHours;
+  }
+
+  return resolved;
+}
+
+/**
+ * Validate a resolved notification configuration
+ * @param {{channels: Object, templates: Object, throttleHours: number}} config - Configuration to validate
+ * @throws {ApiError} If a channel or template is unknown, an enabled channel's settings are unusable,
+ *   a template is not a pair of strings, or throttleHours is not a non-negative number
+ */
+function validateNotificationConfig(config) {
+  const invalid = message => new ApiError({ code: 'INVALID_NOTIFICATION_CONFIG', message });
+
+  [...Object.keys(config.channels), ...Object.keys(config.templates)].forEach(id => {
+    if (!channels.has(id)) {
+      throw invalid(`Unknown notification channel: ${id}. Available: ${Array.from(channels.keys()).join(', ')}`);
+    }
+  });
+
+  Object.entries(config.channels).forEach(([id, settings]) => {
+    if (typeof settings.enabled !== 'boolean') {
+      throw invalid(`Channel ${id} enabled must be true or false`);
+    }
+    const error = settings.enabled ? channels.get(id).validate(settings) : null;
+    if (error) {
+      throw invalid(error);
+    }
+  });
+
+  Object.entries(config.templates).forEach(([id, template]) => {
+    if (typeof template.subject !== 'string' || typeof template.body !== 'string') {
+      throw invalid(`Template for ${id} needs a subject and a body`);
+    }
+  });
+
+  if (typeof config.throttleHours !== 'number' || !Number.isFinite(config.throttleHours) || config.throttleHours < 0) {
+    throw invalid('throttleHours must be a non-negative number');
+  }
+}
+
+/**
+ * Load the notification configuration from storage
+ * @returns {Promise<Object>} Resolved configuration (every channel disabled until an admin saves one)
+ */
+async function loadNotificationConfig() {
+  const stored = await api.storage.get(NOTIFICATION_CONFIG_KEY);
+  return resolveNotificationConfig(stored || {});
+}
+
+/**
+ * Hide stored secrets before a configuration leaves the backend
+ * Webhook header values often carry tokens, so each one is masked and only the header names show.
+ * @param {Object} config - Resolved configuration
+ * @returns {Object} Configuration with API keys and header values masked
+ */
+function redactNotificationConfig(config) {
+  const redacted = { ...config, channels: { ...config.channels } };
+  Object.entries(redacted.channels).forEach(([id, settings]) => {
+    const masked = { ...settings };
+    SECRET_SETTINGS.filter(field => settings[field]).forEach(field => {
+      masked[field] = SECRET_MASK;
+    });
+    if (settings.headers) {
+      masked.headers = Object.fromEntries(Object.keys(settings.headers).map(name => [name, SECRET_MASK]));
+    }
+    redacted.channels[id] = masked;
+  });
+  return redacted;
+}
+
+/**
+ * Merge submitted channel settings over the stored ones, keeping stored secrets that come back masked
+ * @param {Object} stored - Stored channel settings
+ * @param {Object} submitted - Submitted channel settings
+ * @returns {Object} Merged settings
+ */
+function mergeChannelSettings(stored, submitted) {
+  const merged = { ...stored, ...submitted };
+  SECRET_SETTINGS.filter(field => submitted[field] === SECRET_MASK).forEach(field => {
+    merged[field] = stored[field];
+  });
+  // Anything but a header object is kept as submitted for the webhook channel to reject
+  if (submitted.headers && typeof submitted.headers === 'object' && !Array.isArray(submitted.headers)) {
+    const storedHeaders = stored.headers || {};
+    merged.headers = Object.fromEntries(Object.entries(submitted.headers)
+      .map(([name, value]) => [name, value === SECRET_MASK ? storedHeaders[name] : value])
+      .filter(([, value]) => value !== undefined));
+  }
+  return merged;
+}
+
+/**
+ * Check whether an alert for a user is still inside the throttle period
+ * A higher risk level than the last alert always goes through.
+ * @param {{lastSentAt: string, riskLevel: string}|undefined} previous - Last alert sent for the user
+ * @param {string} riskLevel - Risk level of the new alert
+ * @param {number} throttleHours - Throttle period
+ * @param {Date} now - Reference time
+ * @returns {boolean} True when the alert should be suppressed
+ */
+function isThrottled(previous, riskLevel, throttleHours, now) {
+  if (!previous || throttleHours === 0) {
+    return false;
+  }
+  if (RISK_ORDER.indexOf(riskLevel) > RISK_ORDER.indexOf(previous.riskLevel)) {
+    return false;
+  }
+  return now.getTime() - new Date(previous.lastSentAt).getTime() < throttleHours * 60 * 60 * 1000;
+}
+
+/**
+ * Append entries to the delivery log, keeping the most recent DELIVERY_LOG_LIMIT
+ * @param {Object[]} entries - Delivery log entries
+ * @returns {Promise<void>}
+ */
+async function appendDeliveryLog(entries) {
+  const log = (await api.storage.get(DELIVERY_LOG_KEY)) || [];
+  await api.storage.set(DELIVERY_LOG_KEY, [...log, ...entries].slice(-DELIVERY_LOG_LIMIT));
+}
+
+/**
+ * Deliver a knowledge-gap notification through every enabled channel
+ * Delivery never throws: channel failures are logged and recorded as FAILED deliveries.
+ * @param {Object} notification - Notification from logKnowledgeGapNotification
+ * @param {Object} [options] - Dispatch options
+ * @param {Object} [options.config] - Resolved notification configuration (loaded from storage when omitted)
+ * @param {Date} [options.now] - Reference time for throttling
+ * @returns {Promise<{status: string, deliveries: Object[]}>} SENT, PARTIAL, FAILED, THROTTLED or NO_CHANNELS,
+ *   with the delivery log entries written
+ */
+async function dispatchKnowledgeGapNotification(notification, options = {}) {
+  const now = options.now || new Date();
+  const userId = notification.user.accountId;
+  const logEntry = (channel, status, detail = {}) => ({
+    id: `${now.getTime()}:${userId}:${channel || 'throttle'}`,
+    userId,
+    displayName: notification.user.displayName,
+    riskLevel: notification.riskLevel,
+    channel,
+    status,
+    reference: detail.reference || null,
+    error: detail.error || null,
+    at: now.toISOString()
+  });
+
+  try {
+    const config = options.config || await loadNotificationConfig();
+    const enabled = Array.from(channels.values()).filter(channel => config.channels[channel.id] && config.channels[channel.id].enabled);
+
+    if (enabled.length === 0) {
+      return { status: 'NO_CHANNELS', deliveries: [] };
+    }
+
+    const throttle = (await api.storage.get(THROTTLE_KEY)) || {};
+    if (isThrottled(throttle[userId], notification.riskLevel, config.throttleHours, now)) {
+      const entry = logEntry(null, DELIVERY_STATUS.THROTTLED, { reference: `Last alerted at ${throttle[userId].lastSentAt}` });
+      await appendDeliveryLog([entry]);
+      return { status: DELIVERY_STATUS.THROTTLED, deliveries: [entry] };
+    }
+
+    const deliveries = [];
+    for (const channel of enabled) {
+      try {
+        // Settings saved before a rule was tightened (e.g. a webhook host no longer allowed) fail here instead of being sent
+        const invalid = channel.validate(config.channels[channel.id]);
+        if (invalid) {
+          throw new ApiError({ code: 'INVALID_NOTIFICATION_CONFIG', message: invalid });
+        }
+        const message = renderTemplate(config.templates[channel.id], notification);
+        const reference = await channel.send({ ...message, notification }, config.channels[channel.id]);
+        deliveries.push(logEntry(channel.id, DELIVERY_STATUS.SENT, { reference: reference === undefined ? null : String(reference) }));
+      } catch (error) {
+        logError({
+          context: 'Notification Dispatch',
+          errorType: ERROR_TYPES.API_ERROR,
+          message: `Delivery through ${channel.id} failed: ${error.message}`,
+          artifactId: userId,
+          artifactType: 'USER',
+          channel: channel.id
+        }, LOG_LEVELS.WARN);
+        deliveries.push(logEntry(channel.id, DELIVERY_STATUS.FAILED, { error: error.message }));
+      }
+    }
+
+    const sent = deliveries.filter(entry => entry.status === DELIVERY_STATUS.SENT).length;
+    if (sent > 0) {
+      throttle[userId] = { lastSentAt: now.toISOString(), riskLevel: notification.riskLevel };
+      await api.storage.set(THROTTLE_KEY, throttle);
+    }
+    await appendDeliveryLog(deliveries);
+
+    let status = DELIVERY_STATUS.FAILED;
+    if (sent === deliveries.length) {
+      status = DELIVERY_STATUS.SENT;
+    } else if (sent > 0) {
+      status = 'PARTIAL';
+    }
+
+    return { status, deliveries };
+
+  } catch (error) {
+    console.error(`Error dispatching notification for user ${userId}:`, error.message);
+    return { status: DELIVERY_STATUS.FAILED, deliveries: [], error: error.message };
+  }
+}
+
+/**
+ * Resolver: get the notification configuration (secrets masked) and the available channels
+ * @returns {Promise<Object>} Configuration and channels
+ */
+async function getNotificationConfig() {
+  try {
+    const config = await loadNotificationConfig();
+
+    return {
+      success: true,
+      config: redactNotificationConfig(config),
+      channels: Array.from(channels.values()).map(channel => ({
+        id: channel.id,
+        description: channel.description,
+        defaultSettings: channel.defaultSettings,
+        defaultTemplate: channel.defaultTemplate
+      }))
+    };
+  } catch (error) {
+    console.error('Error loading notification configuration:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resolver: validate and save the notification configuration
+ * Channel settings and templates are merged per channel, so a save only needs the fields that
+ * change; a masked API key or header value keeps the stored one.
+ * @param {Object} req - Forge request; payload holds channels, templates and throttleHours
+ * @returns {Promise<Object>} Saved configuration (secrets masked) or a validation error
+ */
+async function saveNotificationConfig(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    const current = await loadNotificationConfig();
+    const candidate = {
+      channels: { ...current.channels },
+      templates: { ...current.templates },
+      throttleHours: payload.throttleHours === undefined ? current.throttleHours : payload.throttleHours
+    };
+
+    Object.entries(payload.channels || {}).forEach(([id, settings]) => {
+      candidate.channels[id] = mergeChannelSettings(candidate.channels[id] || {}, settings);
+    });
+    Object.entries(payload.templates || {}).forEach(([id, template]) => {
+      candidate.templates[id] = { ...(candidate.templates[id] || {}), ...template };
+    });
+
+    validateNotificationConfig(candidate);
+
+    await api.storage.set(NOTIFICATION_CONFIG_KEY, { ...candidate, updatedAt: new Date().toISOString() });
+
+    return { success: true, config: redactNotificationConfig(candidate) };
+  } catch (error) {
+    console.error('Error saving notification configuration:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resolver: list delivery log entries, newest first
+ * @param {Object} req - Forge request; payload may filter by userId, channel and status, and set limit (default 50)
+ * @returns {Promise<Object>} Matching entries and the total number of matches
+ */
+async function getNotificationDeliveryLog(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    const limit = payload.limit || 50;
+    const log = (await api.storage.get(DELIVERY_LOG_KEY)) || [];
+    const matching = log
+      .filter(entry => !payload.userId || entry.userId === payload.userId)
+      .filter(entry => !payload.channel || entry.channel === payload.channel)
+      .filter(entry => !payload.status || entry.status === payload.status)
+      .reverse();
+
+    return { success: true, entries: matching.slice(0, limit), total: matching.length };
+  } catch (error) {
+    console.error('Error loading notification delivery log:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  NOTIFICATION_DEFAULTS,
+  DELIVERY_STATUS,
+  WEBHOOK_HOSTS,
+  registerNotificationChannel,
+  renderTemplate,
+  resolveNotificationConfig,
+  validateNotificationConfig,
+  loadNotificationConfig,
+  dispatchKnowledgeGapNotification,
+  getNotificationConfig,
+  saveNotificationConfig,
+  getNotificationDeliveryLog
+};
@@ -0,0 +1,500 @@
+const api = require('@forge/api');
+const { ApiError } = require('../models');
+const { logError, LOG_LEVELS, ERROR_TYPES } = require('../utils/errorHandler');
+
+/**
+ * Scan History Service
+ * Persists every Legacy Detector run (parameters, scope, scoring version, summary and compact per-user
+ * reports) so earlier results can be listed and compared, and keeps a score history per user.
+ * Runs older than the retention policy are deleted together with their reports and score points.
+ *
+ * Storage layout:
+ *   scan-history:index                    - run headers, oldest first
+ *   scan-history:run:<runId>              - full run record without reports
+ *   scan-history:run:<runId>:reports:<n>  - compact reports, REPORTS_PER_CHUNK per key
+ *   scan-history:scores:<accountId>       - score points of one user, oldest first
+ * Reports are chunked so large sites stay under Forge's per-key size limit.
+ */
+
+/**
+ * Storage keys for scan history
+ */
+const HISTORY_KEYS = {
+  INDEX: 'scan-history:index',
+  RETENTION: 'scan-history:retention',
+  RUN_PREFIX: 'scan-history:run:',
+  SCORES_PREFIX: 'scan-history:scores:'
+};
+
+/**
+ * Default retention policy; a stored policy overrides individual fields
+ */
+const RETENTION_DEFAULTS = {
+  // Most recent runs kept
+  maxRuns: 100,
+  // Runs older than this are deleted (long enough to answer "what did the scan say last quarter?")
+  maxAgeDays: 400
+};
+
+/**
+ * Compact reports stored per storage key
+ */
+const REPORTS_PER_CHUNK = 25;
+
+/**
+ * Runs returned by listScanRuns when no limit is given
+ */
+const DEFAULT_LIST_LIMIT = 20;
+
+/**
+ * Page size for storage queries (Forge returns at most 20 results per page)
+ */
+const QUERY_PAGE_SIZE = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reduce a report to the fields kept in history and compared between runs
+ * @param {UndocumentedIntensityReport} report - Undocumented intensity report
+ * @returns {Object} Compact report
+ */
+function summarizeReport(report) {
+  return {
+    userId: report.userId,
+    undocumentedIntensityScore: report.undocumentedIntensityScore,
+    riskLevel: report.riskLevel,
+    criticalTickets: report.criticalJiraTickets.length,
+    highComplexityPRs: report.highComplexityPRs.length,
+    documentationLinks: report.documentationLinks.length,
+    documentationWeight: report.documentationWeight,
+    specificArtifacts: report.specificArtifacts,
+    scoring: report.scoring,
+    trend: report.intensityTrend ? {
+      direction: report.intensityTrend.direction,
+      slope: report.intensityTrend.slope,
+      acceleration: report.intensityTrend.acceleration
+    } : null,
+    knowledgeTransfer: report.knowledgeTransfer ? {
+      epicKey: report.knowledgeTransfer.epicKey,
+      taskKeys: report.knowledgeTransfer.taskKeys,
+      progress: report.knowledgeTransfer.progress
+    } : null,
+    scoreBreakdown: summarizeScoreBreakdown(report.scoreBreakdown)
+  };
+}
+
+/**
+ * Reduce a score breakdown to each artifact's identity and documentation-adjusted contribution,
+ * which is what the risk roll-up groups stored reports by
+ * @param {Object} [breakdown] - Score breakdown of a report
+ * @returns {{tickets: Array, participation: Array, incidents: Array, pullRequests: Array}|null} Compact breakdown
+ */
+function summarizeScoreBreakdown(breakdown) {
+  if (!breakdown) {
+    return null;
+  }
+
+  const summarizeIssue = entry => ({ key: entry.key, summary: entry.summary, adjustedContribution: entry.adjustedContribution });
+  return {
+    tickets: (breakdown.tickets || []).map(summarizeIssue),
+    participation: (breakdown.participation || []).map(summarizeIssue),
+    incidents: (breakdown.incidents || []).map(summarizeIssue),
+    pullRequests: (breakdown.pullRequests || []).map(pr => ({ id: pr.id, title: pr.title, adjustedContribution: pr.adjustedContribution }))
+  };
+}
+
+/**
+ * Validate a retention policy
+ * @param {{maxRuns: number, maxAgeDays: number}} policy - Policy to validate
+ * @throws {ApiError} If either limit is not a positive integer
+ */
+function validateRetentionPolicy(policy) {
+  ['maxRuns', 'maxAgeDays'].forEach(field => {
+    if (!Number.isInteger(policy[field]) || policy[field] < 1) {
+      throw new ApiError({
+        code: 'INVALID_RETENTION_POLICY',
+        message: `${field} must be a positive integer`
+      });
+    }
+  });
+}
+
+/**
+ * Load the retention policy merged over the defaults
+ * @returns {Promise<{maxRuns: number, maxAgeDays: number}>} Retention policy
+ */
+async function loadRetentionPolicy() {
+  const stored = await api.storage.get(HISTORY_KEYS.RETENTION);
+  return { ...RETENTION_DEFAULTS, ...(stored || {}) };
+}
+
+/**
+ * Storage key of a run record or one of its report chunks
+ * @param {string} runId - Run ID
+ * @param {number} [chunk] - Report chunk index
+ * @returns {string} Storage key
+ */
+function runKey(runId, chunk) {
+  return chunk === undefined ? `${HISTORY_KEYS.RUN_PREFIX}${runId}` : `${HISTORY_KEYS.RUN_PREFIX}${runId}:reports:${chunk}`;
+}
+
+/**
+ * Split run headers into the ones a retention policy keeps and the ones it expires
+ * @param {Array<{runId: string, startedAt: string}>} index - Run headers, oldest first
+ * @param {{maxRuns: number, maxAgeDays: number}} policy - Retention policy
+ * @param {Date} [now] - Reference time
+ * @returns {{kept: Array, expired: Array}} Run headers, oldest first
+ */
+function applyRetentionPolicy(index, policy, now = new Date()) {
+  const cutoff = now.getTime() - policy.maxAgeDays * DAY_MS;
+  const recent = index.filter(run => new Date(run.startedAt).getTime() >= cutoff);
+  const kept = recent.slice(-policy.maxRuns);
+  const keptIds = new Set(kept.map(run => run.runId));
+
+  return { kept, expired: index.filter(run => !keptIds.has(run.runId)) };
+}
+
+/**
+ * Store a scan run and apply the retention policy
+ * Scans that span several invocations record each invocation's reports under the run ID returned by
+ * the first one; the run's summary is replaced with the latest, cumulative one.
+ * Failures are logged and reported as null so they never fail the scan that produced the run.
+ * @param {{payload: Object, startedAt: Date, summary: Object, reports: UndocumentedIntensityReport[]}} scan - Scan parameters and results
+ * @param {Object} [options] - Recording options
+ * @param {Date} [options.now] - Completion time (defaults to now)
+ * @param {string} [options.runId] - Run to append the reports to (a resumed scan)
+ * @returns {Promise<string|null>} Run ID, or null when the run could not be stored
+ */
+async function recordScanRun(scan, options = {}) {
+  const completedAt = options.now || new Date();
+  let runId = options.runId || `scan-${scan.startedAt.getTime()}`;
+
+  try {
+    const existing = options.runId ? await api.storage.get(runKey(runId)) : null;
+
+    // Scans started in the same millisecond get a numbered suffix
+    for (let attempt = 2; !options.runId && await api.storage.get(runKey(runId)); attempt++) {
+      runId = `scan-${scan.startedAt.getTime()}-${attempt}`;
+    }
+
+    const reports = scan.reports.map(summarizeReport);
+    const chunks = [];
+    for (let i = 0; i < reports.length; i += REPORTS_PER_CHUNK) {
+      chunks.push(reports.slice(i, i + REPORTS_PER_CHUNK));
+    }
+
+    const firstChunk = existing ? existing.reportChunks : 0;
+    const header = {
+      runId,
+      startedAt: scan.startedAt.toISOString(),
+      completedAt: completedAt.toISOString(),
+      timeframe: scan.summary.timeframe ? scan.summary.timeframe.key : null,
+      incremental: scan.summary.incremental !== null && scan.summary.incremental !== undefined,
+      scoring: scan.summary.scoring,
+      totalUsersScanned: scan.summary.totalUsersScanned,
+      usersWithGaps: scan.summary.usersWithGaps,
+      criticalRiskUsers: scan.summary.criticalRiskUsers,
+      highRiskUsers: scan.summary.highRiskUsers,
+      complete: !scan.summary.execution || scan.summary.execution.remainingUsers === 0
+    };
+
+    await api.storage.set(runKey(runId), {
+      ...header,
+      parameters: scan.payload,
+      scope: scan.summary.scope,
+      summary: scan.summary,
+      reportChunks: firstChunk + chunks.length
+    });
+    for (let i = 0; i < chunks.length; i++) {
+      await api.storage.set(runKey(runId, firstChunk + i), chunks[i]);
+    }
+
+    for (const report of reports) {
+      const key = `${HISTORY_KEYS.SCORES_PREFIX}${report.userId}`;
+      const points = (await api.storage.get(key)) || [];
+      points.push({
+        runId,
+        completedAt: header.completedAt,
+        undocumentedIntensityScore: report.undocumentedIntensityScore,
+        riskLevel: report.riskLevel,
+        scoring: report.scoring
+      });
+      await api.storage.set(key, points);
+    }
+
+    const index = ((await api.storage.get(HISTORY_KEYS.INDEX)) || []).filter(run => run.runId !== runId);
+    const { kept, expired } = applyRetentionPolicy([...index, header], await loadRetentionPolicy(), completedAt);
+    await api.storage.set(HISTORY_KEYS.INDEX, kept);
+
+    if (expired.length > 0) {
+      await deleteExpiredRuns(expired, new Set(kept.map(run => run.runId)));
+    }
+
+    return runId;
+
+  } catch (error) {
+    logError({
+      context: 'Scan History',
+      errorType: ERROR_TYPES.API_ERROR,
+      message: `Could not store scan run ${runId}: ${error.message}`,
+      artifactId: runId,
+      apiService: 'storage'
+    }, LOG_LEVELS.WARN);
+    return null;
+  }
+}
+
+/**
+ * Delete expired runs, their report chunks and every user score point that refers to them
+ * @param {Array<{runId: string}>} expired - Expired run headers
+ * @param {Set<string>} keptIds - IDs of the runs still retained
+ * @returns {Promise<void>}
+ */
+async function deleteExpiredRuns(expired, keptIds) {
+  for (const run of expired) {
+    const record = await api.storage.get(runKey(run.runId));
+    const chunkCount = record ? record.reportChunks : 0;
+    for (let i = 0; i < chunkCount; i++) {
+      await api.storage.delete(runKey(run.runId, i));
+    }
+    await api.storage.delete(runKey(run.runId));
+  }
+
+  let cursor;
+  do {
+    let query = api.storage.query().where('key', api.startsWith(HISTORY_KEYS.SCORES_PREFIX)).limit(QUERY_PAGE_SIZE);
+    if (cursor) {
+      query = query.cursor(cursor);
+    }
+    const page = await query.getMany();
+
+    for (const { key, value } of page.results) {
+      const points = value.filter(point => keptIds.has(point.runId));
+      if (points.length === value.length) {
+        continue;
+      }
+      if (points.length === 0) {
+        await api.storage.delete(key);
+      } else {
+        await api.storage.set(key, points);
+      }
+    }
+
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+/**
+ * Parse an optional date filter from a resolver payload
+ * @param {*} value - Raw value
+ * @param {string} field - Payload field name for error messages
+ * @returns {Date|null} Parsed date, or null when omitted
+ * @throws {ApiError} If the value is not a valid date
+ */
+function parseDateFilter(value, field) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ApiError({
+      code: 'INVALID_INPUT',
+      message: `${field} must be a valid date`
+    });
+  }
+  return date;
+}
+
+/**
+ * Check whether a timestamp falls inside optional from/to bounds
+ * @param {string} timestamp - ISO timestamp
+ * @param {Date|null} from - Lower bound (inclusive)
+ * @param {Date|null} to - Upper bound (inclusive)
+ * @returns {boolean} True when inside the bounds
+ */
+function isWithinBounds(timestamp, from, to) {
+  const time = new Date(timestamp).getTime();
+  return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+}
+
+/**
+ * Load a stored scan run with all of its compact reports
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} Run with reports, or null when the run is unknown or expired
+ */
+async function loadScanRun(runId) {
+  const record = await api.storage.get(runKey(runId));
+  if (!record) {
+    return null;
+  }
+
+  const { reportChunks, ...run } = record;
+  const reports = [];
+  for (let i = 0; i < reportChunks; i++) {
+    reports.push(...((await api.storage.get(runKey(runId, i))) || []));
+  }
+
+  return { ...run, reports };
+}
+
+/**
+ * Load the most recent complete scan run
+ * Runs of a scan that is still paused at a checkpoint only hold the users scanned so far, so they are skipped.
+ * @returns {Promise<Object|null>} Run with reports, or null before any scan has completed
+ */
+async function loadLatestCompleteRun() {
+  const index = (await api.storage.get(HISTORY_KEYS.INDEX)) || [];
+  const latest = index.filter(run => run.complete).pop();
+
+  return latest ? loadScanRun(latest.runId) : null;
+}
+
+/**
+ * Resolver: list stored scan runs, newest first
+ * @param {Object} req - Forge request; payload accepts from and to (dates the run started between) and limit
+ * @returns {Promise<Object>} Run headers and the number of runs matching the filter
+ */
+async function listScanRuns(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    const from = parseDateFilter(payload.from, 'from');
+    const to = parseDateFilter(payload.to, 'to');
+    const limit = payload.limit === undefined ? DEFAULT_LIST_LIMIT : payload.limit;
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new ApiError({
+        code: 'INVALID_INPUT',
+        message: 'limit must be a positive integer'
+      });
+    }
+
+    const index = (await api.storage.get(HISTORY_KEYS.INDEX)) || [];
+    const matching = index.filter(run => isWithinBounds(run.startedAt, from, to)).reverse();
+
+    return { success: true, runs: matching.slice(0, limit), total: matching.length };
+  } catch (error) {
+    console.error('Error listing scan runs:', error.message);
+    return { success: false, error: error.message, runs: [] };
+  }
+}
+
+/**
+ * Resolver: fetch one stored scan run with its per-user reports
+ * @param {Object} req - Forge request; payload holds runId and optionally userId to return a single user's report
+ * @returns {Promise<Object>} Run with reports, or an error when the run is unknown or expired
+ */
+async function getScanRun(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    if (typeof payload.runId !== 'string' || payload.runId.length === 0) {
+      throw new ApiError({
+        code: 'INVALID_INPUT',
+        message: 'runId is required'
+      });
+    }
+
+    const run = await loadScanRun(payload.runId);
+    if (!run) {
+      throw new ApiError({
+        code: 'SCAN_RUN_NOT_FOUND',
+        message: `Scan run ${payload.runId} not found`
+      });
+    }
+
+    return {
+      success: true,
+      run: {
+        ...run,
+        reports: payload.userId ? run.reports.filter(report => report.userId === payload.userId) : run.reports
+      }
+    };
+  } catch (error) {
+    console.error('Error loading scan run:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resolver: fetch the score history of one user, oldest first
+ * A run without a point for the user found no undocumented intensity for them (or did not scan them).
+ * @param {Object} req - Forge request; payload holds accountId, and optionally from and to dates
+ * @returns {Promise<Object>} Score points with run ID, completion time, score, risk level and scoring version
+ */
+async function getUserScoreHistory(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    if (typeof payload.accountId !== 'string' || payload.accountId.length === 0) {
+      throw new ApiError({
+        code: 'INVALID_INPUT',
+        message: 'accountId is required'
+      });
+    }
+    const from = parseDateFilter(payload.from, 'from');
+    const to = parseDateFilter(payload.to, 'to');
+
+    const points = (await api.storage.get(`${HISTORY_KEYS.SCORES_PREFIX}${payload.accountId}`)) || [];
+
+    return {
+      success: true,
+      accountId: payload.accountId,
+      history: points.filter(point => isWithinBounds(point.completedAt, from, to))
+    };
+  } catch (error) {
+    console.error('Error loading user score history:', error.message);
+    return { success: false, error: error.message, history: [] };
+  }
+}
+
+/**
+ * Resolver: get the scan history retention policy
+ * @returns {Promise<Object>} Retention policy
+ */
+async function getScanHistoryRetention() {
+  try {
+    return { success: true, retention: await loadRetentionPolicy() };
+  } catch (error) {
+    console.error('Error loading scan history retention policy:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resolver: save the scan history retention policy
+ * The new policy takes effect when the next run is stored.
+ * @param {Object} req - Forge request; payload holds maxRuns and/or maxAgeDays
+ * @returns {Promise<Object>} Saved policy or a validation error
+ */
+async function saveScanHistoryRetention(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    const retention = { ...(await loadRetentionPolicy()) };
+
+    Object.keys(RETENTION_DEFAULTS).forEach(field => {
+      if (payload[field] !== undefined) {
+        retention[field] = payload[field];
+      }
+    });
+
+    validateRetentionPolicy(retention);
+    await api.storage.set(HISTORY_KEYS.RETENTION, retention);
+
+    return { success: true, retention };
+  } catch (error) {
+    console.error('Error saving scan history retention policy:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  RETENTION_DEFAULTS,
+  summarizeReport,
+  applyRetentionPolicy,
+  recordScanRun,
+  loadScanRun,
+  loadLatestCompleteRun,
+  listScanRuns,
+  getScanRun,
+  getUserScoreHistory,
+  getScanHistoryRetention,
+  saveScanHistoryRetention
+};
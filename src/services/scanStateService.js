@@ -0,0 +1,475 @@
+const api = require('@forge/api');
+const { JiraTicket, BitbucketPR, CUSTOM_TIMEFRAME, ApiError } = require('../models');
+const { formatQueryDate } = require('../utils/timeframe');
+const { logError, LOG_LEVELS, ERROR_TYPES } = require('../utils/errorHandler');
+
+/**
+ * Scan State Service
+ * Persists per-user intermediate scan results and the "last scanned" cursor in Forge storage
+ * so incremental Legacy Detector runs only fetch what changed since the previous run, and the
+ * checkpoints that let a scan stopped at its time or request budget resume in a later invocation
+ *
+ * Storage layout of a user's state and of the cursor:
+ *   legacy-detector:<fingerprint>:user:<accountId>                          - cursors, score inputs, participation
+ *   legacy-detector:<fingerprint>:user:<accountId>:<generation>:<kind>:<n>  - tickets or pull requests, in chunks
+ *   legacy-detector:<fingerprint>:cursor                                    - last scanned time
+ *   legacy-detector:<fingerprint>:cursor:<generation>:users:<n>             - tracked users, in chunks
+ *   legacy-detector:checkpoint:<token>                                      - paused scan's payload and counts
+ *   legacy-detector:checkpoint:<token>:<generation>:<kind>:<n>              - pending or tracked users, in chunks
+ * Lists are chunked by size so active users and large sites stay under Forge's per-key size limit. Each save
+ * writes a new generation of chunks before switching the header over, so a failed save leaves the previous
+ * record intact.
+ */
+
+/**
+ * Storage key prefix for all Legacy Detector scan state
+ */
+const STATE_KEY_PREFIX = 'legacy-detector';
+
+/**
+ * Largest serialized size (in characters) of one chunk of stored artifacts, well below Forge's per-key limit
+ */
+const STATE_CHUNK_CHARS = 100000;
+
+/**
+ * Lists of a user's state stored in chunks, by state field and the kind used in their storage keys
+ */
+const USER_STATE_CHUNKED_FIELDS = {
+  tickets: 'tickets',
+  pullRequests: 'pull-requests'
+};
+
+/**
+ * Lists of the scan cursor stored in chunks
+ */
+const CURSOR_CHUNKED_FIELDS = {
+  users: 'users'
+};
+
+/**
+ * Lists of a scan checkpoint stored in chunks
+ */
+const CHECKPOINT_CHUNKED_FIELDS = {
+  pending: 'pending',
+  trackedUsers: 'tracked-users'
+};
+
+/**
+ * Checkpoints older than this are rejected and deleted
+ */
+const CHECKPOINT_MAX_AGE_DAYS = 14;
+
+/**
+ * Page size for storage queries over checkpoint keys
+ */
+const QUERY_PAGE_SIZE = 20;
+
+/**
+ * Build a short, storage-safe fingerprint for a timeframe, scope and exclusion rules combination
+ * Scans with different windows, scopes or rules keep separate state so they never overwrite each other.
+ * @param {{key: string, from: Date, to: Date}} window - Resolved scan window
+ * @param {Object} [scope] - Resolved scan scope
+ * @param {string} [exclusions] - Exclusion rules description (see describeExclusionRules); empty when none apply
+ * @returns {string} Hex fingerprint
+ */
+function buildStateFingerprint(window, scope, exclusions = '') {
+  // Preset windows slide with time, so only custom windows are pinned to their dates
+  const windowKey = window.key === CUSTOM_TIMEFRAME
+    ? `${window.key}:${formatQueryDate(window.from)}:${formatQueryDate(window.to)}`
+    : window.key;
+  // Fingerprints of scans without exclusion rules are unchanged, so their stored state is kept
+  const source = `${windowKey}|${(scope && scope.clause) || ''}${exclusions ? `|${exclusions}` : ''}`;
+
+  // djb2 string hash
+  let hash = 5381;
+  for (let i = 0; i < source.length; i++) {
+    hash = ((hash << 5) + hash + source.charCodeAt(i)) >>> 0;
+  }
+
+  return hash.toString(16);
+}
+
+/**
+ * Storage key for the scan cursor
+ * @param {string} fingerprint - State fingerprint
+ * @returns {string} Storage key
+ */
+function cursorKey(fingerprint) {
+  return `${STATE_KEY_PREFIX}:${fingerprint}:cursor`;
+}
+
+/**
+ * Storage key for a user's scan state
+ * @param {string} fingerprint - State fingerprint
+ * @param {string} userId - User account ID
+ * @returns {string} Storage key
+ */
+function userStateKey(fingerprint, userId) {
+  return `${STATE_KEY_PREFIX}:${fingerprint}:user:${userId}`;
+}
+
+/**
+ * Storage key for one chunk of a list stored next to a record header
+ * @param {string} key - Storage key of the record header
+ * @param {number} generation - Save generation the chunk belongs to
+ * @param {string} kind - List kind used in the key (e.g. 'tickets')
+ * @param {number} index - Chunk index
+ * @returns {string} Storage key
+ */
+function chunkKey(key, generation, kind, index) {
+  return `${key}:${generation}:${kind}:${index}`;
+}
+
+/**
+ * Split items into chunks whose serialized size stays under STATE_CHUNK_CHARS
+ * An item larger than the limit gets a chunk of its own.
+ * @param {Array} items - Items to store
+ * @returns {Array<Array>} Chunks in item order
+ */
+function chunkBySize(items) {
+  const chunks = [];
+  let current = [];
+  // Serialized size of the chunk, counting its brackets and separating commas
+  let size = 2;
+
+  items.forEach(item => {
+    const itemSize = JSON.stringify(item).length + 1;
+    if (current.length > 0 && size + itemSize > STATE_CHUNK_CHARS) {
+      chunks.push(current);
+      current = [];
+      size = 2;
+    }
+    current.push(item);
+    size += itemSize;
+  });
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Delete the list chunks a stored record header points to
+ * @param {string} key - Storage key of the record header
+ * @param {Object} header - Stored record header
+ * @param {Object<string, string>} fields - Chunked list fields and their kinds
+ * @returns {Promise<void>}
+ */
+async function deleteRecordChunks(key, header, fields) {
+  if (!header.chunks) {
+    return;
+  }
+
+  for (const [field, kind] of Object.entries(fields)) {
+    for (let i = 0; i < (header.chunks[field] || 0); i++) {
+      await api.storage.delete(chunkKey(key, header.generation, kind, i));
+    }
+  }
+}
+
+/**
+ * Save a record whose list fields are stored in chunks next to its header
+ * The chunks are written under a new generation before the header is replaced, then the previous
+ * generation's chunks are deleted, so a failed save leaves the previous record intact.
+ * @param {string} key - Storage key of the record header
+ * @param {Object} record - Record to store
+ * @param {Object<string, string>} fields - Chunked list fields and their kinds
+ * @returns {Promise<void>}
+ * @throws {Error} If storage rejects a write
+ */
+async function saveChunkedRecord(key, record, fields) {
+  const previous = await api.storage.get(key);
+  const generation = previous && Number.isInteger(previous.generation) ? previous.generation + 1 : 0;
+  const header = { ...record, generation, chunks: {} };
+
+  for (const [field, kind] of Object.entries(fields)) {
+    const fieldChunks = chunkBySize(record[field] || []);
+    for (let i = 0; i < fieldChunks.length; i++) {
+      await api.storage.set(chunkKey(key, generation, kind, i), fieldChunks[i]);
+    }
+    header.chunks[field] = fieldChunks.length;
+    delete header[field];
+  }
+
+  await api.storage.set(key, header);
+
+  if (previous) {
+    await deleteRecordChunks(key, previous, fields);
+  }
+}
+
+/**
+ * Load a record saved with saveChunkedRecord and reassemble its lists
+ * Records saved before chunking keep their lists in the header and load unchanged.
+ * @param {string} key - Storage key of the record header
+ * @param {Object<string, string>} fields - Chunked list fields and their kinds
+ * @returns {Promise<Object|null>} Stored record, or null if there is none
+ */
+async function loadChunkedRecord(key, fields) {
+  const stored = await api.storage.get(key);
+
+  if (!stored) {
+    return null;
+  }
+
+  const { chunks, generation, ...record } = stored;
+  if (chunks) {
+    for (const [field, kind] of Object.entries(fields)) {
+      record[field] = [];
+      for (let i = 0; i < (chunks[field] || 0); i++) {
+        record[field].push(...((await api.storage.get(chunkKey(key, generation, kind, i))) || []));
+      }
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Delete a record saved with saveChunkedRecord and all of its chunks
+ * @param {string} key - Storage key of the record header
+ * @param {Object<string, string>} fields - Chunked list fields and their kinds
+ * @returns {Promise<void>}
+ */
+async function deleteChunkedRecord(key, fields) {
+  const stored = await api.storage.get(key);
+  if (stored) {
+    await deleteRecordChunks(key, stored, fields);
+  }
+  await api.storage.delete(key);
+}
+
+/**
+ * Load the scan cursor
+ * @param {string} fingerprint - State fingerprint
+ * @returns {Promise<{lastScannedAt: string, users: Array}|null>} Stored cursor, or null before the first incremental run
+ */
+async function loadScanCursor(fingerprint) {
+  const cursor = await loadChunkedRecord(cursorKey(fingerprint), CURSOR_CHUNKED_FIELDS);
+  return cursor ? { ...cursor, users: cursor.users || [] } : null;
+}
+
+/**
+ * Save the scan cursor
+ * Tracked users are stored in chunks next to the cursor (see saveChunkedRecord).
+ * @param {string} fingerprint - State fingerprint
+ * @param {{lastScannedAt: Date|string, users: Array}} cursor - Cursor to persist
+ * @returns {Promise<void>}
+ */
+async function saveScanCursor(fingerprint, cursor) {
+  await saveChunkedRecord(cursorKey(fingerprint), {
+    lastScannedAt: new Date(cursor.lastScannedAt).toISOString(),
+    users: cursor.users.map(user => ({
+      accountId: user.accountId,
+      displayName: user.displayName
+    }))
+  }, CURSOR_CHUNKED_FIELDS);
+}
+
+/**
+ * Load a user's persisted scan state and rehydrate its models
+ * @param {string} fingerprint - State fingerprint
+ * @param {string} userId - User account ID
+ * @returns {Promise<Object|null>} User scan state, or null if the user has not been scanned yet
+ */
+async function loadUserScanState(fingerprint, userId) {
+  const state = await loadChunkedRecord(userStateKey(fingerprint, userId), USER_STATE_CHUNKED_FIELDS);
+
+  if (!state) {
+    return null;
+  }
+
+  return {
+    ...state,
+    tickets: (state.tickets || []).map(ticket => new JiraTicket(ticket)),
+    pullRequests: (state.pullRequests || []).map(pr => new BitbucketPR(pr))
+  };
+}
+
+/**
+ * Save a user's scan state
+ * Tickets and pull requests are stored in chunks next to the state (see saveChunkedRecord).
+ * @param {string} fingerprint - State fingerprint
+ * @param {Object} state - User scan state
+ * @param {string} state.userId - User account ID
+ * @param {JiraTicket[]} state.tickets - All tickets inside the scan window
+ * @param {BitbucketPR[]} state.pullRequests - All PRs inside the scan window
+ * @param {Array} [state.participation] - Critical tickets inside the scan window the user took part in without being the assignee
+ * @param {Array} state.documentationLinks - Weighted documentation links found for the scored artifacts
+ * @param {Object} state.scoreInputs - Inputs used for the last score calculation
+ * @param {{tickets: (string|null), pullRequests: (string|null)}} state.cursors - Per-source "last scanned" timestamps
+ * @returns {Promise<void>}
+ * @throws {Error} If storage rejects a write; the previously saved state is kept
+ */
+async function saveUserScanState(fingerprint, state) {
+  await saveChunkedRecord(userStateKey(fingerprint, state.userId), {
+    userId: state.userId,
+    tickets: state.tickets,
+    pullRequests: state.pullRequests,
+    participation: state.participation || [],
+    documentationLinks: state.documentationLinks,
+    scoreInputs: state.scoreInputs,
+    cursors: state.cursors,
+    updatedAt: new Date().toISOString()
+  }, USER_STATE_CHUNKED_FIELDS);
+}
+
+/**
+ * Delete a user's scan state (e.g. once all of their artifacts aged out of the window)
+ * @param {string} fingerprint - State fingerprint
+ * @param {string} userId - User account ID
+ * @returns {Promise<void>}
+ */
+async function deleteUserScanState(fingerprint, userId) {
+  await deleteChunkedRecord(userStateKey(fingerprint, userId), USER_STATE_CHUNKED_FIELDS);
+}
+
+/**
+ * Merge changed artifacts into stored ones, keyed by an identifier field
+ * Changed artifacts replace stored artifacts with the same identifier.
+ * @param {Array} stored - Previously stored artifacts
+ * @param {Array} changed - Artifacts fetched since the cursor
+ * @param {string} idField - Identifier field name (e.g. 'key' or 'id')
+ * @returns {Array} Merged artifacts
+ */
+function mergeArtifacts(stored, changed, idField) {
+  const merged = new Map();
+
+  stored.forEach(artifact => merged.set(String(artifact[idField]), artifact));
+  changed.forEach(artifact => merged.set(String(artifact[idField]), artifact));
+
+  return Array.from(merged.values());
+}
+
+/**
+ * Storage key for a scan checkpoint
+ * @param {string} token - Continuation token
+ * @returns {string} Storage key
+ */
+function checkpointKey(token) {
+  return `${STATE_KEY_PREFIX}:checkpoint:${token}`;
+}
+
+/**
+ * Create a continuation token for a scan checkpoint
+ * @param {Date} [now] - Creation time
+ * @returns {string} Continuation token
+ */
+function createContinuationToken(now = new Date()) {
+  return `${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Check whether a checkpoint has passed CHECKPOINT_MAX_AGE_DAYS
+ * @param {{createdAt: string}} checkpoint - Stored checkpoint header
+ * @param {Date} now - Reference time
+ * @returns {boolean} True when the checkpoint has expired
+ */
+function isCheckpointExpired(checkpoint, now) {
+  return now.getTime() - new Date(checkpoint.createdAt).getTime() > CHECKPOINT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Save a scan checkpoint under its continuation token
+ * Pending and tracked users are stored in chunks next to the checkpoint (see saveChunkedRecord).
+ * @param {{token: string, pending: string[], trackedUsers: Array}} checkpoint - Checkpoint to persist
+ * @returns {Promise<void>}
+ */
+async function saveScanCheckpoint(checkpoint) {
+  await saveChunkedRecord(checkpointKey(checkpoint.token), checkpoint, CHECKPOINT_CHUNKED_FIELDS);
+}
+
+/**
+ * Load the scan checkpoint for a continuation token
+ * @param {string} token - Continuation token
+ * @param {Date} [now] - Reference time for the age check
+ * @returns {Promise<Object>} Stored checkpoint
+ * @throws {ApiError} If the token is unknown, already completed or expired
+ */
+async function loadScanCheckpoint(token, now = new Date()) {
+  const header = typeof token === 'string' && token.length > 0 ? await api.storage.get(checkpointKey(token)) : null;
+  const expired = header && isCheckpointExpired(header, now);
+
+  if (expired) {
+    await deleteScanCheckpoint(token);
+  }
+  if (!header || expired) {
+    throw new ApiError({
+      code: 'INVALID_CONTINUATION_TOKEN',
+      message: `Unknown or expired continuation token ${token}`
+    });
+  }
+
+  return loadChunkedRecord(checkpointKey(token), CHECKPOINT_CHUNKED_FIELDS);
+}
+
+/**
+ * Delete a scan checkpoint once its scan completed
+ * @param {string} token - Continuation token
+ * @returns {Promise<void>}
+ */
+async function deleteScanCheckpoint(token) {
+  await deleteChunkedRecord(checkpointKey(token), CHECKPOINT_CHUNKED_FIELDS);
+}
+
+/**
+ * Delete every checkpoint older than CHECKPOINT_MAX_AGE_DAYS, with its chunks
+ * Checkpoints of scans nobody resumed would otherwise stay in storage for good. Failures are logged
+ * and leave the remaining checkpoints for the next call.
+ * @param {Date} [now] - Reference time for the age check
+ * @returns {Promise<number>} Number of checkpoints deleted
+ */
+async function pruneExpiredCheckpoints(now = new Date()) {
+  const prefix = checkpointKey('');
+  const expired = [];
+
+  try {
+    let cursor;
+    do {
+      let query = api.storage.query().where('key', api.startsWith(prefix)).limit(QUERY_PAGE_SIZE);
+      if (cursor) {
+        query = query.cursor(cursor);
+      }
+      const page = await query.getMany();
+
+      // Chunk keys share the prefix; only headers have nothing after the token
+      page.results
+        .filter(({ key, value }) => !key.slice(prefix.length).includes(':') && isCheckpointExpired(value, now))
+        .forEach(({ key }) => expired.push(key.slice(prefix.length)));
+
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    for (const token of expired) {
+      await deleteScanCheckpoint(token);
+    }
+    return expired.length;
+
+  } catch (error) {
+    logError({
+      context: 'Scan State',
+      errorType: ERROR_TYPES.API_ERROR,
+      message: `Could not prune expired scan checkpoints: ${error.message}`,
+      apiService: 'storage'
+    }, LOG_LEVELS.WARN);
+    return 0;
+  }
+}
+
+module.exports = {
+  CHECKPOINT_MAX_AGE_DAYS,
+  STATE_CHUNK_CHARS,
+  buildStateFingerprint,
+  loadScanCursor,
+  saveScanCursor,
+  loadUserScanState,
+  saveUserScanState,
+  deleteUserScanState,
+  mergeArtifacts,
+  createContinuationToken,
+  saveScanCheckpoint,
+  loadScanCheckpoint,
+  deleteScanCheckpoint,
+  pruneExpiredCheckpoints
+};
@@ -0,0 +1,296 @@
+const api = require('@forge/api');
+const { ApiError, RISK_THRESHOLDS } = require('../models');
+const { TREND_DEFAULTS } = require('../utils/intensityTrend');
+
+/**
+ * Scoring Service
+ * Pluggable Undocumented Intensity scoring strategies, with admin-editable weights and risk
+ * thresholds persisted in Forge storage
+ *
+ * A strategy is an object with:
+ *   - id, version, description and formula (human-readable)
+ *   - defaultWeights: the weights it accepts, with their default values
+ *   - score({ criticalTickets, highComplexityPRs, participation, incidents, documentationWeight }, weights) returning
+ *     { baseScore, divisor, score, ticketContributions, prContributions, participationContributions,
+ *     incidentContributions, expression } where the contributions are per artifact before the divisor is
+ *     applied; participation lists the critical tickets the user took part in without being the assignee,
+ *     each with a weight (0-1), and incidents the incidents they resolved or commented on, each with a
+ *     weight (0-2, see services/incidentSignalService)
+ */
+
+/**
+ * Storage key for the scoring configuration
+ */
+const SCORING_CONFIG_KEY = 'scoring:config';
+
+/**
+ * Default strategy: weighted PR complexity, critical tickets and participation in other people's
+ * critical tickets and incidents, with documentation weight (freshness x length per link) in the divisor
+ * Version 3 added incidents, version 2 participation; version 1 scored assigned tickets and PRs only.
+ */
+const WEIGHTED_DOCUMENTATION_STRATEGY = {
+  id: 'weighted-documentation',
+  version: 3,
+  description: 'Weighted PR complexity, critical tickets, critical ticket participation and incidents, divided by weighted documentation',
+  formula: '((PR complexity * PR_COMPLEXITY) + (critical tickets * CRITICAL_TICKET) + (participation * PARTICIPATION) + (incidents * INCIDENT)) / (1 + documentation weight * DOC_LINK_PENALTY)',
+  defaultWeights: {
+    PR_COMPLEXITY: 1.5,
+    CRITICAL_TICKET: 2.0,
+    // Applied per unit of participation weight (reporting and commenting heavily on a critical ticket weighs 1)
+    PARTICIPATION: 1.0,
+    // Applied per unit of incident weight (resolving a one-off incident weighs 1, repeat incidents up to 2)
+    INCIDENT: 1.5,
+    // Applied per unit of documentation weight (a fresh, substantial page weighs 1)
+    DOC_LINK_PENALTY: 0.5
+  },
+  score({ criticalTickets, highComplexityPRs, participation = [], incidents = [], documentationWeight }, weights) {
+    const ticketContributions = criticalTickets.map(() => weights.CRITICAL_TICKET);
+    const prContributions = highComplexityPRs.map(pr => (pr.complexityScore || 0) * weights.PR_COMPLEXITY);
+    const participationContributions = participation.map(entry => entry.weight * weights.PARTICIPATION);
+    const incidentContributions = incidents.map(entry => entry.weight * weights.INCIDENT);
+    const totalPRComplexity = highComplexityPRs.reduce((sum, pr) => sum + (pr.complexityScore || 0), 0);
+    const totalParticipation = Math.round(participation.reduce((sum, entry) => sum + entry.weight, 0) * 1000) / 1000;
+    const totalIncidents = Math.round(incidents.reduce((sum, entry) => sum + entry.weight, 0) * 1000) / 1000;
+    const baseScore = [...ticketContributions, ...prContributions, ...participationContributions, ...incidentContributions]
+      .reduce((sum, value) => sum + value, 0);
+
+    // The divisor starts at 1 so weak documentation can never raise the score
+    const divisor = 1 + documentationWeight * weights.DOC_LINK_PENALTY;
+
+    return {
+      baseScore,
+      divisor,
+      score: baseScore / divisor,
+      ticketContributions,
+      prContributions,
+      participationContributions,
+      incidentContributions,
+      expression: `((${totalPRComplexity} * ${weights.PR_COMPLEXITY}) + (${criticalTickets.length} * ${weights.CRITICAL_TICKET}) + (${totalParticipation} * ${weights.PARTICIPATION}) + (${totalIncidents} * ${weights.INCIDENT})) / (1 + ${documentationWeight} * ${weights.DOC_LINK_PENALTY})`
+    };
+  }
+};
+
+const DEFAULT_STRATEGY_ID = WEIGHTED_DOCUMENTATION_STRATEGY.id;
+
+/**
+ * Registered strategies keyed by ID
+ */
+const strategies = new Map([[WEIGHTED_DOCUMENTATION_STRATEGY.id, WEIGHTED_DOCUMENTATION_STRATEGY]]);
+
+/**
+ * Register a scoring strategy
+ * @param {Object} strategy - Strategy implementing the interface described above
+ * @throws {ApiError} If the strategy is missing part of the interface
+ */
+function registerScoringStrategy(strategy) {
+  const isValid = strategy &&
+    typeof strategy.id === 'string' && strategy.id.length > 0 &&
+    Number.isInteger(strategy.version) && strategy.version > 0 &&
+    strategy.defaultWeights && typeof strategy.defaultWeights === 'object' &&
+    typeof strategy.score === 'function';
+
+  if (!isValid) {
+    throw new ApiError({
+      code: 'INVALID_SCORING_STRATEGY',
+      message: 'A scoring strategy needs an id, a positive integer version, defaultWeights and a score function'
+    });
+  }
+
+  strategies.set(strategy.id, strategy);
+}
+
+/**
+ * Look up a registered scoring strategy
+ * @param {string} strategyId - Strategy ID
+ * @returns {Object} Strategy
+ * @throws {ApiError} If no strategy is registered under the ID
+ */
+function getScoringStrategy(strategyId) {
+  const strategy = strategies.get(strategyId);
+
+  if (!strategy) {
+    throw new ApiError({
+      code: 'INVALID_SCORING_CONFIG',
+      message: `Unknown scoring strategy: ${strategyId}. Available: ${Array.from(strategies.keys()).join(', ')}`
+    });
+  }
+
+  return strategy;
+}
+
+/**
+ * Validate a scoring configuration against its strategy
+ * @param {{strategy: string, weights: Object, thresholds: Object, trend: Object}} config - Configuration to validate
+ * @throws {ApiError} If the strategy is unknown, a weight is unknown or not a non-negative number,
+ *   the thresholds are not positive and strictly descending (CRITICAL > HIGH > MEDIUM),
+ *   or the trend settings are malformed
+ */
+function validateScoringConfig(config) {
+  const strategy = getScoringStrategy(config.strategy);
+  const weights = config.weights || {};
+
+  Object.keys(weights).forEach(name => {
+    if (!Object.prototype.hasOwnProperty.call(strategy.defaultWeights, name)) {
+      throw new ApiError({
+        code: 'INVALID_SCORING_CONFIG',
+        message: `Unknown weight ${name} for strategy ${strategy.id}. Expected: ${Object.keys(strategy.defaultWeights).join(', ')}`
+      });
+    }
+  });
+
+  Object.entries(weights).forEach(([name, value]) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new ApiError({
+        code: 'INVALID_SCORING_CONFIG',
+        message: `Weight ${name} must be a non-negative number`
+      });
+    }
+  });
+
+  const thresholds = config.thresholds || {};
+  Object.keys(RISK_THRESHOLDS).forEach(level => {
+    const value = thresholds[level];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      throw new ApiError({
+        code: 'INVALID_SCORING_CONFIG',
+        message: `Threshold ${level} must be a positive number`
+      });
+    }
+  });
+
+  if (!(thresholds.CRITICAL > thresholds.HIGH && thresholds.HIGH > thresholds.MEDIUM)) {
+    throw new ApiError({
+      code: 'INVALID_SCORING_CONFIG',
+      message: 'Thresholds must be strictly descending: CRITICAL > HIGH > MEDIUM'
+    });
+  }
+
+  const trend = config.trend || TREND_DEFAULTS;
+  if (typeof trend.enabled !== 'boolean') {
+    throw new ApiError({
+      code: 'INVALID_SCORING_CONFIG',
+      message: 'Trend enabled must be true or false'
+    });
+  }
+  if (typeof trend.slopeThreshold !== 'number' || !Number.isFinite(trend.slopeThreshold) || trend.slopeThreshold <= 0) {
+    throw new ApiError({
+      code: 'INVALID_SCORING_CONFIG',
+      message: 'Trend slopeThreshold must be a positive number'
+    });
+  }
+}
+
+/**
+ * Merge a stored or submitted configuration over the defaults of its strategy
+ * @param {Object} [config] - Partial configuration ({ strategy, weights, thresholds, trend, configVersion })
+ * @returns {{strategy: string, strategyVersion: number, configVersion: number, weights: Object, thresholds: Object, trend: Object}} Resolved configuration
+ */
+function resolveScoringConfig(config = {}) {
+  const strategy = getScoringStrategy(config.strategy || DEFAULT_STRATEGY_ID);
+
+  return {
+    strategy: strategy.id,
+    strategyVersion: strategy.version,
+    configVersion: config.configVersion || 0,
+    weights: { ...strategy.defaultWeights, ...(config.weights || {}) },
+    thresholds: { ...RISK_THRESHOLDS, ...(config.thresholds || {}) },
+    trend: { ...TREND_DEFAULTS, ...(config.trend || {}) }
+  };
+}
+
+/**
+ * Load the scoring configuration from storage
+ * @returns {Promise<Object>} Resolved configuration (defaults until an admin saves one)
+ */
+async function loadScoringConfig() {
+  const stored = await api.storage.get(SCORING_CONFIG_KEY);
+  return resolveScoringConfig(stored || {});
+}
+
+/**
+ * Describe which strategy and configuration produced a score, for recording on reports
+ * @param {Object} scoringConfig - Resolved configuration
+ * @returns {{strategy: string, strategyVersion: number, configVersion: number}} Scoring provenance
+ */
+function describeScoring(scoringConfig) {
+  return {
+    strategy: scoringConfig.strategy,
+    strategyVersion: scoringConfig.strategyVersion,
+    configVersion: scoringConfig.configVersion
+  };
+}
+
+/**
+ * Resolver: get the current scoring configuration and the available strategies
+ * @returns {Promise<Object>} Configuration and strategies
+ */
+async function getScoringConfig() {
+  try {
+    const config = await loadScoringConfig();
+
+    return {
+      success: true,
+      config,
+      strategies: Array.from(strategies.values()).map(strategy => ({
+        id: strategy.id,
+        version: strategy.version,
+        description: strategy.description,
+        formula: strategy.formula,
+        defaultWeights: strategy.defaultWeights
+      }))
+    };
+  } catch (error) {
+    console.error('Error loading scoring configuration:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resolver: validate and save the scoring configuration
+ * Each save bumps configVersion, so reports show which revision of the weights produced them.
+ * @param {Object} req - Forge request; payload holds strategy, weights, thresholds and trend settings
+ * @returns {Promise<Object>} Saved configuration or a validation error
+ */
+async function saveScoringConfig(req) {
+  try {
+    const payload = (req && req.payload) || {};
+    const current = await loadScoringConfig();
+    const strategy = payload.strategy || current.strategy;
+    const candidate = {
+      strategy,
+      // Switching strategy starts from the new strategy's defaults rather than carrying incompatible weights over
+      weights: { ...(strategy === current.strategy ? current.weights : {}), ...(payload.weights || {}) },
+      thresholds: { ...current.thresholds, ...(payload.thresholds || {}) },
+      trend: { ...current.trend, ...(payload.trend || {}) }
+    };
+
+    validateScoringConfig(candidate);
+
+    const config = resolveScoringConfig({ ...candidate, configVersion: current.configVersion + 1 });
+    await api.storage.set(SCORING_CONFIG_KEY, {
+      strategy: config.strategy,
+      weights: config.weights,
+      thresholds: config.thresholds,
+      trend: config.trend,
+      configVersion: config.configVersion,
+      updatedAt: new Date().toISOString()
+    });
+
+    return { success: true, config };
+  } catch (error) {
+    console.error('Error saving scoring configuration:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  DEFAULT_STRATEGY_ID,
+  registerScoringStrategy,
+  getScoringStrategy,
+  validateScoringConfig,
+  resolveScoringConfig,
+  loadScoringConfig,
+  describeScoring,
+  getScoringConfig,
+  saveScoringConfig
+};
@@ -0,0 +1,198 @@
+/**
+ * Atlassian Document Format (ADF) Utilities
+ * Extracts plain text, links and mentions from Jira REST v3 rich-text fields (descriptions, comments).
+ * Plain strings are accepted everywhere, so callers do not need to know which format a field uses.
+ */
+
+/**
+ * Card node types and how they are reported
+ * inlineCard/blockCard are smart links; embedCard is used for embedded (e.g. Confluence) pages
+ */
+const CARD_LINK_TYPES = {
+  inlineCard: 'INLINE_CARD',
+  blockCard: 'BLOCK_CARD',
+  embedCard: 'EMBED_CARD'
+};
+
+/**
+ * Node types rendered on their own line in the extracted text
+ */
+const BLOCK_NODE_TYPES = [
+  'paragraph', 'heading', 'blockquote', 'codeBlock', 'listItem', 'tableCell', 'tableHeader', 'panel', 'blockCard', 'embedCard', 'rule'
+];
+
+const URL_PATTERN = /https?:\/\/[^\s<>"')\]]+/g;
+
+/**
+ * Check whether a value is an ADF node
+ * @param {*} value - Field value
+ * @returns {boolean} True for ADF documents and nodes
+ */
+function isAdfNode(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.type === 'string';
+}
+
+/**
+ * Visit every node of an ADF tree depth-first
+ * @param {Object} node - ADF node
+ * @param {Function} visit - Called with each node
+ */
+function walkAdf(node, visit) {
+  if (!isAdfNode(node)) {
+    return;
+  }
+  visit(node);
+  (node.content || []).forEach(child => walkAdf(child, visit));
+}
+
+/**
+ * Get the URL a card or extension node points to
+ * Confluence page embeds may arrive as extensions carrying the page URL in their parameters.
+ * @param {Object} node - ADF node
+ * @returns {string|null} URL, if any
+ */
+function getNodeUrl(node) {
+  const attrs = node.attrs || {};
+
+  if (CARD_LINK_TYPES[node.type]) {
+    return attrs.url || (attrs.data && attrs.data.url) || null;
+  }
+
+  if (node.type === 'extension' || node.type === 'bodiedExtension' || node.type === 'inlineExtension') {
+    const parameters = attrs.parameters || {};
+    return parameters.url || parameters.pageUrl || (parameters.macroParams && parameters.macroParams.url && parameters.macroParams.url.value) || null;
+  }
+
+  return null;
+}
+
+/**
+ * Extract plain text from an ADF document or string
+ * Mentions become "@Name", cards become their URL, and block nodes are separated by newlines.
+ * @param {Object|string} value - ADF document, node or plain string
+ * @returns {string} Plain text
+ */
+function extractAdfText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (!isAdfNode(value)) {
+    return '';
+  }
+
+  return renderNodeText(value).replace(/\n{2,}/g, '\n').trim();
+}
+
+/**
+ * Render a node and its children as text
+ * @param {Object} node - ADF node
+ * @returns {string} Text
+ */
+function renderNodeText(node) {
+  let text;
+
+  if (node.type === 'text') {
+    text = node.text || '';
+  } else if (node.type === 'hardBreak') {
+    text = '\n';
+  } else if (node.type === 'mention') {
+    const label = (node.attrs && node.attrs.text) || '';
+    text = label.startsWith('@') ? label : `@${label}`;
+  } else if (node.type === 'emoji') {
+    text = (node.attrs && (node.attrs.text || node.attrs.shortName)) || '';
+  } else if (node.type === 'date') {
+    const timestamp = node.attrs && Number(node.attrs.timestamp);
+    text = timestamp ? new Date(timestamp).toISOString().split('T')[0] : '';
+  } else if (getNodeUrl(node)) {
+    text = getNodeUrl(node);
+  } else {
+    text = (node.content || []).map(renderNodeText).join('');
+  }
+
+  return BLOCK_NODE_TYPES.includes(node.type) ? `${text}\n` : text;
+}
+
+/**
+ * Extract links from an ADF document or string
+ * Covers link marks on text, smart links (inline/block cards), embeds and Confluence extensions,
+ * plus bare URLs typed into text.
+ * @param {Object|string} value - ADF document, node or plain string
+ * @returns {Array<{url: string, type: string}>} Unique links in document order
+ */
+function extractAdfLinks(value) {
+  const links = [];
+  const seen = new Set();
+  const addLink = (url, type) => {
+    if (url && !seen.has(url)) {
+      seen.add(url);
+      links.push({ url, type });
+    }
+  };
+
+  if (typeof value === 'string') {
+    (value.match(URL_PATTERN) || []).forEach(url => addLink(url, 'URL'));
+    return links;
+  }
+
+  walkAdf(value, node => {
+    if (node.type === 'text') {
+      (node.marks || [])
+        .filter(mark => mark.type === 'link' && mark.attrs && mark.attrs.href)
+        .forEach(mark => addLink(mark.attrs.href, 'LINK'));
+      (String(node.text || '').match(URL_PATTERN) || []).forEach(url => addLink(url, 'URL'));
+      return;
+    }
+
+    const url = getNodeUrl(node);
+    if (url) {
+      addLink(url, CARD_LINK_TYPES[node.type] || 'EXTENSION');
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Extract user mentions from an ADF document
+ * @param {Object|string} value - ADF document, node or plain string
+ * @returns {Array<{accountId: string, text: string}>} Unique mentions
+ */
+function extractAdfMentions(value) {
+  const mentions = new Map();
+
+  walkAdf(value, node => {
+    if (node.type === 'mention' && node.attrs && node.attrs.id && !mentions.has(node.attrs.id)) {
+      mentions.set(node.attrs.id, { accountId: node.attrs.id, text: node.attrs.text || '' });
+    }
+  });
+
+  return Array.from(mentions.values());
+}
+
+/**
+ * Build an ADF document from plain text, one paragraph per line
+ * Used when writing Jira REST v3 rich-text fields, which do not accept plain strings.
+ * @param {string} text - Plain text
+ * @returns {Object} ADF document
+ */
+function textToAdf(text) {
+  return {
+    type: 'doc',
+    version: 1,
+    content: String(text || '').split(/\r?\n/).map(line => ({
+      type: 'paragraph',
+      content: line === '' ? [] : [{ type: 'text', text: line }]
+    }))
+  };
+}
+
+module.exports = {
+  isAdfNode,
+  extractAdfText,
+  extractAdfLinks,
+  extractAdfMentions,
+  textToAdf
+};
@@ -0,0 +1,166 @@
+/**
+ * Changelog Signal Utilities
+ * Derives churn signals (reopens, reassignments, time in status, priority escalations, transitions)
+ * from a Jira issue changelog and turns them into a criticality contribution
+ */
+
+/**
+ * Statuses treated as "finished"; moving out of one of these counts as a reopen
+ */
+const DONE_STATUSES = ['done', 'closed', 'resolved'];
+
+/**
+ * Priority ranks for both the default and the legacy Jira priority schemes
+ */
+const PRIORITY_RANKS = {
+  lowest: 1,
+  trivial: 1,
+  low: 2,
+  minor: 2,
+  medium: 3,
+  major: 3,
+  high: 4,
+  critical: 4,
+  highest: 5,
+  blocker: 5
+};
+
+/**
+ * Tunable weights for the changelog intensity score
+ */
+const CHANGELOG_WEIGHTS = {
+  REOPEN: 2.0,
+  REASSIGNMENT: 1.0,
+  PRIORITY_ESCALATION: 1.5,
+  // Applied per distinct transition beyond the usual To Do -> In Progress -> Done path
+  EXTRA_TRANSITION: 0.5,
+  // Applied per week the ticket sat in a single open status, capped at MAX_STALLED_WEEKS
+  STALLED_WEEK: 0.25
+};
+
+const BASELINE_TRANSITIONS = 3;
+const MAX_STALLED_WEEKS = 8;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Changelog intensity at or above which a ticket counts as high churn
+ */
+const CHANGELOG_CHURN_THRESHOLD = 3;
+
+/**
+ * Check whether a status name is a finished status
+ * @param {string} status - Status name
+ * @returns {boolean} True for Done/Closed/Resolved
+ */
+function isDoneStatus(status) {
+  return DONE_STATUSES.includes(String(status || '').toLowerCase());
+}
+
+/**
+ * Extract changelog signals from a Jira issue fetched with expand=changelog
+ * @param {Object} issue - Jira issue
+ * @param {Date} [now] - End of the last status interval
+ * @returns {{reopenCount: number, reassignmentCount: number, timeInStatus: Object<string, number>, priorityEscalations: number, distinctTransitions: number}}
+ *   Changelog signals; timeInStatus maps status names to milliseconds
+ */
+function extractChangelogSignals(issue, now = new Date()) {
+  const histories = ((issue.changelog && issue.changelog.histories) || [])
+    .slice()
+    .sort((a, b) => new Date(a.created) - new Date(b.created));
+  const fields = issue.fields || {};
+
+  let reopenCount = 0;
+  let reassignmentCount = 0;
+  let priorityEscalations = 0;
+  const transitions = new Set();
+  const timeInStatus = {};
+
+  // Walk the status timeline starting from the issue's creation
+  const firstStatusChange = histories
+    .flatMap(history => history.items || [])
+    .find(item => item.field === 'status');
+  let currentStatus = firstStatusChange
+    ? firstStatusChange.fromString
+    : (fields.status && fields.status.name);
+  let statusSince = new Date(fields.created || (histories[0] && histories[0].created) || now);
+
+  histories.forEach(history => {
+    const changedAt = new Date(history.created);
+
+    (history.items || []).forEach(item => {
+      if (item.field === 'status') {
+        addStatusTime(timeInStatus, currentStatus, statusSince, changedAt);
+        transitions.add(`${item.fromString}->${item.toString}`);
+
+        if (isDoneStatus(item.fromString) && !isDoneStatus(item.toString)) {
+          reopenCount++;
+        }
+
+        currentStatus = item.toString;
+        statusSince = changedAt;
+      } else if (item.field === 'assignee') {
+        // The first assignment of an unassigned ticket is not a handover
+        if (item.from) {
+          reassignmentCount++;
+        }
+      } else if (item.field === 'priority') {
+        const fromRank = PRIORITY_RANKS[String(item.fromString || '').toLowerCase()];
+        const toRank = PRIORITY_RANKS[String(item.toString || '').toLowerCase()];
+        if (fromRank && toRank && toRank > fromRank) {
+          priorityEscalations++;
+        }
+      }
+    });
+  });
+
+  addStatusTime(timeInStatus, currentStatus, statusSince, now);
+
+  return {
+    reopenCount,
+    reassignmentCount,
+    timeInStatus,
+    priorityEscalations,
+    distinctTransitions: transitions.size
+  };
+}
+
+/**
+ * Add the time between two dates to a status bucket
+ * @param {Object<string, number>} timeInStatus - Milliseconds per status
+ * @param {string} status - Status name
+ * @param {Date} from - Interval start
+ * @param {Date} to - Interval end
+ */
+function addStatusTime(timeInStatus, status, from, to) {
+  if (!status) {
+    return;
+  }
+  const duration = Math.max(0, to.getTime() - from.getTime());
+  timeInStatus[status] = (timeInStatus[status] || 0) + duration;
+}
+
+/**
+ * Calculate the changelog intensity of a ticket from its signals
+ * @param {Object} signals - Changelog signals (a JiraTicket or extractChangelogSignals result)
+ * @returns {number} Changelog intensity (0 for tickets without churn)
+ */
+function calculateChangelogIntensity(signals) {
+  const openDurations = Object.entries(signals.timeInStatus || {})
+    .filter(([status]) => !isDoneStatus(status))
+    .map(([, duration]) => duration);
+  const longestOpenDuration = openDurations.length > 0 ? Math.max(...openDurations) : 0;
+  const stalledWeeks = Math.min(MAX_STALLED_WEEKS, Math.floor(longestOpenDuration / WEEK_MS));
+
+  return (signals.reopenCount || 0) * CHANGELOG_WEIGHTS.REOPEN +
+    (signals.reassignmentCount || 0) * CHANGELOG_WEIGHTS.REASSIGNMENT +
+    (signals.priorityEscalations || 0) * CHANGELOG_WEIGHTS.PRIORITY_ESCALATION +
+    Math.max(0, (signals.distinctTransitions || 0) - BASELINE_TRANSITIONS) * CHANGELOG_WEIGHTS.EXTRA_TRANSITION +
+    stalledWeeks * CHANGELOG_WEIGHTS.STALLED_WEEK;
+}
+
+module.exports = {
+  CHANGELOG_WEIGHTS,
+  CHANGELOG_CHURN_THRESHOLD,
+  extractChangelogSignals,
+  calculateChangelogIntensity
+};
@@ -0,0 +1,127 @@
+/**
+ * Intensity Trend Utilities
+ * Splits a scan window into calendar-month buckets and summarises the monthly Undocumented
+ * Intensity series as a slope, an acceleration and a direction the risk level can factor in
+ */
+
+/**
+ * Default trend settings; admins can override them through the scoring configuration
+ * (see services/scoringService)
+ */
+const TREND_DEFAULTS = {
+  // When false the trend is reported but never changes the risk level
+  enabled: false,
+  // Monthly slope, as a fraction of the average monthly score, at which a trend counts as rising or falling
+  slopeThreshold: 0.1
+};
+
+/**
+ * Risk levels from lowest to highest
+ */
+const RISK_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+/**
+ * Format a date as its UTC calendar month
+ * @param {Date|string} date - Date to format
+ * @returns {string} Month key (YYYY-MM)
+ */
+function getMonthKey(date) {
+  return new Date(date).toISOString().slice(0, 7);
+}
+
+/**
+ * Split a resolved scan window into calendar-month buckets (UTC)
+ * The first and last buckets are clipped to the window, so they may cover part of a month.
+ * @param {{from: Date, to: Date}} window - Resolved scan window
+ * @returns {Array<{month: string, from: Date, to: Date}>} Month buckets, oldest first
+ */
+function buildMonthBuckets(window) {
+  const buckets = [];
+  let start = new Date(window.from);
+
+  while (start <= window.to) {
+    const nextMonth = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    const end = nextMonth > window.to ? new Date(window.to) : new Date(nextMonth.getTime() - 1);
+
+    buckets.push({ month: getMonthKey(start), from: start, to: end });
+    start = nextMonth;
+  }
+
+  return buckets;
+}
+
+/**
+ * Summarise a monthly score series
+ * The slope is the least-squares fit of score against month index (score per month). The
+ * acceleration is the average change in month-over-month growth, so a late spike is positive.
+ * The direction compares the slope with the average monthly score, which keeps the threshold
+ * meaningful for both small and large scores.
+ * @param {number[]} scores - Monthly scores, oldest first
+ * @param {Object} [settings] - Trend settings ({ slopeThreshold })
+ * @returns {{slope: number, acceleration: number, relativeSlope: number, direction: string}} Trend summary;
+ *   direction is RISING, FALLING or FLAT
+ */
+function calculateTrend(scores, settings = TREND_DEFAULTS) {
+  const round = value => Math.round(value * 1000) / 1000;
+  const count = scores.length;
+  const mean = count > 0 ? scores.reduce((sum, score) => sum + score, 0) / count : 0;
+
+  let slope = 0;
+  if (count >= 2) {
+    const meanIndex = (count - 1) / 2;
+    let covariance = 0;
+    let variance = 0;
+    scores.forEach((score, index) => {
+      covariance += (index - meanIndex) * (score - mean);
+      variance += (index - meanIndex) ** 2;
+    });
+    slope = covariance / variance;
+  }
+
+  // The second differences telescope to (last growth - first growth) / (months - 2)
+  const acceleration = count >= 3
+    ? ((scores[count - 1] - scores[count - 2]) - (scores[1] - scores[0])) / (count - 2)
+    : 0;
+
+  const relativeSlope = mean > 0 ? slope / mean : 0;
+  let direction = 'FLAT';
+  if (relativeSlope >= settings.slopeThreshold) {
+    direction = 'RISING';
+  } else if (relativeSlope <= -settings.slopeThreshold) {
+    direction = 'FALLING';
+  }
+
+  return {
+    slope: round(slope),
+    acceleration: round(acceleration),
+    relativeSlope: round(relativeSlope),
+    direction
+  };
+}
+
+/**
+ * Move a risk level one step up for a rising trend or one step down for a falling trend
+ * @param {string} riskLevel - Risk level from the score thresholds
+ * @param {{direction: string}} trend - Trend summary from calculateTrend
+ * @returns {string} Adjusted risk level (CRITICAL and LOW are the bounds)
+ */
+function adjustRiskLevelForTrend(riskLevel, trend) {
+  const index = RISK_ORDER.indexOf(riskLevel);
+
+  if (trend.direction === 'RISING') {
+    return RISK_ORDER[Math.min(index + 1, RISK_ORDER.length - 1)];
+  }
+  if (trend.direction === 'FALLING') {
+    return RISK_ORDER[Math.max(index - 1, 0)];
+  }
+  return riskLevel;
+}
+
+module.exports = {
+  TREND_DEFAULTS,
+  RISK_ORDER,
+  getMonthKey,
+  buildMonthBuckets,
+  calculateTrend,
+  adjustRiskLevelForTrend
+};
@@ -0,0 +1,198 @@
+/**
+ * Issue Graph Utilities
+ * Reads parent/epic and issue-link relations from Jira issues, scores how central a ticket is in a
+ * user's ticket graph, and groups a report's artifacts by epic. A sub-task of a critical epic or a
+ * ticket that blocks many others carries more hidden context than a standalone bug.
+ */
+
+/**
+ * Weights of each relation in a ticket's centrality (a weighted degree)
+ */
+const ISSUE_GRAPH_WEIGHTS = {
+  // Per issue this ticket blocks
+  BLOCKS: 0.5,
+  // Per issue blocking this ticket
+  BLOCKED_BY: 0.25,
+  // Per issue linked in any other way (relates, duplicates, clones, ...)
+  LINKED: 0.25,
+  // Per sub-task
+  SUBTASK: 0.5,
+  // Once, when the parent or epic is critical itself
+  CRITICAL_PARENT: 2.0
+};
+
+/**
+ * Centrality at or above which a ticket counts as critical (given low documentation):
+ * a child of a critical epic, or a ticket blocking four others
+ */
+const CENTRALITY_THRESHOLD = 2;
+
+/**
+ * Levels of parents looked up beyond the user's own tickets (a sub-task's story, then its epic)
+ */
+const HIERARCHY_LOOKUP_DEPTH = 2;
+
+/**
+ * Issue types treated as epics when they appear as a parent
+ */
+const EPIC_ISSUE_TYPES = ['epic'];
+
+/**
+ * Epic Link field of company-managed projects created before parent-based epics
+ */
+const EPIC_LINK_FIELD = 'customfield_10014';
+
+/**
+ * Link type whose outward direction means "blocks"
+ */
+const BLOCKS_LINK_TYPE = 'blocks';
+
+/**
+ * Pattern of Jira issue keys mentioned in PR titles and descriptions
+ */
+const ISSUE_KEY_PATTERN = /\b[A-Z][A-Z0-9]+-\d+\b/g;
+
+/**
+ * Check whether a parent issue is an epic
+ * @param {Object} parent - fields.parent of a Jira issue
+ * @returns {boolean} True for epics (by hierarchy level or issue type name)
+ */
+function isEpicParent(parent) {
+  const issueType = (parent.fields && parent.fields.issuetype) || {};
+  return issueType.hierarchyLevel === 1 || EPIC_ISSUE_TYPES.includes(String(issueType.name || '').toLowerCase());
+}
+
+/**
+ * Extract the hierarchy and link relations of a Jira issue
+ * @param {Object} issue - Jira issue
+ * @returns {{parentKey: (string|null), epicKey: (string|null), epicSummary: (string|null), issueLinks: Array<{key: string, type: string, direction: string}>, subtaskKeys: string[]}}
+ *   Relations; epicKey is only known here when the parent is an epic or the legacy Epic Link is set
+ */
+function extractIssueRelations(issue) {
+  const fields = issue.fields || {};
+  const parent = fields.parent && fields.parent.key ? fields.parent : null;
+  const parentIsEpic = parent ? isEpicParent(parent) : false;
+  const epicLink = typeof fields[EPIC_LINK_FIELD] === 'string' ? fields[EPIC_LINK_FIELD] : null;
+
+  return {
+    parentKey: parent ? parent.key : null,
+    epicKey: parentIsEpic ? parent.key : epicLink,
+    epicSummary: parentIsEpic && parent.fields ? parent.fields.summary || null : null,
+    issueLinks: (fields.issuelinks || [])
+      .map(link => {
+        const linked = link.outwardIssue || link.inwardIssue;
+        return linked ? {
+          key: linked.key,
+          type: (link.type && link.type.name) || 'Relates',
+          direction: link.outwardIssue ? 'outward' : 'inward'
+        } : null;
+      })
+      .filter(Boolean),
+    subtaskKeys: (fields.subtasks || []).map(subtask => subtask.key)
+  };
+}
+
+/**
+ * Count a ticket's relations by kind
+ * @param {{issueLinks: Array, subtaskKeys: string[]}} ticket - Ticket with relations
+ * @returns {{blocks: number, blockedBy: number, linked: number, subtasks: number}} Relation counts
+ */
+function countRelations(ticket) {
+  const counts = { blocks: 0, blockedBy: 0, linked: 0, subtasks: (ticket.subtaskKeys || []).length };
+
+  (ticket.issueLinks || []).forEach(link => {
+    if (String(link.type).toLowerCase() !== BLOCKS_LINK_TYPE) {
+      counts.linked++;
+    } else if (link.direction === 'outward') {
+      counts.blocks++;
+    } else {
+      counts.blockedBy++;
+    }
+  });
+
+  return counts;
+}
+
+/**
+ * Calculate a ticket's centrality in the user's ticket graph
+ * @param {{blocks: number, blockedBy: number, linked: number, subtasks: number}} counts - Relation counts
+ * @param {boolean} hasCriticalParent - Whether the ticket's parent or epic is critical
+ * @returns {number} Weighted degree (0 for standalone tickets)
+ */
+function calculateCentrality(counts, hasCriticalParent) {
+  const centrality = counts.blocks * ISSUE_GRAPH_WEIGHTS.BLOCKS +
+    counts.blockedBy * ISSUE_GRAPH_WEIGHTS.BLOCKED_BY +
+    counts.linked * ISSUE_GRAPH_WEIGHTS.LINKED +
+    counts.subtasks * ISSUE_GRAPH_WEIGHTS.SUBTASK +
+    (hasCriticalParent ? ISSUE_GRAPH_WEIGHTS.CRITICAL_PARENT : 0);
+
+  return Math.round(centrality * 100) / 100;
+}
+
+/**
+ * List the Jira issue keys a PR title or description mentions
+ * @param {{title: string, description: string}} pr - Pull request
+ * @returns {string[]} Unique issue keys
+ */
+function extractMentionedIssueKeys(pr) {
+  const text = `${pr.title || ''} ${pr.description || ''}`;
+  return Array.from(new Set(text.match(ISSUE_KEY_PATTERN) || []));
+}
+
+/**
+ * Group a report's artifacts by the epic they belong to
+ * PRs join the epic of the first of the user's tickets they mention; artifacts without an epic are
+ * grouped last under a null epicKey.
+ * @param {Object} artifacts - Scored artifacts
+ * @param {Array<{key: string, epicKey: (string|null), epicSummary: (string|null)}>} artifacts.criticalTickets - Critical tickets
+ * @param {Array<{key: string, epicKey: (string|null)}>} [artifacts.participation] - Participation entries
+ * @param {Array<{key: string}>} [artifacts.incidents] - Incidents
+ * @param {Array<{id: (string|number), title: string}>} [artifacts.highComplexityPRs] - High complexity PRs
+ * @returns {Array<{epicKey: (string|null), summary: (string|null), artifacts: string[]}>} Groups, largest first
+ */
+function groupArtifactsByEpic({ criticalTickets, participation = [], incidents = [], highComplexityPRs = [] }) {
+  const groups = new Map();
+  const add = (epicKey, summary, artifact) => {
+    const key = epicKey || null;
+    if (!groups.has(key)) {
+      groups.set(key, { epicKey: key, summary: null, artifacts: [] });
+    }
+    const group = groups.get(key);
+    group.summary = group.summary || summary || null;
+    group.artifacts.push(artifact);
+  };
+
+  const epicByTicket = new Map();
+  [...criticalTickets, ...participation].forEach(ticket => {
+    if (ticket.epicKey) {
+      epicByTicket.set(ticket.key, { epicKey: ticket.epicKey, summary: ticket.epicSummary });
+    }
+  });
+
+  criticalTickets.forEach(ticket => add(ticket.epicKey, ticket.epicSummary, `JIRA-${ticket.key}`));
+  participation.forEach(entry => add(entry.epicKey, entry.epicSummary, `JIRA-${entry.key}`));
+  incidents.forEach(incident => add(incident.epicKey, incident.epicSummary, `INCIDENT-${incident.key}`));
+  highComplexityPRs.forEach(pr => {
+    const mentioned = extractMentionedIssueKeys(pr).find(key => epicByTicket.has(key));
+    const epic = mentioned ? epicByTicket.get(mentioned) : {};
+    add(epic.epicKey, epic.summary, `PR #${pr.id}`);
+  });
+
+  return Array.from(groups.values()).sort((a, b) => {
+    if ((a.epicKey === null) !== (b.epicKey === null)) {
+      return a.epicKey === null ? 1 : -1;
+    }
+    return b.artifacts.length - a.artifacts.length;
+  });
+}
+
+module.exports = {
+  ISSUE_GRAPH_WEIGHTS,
+  CENTRALITY_THRESHOLD,
+  HIERARCHY_LOOKUP_DEPTH,
+  extractIssueRelations,
+  countRelations,
+  calculateCentrality,
+  extractMentionedIssueKeys,
+  groupArtifactsByEpic
+};
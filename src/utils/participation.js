@@ -0,0 +1,96 @@
+/**
+ * Participation Utilities
+ * Works out who took part in a Jira issue and how (assignee, reporter, commenter, changelog author)
+ * and weighs that participation, so people who mostly report, comment or triage are discovered and scored
+ */
+
+/**
+ * Weight of each participation role; commenter and changelog author weights apply per comment or change
+ */
+const PARTICIPATION_WEIGHTS = {
+  assignee: 1.0,
+  reporter: 0.5,
+  commenter: 0.25,
+  changelogAuthor: 0.1
+};
+
+/**
+ * Cap on the weight of one person's participation in a single issue (an assignee's weight)
+ */
+const MAX_ISSUE_PARTICIPATION = 1.0;
+
+/**
+ * Minimum total participation weight for a user to be discovered by a scan
+ * Any assignee or reporter qualifies; commenters and changelog authors need repeated involvement.
+ */
+const DISCOVERY_THRESHOLD = 0.5;
+
+/**
+ * Create an empty role tally
+ * @returns {{assignee: number, reporter: number, commenter: number, changelogAuthor: number}} Role counts
+ */
+function createRoleCounts() {
+  return { assignee: 0, reporter: 0, commenter: 0, changelogAuthor: 0 };
+}
+
+/**
+ * List everyone who took part in an issue, with a count per role
+ * Comments are read from fields.comment.comments and changes from the changelog (expand=changelog).
+ * @param {Object} issue - Jira issue
+ * @returns {Map<string, {displayName: string, roles: Object}>} Participants keyed by account ID
+ */
+function extractIssueParticipants(issue) {
+  const fields = issue.fields || {};
+  const participants = new Map();
+
+  const record = (user, role) => {
+    if (!user || !user.accountId) {
+      return;
+    }
+    if (!participants.has(user.accountId)) {
+      participants.set(user.accountId, { displayName: user.displayName || 'Unknown User', roles: createRoleCounts() });
+    }
+    participants.get(user.accountId).roles[role]++;
+  };
+
+  record(fields.assignee, 'assignee');
+  record(fields.reporter, 'reporter');
+  ((fields.comment && fields.comment.comments) || []).forEach(comment => record(comment.author, 'commenter'));
+  ((issue.changelog && issue.changelog.histories) || []).forEach(history => record(history.author, 'changelogAuthor'));
+
+  return participants;
+}
+
+/**
+ * Weigh one person's participation in an issue
+ * @param {Object} roles - Role counts from extractIssueParticipants
+ * @param {Object} [weights] - Role weights (defaults to PARTICIPATION_WEIGHTS)
+ * @returns {number} Participation weight, capped at MAX_ISSUE_PARTICIPATION
+ */
+function weighParticipation(roles, weights = PARTICIPATION_WEIGHTS) {
+  const total = Object.keys(weights).reduce((sum, role) => sum + (roles[role] || 0) * weights[role], 0);
+  return Math.round(Math.min(total, MAX_ISSUE_PARTICIPATION) * 1000) / 1000;
+}
+
+/**
+ * Add one issue's role counts to a running tally
+ * @param {Object} totals - Role counts to add to
+ * @param {Object} roles - Role counts of one issue
+ * @returns {Object} The updated totals
+ */
+function addRoleCounts(totals, roles) {
+  Object.keys(totals).forEach(role => {
+    totals[role] += roles[role] || 0;
+  });
+  return totals;
+}
+
+module.exports = {
+  PARTICIPATION_WEIGHTS,
+  MAX_ISSUE_PARTICIPATION,
+  DISCOVERY_THRESHOLD,
+  createRoleCounts,
+  extractIssueParticipants,
+  weighParticipation,
+  addRoleCounts
+};
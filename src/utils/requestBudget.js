@@ -0,0 +1,266 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { ApiError } = require('../models');
+const { logError, LOG_LEVELS, ERROR_TYPES } = require('./errorHandler');
+
+/**
+ * Request Budget
+ * Shares a request budget per API between concurrent scan workers. Each API has a cap on requests in
+ * flight and on requests per invocation, and a 429 response pauses every worker calling that API until
+ * its Retry-After delay has passed.
+ *
+ * Budgets are bound to the async context with runWithRequestBudget, so requests made anywhere below it
+ * are counted without threading the budget through every service call. Requests outside a budget run
+ * unrestricted.
+ */
+
+/**
+ * Default limits per API; a scan's requestBudget payload overrides individual fields
+ */
+const REQUEST_BUDGET_DEFAULTS = {
+  jira: { maxConcurrent: 4, maxRequests: 1000 },
+  bitbucket: { maxConcurrent: 2, maxRequests: 500 },
+  confluence: { maxConcurrent: 2, maxRequests: 500 }
+};
+
+/**
+ * Rate limit handling for 429 responses
+ */
+const RATE_LIMIT_DEFAULTS = {
+  // Pause when the response carries no usable Retry-After header
+  RETRY_AFTER_MS: 1000,
+  // Longest pause taken from a Retry-After header
+  MAX_RETRY_AFTER_MS: 10000,
+  // Retries of a rate-limited request before its 429 response is returned to the caller
+  MAX_RETRIES: 2
+};
+
+const budgetContext = new AsyncLocalStorage();
+
+/**
+ * Validate request budget overrides and merge them over the defaults
+ * @param {Object} [overrides] - Limits per API, e.g. { jira: { maxConcurrent: 2 } }
+ * @returns {Object} Limits for every API
+ * @throws {ApiError} If an API is unknown or a limit is not a positive integer
+ */
+function resolveRequestBudget(overrides = {}) {
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new ApiError({
+      code: 'INVALID_REQUEST_BUDGET',
+      message: 'requestBudget must be an object keyed by API'
+    });
+  }
+
+  const apis = Object.keys(REQUEST_BUDGET_DEFAULTS);
+  const unknown = Object.keys(overrides).find(apiName => !apis.includes(apiName));
+  if (unknown) {
+    throw new ApiError({
+      code: 'INVALID_REQUEST_BUDGET',
+      message: `Unknown API ${unknown} in requestBudget. Expected: ${apis.join(', ')}`
+    });
+  }
+
+  const limits = {};
+  apis.forEach(apiName => {
+    limits[apiName] = { ...REQUEST_BUDGET_DEFAULTS[apiName], ...(overrides[apiName] || {}) };
+
+    ['maxConcurrent', 'maxRequests'].forEach(field => {
+      if (!Number.isInteger(limits[apiName][field]) || limits[apiName][field] < 1) {
+        throw new ApiError({
+          code: 'INVALID_REQUEST_BUDGET',
+          message: `requestBudget.${apiName}.${field} must be a positive integer`
+        });
+      }
+    });
+  });
+
+  return limits;
+}
+
+/**
+ * Create a request budget for one invocation
+ * @param {Object} limits - Limits per API (see resolveRequestBudget)
+ * @returns {{limits: Object, apis: Object, exhausted: (string|null)}} Budget state; exhausted names the first
+ *   API that ran out of requests
+ */
+function createRequestBudget(limits) {
+  const apis = {};
+  Object.keys(limits).forEach(apiName => {
+    apis[apiName] = { active: 0, used: 0, throttled: 0, pausedUntil: 0, waiting: [] };
+  });
+
+  return { limits, apis, exhausted: null };
+}
+
+/**
+ * Run a function with a request budget bound to its async context
+ * @param {Object} budget - Request budget from createRequestBudget
+ * @param {Function} fn - Function to run
+ * @param {{rejected: boolean}} [task] - Flagged when one of the function's requests is refused by the budget,
+ *   even if the caller swallowed the error
+ * @returns {Promise<*>} The function's result
+ */
+function runWithRequestBudget(budget, fn, task = null) {
+  return budgetContext.run({ budget, task }, fn);
+}
+
+/**
+ * Check whether any API of a budget ran out of requests
+ * @param {Object} budget - Request budget
+ * @returns {boolean} True once a request was refused
+ */
+function isRequestBudgetExhausted(budget) {
+  return budget.exhausted !== null;
+}
+
+/**
+ * Wait for a request slot of an API
+ * @param {Object} budget - Request budget
+ * @param {string} apiName - API name
+ * @returns {Promise<void>}
+ * @throws {ApiError} If the API has used its requests for this invocation
+ */
+async function acquireRequest(budget, apiName) {
+  const state = budget.apis[apiName];
+  const limits = budget.limits[apiName];
+
+  for (;;) {
+    if (state.used >= limits.maxRequests) {
+      if (!budget.exhausted) {
+        budget.exhausted = apiName;
+        logError({
+          context: 'Request Budget',
+          errorType: ERROR_TYPES.API_ERROR,
+          message: `Request budget for ${apiName} exhausted after ${state.used} requests`,
+          apiService: apiName
+        }, LOG_LEVELS.WARN);
+      }
+
+      // Waiting workers would otherwise never be woken again
+      state.waiting.splice(0).forEach(resolve => resolve());
+      throw new ApiError({
+        code: 'REQUEST_BUDGET_EXHAUSTED',
+        message: `Request budget for ${apiName} exhausted (${limits.maxRequests} requests)`,
+        details: { api: apiName, maxRequests: limits.maxRequests }
+      });
+    }
+
+    const pause = state.pausedUntil - Date.now();
+    if (pause > 0) {
+      await new Promise(resolve => setTimeout(resolve, pause));
+      continue;
+    }
+
+    if (state.active < limits.maxConcurrent) {
+      state.active++;
+      state.used++;
+      return;
+    }
+
+    await new Promise(resolve => state.waiting.push(resolve));
+  }
+}
+
+/**
+ * Release a request slot and wake the next waiting worker
+ * @param {Object} budget - Request budget
+ * @param {string} apiName - API name
+ */
+function releaseRequest(budget, apiName) {
+  const state = budget.apis[apiName];
+  state.active--;
+
+  const next = state.waiting.shift();
+  if (next) {
+    next();
+  }
+}
+
+/**
+ * Read the delay requested by a 429 response
+ * @param {Object} response - API response
+ * @returns {number} Delay in milliseconds, capped at MAX_RETRY_AFTER_MS
+ */
+function getRetryAfterMs(response) {
+  const headers = response.headers || {};
+  const value = typeof headers.get === 'function'
+    ? headers.get('Retry-After')
+    : headers['Retry-After'] || headers['retry-after'];
+  const seconds = value === undefined || value === null || value === '' ? NaN : Number(value);
+
+  const delay = Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : RATE_LIMIT_DEFAULTS.RETRY_AFTER_MS;
+  return Math.min(delay, RATE_LIMIT_DEFAULTS.MAX_RETRY_AFTER_MS);
+}
+
+/**
+ * Make an API request within the request budget of the current async context
+ * Rate-limited requests pause the API for every worker and are retried up to MAX_RETRIES times;
+ * after that the 429 response is returned for the caller's own error handling.
+ * @param {string} apiName - API name ('jira', 'bitbucket' or 'confluence')
+ * @param {Function} request - Function making the request and returning its response
+ * @returns {Promise<Object>} API response
+ * @throws {ApiError} If the budget has no requests left for the API
+ */
+async function requestWithBudget(apiName, request) {
+  const context = budgetContext.getStore();
+  if (!context || !context.budget.apis[apiName]) {
+    return request();
+  }
+
+  const { budget, task } = context;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await acquireRequest(budget, apiName);
+    } catch (error) {
+      if (task) {
+        task.rejected = true;
+      }
+      throw error;
+    }
+
+    let response;
+    try {
+      response = await request();
+    } finally {
+      releaseRequest(budget, apiName);
+    }
+
+    if (!response || response.status !== 429 || attempt >= RATE_LIMIT_DEFAULTS.MAX_RETRIES) {
+      return response;
+    }
+
+    const state = budget.apis[apiName];
+    const delay = getRetryAfterMs(response);
+    state.throttled++;
+    state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+    console.warn(`${apiName} rate limit reached, pausing requests for ${delay}ms`);
+  }
+}
+
+/**
+ * Describe how much of a budget was used, for scan summaries
+ * @param {Object} budget - Request budget
+ * @returns {Object} Per API: requests used, the limit, and how many responses were rate limited
+ */
+function describeRequestBudget(budget) {
+  const description = {};
+  Object.keys(budget.apis).forEach(apiName => {
+    description[apiName] = {
+      used: budget.apis[apiName].used,
+      maxRequests: budget.limits[apiName].maxRequests,
+      maxConcurrent: budget.limits[apiName].maxConcurrent,
+      throttled: budget.apis[apiName].throttled
+    };
+  });
+  return description;
+}
+
+module.exports = {
+  REQUEST_BUDGET_DEFAULTS,
+  RATE_LIMIT_DEFAULTS,
+  resolveRequestBudget,
+  createRequestBudget,
+  runWithRequestBudget,
+  isRequestBudgetExhausted,
+  requestWithBudget,
+  describeRequestBudget
+};
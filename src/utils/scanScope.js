@@ -0,0 +1,164 @@
+const { ApiError } = require('../models');
+
+/**
+ * Scan Scope Utilities
+ * Restricts Legacy Detector scans to projects, components, labels, a saved filter or a raw JQL clause
+ */
+
+/**
+ * Project keys follow Jira's default key format (uppercase letter, then letters, digits or underscores)
+ */
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]+$/;
+
+/**
+ * Normalize a single value or an array of values into a list of trimmed, non-empty strings
+ * @param {string|string[]} value - Raw payload value
+ * @param {string} field - Payload field name for error messages
+ * @returns {string[]} Normalized values
+ * @throws {ApiError} If any value is not a non-empty string
+ */
+function normalizeList(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  const values = Array.isArray(value) ? value : [value];
+
+  return values.map(item => {
+    if (typeof item !== 'string' || item.trim().length === 0) {
+      throw new ApiError({
+        code: 'INVALID_SCOPE',
+        message: `${field} must contain non-empty strings`
+      });
+    }
+    return item.trim();
+  });
+}
+
+/**
+ * Resolve the scan scope from a scanner payload
+ * @param {Object} [payload] - Scanner payload
+ * @param {string|string[]} [payload.projectKeys] - Jira project keys
+ * @param {string|string[]} [payload.components] - Jira component names
+ * @param {string|string[]} [payload.labels] - Jira labels
+ * @param {number|string} [payload.filterId] - Saved Jira filter ID
+ * @param {string} [payload.jql] - Raw JQL clause (without ORDER BY)
+ * @returns {{projectKeys: string[], components: string[], labels: string[], filterId: (string|null), jql: (string|null), clause: string}}
+ *   Normalized scope with its combined JQL clause (empty for site-wide scans)
+ * @throws {ApiError} If any scope field is invalid
+ */
+function resolveScanScope(payload = {}) {
+  const projectKeys = normalizeList(payload.projectKeys, 'projectKeys').map(key => key.toUpperCase());
+  const components = normalizeList(payload.components, 'components');
+  const labels = normalizeList(payload.labels, 'labels');
+
+  const invalidKey = projectKeys.find(key => !PROJECT_KEY_PATTERN.test(key));
+  if (invalidKey) {
+    throw new ApiError({
+      code: 'INVALID_SCOPE',
+      message: `Invalid project key: ${invalidKey}`
+    });
+  }
+
+  let filterId = null;
+  if (payload.filterId !== undefined && payload.filterId !== null) {
+    filterId = String(payload.filterId).trim();
+    if (!/^\d+$/.test(filterId)) {
+      throw new ApiError({
+        code: 'INVALID_SCOPE',
+        message: 'filterId must be a numeric Jira filter ID'
+      });
+    }
+  }
+
+  let jql = null;
+  if (payload.jql !== undefined && payload.jql !== null) {
+    if (typeof payload.jql !== 'string' || payload.jql.trim().length === 0) {
+      throw new ApiError({
+        code: 'INVALID_SCOPE',
+        message: 'jql must be a non-empty string'
+      });
+    }
+
+    jql = payload.jql.trim();
+
+    // The scanner appends its own ordering, so a custom ORDER BY would break the query
+    if (/\border\s+by\b/i.test(jql)) {
+      throw new ApiError({
+        code: 'INVALID_SCOPE',
+        message: 'jql must not contain an ORDER BY clause'
+      });
+    }
+  }
+
+  const scope = { projectKeys, components, labels, filterId, jql };
+  scope.clause = buildScopeClause(scope);
+
+  return scope;
+}
+
+/**
+ * Quote a value for use in a JQL list
+ * @param {string} value - Raw value
+ * @returns {string} Quoted and escaped value
+ */
+function quoteJqlValue(value) {
+  return `"${value.replace(/(["\\])/g, '\\$1')}"`;
+}
+
+/**
+ * Combine the scope fields into a single JQL clause
+ * @param {Object} scope - Normalized scope
+ * @returns {string} JQL clause, empty when the scope is site-wide
+ */
+function buildScopeClause(scope) {
+  const clauses = [];
+
+  if (scope.projectKeys.length > 0) {
+    clauses.push(`project in (${scope.projectKeys.map(quoteJqlValue).join(', ')})`);
+  }
+  if (scope.components.length > 0) {
+    clauses.push(`component in (${scope.components.map(quoteJqlValue).join(', ')})`);
+  }
+  if (scope.labels.length > 0) {
+    clauses.push(`labels in (${scope.labels.map(quoteJqlValue).join(', ')})`);
+  }
+  if (scope.filterId) {
+    clauses.push(`filter = ${scope.filterId}`);
+  }
+  if (scope.jql) {
+    clauses.push(`(${scope.jql})`);
+  }
+
+  return clauses.join(' AND ');
+}
+
+/**
+ * Prefix a JQL query with the scope clause
+ * @param {Object} [scope] - Resolved scope (site-wide when omitted)
+ * @param {string} jql - Query conditions to scope
+ * @returns {string} Scoped JQL conditions
+ */
+function applyScopeToJql(scope, jql) {
+  if (!scope || !scope.clause) {
+    return jql;
+  }
+  return `${scope.clause} AND ${jql}`;
+}
+
+/**
+ * Check whether a scope restricts the scan at all
+ * @param {Object} scope - Resolved scope
+ * @returns {boolean} True if the scan covers the whole site
+ */
+function isSiteWideScope(scope) {
+  return !scope || !scope.clause;
+}
+
+module.exports = {
+  resolveScanScope,
+  buildScopeClause,
+  quoteJqlValue,
+  applyScopeToJql,
+  isSiteWideScope
+};
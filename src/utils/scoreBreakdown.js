@@ -0,0 +1,80 @@
+/**
+ * Score Breakdown Utilities
+ * Renders the structured Undocumented Intensity score breakdown as plain text for notifications
+ */
+
+/**
+ * Render a score breakdown as plain-text lines
+ * @param {Object|null} breakdown - Score breakdown from an UndocumentedIntensityReport
+ * @returns {string[]} Explanation lines (empty when there is no breakdown)
+ */
+function formatScoreBreakdownText(breakdown) {
+  if (!breakdown) {
+    return [];
+  }
+
+  const { weights, documentation } = breakdown;
+  const lines = [
+    `Score ${breakdown.finalScore} (${breakdown.riskLevel}) = base ${breakdown.baseScore} / documentation divisor ${documentation.divisor}`
+  ];
+
+  breakdown.tickets.forEach(ticket => {
+    lines.push(`  Ticket ${ticket.key}: +${ticket.contribution} (${ticket.adjustedContribution} after docs) - ${ticket.reasons.join(', ')}`);
+  });
+
+  (breakdown.participation || []).forEach(entry => {
+    lines.push(`  Participated in ${entry.key}: +${entry.contribution} (${entry.adjustedContribution} after docs) - ${describeRoles(entry.roles)}`);
+  });
+
+  (breakdown.incidents || []).forEach(incident => {
+    const repeat = incident.repeatComponent ? `, ${incident.repeatCount} incidents on ${incident.repeatComponent}` : '';
+    lines.push(`  Incident ${incident.key}: +${incident.contribution} (${incident.adjustedContribution} after docs) - ${describeRoles(incident.roles)}${repeat}`);
+  });
+
+  breakdown.pullRequests.forEach(pr => {
+    lines.push(`  PR #${pr.id}: complexity ${pr.complexityScore}, +${pr.contribution} (${pr.adjustedContribution} after docs)`);
+  });
+
+  if (documentation.links.length === 0) {
+    lines.push(`  Documentation: none found, divisor ${documentation.divisor}`);
+  } else {
+    lines.push(`  Documentation: weight ${documentation.weight} from ${documentation.links.length} link(s), divisor ${documentation.divisor}`);
+    documentation.links.forEach(link => {
+      lines.push(`    ${link.url} (${link.status}, weight ${link.weight})`);
+    });
+  }
+
+  const thresholds = Object.entries(breakdown.riskThresholds)
+    .map(([level, threshold]) => `${level} >= ${threshold}`)
+    .join(', ');
+  const weightList = Object.entries(weights)
+    .map(([name, value]) => `${name} ${value}`)
+    .join(', ');
+  lines.push(`  Strategy ${breakdown.strategy} v${breakdown.strategyVersion}: ${breakdown.formula}`);
+  lines.push(`  Weights: ${weightList}; thresholds: ${thresholds}`);
+
+  if (breakdown.trend) {
+    const { trend } = breakdown;
+    const adjustment = trend.riskAdjustment ? `, risk moved from ${trend.riskAdjustment.from} to ${trend.riskAdjustment.to}` : '';
+    lines.push(`  Trend: ${trend.direction}, slope ${trend.slope}/month, acceleration ${trend.acceleration}${adjustment}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Describe a participant's roles in an issue, e.g. "reporter, commenter x3"
+ * @param {Object<string, number>} roles - Role counts (see utils/participation)
+ * @returns {string} Roles with a non-zero count
+ */
+function describeRoles(roles) {
+  return Object.entries(roles || {})
+    .filter(([, count]) => count > 0)
+    .map(([role, count]) => (count > 1 ? `${role} x${count}` : role))
+    .join(', ');
+}
+
+module.exports = {
+  formatScoreBreakdownText,
+  describeRoles
+};
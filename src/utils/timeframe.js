@@ -0,0 +1,183 @@
+const { ApiError, TIMEFRAME_PRESETS, CUSTOM_TIMEFRAME } = require('../models');
+
+/**
+ * Timeframe Utilities
+ * Resolves lookback windows (presets or explicit from/to dates) used by the scanners and services
+ */
+
+/**
+ * Timeframe applied when a caller does not specify one
+ */
+const DEFAULT_TIMEFRAME = '6_MONTHS';
+
+/**
+ * Resolve a timeframe specification into a concrete scan window
+ *
+ * Accepts a preset key ('12_MONTHS'), an explicit window ({ from, to }), a preset
+ * wrapped in an object ({ preset: '9_MONTHS' }), a bare Date (treated as the window
+ * start) or an already resolved window, which is returned unchanged.
+ *
+ * @param {string|Object|Date} [timeframe] - Timeframe specification
+ * @param {Date} [now] - Reference date for preset windows
+ * @returns {{key: string, from: Date, to: Date}} Resolved scan window
+ * @throws {ApiError} If the timeframe is unsupported or the window is invalid
+ */
+function resolveTimeframe(timeframe = DEFAULT_TIMEFRAME, now = new Date()) {
+  if (timeframe === null || timeframe === undefined) {
+    return resolveTimeframe(DEFAULT_TIMEFRAME, now);
+  }
+
+  if (timeframe instanceof Date) {
+    return buildCustomWindow(timeframe, now);
+  }
+
+  if (typeof timeframe === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(TIMEFRAME_PRESETS, timeframe)) {
+      throw new ApiError({
+        code: 'INVALID_TIMEFRAME',
+        message: `Unsupported timeframe: ${timeframe}. Supported presets are ${Object.keys(TIMEFRAME_PRESETS).join(', ')}`
+      });
+    }
+
+    const from = new Date(now);
+    from.setMonth(from.getMonth() - TIMEFRAME_PRESETS[timeframe]);
+
+    return {
+      key: timeframe,
+      from,
+      to: new Date(now)
+    };
+  }
+
+  if (typeof timeframe === 'object') {
+    if (timeframe.preset) {
+      return resolveTimeframe(timeframe.preset, now);
+    }
+
+    if (timeframe.from) {
+      const window = buildCustomWindow(timeframe.from, timeframe.to || now);
+
+      // Keep preset keys on windows that were already resolved
+      if (Object.prototype.hasOwnProperty.call(TIMEFRAME_PRESETS, timeframe.key)) {
+        window.key = timeframe.key;
+      }
+
+      return window;
+    }
+  }
+
+  throw new ApiError({
+    code: 'INVALID_TIMEFRAME',
+    message: 'Timeframe must be a preset key or an object with from/to dates'
+  });
+}
+
+/**
+ * Build and validate an explicit from/to window
+ * @param {Date|string} from - Window start
+ * @param {Date|string} to - Window end
+ * @returns {{key: string, from: Date, to: Date}} Custom scan window
+ * @throws {ApiError} If either date is invalid or the window is empty
+ */
+function buildCustomWindow(from, to) {
+  const fromDate = new Date(from);
+  const toDate = new Date(to);
+
+  if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+    throw new ApiError({
+      code: 'INVALID_TIMEFRAME',
+      message: 'Timeframe from/to must be valid dates'
+    });
+  }
+
+  if (fromDate.getTime() >= toDate.getTime()) {
+    throw new ApiError({
+      code: 'INVALID_TIMEFRAME',
+      message: 'Timeframe from date must be before the to date'
+    });
+  }
+
+  return {
+    key: CUSTOM_TIMEFRAME,
+    from: fromDate,
+    to: toDate
+  };
+}
+
+/**
+ * Check whether a date falls inside a resolved scan window (inclusive)
+ * @param {Date|string} date - Date to check
+ * @param {{from: Date, to: Date}} window - Resolved scan window
+ * @returns {boolean} True if the date is within the window
+ */
+function isWithinTimeframe(date, window) {
+  const time = new Date(date).getTime();
+  return time >= window.from.getTime() && time <= window.to.getTime();
+}
+
+/**
+ * Format a date as YYYY-MM-DD for JQL and Bitbucket queries
+ * @param {Date} date - Date to format
+ * @returns {string} Date-only string
+ */
+function formatQueryDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Build the JQL date clause for a scan window on the given field
+ * Preset windows end "now", so only custom windows need an upper bound.
+ * @param {string} field - JQL date field (e.g. 'updated')
+ * @param {{key: string, from: Date, to: Date}} window - Resolved scan window
+ * @returns {string} JQL clause
+ */
+function buildJqlDateClause(field, window) {
+  let clause = `${field} >= "${formatQueryDate(window.from)}"`;
+
+  if (window.key === CUSTOM_TIMEFRAME) {
+    // JQL dates are day-granular; use the following day as an exclusive bound
+    const dayAfter = new Date(window.to);
+    dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+    clause += ` AND ${field} < "${formatQueryDate(dayAfter)}"`;
+  }
+
+  return clause;
+}
+
+/**
+ * Build the JQL clause for issues changed since an incremental scan cursor
+ * JQL dates are day-granular and interpreted in the site's timezone, so the clause
+ * starts a day early; re-fetched issues are merged by key and do no harm.
+ * @param {string} field - JQL date field (e.g. 'updated')
+ * @param {Date|string} since - Cursor timestamp
+ * @returns {string} JQL clause
+ */
+function buildJqlSinceClause(field, since) {
+  const dayBefore = new Date(since);
+  dayBefore.setUTCDate(dayBefore.getUTCDate() - 1);
+  return `${field} >= "${formatQueryDate(dayBefore)}"`;
+}
+
+/**
+ * Serialize a resolved window for scan summaries
+ * Dates are day-granular, matching the precision of the JQL queries.
+ * @param {{key: string, from: Date, to: Date}} window - Resolved scan window
+ * @returns {{key: string, from: string, to: string}} Serializable window
+ */
+function describeTimeframe(window) {
+  return {
+    key: window.key,
+    from: formatQueryDate(window.from),
+    to: formatQueryDate(window.to)
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEFRAME,
+  resolveTimeframe,
+  isWithinTimeframe,
+  formatQueryDate,
+  buildJqlDateClause,
+  buildJqlSinceClause,
+  describeTimeframe
+};
@@ -0,0 +1,38 @@
+/**
+ * Worker Pool
+ * Runs an async worker over a list with bounded concurrency
+ */
+
+/**
+ * Run a worker over items with at most `concurrency` items in flight
+ * Items are started in list order. Once shouldContinue returns false no further items are started;
+ * items already running are awaited. Workers are expected to handle their own errors.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function called with (item, index)
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.concurrency] - Maximum items in flight (defaults to 1)
+ * @param {Function} [options.shouldContinue] - Called with the number of items started so far before each item is started
+ * @returns {Promise<{results: Array, started: number}>} Worker results by item index (undefined for items
+ *   never started) and the number of items started
+ */
+async function runWorkerPool(items, worker, options = {}) {
+  const concurrency = options.concurrency || 1;
+  const shouldContinue = options.shouldContinue || (() => true);
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length && shouldContinue(next)) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+
+  return { results, started: next };
+}
+
+module.exports = {
+  runWorkerPool
+};
@@ -4,7 +4,8 @@
  * Integrates Legacy Detector with Legacy Keeper Agent for seamless handoff
  */
 
-const { scanLastSixMonths } = require('../scanners/legacyDetector');
+const api = require('@forge/api');
+const { scanSingleUser } = require('../scanners/legacyDetector');
 const { 
   conductForensicInterview, 
   extractTacitKnowledge, 
@@ -16,10 +17,16 @@ const { createLegacyDocument } = require('../services/confluenceService');
 const { 
   InterviewContext, 
   KnowledgeArtifact, 
-  CodeArtifact,
-  UndocumentedIntensityReport 
+  CodeArtifact
 } = require('../models');
 const { handleApiError, logError, LOG_LEVELS } = require('../utils/errorHandler');
+const { DEFAULT_TIMEFRAME, resolveTimeframe } = require('../utils/timeframe');
+const {
+  ROSTER_STATUS,
+  loadDepartureRoster,
+  updateDepartureRoster,
+  daysUntilDeparture
+} = require('../services/departureRosterService');
 
 /**
  * Workflow states for cognitive offboarding sessions
@@ -122,6 +129,47 @@ class WorkflowSession {
  */
 const activeSessions = new Map();
 
+/**
+ * Storage key prefix for each employee's latest session. Sessions live in memory for the invocation that runs
+ * them; the stored record lets later invocations (e.g. the departure roster run) see sessions in progress.
+ */
+const SESSION_KEY_PREFIX = 'offboarding:session';
+
+/**
+ * Storage key of an employee's latest session
+ * @param {string} employeeId - Employee account ID
+ * @returns {string} Storage key
+ */
+function sessionKey(employeeId) {
+  return `${SESSION_KEY_PREFIX}:${employeeId}`;
+}
+
+/**
+ * Store the session's current state under the employee's key
+ * A failed write is logged and does not fail the workflow.
+ * @param {WorkflowSession} session - Workflow session
+ * @returns {Promise<void>}
+ */
+async function saveSessionRecord(session) {
+  try {
+    await api.storage.set(sessionKey(session.employeeId), {
+      sessionId: session.sessionId,
+      employeeId: session.employeeId,
+      state: session.state,
+      triggeredBy: session.triggeredBy,
+      triggeredAt: new Date(session.triggeredAt).toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    logError({
+      message: 'Failed to store cognitive offboarding session',
+      error: error.message,
+      sessionId: session.sessionId,
+      employeeId: session.employeeId
+    }, LOG_LEVELS.WARN);
+  }
+}
+
 /**
  * Trigger cognitive offboarding workflow for a departing employee
  * @param {Object} params - Trigger parameters
@@ -134,7 +182,8 @@ async function triggerCognitiveOffboarding(params) {
       triggeredBy = 'system',
       department = 'Unknown',
       role = 'Unknown',
-      offboardingDate = null
+      offboardingDate = null,
+      timeframe = DEFAULT_TIMEFRAME
     } = params;
 
     // Validate required parameters
@@ -142,6 +191,9 @@ async function triggerCognitiveOffboarding(params) {
       throw new Error('Employee ID is required to trigger cognitive offboarding');
     }
 
+    // Fail fast on unsupported lookback windows
+    resolveTimeframe(timeframe);
+
     // Generate unique session ID
     const sessionId = generateSessionId();
     
@@ -156,6 +208,7 @@ async function triggerCognitiveOffboarding(params) {
         department,
         role,
         offboardingDate,
+        timeframe,
         triggeredAt: new Date()
       }
     });
@@ -168,6 +221,7 @@ async function triggerCognitiveOffboarding(params) {
 
     // Store session
     activeSessions.set(sessionId, session);
+    await saveSessionRecord(session);
 
     logError({
       message: 'Cognitive offboarding workflow triggered',
@@ -214,37 +268,14 @@ async function executeScanPhase(sessionId) {
       employeeId: session.employeeId
     }, LOG_LEVELS.INFO);
 
-    // Execute Legacy Detector scan for this specific user
-    const scanRequest = {
-      payload: {
-        userId: session.employeeId,
-        timeframe: '6_MONTHS'
-      }
-    };
-
-    const scanResponse = await scanLastSixMonths(scanRequest);
-    
-    if (!scanResponse.success) {
-      throw new Error(`Scan failed: ${scanResponse.error}`);
-    }
-
-    // Find the report for this specific user
-    let userReport = scanResponse.reports.find(report => 
-      report.userId === session.employeeId
-    );
-
-    if (!userReport) {
-      // Create a minimal report if no undocumented intensity found
-      userReport = new UndocumentedIntensityReport({
-        userId: session.employeeId,
-        timeframe: '6_MONTHS',
-        highComplexityPRs: [],
-        criticalJiraTickets: [],
-        documentationLinks: [],
-        undocumentedIntensityScore: 0,
-        specificArtifacts: [],
-        riskLevel: 'LOW'
+    // Score only the departing employee; a full scan would also alert on and store everyone else
+    let userReport;
+    try {
+      userReport = await scanSingleUser(session.employeeId, {
+        timeframe: session.progress.timeframe || DEFAULT_TIMEFRAME
       });
+    } catch (scanError) {
+      throw new Error(`Scan failed: ${scanError.message}`);
     }
 
     // Store scan results
@@ -255,6 +286,7 @@ async function executeScanPhase(sessionId) {
       riskLevel: userReport.riskLevel,
       artifactsFound: userReport.specificArtifacts.length
     });
+    await saveSessionRecord(session);
 
     logError({
       message: 'Scan phase completed successfully',
@@ -272,6 +304,7 @@ async function executeScanPhase(sessionId) {
     if (session) {
       session.addError(error);
       session.updateState(WORKFLOW_STATES.FAILED);
+      await saveSessionRecord(session);
     }
 
     logError({
@@ -349,6 +382,7 @@ async function executeInterviewPhase(sessionId) {
       artifactsAnalyzed: codeArtifacts.length,
       questionsGenerated: interviewSession.session.artifactQuestions.length
     });
+    await saveSessionRecord(session);
 
     logError({
       message: 'Interview phase completed successfully',
@@ -365,6 +399,7 @@ async function executeInterviewPhase(sessionId) {
     if (session) {
       session.addError(error);
       session.updateState(WORKFLOW_STATES.FAILED);
+      await saveSessionRecord(session);
     }
 
     logError({
@@ -423,7 +458,8 @@ async function executeArchivePhase(sessionId, interviewResponses = []) {
       relatedTickets: session.scanResults.criticalJiraTickets.map(ticket => ticket.key),
       relatedPRs: session.scanResults.highComplexityPRs.map(pr => pr.id),
       relatedCommits: [], // Would be populated from commit analysis
-      sourceArtifacts: session.interviewResults.context.specificArtifacts
+      sourceArtifacts: session.interviewResults.context.specificArtifacts,
+      scoreBreakdown: session.scanResults.scoreBreakdown || null
     });
 
     // Validate knowledge artifact
@@ -453,6 +489,7 @@ async function executeArchivePhase(sessionId, interviewResponses = []) {
       artifactsLinked: (confluenceResult.linkedArtifacts || []).length,
       knowledgeConfidence: knowledgeArtifact.confidence
     });
+    await saveSessionRecord(session);
 
     logError({
       message: 'Archive phase completed successfully - Cognitive offboarding workflow complete',
@@ -470,6 +507,7 @@ async function executeArchivePhase(sessionId, interviewResponses = []) {
     if (session) {
       session.addError(error);
       session.updateState(WORKFLOW_STATES.FAILED);
+      await saveSessionRecord(session);
     }
 
     logError({
@@ -543,6 +581,88 @@ function getAllActiveSessions() {
   return Array.from(activeSessions.values());
 }
 
+/**
+ * Find an employee's stored session that is still in progress (not archived or failed)
+ * @param {string} employeeId - Employee account ID
+ * @returns {Promise<Object|null>} Stored session record ({ sessionId, employeeId, state, triggeredBy, triggeredAt, updatedAt }) or null
+ */
+async function findInProgressSession(employeeId) {
+  const record = await api.storage.get(sessionKey(employeeId));
+  if (!record || record.state === WORKFLOW_STATES.ARCHIVED || record.state === WORKFLOW_STATES.FAILED) {
+    return null;
+  }
+  return record;
+}
+
+/**
+ * Scheduled trigger handler: start cognitive offboarding for roster employees whose departure
+ * date is within the roster's lead time, and run their scan phase so the interview is ready
+ * Employees who already have a session in progress are skipped; each roster entry is processed once.
+ * @param {Object} [event] - Forge scheduled trigger event
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} Triggered and skipped employees, or an error result
+ */
+async function runDepartureOffboarding(event, now = new Date()) {
+  try {
+    const roster = await loadDepartureRoster();
+    const triggered = [];
+    const skipped = [];
+
+    for (const entry of roster.entries) {
+      const daysLeft = daysUntilDeparture(entry.departureDate, now);
+      if (entry.status !== ROSTER_STATUS.PENDING || daysLeft < 0 || daysLeft > roster.leadDays) {
+        continue;
+      }
+
+      const existing = await findInProgressSession(entry.accountId);
+      if (existing) {
+        Object.assign(entry, { status: ROSTER_STATUS.SKIPPED, sessionId: existing.sessionId, processedAt: now.toISOString() });
+        skipped.push({ accountId: entry.accountId, departureDate: entry.departureDate, sessionId: existing.sessionId, reason: 'Session already in progress' });
+        continue;
+      }
+
+      const session = await triggerCognitiveOffboarding({
+        employeeId: entry.accountId,
+        triggeredBy: 'departure-roster',
+        department: entry.department || 'Unknown',
+        role: entry.role || 'Unknown',
+        offboardingDate: entry.departureDate
+      });
+      Object.assign(entry, { status: ROSTER_STATUS.TRIGGERED, sessionId: session.sessionId, processedAt: now.toISOString() });
+
+      try {
+        await executeScanPhase(session.sessionId);
+      } catch (scanError) {
+        // The session records the failure; the offboarding itself was still started
+        console.warn(`Scan phase failed for departing employee ${entry.accountId}:`, scanError.message);
+      }
+
+      triggered.push({ accountId: entry.accountId, departureDate: entry.departureDate, daysLeft, sessionId: session.sessionId, state: session.state });
+    }
+
+    if (triggered.length > 0 || skipped.length > 0) {
+      await updateDepartureRoster(roster);
+    }
+
+    logError({
+      message: 'Departure roster offboarding run completed',
+      triggered: triggered.length,
+      skipped: skipped.length,
+      leadDays: roster.leadDays
+    }, LOG_LEVELS.INFO);
+
+    return { success: true, triggered, skipped };
+
+  } catch (error) {
+    logError({
+      message: 'Departure roster offboarding run failed',
+      error: error.message
+    }, LOG_LEVELS.ERROR);
+
+    return { success: false, error: error.message, triggered: [], skipped: [] };
+  }
+}
+
 /**
  * Validate workflow completion - ensures all artifacts are properly captured
  * @param {string} sessionId - Session ID
@@ -645,6 +765,23 @@ function convertScanResultsToArtifacts(scanResults) {
     }));
   });
 
+  // Convert incidents the employee resolved or commented on to code artifacts
+  (scanResults.incidents || []).forEach(incident => {
+    artifacts.push(new CodeArtifact({
+      type: 'INCIDENT',
+      id: incident.key,
+      title: incident.summary,
+      author: scanResults.userId,
+      date: incident.updated,
+      complexityIndicators: [
+        ...(incident.roles.resolver > 0 ? ['resolved'] : []),
+        ...(incident.roles.commenter > 0 ? [`comments_${incident.roles.commenter}`] : []),
+        ...(incident.repeatComponent ? [`repeat_component_${incident.repeatComponent}`] : [])
+      ],
+      documentationLevel: incident.documentationLinks.length > 0 ? 'ADEQUATE' : 'MINIMAL'
+    }));
+  });
+
   return artifacts;
 }
 
@@ -737,6 +874,7 @@ module.exports = {
   executeCompleteWorkflow,
   getWorkflowSession,
   getAllActiveSessions,
+  runDepartureOffboarding,
   validateWorkflowCompletion,
   convertScanResultsToArtifacts,
   formatInterviewContent,